@@ -16,7 +16,7 @@ const createSwaggerOptions = () => {
           name: 'API Support',
         },
         'x-documentation': {
-          'authentication': '# Authentication & Authorization\n\nThis API uses two authentication mechanisms:\n\n## 1. Bearer Token Authentication\nAll endpoints (except public downloads) require Azure Entra ID JWT tokens.\n\n**Obtaining a token:**\n- Use OAuth 2.0 Authorization Code flow with your Azure Entra ID app registration\n- Frontend SPA should handle auth via MSAL (Microsoft Authentication Library)\n- Token includes user roles in claims\n\n**Using the token:**\n- Add to all requests: `Authorization: Bearer <token>`\n- Example: `curl -H "Authorization: Bearer eyJhbGc..." https://api.example.com/api/files`\n\n**Role-based access:**\n- **Reader**: List files, download files, generate download tokens\n- **Uploader**: All Reader permissions + upload files, create folders\n- **Admin**: All permissions + delete files/folders, manage access\n\n## 2. Download Token Authentication\nFor sharing downloads without bearer tokens (external users, scripts, VMs).\n\n**Obtaining a download token:**\n- Call `POST /api/files/download-token` with Bearer auth\n- Returns HMAC-signed token valid for 5 minutes\n- Path-bound (cannot be reused for different files)\n\n**Using the token:**\n- Add to download URL: `https://api.example.com/api/files/download/path?dt=<token>`\n- No Authorization header needed\n- Example: `curl https://api.example.com/api/files/download/docs/report.pdf?dt=abc123...`\n\n## Error Codes\n- `401 Unauthorized`: Missing or invalid Bearer token\n- `403 Forbidden`: Insufficient role permissions for this operation\n- `404 Not Found`: File/folder does not exist\n- `429 Too Many Requests`: Rate limited (retry after delay)',
+          'authentication': '# Authentication & Authorization\n\nThis API uses two authentication mechanisms:\n\n## 1. Bearer Token Authentication\nAll endpoints (except public downloads) require Azure Entra ID JWT tokens.\n\n**Obtaining a token:**\n- Use OAuth 2.0 Authorization Code flow with your Azure Entra ID app registration\n- Frontend SPA should handle auth via MSAL (Microsoft Authentication Library)\n- Token includes user roles in claims\n\n**Using the token:**\n- Add to all requests: `Authorization: Bearer <token>`\n- Example: `curl -H "Authorization: Bearer eyJhbGc..." https://api.example.com/api/files`\n\n**Permissions:**\nEndpoints check named actions (`list`, `download`, `upload`, `delete`, `move`, `folder.create`, `folder.delete`, ...). `config/permissions.json` (or `PERMISSIONS_FILE`) groups actions into roles and maps Entra ID groups and app roles to them; by default **reader** can list and download, **uploader** can also write, and **admin** can do everything.\n\n## 2. Download Token Authentication\nFor sharing downloads without bearer tokens (external users, scripts, VMs).\n\n**Obtaining a download token:**\n- Call `POST /api/files/download-token` with Bearer auth\n- Returns HMAC-signed token valid for 5 minutes\n- Path-bound (cannot be reused for different files)\n\n**Using the token:**\n- Add to download URL: `https://api.example.com/api/files/download/path?dt=<token>`\n- No Authorization header needed\n- Example: `curl https://api.example.com/api/files/download/docs/report.pdf?dt=abc123...`\n\n## Error Codes\n- `401 Unauthorized`: Missing or invalid Bearer token\n- `403 Forbidden`: None of the user roles grants the action\n- `404 Not Found`: File/folder does not exist\n- `429 Too Many Requests`: Rate limited (retry after delay)',
         },
       },
       servers: [
@@ -28,7 +28,7 @@ const createSwaggerOptions = () => {
       tags: [
         {
           name: 'Authentication',
-          description: 'API authentication uses Azure Entra ID Bearer tokens (OAuth 2.0) or time-limited HMAC-signed download tokens. All endpoints require authentication except public downloads with valid token. Three role levels: Reader (read-only), Uploader (+ write), Admin (+ delete). Download tokens have 5-minute TTL and are path-bound.',
+          description: 'API authentication uses Azure Entra ID Bearer tokens (OAuth 2.0) or time-limited HMAC-signed download tokens. All endpoints require authentication except public downloads with valid token. Groups and app roles map to roles and named actions via config/permissions.json. Download tokens are short-lived (5 minutes by default), path-bound and revocable.',
         },
         {
           name: 'Files & Folders',
@@ -38,6 +38,46 @@ const createSwaggerOptions = () => {
           name: 'Download',
           description: 'File download and token management',
         },
+        {
+          name: 'Jobs',
+          description: 'Status of long-running background operations',
+        },
+        {
+          name: 'Trash',
+          description: 'Deleted files and folders: list, restore and purge',
+        },
+        {
+          name: 'Metadata',
+          description: 'User-defined metadata key/values and tags on files and folders',
+        },
+        {
+          name: 'Access Control',
+          description: 'Per-folder access control lists',
+        },
+        {
+          name: 'Share Links',
+          description: 'Links for sharing files and folders with people outside the app: expiry, password, download limit and folder browsing',
+        },
+        {
+          name: 'Audit',
+          description: 'Audit log of file operations: query and export',
+        },
+        {
+          name: 'Quotas',
+          description: 'Storage usage and quotas, and the upload policy (maximum file size, allowed file types)',
+        },
+        {
+          name: 'Scanning',
+          description: 'Malware scanning of uploads (SCANNER: clamav, command or stub) and the quarantine of infected files. New uploads stay pending, and cannot be downloaded, until the scan finds them clean; admin only',
+        },
+        {
+          name: 'Webhooks',
+          description: 'Outbound webhooks for file events, HMAC-signed, retried with exponential backoff and kept as dead letters when every attempt fails ("webhook.manage")',
+        },
+        {
+          name: 'Events',
+          description: 'Live change feed over Server-Sent Events, filtered by folder and ACLs, with replay of missed events on reconnect',
+        },
       ],
       components: {
       securitySchemes: {
@@ -45,13 +85,13 @@ const createSwaggerOptions = () => {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
-          description: 'Azure Entra ID (formerly Azure AD) JWT token. Obtain via OAuth 2.0 authorization code flow. Token includes user roles (Reader, Uploader, Admin) in claims.',
+          description: 'Azure Entra ID (formerly Azure AD) JWT token. Obtain via OAuth 2.0 authorization code flow. Group (`groups`) and app role (`roles`) claims decide the allowed actions.',
         },
         DownloadToken: {
           type: 'apiKey',
           in: 'query',
           name: 'dt',
-          description: 'HMAC-SHA256 signed token for time-limited file downloads without Bearer token. Generated via POST /api/files/download-token. TTL: 5 minutes. Add as query parameter: ?dt=<token>',
+          description: 'HMAC-SHA256 signed token for time-limited file downloads without Bearer token. Generated via POST /api/files/download-token. TTL: DOWNLOAD_TOKEN_TTL_SECONDS (default 5 minutes). Add as query parameter: ?dt=<token>',
         },
       },
       schemas: {
@@ -62,6 +102,18 @@ const createSwaggerOptions = () => {
             fullPath: { type: 'string', description: 'Full path in storage' },
             size: { type: 'integer', description: 'File size in bytes' },
             created: { type: 'string', format: 'date-time', description: 'Creation timestamp' },
+            lastModified: { type: 'string', format: 'date-time', description: 'Last modification timestamp' },
+            contentType: { type: 'string', description: 'MIME type, detected from the content on upload' },
+            contentTypeMismatch: { type: 'boolean', description: 'Present (true) when the content did not match the file extension on upload' },
+            claimedContentType: { type: 'string', description: 'Content type the client claimed, when the content did not match the extension' },
+            scanStatus: { type: 'string', enum: ['pending', 'clean', 'error'], description: 'Malware scan status (files uploaded while scanning is enabled); only clean files can be downloaded' },
+            scannedAt: { type: 'string', format: 'date-time', description: 'When the last scan finished' },
+            etag: { type: 'string', description: 'Entity tag for conditional requests' },
+            contentHash: { $ref: '#/components/schemas/ContentHash' },
+            contentMd5: { type: 'string', description: 'Hex MD5 of the file content (files uploaded with checksums recorded)' },
+            uploadedBy: { type: 'string', description: 'Object ID of the user who uploaded the file (if recorded)' },
+            metadata: { $ref: '#/components/schemas/UserMetadata' },
+            tags: { $ref: '#/components/schemas/Tags' },
             type: { type: 'string', enum: ['file'] },
           },
         },
@@ -71,7 +123,259 @@ const createSwaggerOptions = () => {
             name: { type: 'string', description: 'Folder name' },
             path: { type: 'string', description: 'Full folder path' },
             type: { type: 'string', enum: ['folder'] },
-            children: { type: 'integer', description: 'Number of items in folder (excluding .keep markers)' },
+            children: { type: 'integer', description: 'Number of files anywhere in the folder (excluding .keep markers); omitted with counts=false' },
+            metadata: { $ref: '#/components/schemas/UserMetadata' },
+            tags: { $ref: '#/components/schemas/Tags' },
+          },
+        },
+        UserMetadata: {
+          type: 'object',
+          description: 'User-defined key/values. Keys are case-insensitive (returned lowercase), letters, digits and underscores, not starting with a digit, max 64 characters. Metadata and tags together may use up to 7KB (values are URI-encoded for storage).',
+          additionalProperties: { type: 'string' },
+          example: { project: 'P-1042', owner: 'finance' },
+        },
+        Tags: {
+          type: 'array',
+          description: 'Up to 20 tags of up to 64 letters, digits, spaces and _ . : / = + @ -',
+          items: { type: 'string' },
+          example: ['contract', 'signed'],
+        },
+        MetadataView: {
+          type: 'object',
+          properties: {
+            path: { type: 'string' },
+            type: { type: 'string', enum: ['file', 'folder'] },
+            metadata: { $ref: '#/components/schemas/UserMetadata' },
+            tags: { $ref: '#/components/schemas/Tags' },
+            etag: { type: 'string', nullable: true, description: 'ETag of the file (or folder marker); use with If-Match' },
+            lastModified: { type: 'string', format: 'date-time', nullable: true },
+          },
+        },
+        AclEntry: {
+          type: 'object',
+          required: ['type', 'id', 'rights'],
+          properties: {
+            type: { type: 'string', enum: ['user', 'group'] },
+            id: { type: 'string', description: 'User object ID or UPN, or group object ID' },
+            rights: { type: 'array', items: { type: 'string', enum: ['read', 'write', 'delete'] } },
+          },
+          example: { type: 'group', id: '6f1c2d3e-0000-0000-0000-000000000000', rights: ['read', 'write'] },
+        },
+        FolderAcl: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'Folder path' },
+            entries: { type: 'array', items: { $ref: '#/components/schemas/AclEntry' } },
+            updatedAt: { type: 'string', format: 'date-time' },
+            updatedBy: {
+              type: 'object',
+              properties: {
+                objectId: { type: 'string' },
+                upn: { type: 'string', nullable: true },
+              },
+            },
+          },
+        },
+        ShareLink: {
+          type: 'object',
+          properties: {
+            shareId: { type: 'string', description: 'Secret link ID; anyone who has it can use the link' },
+            url: { type: 'string', description: 'Link path, e.g. /api/shares/{shareId}' },
+            type: { type: 'string', enum: ['file', 'folder'] },
+            path: { type: 'string', description: 'Shared file or folder' },
+            name: { type: 'string' },
+            allowBrowse: { type: 'boolean', description: 'Recipients can list the folder and download single files' },
+            hasPassword: { type: 'boolean' },
+            maxDownloads: { type: 'integer', nullable: true, description: 'Download limit; null for none' },
+            downloads: { type: 'integer', description: 'Downloads so far' },
+            downloadsRemaining: { type: 'integer', nullable: true },
+            createdBy: {
+              type: 'object',
+              properties: {
+                objectId: { type: 'string' },
+                upn: { type: 'string', nullable: true },
+                name: { type: 'string', nullable: true },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            lastAccessedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Last counted download' },
+          },
+        },
+        AuditRecord: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            timestamp: { type: 'string', format: 'date-time' },
+            action: {
+              type: 'string',
+              description: 'upload, download, download.zip, delete, move, rename, folder.create, folder.delete, token.issue, token.revoke, trash.restore, trash.purge, acl.set, acl.delete, share.create, share.revoke, share.unlock, share.download, quota.recount, scan.rescan, scan.quarantine, quarantine.release, quarantine.delete, webhook.create, webhook.update, webhook.delete, webhook.rotate, webhook.test or webhook.redeliver (share link recipients have no user)',
+            },
+            outcome: { type: 'string', enum: ['success', 'accepted', 'denied', 'failure'], description: 'accepted - a background job was started (see details.jobId)' },
+            status: { type: 'integer', description: 'HTTP status of the response' },
+            user: {
+              type: 'object',
+              properties: {
+                objectId: { type: 'string', nullable: true },
+                upn: { type: 'string', nullable: true },
+              },
+            },
+            ip: { type: 'string', description: 'Client IP (from X-Forwarded-For when TRUST_PROXY is set)' },
+            paths: { type: 'array', items: { type: 'string' }, description: 'Paths involved, e.g. source and destination of a move' },
+            error: { type: 'string', description: 'Error message of a failed or denied request' },
+            details: { type: 'object', additionalProperties: true, description: 'Action-specific details, e.g. jobId, permanent, downloadToken' },
+          },
+          example: {
+            id: '0b6e7a1c-3f9d-4c2a-9d55-2f1e8c7b6a10',
+            timestamp: '2026-03-02T09:15:27.113Z',
+            action: 'move',
+            outcome: 'success',
+            status: 200,
+            user: { objectId: '00000000-0000-0000-0000-000000000001', upn: 'jane@contoso.com' },
+            ip: '203.0.113.7',
+            paths: ['docs/report.pdf', 'archive/report.pdf'],
+          },
+        },
+        QuotaUsage: {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer', nullable: true, description: 'Quota in bytes; null when unlimited' },
+            used: { type: 'integer', description: 'Bytes stored' },
+            pending: { type: 'integer', description: 'Bytes of uploads in progress' },
+            remaining: { type: 'integer', nullable: true, description: 'Bytes left; null when unlimited' },
+          },
+        },
+        FolderQuotaUsage: {
+          allOf: [
+            { type: 'object', properties: { path: { type: 'string', example: 'team' } } },
+            { $ref: '#/components/schemas/QuotaUsage' },
+          ],
+        },
+        ScanStatus: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', description: 'False when no scanner is configured (SCANNER=none)' },
+            scanner: { type: 'string', nullable: true, example: 'clamav' },
+            queued: { type: 'integer', description: 'Files waiting for a scan' },
+            scanning: { type: 'integer', description: 'Files being scanned' },
+            quarantined: { type: 'integer' },
+          },
+        },
+        QuarantineItem: {
+          type: 'object',
+          properties: {
+            quarantineId: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            originalPath: { type: 'string', description: 'Path the file was uploaded to' },
+            size: { type: 'integer' },
+            contentType: { type: 'string' },
+            signature: { type: 'string', description: 'Malware signature reported by the scanner', example: 'Eicar-Test-Signature' },
+            scanner: { type: 'string' },
+            uploadedBy: { type: 'string', nullable: true, description: 'Object ID of the uploader' },
+            quarantinedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        FileEvent: {
+          type: 'object',
+          description: 'A file change, as POSTed to webhooks (with webhookId and deliveryId added) and sent on the live change feed',
+          properties: {
+            eventId: { type: 'string', format: 'uuid' },
+            sequence: { type: 'integer', description: 'Counts up from 1 per server process' },
+            type: {
+              type: 'string',
+              enum: ['file.uploaded', 'file.deleted', 'file.moved', 'file.renamed', 'folder.created', 'folder.deleted', 'folder.moved', 'folder.renamed', 'webhook.ping'],
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+            path: { type: 'string', nullable: true, description: 'File or folder after the change (null on the change feed when the caller cannot read it)' },
+            previousPath: { type: 'string', nullable: true, description: 'Moves and renames - the old path (null on the change feed when the caller cannot read it)' },
+            actor: {
+              type: 'object',
+              nullable: true,
+              properties: { objectId: { type: 'string' }, upn: { type: 'string', nullable: true } },
+            },
+            data: { type: 'object', description: 'Type-specific details (size, contentType, etag, method, permanent, trashId, jobId)' },
+          },
+          example: {
+            eventId: '4c1f0d7e-3f7a-4f5e-9a4b-0d7b8e2f6a11',
+            sequence: 42,
+            type: 'file.uploaded',
+            timestamp: '2024-05-01T09:30:00.000Z',
+            path: 'docs/report.pdf',
+            actor: { objectId: '00000000-0000-0000-0000-000000000001', upn: 'jane@contoso.com' },
+            data: { size: 52344, contentType: 'application/pdf', etag: '"0x8DC5A"', method: 'direct' },
+          },
+        },
+        Webhook: {
+          type: 'object',
+          properties: {
+            webhookId: { type: 'string', format: 'uuid' },
+            url: { type: 'string', example: 'https://ingest.contoso.com/hooks/files' },
+            events: { type: 'array', items: { type: 'string' }, description: 'Event types delivered; empty for all' },
+            pathPrefix: { type: 'string', description: 'Only events under this folder; empty for all' },
+            description: { type: 'string', nullable: true },
+            active: { type: 'boolean', description: 'Inactive webhooks get no new deliveries; queued ones wait' },
+            createdBy: { type: 'object', properties: { objectId: { type: 'string' }, upn: { type: 'string', nullable: true } } },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            pendingDeliveries: { type: 'integer' },
+            deadLetters: { type: 'integer' },
+          },
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            deliveryId: { type: 'string', format: 'uuid' },
+            webhookId: { type: 'string', format: 'uuid' },
+            eventType: { type: 'string' },
+            path: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+            attempts: { type: 'integer' },
+            createdAt: { type: 'string', format: 'date-time' },
+            lastAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+            lastStatusCode: { type: 'integer', nullable: true },
+            lastError: { type: 'string', nullable: true },
+            history: {
+              type: 'array',
+              description: 'Recent attempts',
+              items: {
+                type: 'object',
+                properties: {
+                  attempt: { type: 'integer' },
+                  at: { type: 'string', format: 'date-time' },
+                  statusCode: { type: 'integer', nullable: true },
+                  error: { type: 'string', nullable: true },
+                  durationMs: { type: 'integer' },
+                },
+              },
+            },
+            event: { $ref: '#/components/schemas/FileEvent' },
+          },
+        },
+        UploadPolicy: {
+          type: 'object',
+          properties: {
+            folder: { type: 'string' },
+            ruleFolder: { type: 'string', nullable: true, description: 'Configured folder the rules come from; null for the defaults' },
+            maxFileSize: { type: 'integer', nullable: true, description: 'Largest file in bytes; null when unlimited' },
+            allowExtensions: { type: 'array', items: { type: 'string' }, description: 'Allowed extensions (without the dot); empty allows all' },
+            denyExtensions: { type: 'array', items: { type: 'string' } },
+            allowContentTypes: { type: 'array', items: { type: 'string' }, description: 'Allowed content types (type/* allowed); empty allows all' },
+            denyContentTypes: { type: 'array', items: { type: 'string' } },
+            contentMismatch: { type: 'string', enum: ['flag', 'reject'], description: 'What happens to files whose content does not match their extension: stored and flagged, or rejected with 415' },
+            quotas: { type: 'array', items: { $ref: '#/components/schemas/FolderQuotaUsage' }, description: 'Folder quotas covering the folder' },
+          },
+          example: {
+            folder: 'images/2024',
+            ruleFolder: 'images',
+            maxFileSize: 52428800,
+            allowExtensions: ['png', 'jpg'],
+            denyExtensions: ['exe'],
+            allowContentTypes: ['image/*'],
+            denyContentTypes: [],
+            contentMismatch: 'reject',
+            quotas: [],
           },
         },
         FileListResponse: {
@@ -86,16 +390,297 @@ const createSwaggerOptions = () => {
               type: 'array',
               items: { $ref: '#/components/schemas/FileInfo' },
             },
+            continuationToken: { type: 'string', nullable: true, description: 'Token for the next page; null on the last page' },
+          },
+        },
+        SearchResponse: {
+          type: 'object',
+          properties: {
+            results: {
+              type: 'array',
+              items: {
+                allOf: [
+                  { $ref: '#/components/schemas/FileInfo' },
+                  {
+                    type: 'object',
+                    properties: {
+                      score: { type: 'integer', description: 'Name match relevance (0 when no q is given)' },
+                    },
+                  },
+                ],
+              },
+            },
+            total: { type: 'integer', description: 'Number of matching files found in the scanned blobs' },
+            scanned: { type: 'integer', description: 'Blobs examined' },
+            truncated: { type: 'boolean', description: 'True if the scan stopped at SEARCH_MAX_SCAN blobs; narrow the prefix for complete results' },
+            continuationToken: { type: 'string', nullable: true, description: 'Token for the next page; null on the last page' },
+          },
+        },
+        UploadSessionStatus: {
+          type: 'object',
+          properties: {
+            uploadId: { type: 'string' },
+            path: { type: 'string', description: 'Target file path' },
+            size: { type: 'integer', description: 'Total file size in bytes' },
+            contentType: { type: 'string' },
+            metadata: { $ref: '#/components/schemas/UserMetadata' },
+            tags: { $ref: '#/components/schemas/Tags' },
+            chunkSize: { type: 'integer', description: 'Size of every chunk except the last' },
+            totalChunks: { type: 'integer' },
+            receivedChunks: { type: 'array', items: { type: 'integer' } },
+            missingChunks: { type: 'array', items: { type: 'integer' } },
+            bytesReceived: { type: 'integer' },
+            complete: { type: 'boolean' },
+            expiresAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            jobId: { type: 'string' },
+            type: { type: 'string', description: 'Job type, e.g. folder.delete or upload' },
+            status: { type: 'string', enum: ['pending', 'running', 'completed', 'completed_with_errors', 'failed'] },
+            owner: { type: 'string', description: 'Object ID of the user who started the job' },
+            params: { type: 'object' },
+            progress: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                processed: { type: 'integer' },
+                succeeded: { type: 'integer' },
+                failed: { type: 'integer' },
+                bytesTransferred: { type: 'integer', description: 'Upload jobs: bytes received so far' },
+              },
+            },
+            result: { type: 'object', nullable: true, description: 'Final report once finished, including failures' },
+            error: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            finishedAt: { type: 'string', format: 'date-time', nullable: true },
+          },
+        },
+        TrashItem: {
+          type: 'object',
+          properties: {
+            trashId: { type: 'string' },
+            type: { type: 'string', enum: ['file', 'folder'] },
+            name: { type: 'string' },
+            originalPath: { type: 'string' },
+            size: { type: 'integer', description: 'Total bytes' },
+            fileCount: { type: 'integer' },
+            deletedBy: {
+              type: 'object',
+              properties: {
+                objectId: { type: 'string' },
+                upn: { type: 'string', nullable: true },
+                name: { type: 'string', nullable: true },
+              },
+            },
+            deletedAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time', description: 'When the item is purged automatically' },
+          },
+        },
+        ContentHash: {
+          type: 'object',
+          properties: {
+            algorithm: { type: 'string', example: 'sha256' },
+            value: { type: 'string', description: 'Hex digest of the file content' },
+          },
+        },
+        UploadResult: {
+          type: 'object',
+          description: 'Outcome of one file in a multi-file upload',
+          properties: {
+            status: { type: 'string', enum: ['uploaded', 'failed'] },
+            filename: { type: 'string', example: 'report.pdf' },
+            path: { type: 'string', example: 'projects/site/docs/report.pdf' },
+            size: { type: 'integer' },
+            etag: { type: 'string' },
+            lastModified: { type: 'string', format: 'date-time' },
+            contentHash: { $ref: '#/components/schemas/ContentHash' },
+            statusCode: { type: 'integer', description: 'HTTP status of the failure (failed only)', example: 409 },
+            error: { type: 'string', description: 'Failure reason (failed only)' },
+            existing: { $ref: '#/components/schemas/FileInfo' },
+          },
+        },
+        UploadSummary: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Uploaded 2 of 3 files' },
+            total: { type: 'integer' },
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' },
+            limitReached: { type: 'boolean', description: 'Present when the request held more than UPLOAD_MAX_FILES files; the rest were skipped' },
+            limit: { type: 'integer' },
+            files: { type: 'array', items: { $ref: '#/components/schemas/UploadResult' } },
+          },
+        },
+        ChecksumMismatch: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', example: 'Checksum mismatch' },
+            algorithm: { type: 'string', enum: ['md5', 'sha256'] },
+            expected: { type: 'string', description: 'Checksum sent by the client (hex)' },
+            actual: { type: 'string', description: 'Checksum of the received content (hex)' },
+          },
+        },
+        WriteConflict: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', example: 'A file already exists at the destination' },
+            existing: { $ref: '#/components/schemas/FileInfo' },
           },
         },
         Error: {
           type: 'object',
           properties: {
             error: { type: 'string', description: 'Error message' },
+            code: { type: 'string', description: 'Machine-readable error code for auth failures (missing_token, invalid_token_format, unknown_signing_key, invalid_signature, token_expired, token_not_yet_valid, invalid_audience, invalid_issuer, invalid_token, signing_keys_unavailable)' },
             details: { type: 'string', description: 'Additional error details' },
           },
         },
       },
+      parameters: {
+        ShareId: {
+          in: 'path',
+          name: 'shareId',
+          required: true,
+          schema: { type: 'string' },
+        },
+        ShareAccess: {
+          in: 'query',
+          name: 'access',
+          schema: { type: 'string' },
+          description: 'Access token from POST /api/shares/{shareId}/unlock (password-protected links; or the X-Share-Access header)',
+        },
+        AuditUser: {
+          in: 'query',
+          name: 'user',
+          schema: { type: 'string' },
+          description: 'User object ID or UPN (case-insensitive)',
+        },
+        AuditPath: {
+          in: 'query',
+          name: 'path',
+          schema: { type: 'string' },
+          description: 'Path or folder prefix; matches records where any path is it or lies below it',
+        },
+        AuditAction: {
+          in: 'query',
+          name: 'action',
+          schema: { type: 'string' },
+          description: 'Comma-separated actions; a prefix such as "folder" matches folder.create and folder.delete',
+        },
+        AuditOutcome: {
+          in: 'query',
+          name: 'outcome',
+          schema: { type: 'string' },
+          description: 'Comma-separated outcomes: success, accepted, denied, failure',
+        },
+        AuditFrom: {
+          in: 'query',
+          name: 'from',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Earliest timestamp (inclusive)',
+        },
+        AuditTo: {
+          in: 'query',
+          name: 'to',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Latest timestamp (inclusive)',
+        },
+        OnConflict: {
+          in: 'query',
+          name: 'onConflict',
+          schema: { type: 'string', enum: ['fail', 'overwrite', 'rename'], default: 'fail' },
+          description: 'What to do if the destination already exists: fail (409), overwrite, or rename to "name (1).ext"',
+        },
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          schema: { type: 'string' },
+          description: 'Only write if the destination file exists with this ETag ("*": exists at all); a match replaces it without onConflict=overwrite',
+        },
+        IfNoneMatch: {
+          in: 'header',
+          name: 'If-None-Match',
+          schema: { type: 'string' },
+          description: 'Only write if the destination does not exist ("*") or does not have this ETag',
+        },
+        ContentMD5: {
+          in: 'header',
+          name: 'Content-MD5',
+          schema: { type: 'string' },
+          description: 'Base64 MD5 of the chunk data; the chunk is rejected (400) if it does not match',
+        },
+        Digest: {
+          in: 'header',
+          name: 'Digest',
+          schema: { type: 'string', example: 'sha-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=' },
+          description: 'sha-256=<base64> and/or md5=<base64> of the chunk data; the chunk is rejected (400) if it does not match',
+        },
+      },
+      responses: {
+        UploadTooLarge: {
+          description: 'File over the maximum file size (`maxFileSize`), or over the user or folder storage quota (`quota`)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  error: { type: 'string' },
+                  maxFileSize: { type: 'integer' },
+                  quota: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', enum: ['user', 'folder'] },
+                      userId: { type: 'string' },
+                      folder: { type: 'string' },
+                      limit: { type: 'integer' },
+                      used: { type: 'integer' },
+                      pending: { type: 'integer' },
+                      requested: { type: 'integer' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        NotScanned: {
+          description: 'File has not passed its malware scan yet (pending) or could not be scanned (error)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  error: { type: 'string', example: 'File is being scanned for malware; try again shortly' },
+                  path: { type: 'string' },
+                  scanStatus: { type: 'string', enum: ['pending', 'error'] },
+                  blocked: { type: 'array', items: { type: 'string' }, description: 'ZIP downloads - the files that are blocked' },
+                },
+              },
+            },
+          },
+        },
+        FileTypeNotAllowed: {
+          description: 'File extension or detected content type not allowed in the target folder, or content that does not match the extension where the folder rejects mismatches',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  error: { type: 'string' },
+                  folder: { type: 'string', description: 'Folder whose rules apply (/ for the defaults)' },
+                  extension: { type: 'string' },
+                  contentType: { type: 'string' },
+                  detectedContentType: { type: 'string', nullable: true, description: 'Type detected from the content (mismatch rejections)' },
+                },
+              },
+            },
+          },
+        },
+      },
     },
     security: [
       { BearerAuth: [] },
@@ -0,0 +1,68 @@
+const { recordAudit } = require('../services/audit');
+
+// Audit middleware for file operation routes
+// audit(action, describe) records one entry when the response ends (or the client disconnects).
+// describe(req) returns { paths, details } known from the request (it runs before the handler,
+// so a parsed JSON body and route params are available); handlers add what they learn
+// while running (final paths, job IDs, per-file counts) to res.locals.audit = { paths, details }.
+
+// Helper: client address (honours the "trust proxy" setting; App Service adds a port to IPv4)
+const clientIp = (req) => String(req.ip || req.socket.remoteAddress || '')
+  .replace(/^::ffff:/, '')
+  .replace(/^(\d+\.\d+\.\d+\.\d+):\d+$/, '$1');
+
+// Helper: outcome of a finished response
+const outcomeFor = (status) => {
+  if (status === 202) return 'accepted';
+  if (status < 400) return 'success';
+  if (status === 401 || status === 403) return 'denied';
+  return 'failure';
+};
+
+const toPaths = (paths) => Array.from(new Set([].concat(paths || [])
+  .filter((p) => typeof p === 'string' && p)
+  .map((p) => p.replace(/^\/+|\/+$/g, ''))));
+
+const audit = (action, describe = () => ({})) => (req, res, next) => {
+  res.locals.audit = {};
+  let described = {};
+  try {
+    described = describe(req) || {};
+  } catch (error) {
+    // A malformed request still gets a record, just without paths
+  }
+
+  // Keep the error message of a failed request
+  let errorMessage = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string') errorMessage = body.error;
+    return json(body);
+  };
+
+  res.once('close', () => {
+    const extra = res.locals.audit || {};
+    const aborted = !res.writableFinished;
+    const user = req.user || {};
+    const details = {
+      ...described.details,
+      ...extra.details,
+      ...(user.isTokenAuth && { downloadToken: true, tokenId: user.tokenId }),
+      ...(aborted && { aborted: true }),
+    };
+    recordAudit({
+      action,
+      outcome: aborted ? 'failure' : outcomeFor(res.statusCode),
+      status: res.statusCode,
+      // Token downloads are attributed to the user the token was issued to
+      user: { objectId: (user.isTokenAuth ? user.issuedTo : user.objectId) || null, upn: user.upn || null },
+      ip: clientIp(req),
+      paths: toPaths(extra.paths || described.paths),
+      ...(errorMessage && { error: errorMessage }),
+      ...(Object.keys(details).length && { details }),
+    });
+  });
+  next();
+};
+
+module.exports = { audit };
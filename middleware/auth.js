@@ -1,32 +1,68 @@
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
+const { createJwksClient } = require('./jwks');
+const { resolvePermissions } = require('../services/permissions');
+const { verifyDownloadToken } = require('../services/downloadTokens');
+
+// Bearer token verification config
+// JWKS_FILE: verify against a local JWKS file instead of the tenant's keys (dev/CI)
+// JWKS_URI: override the tenant's OpenID signing keys endpoint
+// JWT_CLOCK_TOLERANCE_SECONDS: allowed clock skew for exp/nbf checks
+// JWT_ALGORITHMS: comma-separated accepted signing algorithms
+const JWT_CLOCK_TOLERANCE_SECONDS = parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS || '60', 10);
+const JWT_ALGORITHMS = (process.env.JWT_ALGORITHMS || 'RS256')
+  .split(',')
+  .map((a) => a.trim())
+  .filter(Boolean);
+
+let jwksClient;
+const getJwksClient = () => {
+  if (!jwksClient) {
+    jwksClient = createJwksClient({
+      jwksFile: process.env.JWKS_FILE,
+      jwksUri: process.env.JWKS_URI
+        || `https://login.microsoftonline.com/${process.env.TENANT_ID}/discovery/v2.0/keys`,
+    });
+  }
+  return jwksClient;
+};
 
-// Download token helpers (must match blob.js)
-const DOWNLOAD_TOKEN_SECRET = process.env.DOWNLOAD_TOKEN_SECRET || 'download-token-secret';
+// Helper: reject with a stable error code; details stay in server logs only
+const rejectToken = (res, status, code, error) => res.status(status).json({ error, code });
 
-const verifyDownloadToken = (token) => {
-  try {
-    const decoded = Buffer.from(token, 'base64url').toString('utf8');
-    const [path, expStr, sig] = decoded.split('|');
-    if (!path || !expStr || !sig) return null;
-    const payload = `${path}|${expStr}`;
-    const expected = crypto.createHmac('sha256', DOWNLOAD_TOKEN_SECRET).update(payload).digest('hex');
-    if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
-    const exp = parseInt(expStr, 10);
-    if (Number.isNaN(exp) || exp < Math.floor(Date.now() / 1000)) return null;
-    return { path };
-  } catch (e) {
-    return null;
+// Helper: map jsonwebtoken verification errors to client-facing status and error codes
+const describeVerifyError = (error) => {
+  if (error instanceof jwt.TokenExpiredError) {
+    return { status: 401, code: 'token_expired', error: 'Token expired' };
+  }
+  if (error instanceof jwt.NotBeforeError) {
+    return { status: 401, code: 'token_not_yet_valid', error: 'Token not yet valid' };
+  }
+  if (error.message === 'invalid signature') {
+    return { status: 401, code: 'invalid_signature', error: 'Invalid token signature' };
   }
+  if (error.message.startsWith('jwt audience invalid')) {
+    return { status: 403, code: 'invalid_audience', error: 'Invalid audience' };
+  }
+  if (error.message.startsWith('jwt issuer invalid')) {
+    return { status: 403, code: 'invalid_issuer', error: 'Invalid issuer' };
+  }
+  return { status: 401, code: 'invalid_token', error: 'Token validation failed' };
 };
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   // Allow download requests with valid download tokens to bypass bearer auth
   const downloadToken = req.query.dt;
-  if (downloadToken && req.method === 'GET') {
-    if (verifyDownloadToken(downloadToken)) {
-      // Valid download token; create minimal user context and proceed
-      req.user = { objectId: 'token-auth', isTokenAuth: true };
+  if (downloadToken && (req.method === 'GET' || req.method === 'HEAD')) {
+    const verified = verifyDownloadToken(downloadToken);
+    if (verified) {
+      // Valid download token; create minimal user context bound to the token's subject and proceed
+      req.user = {
+        objectId: 'token-auth',
+        isTokenAuth: true,
+        tokenSubject: verified.subject,
+        tokenId: verified.tokenId,
+        issuedTo: verified.userId,
+      };
       return next();
     }
   }
@@ -34,74 +70,71 @@ const authMiddleware = (req, res, next) => {
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    return rejectToken(res, 401, 'missing_token', 'Missing or invalid authorization header');
   }
 
   const token = authHeader.slice(7);
 
   try {
-    // Decode without verification first to get header info
+    // Decode without verification first to find the signing key
     const decoded = jwt.decode(token, { complete: true });
     
-    if (!decoded) {
-      return res.status(401).json({ error: 'Invalid token format' });
+    if (!decoded || !decoded.header.kid) {
+      return rejectToken(res, 401, 'invalid_token_format', 'Invalid token format');
     }
 
-    const { header, payload } = decoded;
+    let signingKey;
+    try {
+      signingKey = await getJwksClient().getSigningKey(decoded.header.kid);
+    } catch (keyError) {
+      console.error('[Auth] FAILED: Could not load signing keys:', keyError.message);
+      return rejectToken(res, 503, 'signing_keys_unavailable', 'Unable to validate token');
+    }
+
+    if (!signingKey) {
+      console.error('[Auth] FAILED: Unknown signing key', { kid: decoded.header.kid });
+      return rejectToken(res, 401, 'unknown_signing_key', 'Token validation failed');
+    }
+
+    // Verify signature, exp, nbf, audience (the API's client ID, matched exactly) and issuer
+    // (the tenant's v2.0 or STS endpoint)
     const tenantId = process.env.TENANT_ID;
     const apiClientId = process.env.API_CLIENT_ID;
     const allowedScope = process.env.ALLOWED_SCOPE;
-
-    console.log('[Auth] Token claims:', {
-      aud: payload.aud,
-      iss: payload.iss,
-      scp: payload.scp,
-      groups: payload.groups,
-      oid: payload.oid,
-      upn: payload.upn,
-    });
-
-    console.log('[Auth] Expected values:', {
-      expectedAud: apiClientId,
-      expectedIss: `https://login.microsoftonline.com/${tenantId}/v2.0`,
-      expectedScope: allowedScope,
-    });
-
-    // Verify audience (should be the API's client ID)
-    if (payload.aud !== apiClientId && !payload.aud.includes(apiClientId)) {
-      console.error('[Auth] FAILED: Invalid audience', { expected: apiClientId, got: payload.aud });
-      return res.status(403).json({ error: 'Invalid audience' });
+    if (!tenantId || !apiClientId) {
+      console.error('[Auth] FAILED: TENANT_ID and API_CLIENT_ID must be set');
+      return rejectToken(res, 500, 'auth_not_configured', 'Unable to validate token');
     }
-
-    // Verify issuer (accept both v2.0 and STS endpoints)
-    const expectedIssuerV2 = `https://login.microsoftonline.com/${tenantId}/v2.0`;
-    const expectedIssuerSts = `https://sts.windows.net/${tenantId}/`;
-    const isIssuerValid = payload.iss === expectedIssuerV2 || payload.iss === expectedIssuerSts;
-    if (!isIssuerValid) {
-      console.error('[Auth] FAILED: Invalid issuer', { expectedV2: expectedIssuerV2, expectedSts: expectedIssuerSts, got: payload.iss });
-      return res.status(403).json({ error: 'Invalid issuer' });
+    let payload;
+    try {
+      payload = jwt.verify(token, signingKey, {
+        algorithms: JWT_ALGORITHMS,
+        clockTolerance: JWT_CLOCK_TOLERANCE_SECONDS,
+        audience: apiClientId,
+        issuer: [
+          `https://login.microsoftonline.com/${tenantId}/v2.0`,
+          `https://sts.windows.net/${tenantId}/`,
+        ],
+      });
+    } catch (verifyError) {
+      console.error('[Auth] FAILED: Token verification error:', verifyError.message);
+      const { status, code, error } = describeVerifyError(verifyError);
+      return rejectToken(res, status, code, error);
     }
 
     // Verify scope (optional, but good practice)
     const tokenScopes = (payload.scp || '').split(' ');
-    if (!tokenScopes.includes(allowedScope.split('/').pop())) {
+    if (allowedScope && !tokenScopes.includes(allowedScope.split('/').pop())) {
       console.warn(`Token missing expected scope. Token scopes: ${tokenScopes.join(',')}`);
       // Don't reject yet; some setups may have different scope format
     }
 
-    // Extract groups for authorization
+    // Map groups and app roles to roles and actions (config/permissions.json)
     const groups = payload.groups || [];
-    
-    // Map groups to roles
-    const readerGroupId = process.env.READER_GROUP_ID;
-    const uploaderGroupId = process.env.UPLOADER_GROUP_ID;
-    const adminGroupId = process.env.ADMIN_GROUP_ID;
-
-    const isReader = groups.includes(readerGroupId);
-    const isUploader = groups.includes(uploaderGroupId);
-    const isAdmin = groups.includes(adminGroupId);
+    const appRoles = payload.roles || [];
+    const { roles, permissions } = resolvePermissions({ groups, appRoles });
 
-    console.log('[Auth] SUCCESS: User authenticated', { isReader, isUploader, isAdmin });
+    console.log('[Auth] SUCCESS: User authenticated', { roles });
 
     // Attach user info to request
     req.user = {
@@ -109,17 +142,17 @@ const authMiddleware = (req, res, next) => {
       upn: payload.upn,
       name: payload.name,
       groups,
-      roles: {
-        isReader,
-        isUploader,
-        isAdmin,
-      },
+      appRoles,
+      roles,
+      permissions,
+      // Long-lived responses (event streams) end when the token does
+      tokenExpiresAt: payload.exp ? payload.exp * 1000 : null,
     };
 
     next();
   } catch (error) {
     console.error('Token validation error:', error.message);
-    return res.status(401).json({ error: 'Token validation failed' });
+    return rejectToken(res, 401, 'invalid_token', 'Token validation failed');
   }
 };
 
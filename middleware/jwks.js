@@ -0,0 +1,87 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// JWKS signing key cache for bearer token verification
+// Keys come from the tenant's OpenID JWKS endpoint, or from a local JWKS file
+// (JWKS_FILE) so tokens can be verified without Entra ID (dev/CI). Once keys are loaded,
+// a failed daily refresh keeps the cached keys in use and is retried later.
+
+const JWKS_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // re-fetch keys daily
+const JWKS_MIN_REFRESH_INTERVAL_MS = 30 * 1000; // throttle refreshes triggered by unknown kids
+
+const createJwksClient = ({
+  jwksUri,
+  jwksFile,
+  cacheTtlMs = JWKS_CACHE_TTL_MS,
+  minRefreshIntervalMs = JWKS_MIN_REFRESH_INTERVAL_MS,
+} = {}) => {
+  if (!jwksUri && !jwksFile) {
+    throw new Error('JWKS client requires a jwksUri or jwksFile');
+  }
+
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = 0;
+  let inflight = null;
+
+  const fetchJwks = async () => {
+    if (jwksFile) {
+      return JSON.parse(await fs.promises.readFile(jwksFile, 'utf8'));
+    }
+    const response = await fetch(jwksUri);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    return response.json();
+  };
+
+  const loadKeys = async () => {
+    const jwks = await fetchJwks();
+    const next = new Map();
+    for (const jwk of jwks.keys || []) {
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+      try {
+        next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        console.warn(`[Auth] Skipping unusable JWKS key ${jwk.kid}:`, error.message);
+      }
+    }
+    keys = next;
+    fetchedAt = Date.now();
+    console.log(`[Auth] Loaded ${keys.size} signing key(s) from ${jwksFile || jwksUri}`);
+  };
+
+  // Single in-flight refresh shared by concurrent requests
+  const refresh = () => {
+    if (!inflight) {
+      attemptedAt = Date.now();
+      inflight = loadKeys().finally(() => {
+        inflight = null;
+      });
+    }
+    return inflight;
+  };
+
+  // Resolve a signing key by kid; refreshes when stale or when the kid is unknown
+  const getSigningKey = async (kid) => {
+    const now = Date.now();
+    const canRetry = now - attemptedAt > minRefreshIntervalMs;
+    if (!fetchedAt) {
+      await refresh();
+    } else if (now - fetchedAt > cacheTtlMs && canRetry) {
+      try {
+        await refresh();
+      } catch (error) {
+        console.error('[Auth] JWKS refresh failed; using cached signing keys:', error.message);
+      }
+    } else if (!keys.has(kid) && canRetry) {
+      // Unknown kid: the tenant may have rotated keys since our last fetch
+      await refresh();
+    }
+    return keys.get(kid) || null;
+  };
+
+  return { getSigningKey, refresh };
+};
+
+module.exports = { createJwksClient };
@@ -0,0 +1,84 @@
+const express = require('express');
+const { folderExists } = require('../services/folders');
+const { isReservedPath } = require('../services/listing');
+const { getAcl, listAcls, getEffectiveAcl, setAcl, deleteAcl } = require('../services/acl');
+const { hasPermission, normalizePath, sendError } = require('./helpers');
+const { audit } = require('../middleware/audit');
+
+// Folder access control lists, mounted at /api/files/acl ("acl.manage")
+//   GET    /     every ACL
+//   GET    /*    a folder's own ACL and the one in effect for it (own or inherited)
+//   PUT    /*    set a folder's ACL: { entries: [{ type: "user" | "group", id, rights: [...] }] }
+//   DELETE /*    remove a folder's ACL (it inherits again)
+
+const router = express.Router();
+
+// Helper: require "acl.manage"
+const requireAclManage = (req, res, next) => {
+  if (!hasPermission(req.user, 'acl.manage')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+router.use(requireAclManage);
+
+// Helper: folder path from the URL; 400 for reserved folders
+const folderFromUrl = (req) => {
+  const folderPath = normalizePath(req.params[0] || '');
+  return !folderPath || isReservedPath(folderPath) ? null : folderPath;
+};
+
+// GET /api/files/acl - List every folder ACL
+router.get('/', (req, res) => {
+  res.json({ acls: listAcls() });
+});
+
+// GET /api/files/acl/* - A folder's ACL and the ACL in effect for it
+router.get(/^\/(.+)$/i, (req, res) => {
+  const folderPath = folderFromUrl(req);
+  if (!folderPath) {
+    return res.status(400).json({ error: 'A folder path is required' });
+  }
+  const effective = getEffectiveAcl(folderPath);
+  res.json({
+    path: folderPath,
+    acl: getAcl(folderPath),
+    effective: effective ? { inheritedFrom: effective.path === folderPath ? null : effective.path, entries: effective.entries } : null,
+  });
+});
+
+// PUT /api/files/acl/* - Create or replace a folder's ACL (the folder must exist)
+router.put(/^\/(.+)$/i, express.json(), audit('acl.set', (req) => ({ paths: [req.params[0]] })), async (req, res) => {
+  try {
+    const folderPath = folderFromUrl(req);
+    if (!folderPath) {
+      return res.status(400).json({ error: 'A folder path is required' });
+    }
+    if (!(await folderExists(folderPath))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    const acl = await setAcl(folderPath, (req.body || {}).entries, req.user);
+    res.json(acl);
+  } catch (error) {
+    sendError(res, error, 'Failed to set ACL');
+  }
+});
+
+// DELETE /api/files/acl/* - Remove a folder's ACL
+router.delete(/^\/(.+)$/i, audit('acl.delete', (req) => ({ paths: [req.params[0]] })), async (req, res) => {
+  try {
+    const folderPath = folderFromUrl(req);
+    if (!folderPath) {
+      return res.status(400).json({ error: 'A folder path is required' });
+    }
+    if (!(await deleteAcl(folderPath))) {
+      return res.status(404).json({ error: 'Folder has no ACL' });
+    }
+    res.json({ message: 'ACL removed', path: folderPath });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove ACL');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { parseAuditQuery, queryAudit, exportAudit, csvHeader, toCsvRow } = require('../services/audit');
+const { hasPermission, sendError } = require('./helpers');
+
+// Audit log, mounted at /api/files/audit ("audit.read")
+//   GET /          query records, newest first: user, path (prefix), action, outcome, from, to,
+//                  pageSize, continuationToken
+//   GET /export    all matching records, oldest first, as format=jsonl (default) or csv
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['jsonl', 'csv'];
+
+router.use((req, res, next) => {
+  if (!hasPermission(req.user, 'audit.read')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+});
+
+// GET /api/files/audit - Query the audit log
+router.get('/', async (req, res) => {
+  try {
+    const query = parseAuditQuery(req.query);
+    res.json(await queryAudit(query));
+  } catch (error) {
+    sendError(res, error, 'Failed to query audit log');
+  }
+});
+
+// GET /api/files/audit/export - Download matching records as JSON Lines or CSV
+router.get('/export', async (req, res) => {
+  const format = req.query.format || 'jsonl';
+  let query;
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    query = parseAuditQuery({ ...req.query, pageSize: undefined, continuationToken: undefined });
+  } catch (error) {
+    return sendError(res, error, 'Failed to export audit log');
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+  try {
+    if (format === 'csv') res.write(csvHeader());
+    for await (const record of exportAudit(query)) {
+      if (res.destroyed) return;
+      const chunk = format === 'csv' ? toCsvRow(record) : `${JSON.stringify(record)}\n`;
+      if (!res.write(chunk)) {
+        await new Promise((resolve) => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error('Audit export failed:', error.message);
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
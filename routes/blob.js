@@ -1,94 +1,94 @@
 const express = require('express');
 const Busboy = require('busboy');
-const { BlobServiceClient } = require('@azure/storage-blob');
-const { DefaultAzureCredential } = require('@azure/identity');
-const crypto = require('crypto');
+const storage = require('../storage');
+const { listFolder, describeFolders, isKeepMarker, isReservedPath } = require('../services/listing');
+const {
+  listFolderBlobs,
+  folderExists,
+  deleteFolderRecursive,
+  findMoveCollisions,
+  moveFolder,
+  rebase,
+} = require('../services/folders');
+const { startJob, hasOverlappingFolderJob } = require('../services/jobs');
+const { selectionKey, resolveSelection, streamZip } = require('../services/archive');
+const { trashFile, trashFolder } = require('../services/trash');
+const {
+  issueDownloadToken,
+  revokeDownloadToken,
+  revokeUserDownloadTokens,
+} = require('../services/downloadTokens');
+const {
+  stageHashedBlock,
+  commitVerifiedBlocks,
+  rememberChunkedInspection,
+  getChunkedInspection,
+  forgetChunkedInspection,
+} = require('../services/uploadSessions');
+const { parseSearchQuery, searchFiles } = require('../services/search');
+const {
+  canAccessFolder,
+  canAccessFile,
+  assertFolderAccess,
+  assertFileAccess,
+  assertTreeAccess,
+  moveAcls,
+} = require('../services/acl');
+const {
+  validateMetadata,
+  validateTags,
+  toStoredMetadata,
+  withUploader,
+  getUploader,
+  fromStoredMetadata,
+} = require('../services/metadata');
+const {
+  createHashingStream,
+  parseChecksum,
+  parseHash,
+  checksumsFromHeaders,
+  verifyChecksums,
+  hashBuffer,
+  setChecksumHeaders,
+  CHECKSUM_ALGORITHMS,
+} = require('../services/checksums');
+const { assertFileTypeAllowed, assertContentAllowed } = require('../services/uploadPolicy');
+const {
+  inspectContent,
+  normalizeContentType,
+  toDetectionMetadata,
+  peekStream,
+  SNIFF_BYTES,
+} = require('../services/contentDetection');
+const { reserveUpload, createQuotaStream, updateUsage } = require('../services/quotas');
+const { isScanningEnabled, pendingScanMetadata, queueScan, assertScanned } = require('../services/scanning');
+const { publishEvent } = require('../services/events');
+const { httpError } = require('../services/errors');
+const { CONFLICT_POLICIES, findAvailablePath } = require('../services/conflicts');
+const {
+  hasPermission,
+  normalizePath,
+  getFolderPath,
+  getBaseName,
+  joinPath,
+  toFileInfo,
+  getPreconditions,
+  resolveDestination,
+  toConflictError,
+  setDownloadHeaders,
+  streamDownload,
+  sendError,
+} = require('./helpers');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
 // Using Busboy for true streaming uploads (no memory buffering)
 
-// Initialize blob client using managed identity
-let blobServiceClient;
-let containerClient;
-
-// Download token config
-const DOWNLOAD_TOKEN_SECRET = process.env.DOWNLOAD_TOKEN_SECRET || 'download-token-secret';
-const DOWNLOAD_TOKEN_TTL_SECONDS = 5 * 60; // 5 minutes
-
-try {
-  console.log('Initializing Azure Storage client...');
-  console.log('Storage Account:', process.env.STORAGE_ACCOUNT);
-  console.log('Storage Container:', process.env.STORAGE_CONTAINER);
-  
-  if (!process.env.STORAGE_ACCOUNT || !process.env.STORAGE_CONTAINER) {
-    throw new Error('Missing STORAGE_ACCOUNT or STORAGE_CONTAINER environment variables');
-  }
-  
-  blobServiceClient = new BlobServiceClient(
-    `https://${process.env.STORAGE_ACCOUNT}.blob.core.windows.net`,
-    new DefaultAzureCredential()
-  );
-
-  containerClient = blobServiceClient.getContainerClient(process.env.STORAGE_CONTAINER);
-  console.log('Azure Storage client initialized successfully');
-} catch (error) {
-  console.error('FATAL: Failed to initialize Azure Storage client:', error);
-  console.error('Stack:', error.stack);
-  throw error; // This will prevent the app from starting if storage init fails
-}
-
-// Helper: check permission
-const checkPermission = (roles, requiredRole) => {
-  if (requiredRole === 'admin') return roles.isAdmin;
-  if (requiredRole === 'uploader') return roles.isAdmin || roles.isUploader;
-  if (requiredRole === 'reader') return roles.isAdmin || roles.isUploader || roles.isReader;
-  return false;
-};
-
-// Simple HMAC-based download token (path + expiry)
-const createDownloadToken = (path) => {
-  const exp = Math.floor(Date.now() / 1000) + DOWNLOAD_TOKEN_TTL_SECONDS;
-  const payload = `${path}|${exp}`;
-  const sig = crypto.createHmac('sha256', DOWNLOAD_TOKEN_SECRET).update(payload).digest('hex');
-  const token = Buffer.from(`${payload}|${sig}`).toString('base64url');
-  return token;
-};
-
-const verifyDownloadToken = (token) => {
-  try {
-    const decoded = Buffer.from(token, 'base64url').toString('utf8');
-    const [path, expStr, sig] = decoded.split('|');
-    if (!path || !expStr || !sig) return null;
-    const payload = `${path}|${expStr}`;
-    const expected = crypto.createHmac('sha256', DOWNLOAD_TOKEN_SECRET).update(payload).digest('hex');
-    if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
-    const exp = parseInt(expStr, 10);
-    if (Number.isNaN(exp) || exp < Math.floor(Date.now() / 1000)) return null;
-    return { path };
-  } catch (e) {
-    return null;
-  }
-};
-
-// Helper: normalize path (remove leading/trailing slashes)
-const normalizePath = (path) => {
-  return path.replace(/^\/+|\/+$/g, '');
-};
-
-// Helper: get folder path from file path
-const getFolderPath = (path) => {
-  const normalized = normalizePath(path);
-  const lastSlash = normalized.lastIndexOf('/');
-  return lastSlash === -1 ? '' : normalized.substring(0, lastSlash);
-};
+// Storage access goes through the configured driver (see storage/index.js)
 
-// Helper: get file/folder name from path
-const getBaseName = (path) => {
-  const normalized = normalizePath(path);
-  const lastSlash = normalized.lastIndexOf('/');
-  return lastSlash === -1 ? normalized : normalized.substring(lastSlash + 1);
-};
+// Maximum number of file parts in one upload request
+const UPLOAD_MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES || '1000', 10);
 
 // Helper: convert readable stream to buffer
 const streamToBuffer = (readableStream) => {
@@ -104,98 +104,151 @@ const streamToBuffer = (readableStream) => {
   });
 };
 
-// Helper: build hierarchical structure from flat blob list
-// Filters out .keep marker blobs (folder markers) from file lists
-const buildHierarchy = (blobs, folderPath = '') => {
-  const folders = new Map();
-  const files = [];
-
-  for (const blob of blobs) {
-    const normalized = normalizePath(blob.name);
-    
-    // Check if this is a .keep marker blob
-    const isKeepMarker = normalized.endsWith('/.keep') || normalized === '.keep';
-    
-    // Skip blobs not in current folder
-    if (folderPath) {
-      if (!normalized.startsWith(folderPath + '/')) continue;
-    }
-
-    // Get relative path from current folder
-    const relativePath = folderPath 
-      ? normalized.substring(folderPath.length + 1) 
-      : normalized;
-
-    if (relativePath.includes('/')) {
-      // This is a file in a subfolder - extract folder name
-      const subfolderName = relativePath.substring(0, relativePath.indexOf('/'));
-      if (!folders.has(subfolderName)) {
-        folders.set(subfolderName, {
-          name: subfolderName,
-          path: folderPath ? folderPath + '/' + subfolderName : subfolderName,
-          type: 'folder',
-          children: 0,
-        });
-      }
-      // Only count non-.keep blobs as children
-      if (!isKeepMarker) {
-        folders.get(subfolderName).children++;
-      }
-    } else if (!isKeepMarker) {
-      // This is a file in current folder (but not a .keep marker)
-      files.push({
-        name: relativePath,
-        fullPath: normalized,
-        size: blob.properties.contentLength,
-        created: blob.properties.createdOn,
-        type: 'file',
-      });
-    }
+// Helper: reject requests addressing reserved folders (the trash area) in the URL or path fields
+// Trashed content is only reachable through /api/files/trash
+const rejectReservedPaths = (req, res, next) => {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(req.path);
+  } catch (error) {
+    urlPath = req.path;
   }
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const candidates = [
+    urlPath.replace(/^\/(exists|folders|metadata|acl)\//i, '/'),
+    req.query.folder,
+    req.query.paths,
+    req.query.prefix,
+    body.path,
+    body.paths,
+    body.folder,
+    body.folderPath,
+    body.sourcePath,
+    body.destinationPath,
+    body.oldPath,
+  ].flat().filter((value) => typeof value === 'string');
+
+  if (candidates.some((value) => isReservedPath(normalizePath(value)))) {
+    return res.status(400).json({ error: 'Path is reserved' });
+  }
+  next();
+};
+
+router.use(rejectReservedPaths);
+
+// Helper: build the folders/files response for one listed folder level
+// .keep marker blobs (folder markers) are already filtered out by the listing service;
+// folder metadata and tags come from each folder's marker (see describeFolders).
+// Folders failing canRead (their ACL denies the caller) are left out; `children` is left out
+// when the counts were skipped
+const buildHierarchy = (listing, folderDetails = new Map(), canRead = () => true) => {
+  const readable = listing.prefixes.map(normalizePath).filter((path) => canRead(path));
+  const folders = readable.map((path) => {
+    const details = folderDetails.get(path) || { marker: null };
+    return {
+      name: getBaseName(path),
+      path,
+      type: 'folder',
+      ...(details.children !== undefined && { children: details.children }),
+      ...fromStoredMetadata(details.marker ? details.marker.metadata : {}),
+    };
+  });
 
   return {
-    folders: Array.from(folders.values()),
-    files,
+    folders,
+    files: listing.entries.map(toFileInfo),
   };
 };
 
-// GET /api/files - List files with hierarchical structure (Reader+)
+// GET /api/files - List one folder level ("list")
+// Optional pageSize/continuationToken paging, sortBy/order sorting and extension/contentType filters;
+// without pageSize the whole folder level is returned as before. Each folder's recursive file
+// count (`children`) is included unless counts=false
 router.get('/', async (req, res) => {
   try {
-    if (!checkPermission(req.user.roles, 'reader')) {
+    if (!hasPermission(req.user, 'list')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
     const folderPath = req.query.folder ? normalizePath(req.query.folder) : '';
-    const blobs = [];
-    
-    for await (const blob of containerClient.listBlobsFlat()) {
-      blobs.push(blob);
+    if (!canAccessFolder(req.user, folderPath, 'read')) {
+      return res.status(403).json({ error: 'Access denied', folder: folderPath || '/', right: 'read' });
     }
+    const { continuationToken, sortBy, order, extension, contentType } = req.query;
+    const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : undefined;
+
+    const listing = await listFolder({
+      folderPath,
+      pageSize,
+      continuationToken,
+      sortBy,
+      order,
+      extensions: extension,
+      contentTypes: contentType,
+    });
+    const canRead = (path) => canAccessFolder(req.user, path, 'read');
+    const folderDetails = await describeFolders(listing.prefixes.map(normalizePath).filter(canRead), {
+      counts: req.query.counts !== 'false',
+    });
 
-    const structure = buildHierarchy(blobs, folderPath);
+    const structure = buildHierarchy(listing, folderDetails, canRead);
     res.json({ 
       currentPath: folderPath || '/',
       ...structure,
+      continuationToken: listing.continuationToken,
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error listing blobs:', error.message);
     res.status(500).json({ error: 'Failed to list files' });
   }
 });
 
-// GET /api/files/exists/* - Check if blob exists (Reader+)
+// GET /api/files/search - Search files across the container ("list")
+// q (name substring or glob), prefix, extension, contentType, minSize/maxSize,
+// modifiedAfter/modifiedBefore, meta.<key>=<value|*>, tags (all required), sortBy
+// (relevance | date | name | size), order, pageSize, continuationToken. See services/search.js
+// MUST be before catch-all download route to avoid wildcard matching
+router.get('/search', async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'list')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const metadata = {};
+    for (const [key, value] of Object.entries(req.query)) {
+      if (key.startsWith('meta.') && key.length > 5) metadata[key.slice(5)] = value;
+    }
+    const query = parseSearchQuery({ ...req.query, prefix: req.query.prefix && normalizePath(req.query.prefix), metadata });
+    const result = await searchFiles(query, { canRead: (path) => canAccessFile(req.user, path, 'read') });
+    res.json({
+      results: result.hits.map(({ entry, score }) => ({ ...toFileInfo(entry), score })),
+      total: result.total,
+      scanned: result.scanned,
+      truncated: result.truncated,
+      continuationToken: result.continuationToken,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to search files');
+  }
+});
+
+// GET /api/files/exists/* - Check if blob exists ("list")
 // Use regex to safely capture full blob path (including slashes)
 // MUST be before catch-all download route to avoid wildcard matching
 router.get(/^\/exists\/(.+)$/i, async (req, res) => {
   try {
-    if (!checkPermission(req.user.roles, 'reader')) {
+    if (!hasPermission(req.user, 'list')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
     const blobPath = normalizePath(req.params[0] || '');
-    const blobClient = containerClient.getBlobClient(blobPath);
-    const exists = await blobClient.exists();
+    if (!canAccessFile(req.user, blobPath, 'read')) {
+      return res.status(403).json({ error: 'Access denied', folder: getFolderPath(blobPath) || '/', right: 'read' });
+    }
+    const exists = await storage.exists(blobPath);
     res.json({ exists });
   } catch (error) {
     console.error('Error checking blob existence:', error.message);
@@ -203,41 +256,182 @@ router.get(/^\/exists\/(.+)$/i, async (req, res) => {
   }
 });
 
-// POST /api/files/download-token - Issue short-lived download token (Reader+)
-router.post('/download-token', express.json(), async (req, res) => {
+// Helper: audit paths of a download or ZIP selection ({ path } / { folder } / { paths })
+const zipSelectionPaths = (source = {}) => ({
+  paths: [source.path, source.folder, ...[].concat(source.paths || [])].map((p) => p && String(p)),
+});
+
+// Helper: ZIP selection from query (GET) or JSON body (POST): { folder } or { paths: [...] }
+const parseZipSelection = (source = {}) => {
+  const folder = source.folder ? normalizePath(String(source.folder)) : '';
+  if (folder) return { folder };
+  const paths = source.paths === undefined ? [] : [].concat(source.paths);
+  return { paths: paths.map((p) => normalizePath(String(p))).filter(Boolean) };
+};
+
+// POST /api/files/download-token - Issue short-lived download token ("download")
+// { path } for a single file; { folder } or { paths } for a ZIP download of that exact selection
+router.post('/download-token', express.json(), audit('token.issue', (req) => zipSelectionPaths(req.body)), async (req, res) => {
   try {
-    if (!checkPermission(req.user.roles, 'reader')) {
+    if (!hasPermission(req.user, 'download')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
-    const { path } = req.body || {};
-    if (!path) return res.status(400).json({ error: 'Missing path' });
+    const { path, folder, paths, expiresIn } = req.body || {};
+    if (!path && !folder && !paths) return res.status(400).json({ error: 'Missing path' });
+    // Token downloads skip folder ACLs, so the whole selection must be readable now
+    if (!path) {
+      const selection = parseZipSelection({ folder, paths });
+      if (!selection.folder && !selection.paths.length) {
+        return res.status(400).json({ error: 'folder or paths is required' });
+      }
+      if (selection.folder) assertTreeAccess(req.user, selection.folder, 'read');
+      selection.paths.forEach((selected) => assertFileAccess(req.user, selected, 'read'));
+      const issued = issueDownloadToken(selectionKey(selection), req.user, { expiresIn });
+      res.locals.audit.details = { tokenId: issued.tokenId, expiresAt: issued.expiresAt };
+      return res.json(issued);
+    }
     const normalized = normalizePath(path);
-    const token = createDownloadToken(normalized);
-    res.json({ token });
+    assertFileAccess(req.user, normalized, 'read');
+    const issued = issueDownloadToken(normalized, req.user, { expiresIn });
+    res.locals.audit.details = { tokenId: issued.tokenId, expiresAt: issued.expiresAt };
+    res.json(issued);
   } catch (error) {
-    console.error('Error creating download token:', error.message);
-    res.status(500).json({ error: 'Failed to create download token' });
+    sendError(res, error, 'Failed to create download token');
   }
 });
 
-// POST /api/files/chunked/commit - Finalize chunked upload (Uploader+)
+// POST /api/files/download-token/revoke - Revoke download tokens before they expire
+// { token } revokes one of the caller's tokens (any token with "admin"); { tokenId } revokes one by
+// ID ("admin"); { userId } revokes every token issued to that user so far (own ID, or "admin")
+router.post('/download-token/revoke', express.json(), audit('token.revoke', (req) => ({
+  details: { tokenId: req.body.tokenId, userId: req.body.userId },
+})), async (req, res) => {
+  try {
+    const { token, tokenId, userId } = req.body || {};
+    const isAdmin = hasPermission(req.user, 'admin');
+    if (userId) {
+      if (userId !== req.user.objectId && !isAdmin) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      return res.json({ message: 'Download tokens revoked', ...(await revokeUserDownloadTokens(userId, req.user)) });
+    }
+    if (!token && !tokenId) {
+      return res.status(400).json({ error: 'token, tokenId or userId is required' });
+    }
+    const revoked = await revokeDownloadToken({ token, tokenId }, req.user, { isAdmin });
+    res.locals.audit.details = revoked;
+    res.json({ message: 'Download token revoked', ...revoked });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke download token');
+  }
+});
+
+// /api/files/uploads/* - Resumable upload sessions (see routes/uploads.js)
+// MUST be before catch-all routes so session paths are not treated as blob paths
+router.use('/uploads', require('./uploads'));
+
+// Helper: stream a ZIP for a selection to users with "download" or holders of a matching download token
+const handleZipDownload = async (req, res, selection) => {
+  try {
+    if (!selection.folder && !selection.paths.length) {
+      return res.status(400).json({ error: 'folder or paths is required' });
+    }
+    if (!canDownload(req, selectionKey(selection), null)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    if (!req.user.isTokenAuth) {
+      if (selection.folder) assertFolderAccess(req.user, selection.folder, 'read');
+      (selection.paths || []).forEach((selected) => assertFileAccess(req.user, selected, 'read'));
+    }
+
+    // Leave out sub-folders the caller cannot read (before the scan check, so they cannot block it)
+    const include = req.user.isTokenAuth ? undefined : (entry) => (entry.path === null
+      ? canAccessFolder(req.user, entry.folderPath, 'read')
+      : canAccessFile(req.user, entry.path, 'read'));
+    const resolved = await resolveSelection(selection, { include });
+    console.log(`Streaming ZIP ${resolved.archiveName} (${resolved.entries.length} entries)`);
+    await streamZip(resolved, res);
+  } catch (error) {
+    if (res.headersSent) return;
+    sendError(res, error, 'Failed to create ZIP archive');
+  }
+};
+
+// GET /api/files/zip?folder=... or ?paths=a&paths=b - Download selection as ZIP ("download" or a download token)
+// MUST be before catch-all GET so "zip" is not treated as a blob path
+router.get('/zip', audit('download.zip', (req) => zipSelectionPaths(req.query)), (req, res) => handleZipDownload(req, res, parseZipSelection(req.query)));
+
+// POST /api/files/zip - Download selection as ZIP, selection in JSON body ("download")
+router.post('/zip', express.json(), audit('download.zip', (req) => zipSelectionPaths(req.body)), (req, res) => handleZipDownload(req, res, parseZipSelection(req.body)));
+
+// /api/files/jobs/* - Background job status (see routes/jobs.js)
+router.use('/jobs', require('./jobs'));
+
+// /api/files/trash/* - Trash listing, restore and purge (see routes/trash.js)
+router.use('/trash', require('./trash'));
+
+// /api/files/metadata/* - User metadata and tags of files and folders (see routes/metadata.js)
+router.use('/metadata', require('./metadata'));
+
+// /api/files/acl/* - Folder access control lists (see routes/acl.js)
+router.use('/acl', require('./acl'));
+
+// /api/files/shares/* - Share link management (see routes/shares.js)
+router.use('/shares', require('./shares'));
+
+// /api/files/audit/* - Audit log query and export (see routes/audit.js)
+router.use('/audit', require('./audit'));
+
+// /api/files/quotas/* - Storage usage, quotas and upload policy (see routes/quotas.js)
+router.use('/quotas', require('./quotas'));
+
+// /api/files/scan/* - Malware scanner status and quarantine (see routes/scanning.js)
+router.use('/scan', require('./scanning'));
+
+// /api/files/webhooks/* - Outbound webhook subscriptions and deliveries (see routes/webhooks.js)
+router.use('/webhooks', require('./webhooks'));
+
+// /api/files/events - Live change feed over Server-Sent Events (see routes/events.js)
+router.use('/events', require('./events'));
+
+// POST /api/files/chunked/commit - Finalize chunked upload ("upload")
+// An optional hash { algorithm: md5 | sha256, value } must match the assembled file (400 otherwise);
+// optional metadata / tags are stored with the file
+// onConflict: fail (default) or overwrite, plus If-Match / If-None-Match. rename is not possible
+// here because the chunks are already staged on the target path (upload sessions support it)
+// The file is stored with the content type detected from chunk 0 (contentType is only the client's
+// claim). A file type the upload policy rejects fails with 415, and a file over the size limit or a
+// quota with 413; the staged chunks are discarded in both cases
 // MUST be before /chunked route to match more specific path first
-router.post('/chunked/commit', express.json(), async (req, res) => {
+router.post('/chunked/commit', express.json(), audit('upload', (req) => ({
+  paths: [joinPath(req.body.folder, req.body.filename)],
+  details: { method: 'chunked' },
+})), async (req, res) => {
+  let fullPath;
+  let reservation;
   try {
-    if (!checkPermission(req.user.roles, 'uploader')) {
+    if (!hasPermission(req.user, 'upload')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { filename, totalChunks, contentType, folder } = req.body;
+    const { filename, totalChunks, contentType, folder, onConflict, hash, metadata, tags } = req.body;
     const targetFolder = folder ? normalizePath(folder) : '';
 
     if (!filename || !totalChunks) {
       return res.status(400).json({ error: 'Missing filename or totalChunks' });
     }
+    if (onConflict === 'rename') {
+      return res.status(400).json({ error: 'onConflict=rename is not supported for chunked uploads; use /api/files/uploads' });
+    }
+    const expected = parseHash(hash);
+    const userMetadata = withUploader(
+      toStoredMetadata({ metadata: validateMetadata(metadata), tags: validateTags(tags) }),
+      req.user,
+    );
 
     // Build full blob path with folder
-    const fullPath = targetFolder ? targetFolder + '/' + filename : filename;
-    const blobClient = containerClient.getBlockBlobClient(fullPath);
+    fullPath = targetFolder ? targetFolder + '/' + filename : filename;
+    assertFileAccess(req.user, fullPath, 'write');
 
     // Build list of block IDs in order
     const blockList = [];
@@ -246,28 +440,87 @@ router.post('/chunked/commit', express.json(), async (req, res) => {
       blockList.push(blockId);
     }
 
+    const remembered = getChunkedInspection(fullPath);
+    const inspection = remembered && { ...remembered, claimedType: normalizeContentType(contentType) };
+    try {
+      if (inspection) assertContentAllowed(fullPath, inspection);
+      else assertFileTypeAllowed(fullPath);
+      reservation = reserveUpload(req.user, fullPath, { size: await stagedChunkBytes(fullPath, blockList) });
+    } catch (error) {
+      await storage.discardBlocks(fullPath);
+      await forgetChunkedInspection(fullPath);
+      throw error;
+    }
+    const destination = await resolveDestination(fullPath, { onConflict, ...getPreconditions(req) });
+
     console.log(`Committing ${totalChunks} chunks for ${fullPath}`);
 
-    // Commit all blocks to create the final blob
-    await blobClient.commitBlockList(blockList, {
-      blobHTTPHeaders: { blobContentType: contentType || 'application/octet-stream' }
+    // Commit all blocks to create the final blob with its verified checksums. Without a remembered
+    // inspection (e.g. its record was lost), chunk 0 is sniffed from the committed file instead
+    const { inspection: sniffed, ...result } = await commitVerifiedBlocks(fullPath, blockList, {
+      contentType: inspection ? inspection.contentType : 'application/octet-stream',
+      conditions: destination.conditions,
+      expected,
+      metadata: { ...userMetadata, ...(inspection && toDetectionMetadata(inspection)), ...pendingScanMetadata() },
+      ...(!inspection && {
+        inspect: (head) => {
+          const found = inspectContent(head, fullPath, contentType);
+          assertContentAllowed(fullPath, found);
+          return found;
+        },
+      }),
+    });
+    const stored = inspection || sniffed;
+    await reservation.commit(result.size, { replaces: destination.replaces });
+    await forgetChunkedInspection(fullPath);
+    queueScan(fullPath);
+    publishEvent('file.uploaded', {
+      path: fullPath,
+      user: req.user,
+      data: { size: result.size, contentType: stored.contentType, etag: result.etag, method: 'chunked' },
     });
 
     console.log(`Chunked upload completed: ${fullPath}`);
-    res.json({ message: 'File uploaded successfully', filename, path: fullPath });
+    res.json({
+      message: 'File uploaded successfully',
+      filename,
+      path: fullPath,
+      contentType: stored.contentType,
+      ...(stored.mismatch && { contentTypeMismatch: true, detectedContentType: stored.detectedType }),
+      ...(isScanningEnabled() && { scanStatus: 'pending' }),
+      ...result,
+    });
   } catch (error) {
-    console.error('Error committing chunks:', error.message);
-    res.status(500).json({ error: 'Failed to finalize upload' });
+    if (reservation) reservation.release();
+    sendError(res, fullPath ? await toConflictError(error, fullPath) : error, 'Failed to finalize upload');
   }
 });
 
-// POST /api/files/chunked - Upload file chunk (Uploader+)
+// Helper: bytes staged (uncommitted) for the given block IDs of a chunked upload
+const stagedChunkBytes = async (path, blockIds) => {
+  const wanted = new Set(blockIds);
+  const { uncommitted } = await storage.listBlocks(path);
+  return uncommitted.filter((block) => wanted.has(block.id)).reduce((sum, block) => sum + block.size, 0);
+};
+
+// POST /api/files/chunked - Upload file chunk ("upload")
+// Content-MD5 / Digest headers, if sent, are checked against the chunk data
+// The file's extension must be allowed by the upload policy (415), and the chunks staged so far
+// must stay within the maximum file size and quotas (413, checked before the chunk is staged).
+// Chunk 0 is inspected for the file's real content type, which must be allowed as well (415)
 // MUST be before /:name route to avoid wildcard matching
 router.post('/chunked', (req, res) => {
-  if (!checkPermission(req.user.roles, 'uploader')) {
+  if (!hasPermission(req.user, 'upload')) {
     return res.status(403).json({ error: 'Insufficient permissions' });
   }
 
+  let expected;
+  try {
+    expected = checksumsFromHeaders(req);
+  } catch (error) {
+    return sendError(res, error, 'Invalid checksum');
+  }
+
   // Get metadata from query parameters
   const { filename, chunkIndex, totalChunks, folder } = req.query;
   const targetFolder = folder ? normalizePath(folder) : '';
@@ -281,13 +534,21 @@ router.post('/chunked', (req, res) => {
 
   // Build full blob path with folder
   const fullPath = targetFolder ? targetFolder + '/' + filename : filename;
+  if (!canAccessFile(req.user, fullPath, 'write')) {
+    return res.status(403).json({ error: 'Access denied', folder: targetFolder || '/', right: 'write' });
+  }
+  try {
+    assertFileTypeAllowed(fullPath);
+  } catch (error) {
+    req.resume();
+    return sendError(res, error, 'Upload rejected');
+  }
 
   const bb = Busboy({ headers: req.headers });
   let responded = false;
 
   bb.on('file', (fieldname, file, info) => {
     const blockId = Buffer.from(`chunk-${String(chunkIndex).padStart(6, '0')}`).toString('base64');
-    const blobClient = containerClient.getBlockBlobClient(fullPath);
 
     const buffers = [];
     let totalSize = 0;
@@ -300,7 +561,18 @@ router.post('/chunked', (req, res) => {
     file.on('end', async () => {
       try {
         const buffer = Buffer.concat(buffers, totalSize);
-        await blobClient.stageBlock(blockId, buffer, buffer.length);
+        verifyChecksums(hashBuffer(buffer), expected);
+        // Everything staged for this file so far (except an earlier copy of this chunk) plus this chunk
+        const { uncommitted } = await storage.listBlocks(fullPath);
+        const staged = uncommitted
+          .filter((block) => block.id !== blockId)
+          .reduce((sum, block) => sum + block.size, 0);
+        reserveUpload(req.user, fullPath, { size: staged + buffer.length }).release();
+        // The first chunk decides the file's content type (checked against the policy before staging)
+        const inspection = Number(chunkIndex) === 0 && inspectContent(buffer.subarray(0, SNIFF_BYTES), fullPath);
+        if (inspection) assertContentAllowed(fullPath, inspection);
+        await stageHashedBlock(fullPath, blockId, Number(chunkIndex), buffer);
+        if (inspection) await rememberChunkedInspection(fullPath, inspection);
 
         if (!responded) {
           responded = true;
@@ -309,6 +581,7 @@ router.post('/chunked', (req, res) => {
       } catch (err) {
         if (!responded) {
           responded = true;
+          if ([400, 413, 415].includes(err.statusCode)) return sendError(res, err, 'Failed to stage block');
           res.status(500).json({ error: 'Failed to stage block', details: err.message });
         }
       }
@@ -332,95 +605,216 @@ router.post('/chunked', (req, res) => {
   req.pipe(bb);
 });
 
-// POST /api/files/folders/create - Create folder (Uploader+)
+// POST /api/files/folders/create - Create folder ("folder.create")
 // MUST be before catch-all POST / to match specific path first
 // Creates a .keep marker blob to persist the folder even if empty
-router.post('/folders/create', express.json(), async (req, res) => {
+router.post('/folders/create', express.json(), audit('folder.create', (req) => ({ paths: [req.body.folderPath] })), async (req, res) => {
   try {
     console.log('=== FOLDER CREATE REQUEST ===');
     console.log('Headers:', req.headers);
     console.log('Body:', req.body);
     console.log('User roles:', req.user?.roles);
     
-    if (!checkPermission(req.user.roles, 'uploader')) {
+    if (!hasPermission(req.user, 'folder.create')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { folderPath } = req.body;
+    const { folderPath, metadata, tags } = req.body;
     if (!folderPath) {
       console.error('folderPath missing from request body');
       return res.status(400).json({ error: 'folderPath is required' });
     }
+    const markerMetadata = toStoredMetadata({ metadata: validateMetadata(metadata), tags: validateTags(tags) });
 
     const normalized = normalizePath(folderPath);
+    assertFolderAccess(req.user, normalized, 'write');
     console.log(`Creating folder with .keep marker: ${normalized}/.keep`);
 
     // Create a .keep marker blob to persist the folder
     const markerPath = normalized + '/.keep';
-    const blobClient = containerClient.getBlockBlobClient(markerPath);
-    await blobClient.upload(Buffer.alloc(0), 0, {
-      blobHTTPHeaders: { blobContentType: 'application/x-msdownload' }
+    await storage.write(markerPath, Buffer.alloc(0), {
+      contentType: 'application/x-msdownload',
+      metadata: markerMetadata,
     });
 
     console.log(`✓ Folder created successfully: ${normalized}`);
+    publishEvent('folder.created', { path: normalized, user: req.user });
     res.json({ 
       message: 'Folder created successfully', 
       folderPath: normalized,
     });
   } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
     console.error('Error creating folder:', error.message, error.stack);
     res.status(500).json({ error: 'Failed to create folder', details: error.message });
   }
 });
 
-// POST /api/files/move - Move file to different folder (Uploader+)
+// Helper: apply the destination's upload rules to files being moved ({ from, to, entry })
+// 415 for a file type the destination folder does not allow; 413 past its maximum file size or a
+// quota folder the file newly falls under. Returns the reservations to commit once a file move is
+// done (a folder move records its own usage, so its reservations are only released)
+const reserveMovedFiles = (user, files) => {
+  const reservations = [];
+  try {
+    for (const { from, to, entry } of files) {
+      assertFileTypeAllowed(to, entry.contentType);
+      reservations.push(reserveUpload(user, to, { size: entry.size || 0, from }));
+    }
+    return reservations;
+  } catch (error) {
+    reservations.forEach((reservation) => reservation.release());
+    throw error;
+  }
+};
+
+// Helper: move/rename a whole folder as a background job
+// Checks the source exists and the destination is not inside it, then applies onConflict:
+// fail (409 listing files that would be overwritten), overwrite (merge) or rename ("name (1)")
+const startFolderMove = async (req, res, { sourcePath, destPath, type, onConflict = 'fail' }) => {
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    return res.status(400).json({ error: `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}` });
+  }
+  const folderBlobs = await listFolderBlobs(sourcePath);
+  if (!folderBlobs.length) {
+    return res.status(404).json({ error: 'Source not found' });
+  }
+  if (destPath.startsWith(sourcePath + '/')) {
+    return res.status(400).json({ error: 'Cannot move a folder into itself' });
+  }
+  assertTreeAccess(req.user, sourcePath, 'delete');
+  assertFolderAccess(req.user, destPath, 'write');
+  if (onConflict === 'rename' && await folderExists(destPath)) {
+    destPath = await findAvailablePath(destPath, folderExists, { isFolder: true });
+  }
+  if (hasOverlappingFolderJob([sourcePath, destPath])) {
+    return res.status(409).json({ error: 'Another folder operation is in progress for this path' });
+  }
+
+  if (onConflict === 'fail') {
+    const conflicts = await findMoveCollisions(folderBlobs, sourcePath, destPath);
+    if (conflicts.length) {
+      return res.status(409).json({
+        error: 'Destination already contains files with the same names',
+        conflicts: conflicts.slice(0, 100),
+      });
+    }
+  }
+
+  const reservations = reserveMovedFiles(req.user, folderBlobs
+    .filter((blob) => !isKeepMarker(blob.name))
+    .map((blob) => ({ from: blob.name, to: rebase(blob.name, sourcePath, destPath), entry: blob })));
+
+  res.locals.audit = { paths: [sourcePath, destPath] };
+  const job = startJob({
+    type,
+    owner: req.user.objectId,
+    params: { sourcePath, destinationPath: destPath },
+    run: async (job) => {
+      let report;
+      try {
+        report = await moveFolder(sourcePath, destPath, job);
+      } finally {
+        reservations.forEach((reservation) => reservation.release());
+      }
+      // ACLs follow the folder
+      await moveAcls(sourcePath, destPath);
+      publishEvent(type === 'folder.rename' ? 'folder.renamed' : 'folder.moved', {
+        path: destPath,
+        previousPath: sourcePath,
+        user: req.user,
+        data: { jobId: job.jobId, moved: report.moved },
+      });
+      return report;
+    },
+  });
+  res.locals.audit.details = { jobId: job.jobId };
+  console.log(`Folder ${type} started: ${sourcePath} -> ${destPath} (job ${job.jobId}, ${folderBlobs.length} blobs)`);
+  return res.status(202).json({
+    message: type === 'folder.rename' ? 'Folder rename started' : 'Folder move started',
+    from: sourcePath,
+    to: destPath,
+    jobId: job.jobId,
+    statusUrl: `/api/files/jobs/${job.jobId}`,
+  });
+};
+
+// POST /api/files/move - Move file or folder ("move")
+// Files move synchronously; folders move every blob underneath as a background job (202)
+// onConflict: fail (default), overwrite or rename; If-Match / If-None-Match apply to the destination file
 // MUST be before catch-all POST / to match specific path first
-router.post('/move', async (req, res) => {
+router.post('/move', audit('move', (req) => ({ paths: [req.body.sourcePath, req.body.destinationPath] })), async (req, res) => {
+  let destination;
+  let reservation;
   try {
-    if (!checkPermission(req.user.roles, 'uploader')) {
+    if (!hasPermission(req.user, 'move')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { sourcePath, destinationPath } = req.body;
+    const { sourcePath, destinationPath, onConflict } = req.body;
     if (!sourcePath || !destinationPath) {
       return res.status(400).json({ error: 'sourcePath and destinationPath are required' });
     }
 
     const sourceNorm = normalizePath(sourcePath);
     const destNorm = normalizePath(destinationPath);
+    if (sourceNorm === destNorm) {
+      return res.status(400).json({ error: 'sourcePath and destinationPath are the same' });
+    }
+
+    // No blob at the source path: treat it as a folder
+    const source = await storage.stat(sourceNorm);
+    if (!source) {
+      return await startFolderMove(req, res, {
+        sourcePath: sourceNorm,
+        destPath: destNorm,
+        type: 'folder.move',
+        onConflict,
+      });
+    }
+
+    assertFileAccess(req.user, sourceNorm, 'delete');
+    assertFileAccess(req.user, destNorm, 'write');
+    destination = await resolveDestination(destNorm, { onConflict, ...getPreconditions(req) });
+    [reservation] = reserveMovedFiles(req.user, [{ from: sourceNorm, to: destination.path, entry: source }]);
 
     // Server-side move via copy + delete (fast, no data transfer through API)
-    const sourceClient = containerClient.getBlobClient(sourceNorm);
-    const destClient = containerClient.getBlobClient(destNorm);
-    
-    console.log(`Starting server-side copy from ${sourceNorm} to ${destNorm}`);
-    const copyPoller = await destClient.beginCopyFromURL(sourceClient.url);
-    await copyPoller.pollUntilDone();
+    console.log(`Starting server-side copy from ${sourceNorm} to ${destination.path}`);
+    await storage.copy(sourceNorm, destination.path, { conditions: destination.conditions });
     console.log(`Copy completed for move operation`);
 
     // Delete source
-    await sourceClient.delete();
+    await storage.delete(sourceNorm);
+    await reservation.commit(reservation.size, { replaces: destination.replaces });
+    res.locals.audit = { paths: [sourceNorm, destination.path] };
+    publishEvent('file.moved', { path: destination.path, previousPath: sourceNorm, user: req.user });
 
     res.json({ 
       message: 'File moved successfully',
       from: sourceNorm,
-      to: destNorm,
+      to: destination.path,
     });
   } catch (error) {
-    console.error('Error moving file:', error.message);
-    res.status(500).json({ error: 'Failed to move file' });
+    if (reservation) reservation.release();
+    sendError(res, destination ? await toConflictError(error, destination.path) : error, 'Failed to move file');
   }
 });
 
-// POST /api/files/rename - Rename file or folder (Uploader+)
+// POST /api/files/rename - Rename file or folder ("move")
+// Folders are renamed as a background job (202), like folder moves
+// onConflict and If-Match / If-None-Match work as for /move
 // MUST be before catch-all POST / to match specific path first
-router.post('/rename', async (req, res) => {
+router.post('/rename', audit('rename', (req) => ({ paths: [req.body.oldPath], details: { newName: req.body.newName } })), async (req, res) => {
+  let destination;
+  let reservation;
   try {
-    if (!checkPermission(req.user.roles, 'uploader')) {
+    if (!hasPermission(req.user, 'move')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { oldPath, newName } = req.body;
+    const { oldPath, newName, onConflict } = req.body;
     if (!oldPath || !newName) {
       return res.status(400).json({ error: 'oldPath and newName are required' });
     }
@@ -428,162 +822,429 @@ router.post('/rename', async (req, res) => {
     const oldNorm = normalizePath(oldPath);
     const folderPath = getFolderPath(oldNorm);
     const newPath = folderPath ? folderPath + '/' + newName : newName;
+    if (newName.includes('/')) {
+      return res.status(400).json({ error: 'newName must not contain "/"' });
+    }
+    if (newPath === oldNorm) {
+      return res.status(400).json({ error: 'newName is the same as the current name' });
+    }
+
+    const source = await storage.stat(oldNorm);
+    if (!source) {
+      return await startFolderMove(req, res, {
+        sourcePath: oldNorm,
+        destPath: newPath,
+        type: 'folder.rename',
+        onConflict,
+      });
+    }
 
-    console.log(`Renaming file: ${oldNorm} -> ${newPath}`);
+    assertFileAccess(req.user, oldNorm, 'delete');
+    assertFileAccess(req.user, newPath, 'write');
+    destination = await resolveDestination(newPath, { onConflict, ...getPreconditions(req) });
+    [reservation] = reserveMovedFiles(req.user, [{ from: oldNorm, to: destination.path, entry: source }]);
+    console.log(`Renaming file: ${oldNorm} -> ${destination.path}`);
 
     // Use server-side copy (instant, no download/upload needed)
-    const sourceClient = containerClient.getBlobClient(oldNorm);
-    const destClient = containerClient.getBlobClient(newPath);
-    
-    console.log(`Starting server-side copy from ${oldNorm} to ${newPath}`);
-    const copyPoller = await destClient.beginCopyFromURL(sourceClient.url);
-    
-    // Wait for copy to complete
-    await copyPoller.pollUntilDone();
+    console.log(`Starting server-side copy from ${oldNorm} to ${destination.path}`);
+    await storage.copy(oldNorm, destination.path, { conditions: destination.conditions });
     console.log(`Copy completed successfully`);
 
     // Delete original
     console.log(`Deleting original blob: ${oldNorm}`);
-    await sourceClient.delete();
-    console.log(`Rename completed: ${oldNorm} -> ${newPath}`);
+    await storage.delete(oldNorm);
+    await reservation.commit(reservation.size, { replaces: destination.replaces });
+    console.log(`Rename completed: ${oldNorm} -> ${destination.path}`);
+    res.locals.audit = { paths: [oldNorm, destination.path] };
+    publishEvent('file.renamed', { path: destination.path, previousPath: oldNorm, user: req.user });
 
     res.json({ 
       message: 'Renamed successfully',
       oldPath: oldNorm,
-      newPath,
+      newPath: destination.path,
     });
   } catch (error) {
+    if (reservation) reservation.release();
+    const conflict = destination ? await toConflictError(error, destination.path) : error;
+    if (conflict.statusCode && conflict.statusCode < 500) {
+      return sendError(res, conflict, 'Failed to rename');
+    }
     console.error('Error renaming:', error.message, error.stack);
     res.status(500).json({ error: 'Failed to rename', details: error.message });
   }
 });
 
-// POST /api/files - Upload file (Uploader+)
-// Generic catch-all - MUST be after all specific POST routes
-router.post('/', (req, res) => {
+// Helper: stream one uploaded file to storage, counting and hashing it on the way
+// Resolves once the blob is committed with { path, size, etag, lastModified, contentHash, contentMd5 };
+// expected checksums ({ md5, sha256 }) that do not match fail the write before it commits, and so
+// does a file that outgrows its quota reservation (413)
+const writeUploadedFile = async (file, { path, contentType, conditions, expected, metadata: userMetadata, reservation, onProgress }) => {
+  // Checksums are added by the hashing stream when the content ends, before the write commits
+  const metadata = { ...userMetadata };
+  const hashing = createHashingStream({ onProgress, expected, metadata });
+  const limit = createQuotaStream(reservation);
+  file.on('error', (err) => limit.destroy(err));
+  limit.on('error', (err) => hashing.destroy(err));
+  file.pipe(limit).pipe(hashing);
   try {
-    if (!checkPermission(req.user.roles, 'uploader')) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
-    }
+    const result = await storage.write(path, hashing, { contentType, metadata, conditions });
+    return {
+      path,
+      ...hashing.result(),
+      ...fromStoredMetadata(metadata),
+      etag: result.etag,
+      lastModified: result.lastModified,
+    };
+  } catch (error) {
+    // Drain the rest of the part so Busboy can finish the request
+    file.unpipe(limit);
+    file.resume();
+    throw error;
+  }
+};
 
-    // Get target folder from query params
-    const targetFolder = req.query.folder ? normalizePath(req.query.folder) : '';
+// Multipart fields that describe the file part following them
+const UPLOAD_FIELDS = ['webkitRelativePath', 'relativePath', 'size', ...CHECKSUM_ALGORITHMS, 'metadata', 'tags'];
 
-    const bb = Busboy({ headers: req.headers, limits: { files: 1 } });
-    let responded = false;
-    let fileReceived = false;
+// Helper: optional declared size of the next file part (lets quota and size limits fail before the data)
+const parseDeclaredSize = (value) => {
+  if (value === undefined) return undefined;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 0) throw httpError(400, 'size must be a non-negative integer');
+  return size;
+};
 
-    bb.on('file', (fieldname, file, info) => {
-      try {
-        fileReceived = true;
-        console.log('Busboy file event - fieldname:', fieldname, 'info:', info);
-        const safeFilename = info.filename || `upload_${Date.now()}`;
-        // Busboy v1.x uses `mimeType` for MIME type, not `encoding`
-        const contentType = info.mimeType || 'application/octet-stream';
-
-        // Build full blob path with folder
-        const fullPath = targetFolder ? targetFolder + '/' + safeFilename : safeFilename;
-
-        console.log(`Starting upload: ${fullPath} (${contentType})`);
-
-        const blobClient = containerClient.getBlockBlobClient(fullPath);
-        const bufferSize = 4 * 1024 * 1024; // 4MB blocks
-        const maxConcurrency = 5; // tune for throughput
-
-        blobClient
-          .uploadStream(file, bufferSize, maxConcurrency, {
-            blobHTTPHeaders: { blobContentType: contentType },
-          })
-          .then(() => {
-            console.log(`Upload completed: ${fullPath}`);
-          })
-          .catch((err) => {
-            console.error(`Upload failed: ${fullPath}`, err.message);
-          });
+// Helper: clean a client-supplied relative path (webkitRelativePath or a filename with folders)
+const sanitizeRelativePath = (value) => {
+  const segments = String(value).replace(/\\/g, '/').split('/').filter((s) => s && s !== '.');
+  if (!segments.length || segments.includes('..')) {
+    throw httpError(400, `Invalid relative path: ${value}`);
+  }
+  return segments.join('/');
+};
 
-        if (!responded) {
-          responded = true;
-          res.json({ message: 'File upload started', filename: safeFilename, path: fullPath });
-        }
-      } catch (fileErr) {
-        console.error('Error in file handler:', fileErr.message);
-        if (!responded) {
-          responded = true;
-          res.status(500).json({ error: 'Failed to process file' });
-        }
+/**
+ * Receive every file part of a multipart upload request and stream each one to storage.
+ * A "webkitRelativePath" (or "relativePath") field sent before a file part places that file in
+ * sub-folders under targetFolder; otherwise the part's filename is used (it may contain folders).
+ * "md5" / "sha256" fields sent before a file part are verified against that file's content, and
+ * "metadata" (a JSON object) / "tags" (comma-separated or a JSON array) are stored with it, and
+ * "size" declares its length so size and quota limits (413) apply before any data is stored.
+ * File types the upload policy rejects fail with 415.
+ * Resolves with { files, limitReached } where each file result has status "uploaded" or "failed";
+ * rejects if the form itself fails (bad multipart data, client disconnect) or holds no file.
+ */
+const receiveUploads = (req, { targetFolder, onConflict, preconditions, progress }) => new Promise((resolve, reject) => {
+  let bb;
+  try {
+    bb = Busboy({ headers: req.headers, preservePath: true, limits: { files: UPLOAD_MAX_FILES } });
+  } catch (error) {
+    reject(httpError(400, error.message));
+    return;
+  }
+  const uploads = [];
+  // Form fields sent since the last file part (they describe the next file)
+  let fields = {};
+  let limitReached = false;
+  let completedBytes = 0;
+
+  const uploadPart = async (file, info, partFields) => {
+    const partPath = partFields.webkitRelativePath || partFields.relativePath;
+    let requestedPath;
+    let reservation;
+    let peeked;
+    try {
+      requestedPath = joinPath(targetFolder, sanitizeRelativePath(partPath || info.filename || `upload_${Date.now()}`));
+      if (isReservedPath(requestedPath)) throw httpError(400, 'Path is reserved');
+      assertFileAccess(req.user, requestedPath, 'write');
+      assertFileTypeAllowed(requestedPath);
+      reservation = reserveUpload(req.user, requestedPath, { size: parseDeclaredSize(partFields.size) });
+      const expected = {};
+      for (const algorithm of CHECKSUM_ALGORITHMS) {
+        if (partFields[algorithm]) expected[algorithm] = parseChecksum(algorithm, partFields[algorithm]);
       }
-    });
 
-    bb.on('error', (err) => {
-      console.error('Busboy error:', err.message);
-      if (!responded) {
-        responded = true;
-        res.status(500).json({ error: 'Failed to upload file' });
-      }
-    });
+      // The stored content type comes from the file's first bytes; Busboy's `mimeType` is only the client's claim
+      const { head, stream } = await peekStream(file);
+      peeked = stream;
+      const inspection = inspectContent(head, requestedPath, info.mimeType);
+      assertContentAllowed(requestedPath, inspection);
+      const { contentType } = inspection;
+      const metadata = withUploader(toStoredMetadata({
+        metadata: validateMetadata(partFields.metadata),
+        tags: validateTags(partFields.tags),
+      }, { ...toDetectionMetadata(inspection), ...pendingScanMetadata() }), req.user);
+
+      // Busboy pauses the file stream until it is read, so checking the destination first is safe
+      const { path: fullPath, conditions, replaces } = await resolveDestination(requestedPath, { onConflict, ...preconditions });
+      console.log(`Starting upload: ${fullPath} (${contentType}${inspection.mismatch ? ', content does not match extension' : ''})`);
+      const result = await writeUploadedFile(stream, {
+        path: fullPath,
+        contentType,
+        conditions,
+        expected,
+        metadata,
+        reservation,
+        onProgress: (bytes) => {
+          if (progress) progress.bytesTransferred = completedBytes + bytes;
+        },
+      });
+      await reservation.commit(result.size, { replaces });
+      queueScan(fullPath);
+      publishEvent('file.uploaded', {
+        path: fullPath,
+        user: req.user,
+        data: { size: result.size, contentType, etag: result.etag, method: 'direct' },
+      });
+      completedBytes += result.size;
+      console.log(`Upload completed: ${fullPath} (${result.size} bytes)`);
+      return {
+        status: 'uploaded',
+        filename: getBaseName(fullPath),
+        ...result,
+        contentType,
+        ...(inspection.mismatch && { contentTypeMismatch: true, detectedContentType: inspection.detectedType }),
+        ...(isScanningEnabled() && { scanStatus: 'pending' }),
+      };
+    } catch (err) {
+      if (reservation) reservation.release();
+      // Discard the rest of the part so Busboy moves on; once peeked, the file is piped into the
+      // replay stream, which pauses it again when nobody reads that stream
+      if (peeked) peeked.resume();
+      file.resume();
+      const failure = requestedPath ? await toConflictError(err, requestedPath) : err;
+      const clientError = failure.statusCode && failure.statusCode < 500;
+      if (!clientError) console.error(`Upload failed: ${requestedPath || partPath}`, err.message);
+      return {
+        status: 'failed',
+        path: requestedPath || partPath || info.filename,
+        statusCode: clientError ? failure.statusCode : 500,
+        error: clientError ? failure.message : 'Failed to upload file',
+        ...(clientError ? failure.details : {}),
+      };
+    }
+  };
 
-    bb.on('finish', () => {
-      if (!fileReceived && !responded) {
-        responded = true;
-        res.status(400).json({ error: 'No file provided' });
+  // Fields apply to the next file part only
+  bb.on('field', (name, value) => {
+    if (UPLOAD_FIELDS.includes(name)) fields[name] = value;
+  });
+
+  bb.on('file', (fieldname, file, info) => {
+    console.log('Busboy file event - fieldname:', fieldname, 'info:', info);
+    const upload = uploadPart(file, info, fields).then((result) => {
+      if (progress) {
+        progress.processed++;
+        if (result.status === 'uploaded') progress.succeeded++;
+        else progress.failed++;
       }
+      return result;
     });
+    fields = {};
+    uploads.push(upload);
+  });
 
-    req.pipe(bb);
+  bb.on('filesLimit', () => {
+    limitReached = true;
+  });
+
+  bb.on('error', (err) => {
+    console.error('Busboy error:', err.message);
+    reject(err);
+  });
+
+  bb.on('close', async () => {
+    const files = await Promise.all(uploads);
+    if (!files.length) {
+      reject(httpError(400, 'No file provided'));
+      return;
+    }
+    resolve({ files, limitReached });
+  });
+
+  // A dropped connection never ends the form; fail the file stream so the write (and job) fails.
+  // Watch the socket: in async mode the response is already finished while the body still arrives
+  const onDisconnect = () => {
+    if (!req.complete) bb.destroy(new Error('Client disconnected during upload'));
+  };
+  req.socket.once('close', onDisconnect);
+  bb.once('close', () => req.socket.off('close', onDisconnect));
+
+  req.pipe(bb);
+});
+
+// Helper: summary of a multi-file upload
+const summarizeUploads = ({ files, limitReached }) => {
+  const succeeded = files.filter((file) => file.status === 'uploaded').length;
+  return {
+    message: `Uploaded ${succeeded} of ${files.length} files`,
+    total: files.length,
+    succeeded,
+    failed: files.length - succeeded,
+    ...(limitReached && { limitReached: true, limit: UPLOAD_MAX_FILES }),
+    files,
+  };
+};
+
+// POST /api/files - Upload one or more files ("upload")
+// Each multipart file part is streamed to storage in turn; folder structure comes from
+// webkitRelativePath/relativePath fields or filenames with "/" (see receiveUploads).
+// Responds once every blob is committed: a single file gets { filename, path, size, etag,
+// contentHash } (or its error status), several files a per-file result list. With ?async=true it
+// responds 202 at once and reports progress and the result via /api/files/jobs/:jobId
+// ?onConflict=fail (default) | overwrite | rename, plus If-Match / If-None-Match preconditions
+// Generic catch-all - MUST be after all specific POST routes
+router.post('/', audit('upload', (req) => ({ paths: [req.query.folder] })), async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'upload')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    // Get target folder and conflict handling from query params
+    const targetFolder = req.query.folder ? normalizePath(req.query.folder) : '';
+    const options = { targetFolder, onConflict: req.query.onConflict, preconditions: getPreconditions(req) };
+
+    if (req.query.async === 'true') {
+      let receiving;
+      const job = startJob({
+        type: 'upload',
+        owner: req.user.objectId,
+        params: { folder: targetFolder },
+        run: async (job) => {
+          const received = await receiving;
+          job.progress.total = received.files.length;
+          if (received.files.length > 1 || received.limitReached) {
+            return summarizeUploads(received);
+          }
+          const [file] = received.files;
+          if (file.status === 'failed') {
+            throw Object.assign(new Error(file.error), { report: file });
+          }
+          return file;
+        },
+      });
+      // Start reading the body now: once the 202 is sent, an unread request body is discarded
+      job.progress.bytesTransferred = 0;
+      receiving = receiveUploads(req, { ...options, progress: job.progress });
+      receiving.catch(() => {}); // reported by the job
+      res.locals.audit.details = { jobId: job.jobId };
+      return res.status(202).json({
+        message: 'File upload started',
+        jobId: job.jobId,
+        statusUrl: `/api/files/jobs/${job.jobId}`,
+      });
+    }
+
+    const received = await receiveUploads(req, options);
+    res.locals.audit = {
+      paths: received.files.map((file) => file.path),
+      details: {
+        succeeded: received.files.filter((file) => file.status === 'uploaded').length,
+        failed: received.files.filter((file) => file.status === 'failed').length,
+      },
+    };
+    if (received.files.length > 1 || received.limitReached) {
+      return res.json(summarizeUploads(received));
+    }
+
+    // Single file: same response shape as before multi-file support
+    const { status, statusCode, ...file } = received.files[0];
+    if (status === 'failed') {
+      return res.status(statusCode).json(file);
+    }
+    res.json({ message: 'File uploaded successfully', ...file });
   } catch (error) {
-    console.error('Error uploading blob:', error.message, error.stack);
     if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to upload file' });
+      sendError(res, error, 'Failed to upload file');
     }
   }
 });
 
-// GET /api/files/* - Download file (Reader+)
+// Helper: download authorization - bearer auth ("download" and, for a file, read access to its
+// folder) or a download token bound to subject (folder access was checked when it was issued)
+const canDownload = (req, subject, filePath = subject) => {
+  if (req.user.isTokenAuth) {
+    return req.user.tokenSubject === subject;
+  }
+  return hasPermission(req.user, 'download') && (!filePath || canAccessFile(req.user, filePath, 'read'));
+};
+
+// HEAD /api/files/* - File metadata without the body ("download")
+// Answers 409 like GET while the file has not passed its malware scan
+// MUST be before catch-all GET so HEAD is not served by the download handler
+router.head(/^\/(.+)$/i, async (req, res) => {
+  try {
+    const blobPath = normalizePath(req.params[0] || '');
+    if (!canDownload(req, blobPath)) {
+      return res.status(403).end();
+    }
+
+    const props = await storage.stat(blobPath);
+    if (!props) {
+      return res.status(404).end();
+    }
+
+    assertScanned(props, blobPath);
+    setDownloadHeaders(res, blobPath, props);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    setChecksumHeaders(res, props.metadata);
+    res.setHeader('Content-Length', props.size);
+    res.status(200).end();
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).end();
+    }
+    console.error('Error reading blob properties:', error.message);
+    res.status(500).end();
+  }
+});
+
+// GET /api/files/* - Download file ("download")
+// Supports Range (206), If-Range, and conditional requests (If-None-Match / If-Modified-Since -> 304)
 // Use regex to safely capture full blob path (including slashes)
 // MUST be last to avoid matching more specific routes
-router.get(/^\/(.+)$/i, async (req, res) => {
+router.get(/^\/(.+)$/i, audit('download', (req) => ({ paths: [req.params[0]] })), async (req, res) => {
   try {
     const blobPath = normalizePath(req.params[0] || '');
 
     // Allow either bearer auth (default) or a short-lived download token
-    let authorized = false;
-    if (req.user && req.user.roles && checkPermission(req.user.roles, 'reader')) {
-      authorized = true;
-    } else if (req.query.dt) {
-      const verified = verifyDownloadToken(req.query.dt);
-      if (verified && verified.path === blobPath) {
-        authorized = true;
-      }
-    }
-
-    if (!authorized) {
+    if (!canDownload(req, blobPath)) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const blobClient = containerClient.getBlobClient(blobPath);
-    const download = await blobClient.download();
-
-    // Set headers early so browser starts download immediately
-    const props = await blobClient.getProperties();
-    res.setHeader('Content-Type', download.contentType || 'application/octet-stream');
-    const filename = blobPath.split('/').pop() || blobPath;
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    if (props?.contentLength) {
-      res.setHeader('Content-Length', props.contentLength);
+    const props = await storage.stat(blobPath);
+    if (!props) {
+      return res.status(404).json({ error: 'File not found' });
     }
-    download.readableStreamBody.pipe(res);
+
+    await streamDownload(req, res, blobPath, props);
   } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (error.statusCode === 409) {
+      return sendError(res, error, 'Failed to download file');
+    }
     console.error('Error downloading blob:', error.message);
     res.status(500).json({ error: 'Failed to download file' });
   }
 });
 
-// DELETE /api/files/folders/* - Delete empty folder (Uploader+)
+// DELETE /api/files/folders/* - Move empty folder to the trash ("folder.delete")
+// ?recursive=true moves everything under the folder to the trash as a background job
+// ("folder.delete.recursive");
+// add &dryRun=true to list what would be deleted without deleting anything, or &permanent=true
+// to skip the trash ("delete.permanent")
 // MUST be before catch-all DELETE /* to match specific path first
-// Requires folder to be empty (no files except .keep marker)
-router.delete(/^\/folders\/(.+)$/i, async (req, res) => {
+// Without recursive, requires folder to be empty (no files except .keep marker)
+router.delete(/^\/folders\/(.+)$/i, audit('folder.delete', (req) => ({
+  paths: [req.params[0]],
+  details: { recursive: req.query.recursive === 'true', permanent: req.query.permanent === 'true', dryRun: req.query.dryRun === 'true' },
+})), async (req, res) => {
   try {
-    if (!checkPermission(req.user.roles, 'uploader')) {
+    if (!hasPermission(req.user, 'folder.delete')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
@@ -594,12 +1255,64 @@ router.delete(/^\/folders\/(.+)$/i, async (req, res) => {
     if (!normalized) {
       return res.status(400).json({ error: 'folderPath is required' });
     }
+    assertTreeAccess(req.user, normalized, 'delete');
+
+    if (req.query.recursive === 'true') {
+      if (!hasPermission(req.user, 'folder.delete.recursive')) {
+        return res.status(403).json({ error: 'Insufficient permissions for recursive folder delete' });
+      }
+      const permanent = req.query.permanent === 'true';
+      if (permanent && !hasPermission(req.user, 'delete.permanent')) {
+        return res.status(403).json({ error: 'Insufficient permissions for permanent delete' });
+      }
+
+      if (req.query.dryRun === 'true') {
+        const blobs = await listFolderBlobs(normalized);
+        const files = blobs.filter((blob) => !isKeepMarker(blob.name));
+        return res.json({
+          dryRun: true,
+          folderPath: normalized,
+          fileCount: files.length,
+          folderCount: blobs.length - files.length,
+          totalBytes: files.reduce((sum, blob) => sum + (blob.size || 0), 0),
+          files: files.map((blob) => ({ path: blob.name, size: blob.size })),
+        });
+      }
+
+      if (hasOverlappingFolderJob([normalized])) {
+        return res.status(409).json({ error: 'Another folder operation is in progress for this path' });
+      }
+
+      const job = startJob({
+        type: 'folder.delete',
+        owner: req.user.objectId,
+        params: { folderPath: normalized },
+        run: async (job) => {
+          const report = permanent
+            ? await deleteFolderRecursive(normalized, job)
+            : await trashFolder(normalized, req.user, job);
+          publishEvent('folder.deleted', {
+            path: normalized,
+            user: req.user,
+            data: { jobId: job.jobId, permanent, ...(report.trashId && { trashId: report.trashId }) },
+          });
+          return report;
+        },
+      });
+      console.log(`Recursive folder delete started: ${normalized} (job ${job.jobId}, permanent=${permanent})`);
+      return res.status(202).json({
+        message: permanent ? 'Folder delete started' : 'Folder move to trash started',
+        folderPath: normalized,
+        jobId: job.jobId,
+        statusUrl: `/api/files/jobs/${job.jobId}`,
+      });
+    }
 
     // Check if folder has any non-.keep blobs
     const prefix = normalized + '/';
     let hasContents = false;
     let blobCount = 0;
-    for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+    for await (const blob of storage.list({ prefix })) {
       blobCount++;
       console.log(`Checking blob in folder: ${blob.name}`);
       // Ignore .keep marker blobs when checking if folder is empty
@@ -613,48 +1326,78 @@ router.delete(/^\/folders\/(.+)$/i, async (req, res) => {
     console.log(`Folder ${normalized}: ${blobCount} total blobs, hasContents=${hasContents}`);
 
     if (hasContents) {
-      return res.status(409).json({ error: 'Folder is not empty. Delete contents first.' });
+      return res.status(409).json({ error: 'Folder is not empty. Delete contents first or use ?recursive=true.' });
     }
 
-    // Delete the .keep marker blob if it exists
-    const markerPath = normalized + '/.keep';
-    const blobClient = containerClient.getBlobClient(markerPath);
-    
-    try {
-      const exists = await blobClient.exists();
-      if (exists) {
-        await blobClient.delete();
-        console.log(`Deleted .keep marker: ${markerPath}`);
-      } else {
-        console.log(`No .keep marker found at ${markerPath}, folder already empty`);
-      }
-    } catch (deleteError) {
-      console.warn(`Could not delete .keep marker at ${markerPath}:`, deleteError.message);
-      // Continue anyway - folder is empty
+    if (!blobCount) {
+      console.log(`No .keep marker found under ${normalized}, folder already empty`);
+      publishEvent('folder.deleted', { path: normalized, user: req.user, data: { permanent: true } });
+      return res.json({ message: 'Folder deleted successfully', folderPath: normalized });
     }
 
-    res.json({ message: 'Folder deleted successfully', folderPath: normalized });
+    // Only .keep markers left: move them to the trash so the (empty) folder can be restored
+    if (hasOverlappingFolderJob([normalized])) {
+      return res.status(409).json({ error: 'Another folder operation is in progress for this path' });
+    }
+    const report = await trashFolder(normalized, req.user);
+    console.log(`Moved empty folder to trash: ${normalized} (${report.trashId})`);
+    publishEvent('folder.deleted', { path: normalized, user: req.user, data: { permanent: false, trashId: report.trashId } });
+
+    res.json({ message: 'Folder moved to trash', folderPath: normalized, trashId: report.trashId });
   } catch (error) {
+    if (error.statusCode === 403) {
+      return sendError(res, error, 'Failed to delete folder');
+    }
     console.error('Error deleting folder:', error.message, error.stack);
     res.status(500).json({ error: 'Failed to delete folder', details: error.message });
   }
 });
 
-// DELETE /api/files/* - Delete file (Uploader+)
+// DELETE /api/files/* - Move file to the trash ("delete", or "delete.own" for files the caller uploaded)
+// ?permanent=true deletes it immediately instead ("delete.permanent")
 // Regex route to capture blob paths with slashes (e.g., subfolder/file.txt)
 // MUST be last to avoid matching more specific routes like /folders/*
-router.delete(/^\/(.+)$/i, async (req, res) => {
+router.delete(/^\/(.+)$/i, audit('delete', (req) => ({
+  paths: [req.params[0]],
+  details: { permanent: req.query.permanent === 'true' },
+})), async (req, res) => {
   try {
-    if (!checkPermission(req.user.roles, 'uploader')) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    const blobPath = normalizePath(req.params[0]);
+    assertFileAccess(req.user, blobPath, 'delete');
+    if (req.query.permanent === 'true') {
+      if (!hasPermission(req.user, 'delete.permanent')) {
+        return res.status(403).json({ error: 'Insufficient permissions for permanent delete' });
+      }
+      const entry = await storage.stat(blobPath);
+      await storage.delete(blobPath);
+      if (entry) await updateUsage({ removed: [entry] });
+      publishEvent('file.deleted', { path: blobPath, user: req.user, data: { permanent: true } });
+      return res.json({ message: 'File deleted successfully', filename: blobPath });
     }
 
-    const blobPath = req.params[0];
-    const blobClient = containerClient.getBlobClient(blobPath);
-    await blobClient.delete();
+    if (!hasPermission(req.user, 'delete')) {
+      if (!hasPermission(req.user, 'delete.own')) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      const entry = await storage.stat(blobPath);
+      if (!entry) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      if (getUploader(entry.metadata) !== req.user.objectId) {
+        return res.status(403).json({ error: 'You can only delete files you uploaded' });
+      }
+    }
 
-    res.json({ message: 'File deleted successfully', filename: blobPath });
+    const item = await trashFile(blobPath, req.user);
+    publishEvent('file.deleted', { path: blobPath, user: req.user, data: { permanent: false, trashId: item.trashId } });
+    res.json({ message: 'File moved to trash', filename: blobPath, trashId: item.trashId });
   } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (error.statusCode === 403) {
+      return sendError(res, error, 'Failed to delete file');
+    }
     console.error('Error deleting blob:', error.message);
     res.status(500).json({ error: 'Failed to delete file' });
   }
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const express = require('express');
+const {
+  subscribe,
+  eventsSince,
+  getLastSequence,
+  eventMatchesPrefix,
+} = require('../services/events');
+const { canAccessFolder, canAccessFile } = require('../services/acl');
+const { hasPermission, normalizePath } = require('./helpers');
+
+// Live change feed, mounted at /api/files/events ("list")
+//   GET /?folder=   Server-Sent Events stream of file events in the folder and below (all folders
+//                   when left out)
+// Each message is "event: <type>" with the event as JSON data (see services/events.js) and an id
+// for reconnects; a "ready" event carrying the current id opens the stream. Clients that send the
+// last id back as Last-Event-ID (or ?lastEventId=) first receive the events they missed, or a
+// "reset" event when those are gone (history overflow or a server restart) and the folder should
+// be reloaded. Events only include what the caller can read: a move or rename between a readable
+// and an unreadable folder comes with the unreadable path set to null. The stream ends with a
+// "closed" event when the caller's token expires or they lose read access to the folder; clients
+// reconnect with a fresh token (and Last-Event-ID) to continue. Events are kept per
+// process, so with several instances a client only sees the changes made through the instance it
+// is connected to.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // below common proxy idle timeouts
+const RECONNECT_DELAY_MS = 5 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout limit
+
+// Changes with every start, so ids from before a restart are recognised and answered with "reset"
+const STREAM_ID = crypto.randomBytes(4).toString('hex');
+
+const router = express.Router();
+
+// Helper: sequence from a Last-Event-ID of this process (null if missing or from another process)
+const parseLastEventId = (value) => {
+  const match = typeof value === 'string' && value.match(/^([0-9a-f]+)-(\d+)$/);
+  return match && match[1] === STREAM_ID ? parseInt(match[2], 10) : null;
+};
+
+// Helper: true if the user may read the file or folder at path
+const canRead = (user, event, path) => (event.type.startsWith('folder.')
+  ? canAccessFolder(user, path, 'read')
+  : canAccessFile(user, path, 'read'));
+
+// Helper: the event as the user may see it (null when it touches nothing they can read)
+const visibleEvent = (user, event) => {
+  const pathVisible = canRead(user, event, event.path);
+  if (!event.previousPath) return pathVisible ? event : null;
+  const previousVisible = canRead(user, event, event.previousPath);
+  if (!pathVisible && !previousVisible) return null;
+  return {
+    ...event,
+    path: pathVisible ? event.path : null,
+    previousPath: previousVisible ? event.previousPath : null,
+  };
+};
+
+// GET /api/files/events?folder= - Server-Sent Events stream of changes ("list" and read access)
+router.get('/', (req, res) => {
+  if (!hasPermission(req.user, 'list') || req.user.isTokenAuth) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  const folder = req.query.folder ? normalizePath(req.query.folder) : '';
+  if (!canAccessFolder(req.user, folder, 'read')) {
+    return res.status(403).json({ error: 'Access denied', folder: folder || '/', right: 'read' });
+  }
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx and similar proxies: do not buffer the stream
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  let closed = false;
+  const close = (reason) => {
+    if (closed) return;
+    closed = true;
+    res.end(`event: closed\ndata: ${JSON.stringify({ reason })}\n\n`);
+  };
+
+  const send = (event) => {
+    if (closed || !eventMatchesPrefix(event, folder)) return;
+    // ACLs may have changed since the stream opened
+    if (!canAccessFolder(req.user, folder, 'read')) {
+      close('Access to the folder was revoked');
+      return;
+    }
+    const visible = visibleEvent(req.user, event);
+    if (!visible) return;
+    res.write(`id: ${STREAM_ID}-${event.sequence}\nevent: ${event.type}\ndata: ${JSON.stringify(visible)}\n\n`);
+  };
+
+  if (lastEventId) {
+    const missed = eventsSince(parseLastEventId(lastEventId));
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available; reload the folder' })}\n\n`);
+    }
+  }
+  res.write(`id: ${STREAM_ID}-${getLastSequence()}\nevent: ready\ndata: ${JSON.stringify({ folder: folder || '/' })}\n\n`);
+
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  const expiry = req.user.tokenExpiresAt
+    ? setTimeout(() => close('Token expired'), Math.min(Math.max(req.user.tokenExpiresAt - Date.now(), 0), MAX_TIMER_MS))
+    : null;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const storage = require('../storage');
+const { httpError } = require('../services/errors');
+const { CONFLICT_POLICIES, findAvailablePath } = require('../services/conflicts');
+const { checksumsFromMetadata, toHashFields, setChecksumHeaders } = require('../services/checksums');
+const { fromStoredMetadata, getUploader } = require('../services/metadata');
+const { detectionFromMetadata } = require('../services/contentDetection');
+const { scanFromMetadata, assertScanned } = require('../services/scanning');
+const { hasPermission } = require('../services/permissions');
+const { attachmentDisposition } = require('../services/contentDisposition');
+
+// Shared route helpers (permissions, path handling, write conflicts and downloads)
+
+// Helper: normalize path (remove leading/trailing slashes)
+const normalizePath = (path) => {
+  return path.replace(/^\/+|\/+$/g, '');
+};
+
+// Helper: get folder path from file path
+const getFolderPath = (path) => {
+  const normalized = normalizePath(path);
+  const lastSlash = normalized.lastIndexOf('/');
+  return lastSlash === -1 ? '' : normalized.substring(0, lastSlash);
+};
+
+// Helper: get file/folder name from path
+const getBaseName = (path) => {
+  const normalized = normalizePath(path);
+  const lastSlash = normalized.lastIndexOf('/');
+  return lastSlash === -1 ? normalized : normalized.substring(lastSlash + 1);
+};
+
+
+// Helper: join a folder and a name into a blob path
+const joinPath = (folder, name) => {
+  const normalizedFolder = folder ? normalizePath(folder) : '';
+  return normalizedFolder ? normalizedFolder + '/' + name : name;
+};
+
+// Helper: file shape shared by listing and search responses
+// Includes contentHash / contentMd5 when the blob has stored checksums, the uploader's object ID if
+// recorded, the malware scan status when scanning is on, and user metadata and tags
+const toFileInfo = (entry) => {
+  const checksums = checksumsFromMetadata(entry.metadata);
+  return {
+    name: getBaseName(entry.name),
+    fullPath: normalizePath(entry.name),
+    size: entry.size,
+    created: entry.createdOn,
+    lastModified: entry.lastModified,
+    contentType: entry.contentType,
+    etag: entry.etag,
+    ...(checksums.sha256 && toHashFields(checksums)),
+    ...(getUploader(entry.metadata) && { uploadedBy: getUploader(entry.metadata) }),
+    ...detectionFromMetadata(entry.metadata),
+    ...scanFromMetadata(entry.metadata),
+    ...fromStoredMetadata(entry.metadata),
+    type: 'file',
+  };
+};
+
+// Helper: If-Match / If-None-Match request headers as storage access conditions
+const getPreconditions = (req) => ({
+  ifMatch: req.get('if-match') || undefined,
+  ifNoneMatch: req.get('if-none-match') || undefined,
+});
+
+/**
+ * Decide where a file write goes under an onConflict policy (fail | overwrite | rename) and
+ * If-Match / If-None-Match preconditions. Resolves with { path, conditions, replaces }; pass
+ * conditions to the storage write so it fails if the destination changes in the meantime, and
+ * replaces (the entry an overwrite replaces, if any) to the quota reservation's commit.
+ * A matching If-Match overwrites the file even under the fail policy (rename does not apply).
+ * Rejects with 412 (precondition failed) or 409 (policy fail), with the existing file as `existing`.
+ */
+const resolveDestination = async (path, { onConflict = 'fail', ifMatch, ifNoneMatch } = {}) => {
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw httpError(400, `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+  }
+  const existing = await storage.stat(path);
+  const details = existing ? { existing: toFileInfo(existing) } : undefined;
+
+  if ((ifMatch && (!existing || (ifMatch !== '*' && ifMatch !== existing.etag)))
+    || (ifNoneMatch && existing && (ifNoneMatch === '*' || ifNoneMatch === existing.etag))) {
+    throw httpError(412, 'Precondition failed', details);
+  }
+  if (!existing) {
+    return { path, conditions: { ifNoneMatch: '*' } };
+  }
+  // A matching If-Match names the version to replace, which is an overwrite whatever the policy
+  if (ifMatch) {
+    return { path, conditions: { ifMatch: existing.etag }, replaces: existing };
+  }
+  if (onConflict === 'fail') {
+    throw httpError(409, 'A file already exists at the destination', details);
+  }
+  if (onConflict === 'rename') {
+    const renamed = await findAvailablePath(path, (candidate) => storage.exists(candidate));
+    return { path: renamed, conditions: { ifNoneMatch: '*' } };
+  }
+  // Overwrite exactly the version that was checked
+  return { path, conditions: { ifMatch: existing.etag }, replaces: existing };
+};
+
+// Helper: map a storage write that failed its access conditions (a concurrent change) to 409/412
+// with the file now at the destination; other errors are returned unchanged
+const toConflictError = async (error, path) => {
+  if (error.statusCode !== 412 && error.code !== 'BlobAlreadyExists') return error;
+  const existing = await storage.stat(path);
+  const details = existing ? { existing: toFileInfo(existing) } : undefined;
+  return error.statusCode === 412
+    ? httpError(412, 'Precondition failed', details)
+    : httpError(409, 'A file already exists at the destination', details);
+};
+
+// Helper: set entity headers shared by GET and HEAD downloads
+const setDownloadHeaders = (res, blobPath, props) => {
+  res.setHeader('Content-Type', props.contentType || 'application/octet-stream');
+  // The stored type was detected from the content on upload; browsers must not guess another
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  const filename = blobPath.split('/').pop() || blobPath;
+  res.setHeader('Content-Disposition', attachmentDisposition(filename));
+  res.setHeader('Accept-Ranges', 'bytes');
+  if (props.etag) res.setHeader('ETag', props.etag);
+  if (props.lastModified) res.setHeader('Last-Modified', new Date(props.lastModified).toUTCString());
+};
+
+// Helper: If-Range precondition - a Range only applies if the validator still matches
+const ifRangeMatches = (req, props) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return !ifRange.startsWith('W/') && ifRange === props.etag;
+  }
+  const since = Date.parse(ifRange);
+  return !Number.isNaN(since) && props.lastModified
+    && Math.floor(new Date(props.lastModified).getTime() / 1000) <= Math.floor(since / 1000);
+};
+
+/**
+ * The byte range a download serves: one { start, end } range, null for the full body (no Range,
+ * a stale If-Range, or several ranges) or -1 when the range cannot be satisfied.
+ */
+const resolveRange = (req, props) => {
+  if (!req.headers.range || !(props.size > 0) || !ifRangeMatches(req, props)) return null;
+  const ranges = req.range(props.size, { combine: true });
+  if (ranges === -1) return -1;
+  return Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+};
+
+/**
+ * Send a file download: entity headers, 304 for a fresh conditional request, a single byte Range
+ * as 206 (416 if unsatisfiable), then the content streamed from storage.
+ * props is the file's storage.stat() result. Rejects with 409 (before anything is sent) while the
+ * file has not passed its malware scan.
+ */
+const streamDownload = async (req, res, blobPath, props) => {
+  assertScanned(props, blobPath);
+  setDownloadHeaders(res, blobPath, props);
+
+  // req.fresh compares If-None-Match / If-Modified-Since with the ETag / Last-Modified set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // Single byte ranges only; multi-range requests fall back to the full body
+  const range = resolveRange(req, props);
+  if (range === -1) {
+    res.setHeader('Content-Range', `bytes */${props.size}`);
+    return res.status(416).json({ error: 'Requested range not satisfiable' });
+  }
+
+  const download = range
+    ? await storage.read(blobPath, { offset: range.start, count: range.end - range.start + 1 })
+    : await storage.read(blobPath);
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${props.size}`);
+  }
+  // Digest covers the whole file; Content-MD5 only describes a full (non-range) body
+  setChecksumHeaders(res, props.metadata, { fullBody: !range });
+  res.setHeader('Content-Length', download.contentLength);
+
+  download.stream.on('error', (streamError) => {
+    console.error(`Download stream failed: ${blobPath}`, streamError.message);
+    res.destroy(streamError);
+  });
+  download.stream.pipe(res);
+};
+
+// Helper: report service errors with their status (500 for unexpected errors)
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode && error.statusCode < 500) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  console.error(`${fallbackMessage}:`, error.message);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+module.exports = {
+  hasPermission,
+  normalizePath,
+  getFolderPath,
+  getBaseName,
+  joinPath,
+  toFileInfo,
+  getPreconditions,
+  resolveDestination,
+  toConflictError,
+  setDownloadHeaders,
+  resolveRange,
+  streamDownload,
+  sendError,
+};
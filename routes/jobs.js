@@ -0,0 +1,26 @@
+const express = require('express');
+const { getJob, listJobs, toJobView } = require('../services/jobs');
+const { hasPermission } = require('./helpers');
+
+// Background job status, mounted at /api/files/jobs
+// Users see their own jobs; users with the "admin" action see all jobs
+
+const router = express.Router();
+
+// GET /api/files/jobs - List jobs (own jobs; Admin: all)
+router.get('/', (req, res) => {
+  const isAdmin = hasPermission(req.user, 'admin');
+  const jobs = listJobs({ owner: isAdmin ? undefined : req.user.objectId });
+  res.json({ jobs: jobs.map(toJobView) });
+});
+
+// GET /api/files/jobs/:jobId - Job status, progress and final report
+router.get('/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job || (job.owner !== req.user.objectId && !hasPermission(req.user, 'admin'))) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(toJobView(job));
+});
+
+module.exports = router;
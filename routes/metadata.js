@@ -0,0 +1,117 @@
+const express = require('express');
+const storage = require('../storage');
+const { httpError } = require('../services/errors');
+const { folderExists } = require('../services/folders');
+const { toStoredMetadata, fromStoredMetadata, applyUpdate } = require('../services/metadata');
+const { assertFileAccess, assertFolderAccess } = require('../services/acl');
+const {
+  hasPermission,
+  normalizePath,
+  getPreconditions,
+  sendError,
+} = require('./helpers');
+
+// User metadata and tags, mounted at /api/files/metadata
+//   GET   /*   read { metadata, tags } of a file or folder ("list")
+//   PUT   /*   replace metadata and/or tags ("metadata.write")
+//   PATCH /*   merge: metadata keys set or removed (null), addTags / removeTags ("metadata.write")
+// The path names a file if one exists there, otherwise a folder; ?type=file|folder forces one.
+// Folder metadata lives on the folder's .keep marker, which is created if the folder has none.
+// Folder ACLs apply: reading needs read access, changing needs write access.
+
+const router = express.Router();
+
+const FOLDER_MARKER_CONTENT_TYPE = 'application/x-msdownload';
+
+// Helper: find the blob holding a path's metadata ({ type, path, blobPath, entry })
+const resolveTarget = async (path, type) => {
+  if (type !== undefined && type !== 'file' && type !== 'folder') {
+    throw httpError(400, 'type must be file or folder');
+  }
+  if (type !== 'folder') {
+    const entry = await storage.stat(path);
+    if (entry) return { type: 'file', path, blobPath: path, entry };
+    if (type === 'file') throw httpError(404, 'File not found');
+  }
+  const markerPath = `${path}/.keep`;
+  const marker = await storage.stat(markerPath);
+  if (marker || await folderExists(path)) {
+    return { type: 'folder', path, blobPath: markerPath, entry: marker };
+  }
+  throw httpError(404, type === 'folder' ? 'Folder not found' : 'File or folder not found');
+};
+
+// Helper: 403 unless the user has the right on the target (a file's folder, or the folder itself)
+const assertTargetAccess = (user, target, right) => (target.type === 'file'
+  ? assertFileAccess(user, target.path, right)
+  : assertFolderAccess(user, target.path, right));
+
+const toMetadataView = (target, entry) => ({
+  path: target.path,
+  type: target.type,
+  ...fromStoredMetadata(entry ? entry.metadata : {}),
+  etag: entry ? entry.etag : null,
+  lastModified: entry ? entry.lastModified : null,
+});
+
+// Helper: replace or merge the target's metadata, honouring If-Match against its current ETag
+// A change made between reading and writing the metadata also answers 412
+const updateMetadata = async (req, res, { replace }) => {
+  try {
+    if (!hasPermission(req.user, 'metadata.write')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    const target = await resolveTarget(normalizePath(req.params[0] || ''), req.query.type);
+    assertTargetAccess(req.user, target, 'write');
+    const current = target.entry ? target.entry.metadata : {};
+    const { ifMatch } = getPreconditions(req);
+    if (ifMatch && ifMatch !== '*' && (!target.entry || target.entry.etag !== ifMatch)) {
+      return res.status(412).json({ error: 'Precondition failed', etag: target.entry ? target.entry.etag : null });
+    }
+
+    const updated = applyUpdate(fromStoredMetadata(current), req.body || {}, { replace });
+    const stored = toStoredMetadata(updated, current);
+    try {
+      // Only the version read above is changed, so a concurrent update is never merged away
+      if (target.entry) {
+        await storage.setMetadata(target.blobPath, stored, { conditions: { ifMatch: target.entry.etag } });
+      } else {
+        await storage.write(target.blobPath, Buffer.alloc(0), {
+          contentType: FOLDER_MARKER_CONTENT_TYPE,
+          metadata: stored,
+          conditions: { ifNoneMatch: '*' },
+        });
+      }
+    } catch (error) {
+      if (error.statusCode !== 412 && error.statusCode !== 409) throw error;
+      const latest = await storage.stat(target.blobPath);
+      return res.status(412).json({ error: 'Precondition failed', etag: latest ? latest.etag : null });
+    }
+    console.log(`Metadata updated: ${target.type} ${target.path}`);
+    res.json(toMetadataView(target, await storage.stat(target.blobPath)));
+  } catch (error) {
+    sendError(res, error, 'Failed to update metadata');
+  }
+};
+
+// GET /api/files/metadata/* - Metadata and tags of a file or folder ("list")
+router.get(/^\/(.+)$/i, async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'list')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    const target = await resolveTarget(normalizePath(req.params[0] || ''), req.query.type);
+    assertTargetAccess(req.user, target, 'read');
+    res.json(toMetadataView(target, target.entry));
+  } catch (error) {
+    sendError(res, error, 'Failed to read metadata');
+  }
+});
+
+// PUT /api/files/metadata/* - Replace metadata and/or tags ("metadata.write")
+router.put(/^\/(.+)$/i, express.json(), (req, res) => updateMetadata(req, res, { replace: true }));
+
+// PATCH /api/files/metadata/* - Merge metadata and add/remove tags ("metadata.write")
+router.patch(/^\/(.+)$/i, express.json(), (req, res) => updateMetadata(req, res, { replace: false }));
+
+module.exports = router;
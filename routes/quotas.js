@@ -0,0 +1,90 @@
+const express = require('express');
+const { getFolderPolicy, getUserQuota, listFolderQuotas } = require('../services/uploadPolicy');
+const {
+  getUserUsage,
+  getFolderUsage,
+  getUsageReport,
+  recountUsage,
+  quotaFoldersFor,
+} = require('../services/quotas');
+const { canAccessFolder } = require('../services/acl');
+const { hasPermission, normalizePath, sendError } = require('./helpers');
+const { audit } = require('../middleware/audit');
+
+// Storage quotas and upload policy, mounted at /api/files/quotas
+//   GET  /          the caller's usage and quota, plus quotas of folders they can read
+//   GET  /policy    upload rules that apply in ?folder= (and the folder quotas covering it)
+//   GET  /report    usage of every user and quota folder ("quota.report")
+//   POST /recount   recount usage from storage now ("quota.report")
+
+const router = express.Router();
+
+// Helper: usage with what is left of a limit (remaining: null when unlimited)
+const withRemaining = (limit, usage) => ({
+  limit,
+  ...usage,
+  remaining: limit === null ? null : Math.max(0, limit - usage.used - usage.pending),
+});
+
+// Helper: a folder quota as shown to users
+const toFolderQuota = (quota) => ({ path: quota.path || '/', ...withRemaining(quota.limit, getFolderUsage(quota.path)) });
+
+// GET /api/files/quotas - The caller's storage usage
+router.get('/', (req, res) => {
+  res.json({
+    user: withRemaining(getUserQuota(req.user), getUserUsage(req.user.objectId)),
+    folders: listFolderQuotas()
+      .filter((quota) => canAccessFolder(req.user, quota.path, 'read'))
+      .map(toFolderQuota),
+    recountedAt: getUsageReport().recountedAt,
+  });
+});
+
+// GET /api/files/quotas/policy?folder= - Upload rules for a folder ("upload")
+router.get('/policy', (req, res) => {
+  if (!hasPermission(req.user, 'upload')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  const folder = req.query.folder ? normalizePath(req.query.folder) : '';
+  if (!canAccessFolder(req.user, folder, 'read')) {
+    return res.status(403).json({ error: 'Access denied', folder: folder || '/', right: 'read' });
+  }
+  const { ruleFolder, ...rules } = getFolderPolicy(folder);
+  res.json({
+    folder: folder || '/',
+    ruleFolder: ruleFolder === null ? null : ruleFolder || '/',
+    ...rules,
+    quotas: quotaFoldersFor(`${folder}/`).map(toFolderQuota),
+  });
+});
+
+// GET /api/files/quotas/report - Usage of every user and quota folder ("quota.report")
+router.get('/report', (req, res) => {
+  if (!hasPermission(req.user, 'quota.report')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  const report = getUsageReport();
+  res.json({
+    recountedAt: report.recountedAt,
+    users: report.users
+      .map((entry) => ({ userId: entry.userId, ...withRemaining(entry.limit, { used: entry.used, pending: entry.pending }) }))
+      .sort((a, b) => b.used - a.used),
+    folders: listFolderQuotas().map(toFolderQuota),
+  });
+});
+
+// POST /api/files/quotas/recount - Recount usage from storage ("quota.report")
+router.post('/recount', audit('quota.recount'), async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'quota.report')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    const result = await recountUsage();
+    res.locals.audit.details = { files: result.files };
+    res.json({ message: 'Usage recounted', files: result.files, recountedAt: result.recountedAt });
+  } catch (error) {
+    sendError(res, error, 'Failed to recount usage');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const {
+  getScanningStatus,
+  rescanFile,
+  listQuarantine,
+  getQuarantineItem,
+  toQuarantineView,
+  releaseQuarantined,
+  deleteQuarantined,
+} = require('../services/scanning');
+const { hasPermission, normalizePath, sendError } = require('./helpers');
+const { audit } = require('../middleware/audit');
+
+// Malware scanning and quarantine, mounted at /api/files/scan ("admin" only)
+//   GET    /                           scanner, queue and quarantine counts
+//   POST   /rescan                     { path } scan a file again (e.g. after a scan error)
+//   GET    /quarantine                 infected files held in the quarantine
+//   POST   /quarantine/:id/release     restore a false positive ({ path } to restore elsewhere)
+//   DELETE /quarantine/:id             delete a quarantined file for good
+
+const router = express.Router();
+
+// Helper: 403 unless the caller is an admin (after audit() so denied attempts are recorded)
+const requireAdmin = (req, res, next) => {
+  if (!hasPermission(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Helper: load :quarantineId (404 unknown)
+const loadItem = (req, res, next) => {
+  const item = getQuarantineItem(req.params.quarantineId);
+  if (!item) {
+    return res.status(404).json({ error: 'Quarantined file not found' });
+  }
+  req.quarantineItem = item;
+  next();
+};
+
+// GET /api/files/scan - Scanner status
+router.get('/', requireAdmin, (req, res) => {
+  res.json(getScanningStatus());
+});
+
+// POST /api/files/scan/rescan - Mark a file pending and scan it again
+router.post('/rescan', express.json(), audit('scan.rescan', (req) => ({ paths: [req.body.path] })), requireAdmin, async (req, res) => {
+  try {
+    if (!req.body.path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+    const result = await rescanFile(normalizePath(req.body.path));
+    res.status(202).json({ message: 'File queued for scanning', ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to queue scan');
+  }
+});
+
+// GET /api/files/scan/quarantine - Quarantined files, newest first
+router.get('/quarantine', requireAdmin, (req, res) => {
+  const items = listQuarantine().map(toQuarantineView);
+  res.json({ items, count: items.length });
+});
+
+// POST /api/files/scan/quarantine/:quarantineId/release - Restore a quarantined file, marked clean
+router.post('/quarantine/:quarantineId/release', express.json(), audit('quarantine.release', (req) => ({
+  details: { quarantineId: req.params.quarantineId },
+})), requireAdmin, loadItem, async (req, res) => {
+  try {
+    const path = req.body && req.body.path ? normalizePath(req.body.path) : undefined;
+    const result = await releaseQuarantined(req.quarantineItem, req.user, { path });
+    res.locals.audit.paths = [result.path];
+    res.json({ message: 'File released from quarantine', ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to release file');
+  }
+});
+
+// DELETE /api/files/scan/quarantine/:quarantineId - Delete a quarantined file
+router.delete('/quarantine/:quarantineId', audit('quarantine.delete', (req) => ({
+  details: { quarantineId: req.params.quarantineId },
+})), requireAdmin, loadItem, async (req, res) => {
+  try {
+    res.locals.audit.paths = [req.quarantineItem.originalPath];
+    await deleteQuarantined(req.quarantineItem);
+    res.json({ message: 'Quarantined file deleted', quarantineId: req.quarantineItem.quarantineId });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete quarantined file');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const storage = require('../storage');
+const {
+  getShare,
+  unlockShare,
+  verifyAccess,
+  recordShareDownload,
+  isExpired,
+  isExhausted,
+} = require('../services/shares');
+const { listFolder, isReservedPath } = require('../services/listing');
+const { folderExists } = require('../services/folders');
+const { resolveSelection, streamZip } = require('../services/archive');
+const { httpError } = require('../services/errors');
+const { assertScanned } = require('../services/scanning');
+const { normalizePath, getBaseName, resolveRange, streamDownload, sendError } = require('./helpers');
+const { audit } = require('../middleware/audit');
+
+// Share link access for recipients, mounted at /api/shares (no bearer auth; the link is the grant)
+//   GET  /:shareId               what the link points to
+//   POST /:shareId/unlock        { password } -> { accessToken } for password-protected links
+//   GET  /:shareId/download      the file, or the folder as a ZIP (?folder= a subfolder with allowBrowse)
+//   GET  /:shareId/list          browse a shared folder (allowBrowse): ?folder=, pageSize, continuationToken
+//   GET  /:shareId/files/*       one file inside a shared folder (allowBrowse)
+// Password-protected links take the access token as ?access= or X-Share-Access, or the password
+// itself as X-Share-Password. Every download that sends the first byte counts against maxDownloads
+// (the full body, or a range starting at byte 0); only ranges resuming past the first byte do not.
+
+const router = express.Router();
+
+// Helper: load :shareId (404 unknown or revoked, 410 expired)
+const loadShare = (req, res, next) => {
+  const share = getShare(req.params.shareId);
+  if (!share) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+  if (isExpired(share)) {
+    return res.status(410).json({ error: 'Share link has expired' });
+  }
+  req.share = share;
+  next();
+};
+
+// Helper: require the password (or an access token) for protected links
+const requireAccess = async (req, res, next) => {
+  const { share } = req;
+  if (!share.password) return next();
+  try {
+    const accessToken = req.query.access || req.get('x-share-access');
+    if (accessToken && verifyAccess(share, accessToken)) return next();
+    const password = req.get('x-share-password');
+    if (password) {
+      await unlockShare(share, password);
+      return next();
+    }
+    res.status(401).json({ error: 'Password required', code: 'password_required' });
+  } catch (error) {
+    sendError(res, error, 'Failed to check share password');
+  }
+};
+
+// Helper: require a folder link with browsing enabled
+const requireBrowse = (req, res, next) => {
+  if (!req.share.allowBrowse) {
+    return res.status(403).json({ error: 'Browsing is not enabled for this share link' });
+  }
+  next();
+};
+
+// Helper: storage path of a path relative to the shared folder; 400 for "." / ".." segments
+const resolveInShare = (share, relativePath) => {
+  const relative = normalizePath(String(relativePath || ''));
+  if (!relative) return share.path;
+  if (relative.split('/').some((segment) => segment === '.' || segment === '..' || !segment)) {
+    throw httpError(400, 'Invalid path');
+  }
+  const fullPath = `${share.path}/${relative}`;
+  if (isReservedPath(fullPath)) throw httpError(400, 'Invalid path');
+  return fullPath;
+};
+
+// Helper: path relative to the shared folder
+const toSharePath = (share, fullPath) => normalizePath(fullPath).slice(share.path.length + 1);
+
+// Helper: true if the request resumes a download instead of starting one - judged by the range
+// actually served, so suffix ranges, multi-ranges and stale If-Range requests (full body) count
+const isResumedDownload = (req, props) => {
+  const range = resolveRange(req, props);
+  return range === -1 || (range !== null && range.start > 0);
+};
+
+// Helper: count a download and stream the file
+const sendSharedFile = async (req, res, filePath) => {
+  const props = await storage.stat(filePath);
+  if (!props) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  // Blocked files must not use up a download
+  assertScanned(props, filePath);
+  if (!isResumedDownload(req, props)) {
+    await recordShareDownload(req.share);
+  } else if (isExhausted(req.share)) {
+    return res.status(410).json({ error: 'Download limit reached' });
+  }
+  await streamDownload(req, res, filePath, props);
+};
+
+// Helper: audit record of a recipient request
+const auditShare = (action) => audit(action, (req) => ({ details: { shareId: req.params.shareId } }));
+
+// GET /api/shares/:shareId - Link details (name and type only until a password-protected link is unlocked)
+router.get('/:shareId', loadShare, (req, res) => {
+  const { share } = req;
+  const unlocked = !share.password || verifyAccess(share, req.query.access || req.get('x-share-access'));
+  res.json({
+    type: share.type,
+    name: share.name,
+    requiresPassword: !!share.password,
+    expiresAt: share.expiresAt,
+    ...(unlocked && {
+      allowBrowse: share.allowBrowse,
+      downloadsRemaining: share.maxDownloads === null ? null : Math.max(0, share.maxDownloads - share.downloads),
+    }),
+  });
+});
+
+// POST /api/shares/:shareId/unlock - Exchange the password for an access token (valid one hour)
+router.post('/:shareId/unlock', express.json(), auditShare('share.unlock'), loadShare, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'password is required' });
+    }
+    res.json(await unlockShare(req.share, password));
+  } catch (error) {
+    sendError(res, error, 'Failed to unlock share link');
+  }
+});
+
+// GET /api/shares/:shareId/download - Download the shared file, or the shared folder as a ZIP
+router.get('/:shareId/download', auditShare('share.download'), loadShare, requireAccess, async (req, res) => {
+  const { share } = req;
+  try {
+    if (share.type === 'file') {
+      res.locals.audit.paths = [share.path];
+      return await sendSharedFile(req, res, share.path);
+    }
+
+    if (req.query.folder && !share.allowBrowse) {
+      return res.status(403).json({ error: 'Browsing is not enabled for this share link' });
+    }
+    const folder = resolveInShare(share, req.query.folder);
+    res.locals.audit.paths = [folder];
+    const resolved = await resolveSelection({ folder });
+    await recordShareDownload(share);
+    console.log(`Streaming shared ZIP ${resolved.archiveName} (${resolved.entries.length} entries)`);
+    await streamZip(resolved, res);
+  } catch (error) {
+    if (res.headersSent) return;
+    sendError(res, error, 'Failed to download shared content');
+  }
+});
+
+// GET /api/shares/:shareId/list - Browse a shared folder
+router.get('/:shareId/list', loadShare, requireAccess, requireBrowse, async (req, res) => {
+  const { share } = req;
+  try {
+    const folderPath = resolveInShare(share, req.query.folder);
+    if (!(await folderExists(folderPath))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : undefined;
+    const listing = await listFolder({
+      folderPath,
+      pageSize,
+      continuationToken: req.query.continuationToken,
+      sortBy: req.query.sortBy,
+      order: req.query.order,
+    });
+    res.json({
+      currentPath: toSharePath(share, folderPath) || '/',
+      folders: listing.prefixes.map((prefix) => ({
+        name: getBaseName(prefix),
+        path: toSharePath(share, prefix),
+        type: 'folder',
+      })),
+      files: listing.entries.map((entry) => ({
+        name: getBaseName(entry.name),
+        path: toSharePath(share, entry.name),
+        size: entry.size,
+        lastModified: entry.lastModified,
+        contentType: entry.contentType,
+        type: 'file',
+      })),
+      continuationToken: listing.continuationToken,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list shared folder');
+  }
+});
+
+// GET /api/shares/:shareId/files/* - Download one file from a shared folder
+router.get(/^\/(?<shareId>[^/]+)\/files\/(?<filePath>.+)$/i, auditShare('share.download'), loadShare, requireAccess, requireBrowse, async (req, res) => {
+  try {
+    const filePath = resolveInShare(req.share, req.params.filePath);
+    res.locals.audit.paths = [filePath];
+    await sendSharedFile(req, res, filePath);
+  } catch (error) {
+    if (res.headersSent) return;
+    sendError(res, error, 'Failed to download shared file');
+  }
+});
+
+module.exports = router;
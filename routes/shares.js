@@ -0,0 +1,90 @@
+const express = require('express');
+const {
+  createShare,
+  getShare,
+  listShares,
+  revokeShare,
+  toShareView,
+} = require('../services/shares');
+const { folderExists } = require('../services/folders');
+const { assertFileAccess, assertTreeAccess } = require('../services/acl');
+const { hasPermission, normalizePath, sendError } = require('./helpers');
+const { audit } = require('../middleware/audit');
+
+// Share link management, mounted at /api/files/shares
+// Users with "share" (and "download") create links for what they can read and list or revoke
+// their own; "admin" sees and revokes everyone's. Recipients use the links through
+// /api/shares (see routes/shareAccess.js).
+
+const router = express.Router();
+
+// Helper: true if the user may manage share links at all
+const canShare = (user) => hasPermission(user, 'share') && hasPermission(user, 'download');
+
+// Helper: load :shareId for its creator or an admin (404 otherwise)
+const loadShare = (req, res, next) => {
+  const share = getShare(req.params.shareId);
+  if (!share || (share.createdBy.objectId !== req.user.objectId && !hasPermission(req.user, 'admin'))) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+  req.share = share;
+  next();
+};
+
+// POST /api/files/shares - Create a share link ("share" and "download")
+// { path, expiresAt | expiresIn, password, maxDownloads, allowBrowse }
+// The caller needs read access to the file, or to the folder and every folder below it
+router.post('/', express.json(), audit('share.create', (req) => ({ paths: [req.body.path] })), async (req, res) => {
+  try {
+    if (!canShare(req.user)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    const body = req.body || {};
+    const path = typeof body.path === 'string' ? normalizePath(body.path) : '';
+    if (!path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+    if (await folderExists(path)) assertTreeAccess(req.user, path, 'read');
+    else assertFileAccess(req.user, path, 'read');
+
+    const share = await createShare({ ...body, path }, req.user);
+    res.locals.audit.details = {
+      shareId: share.shareId,
+      expiresAt: share.expiresAt,
+      hasPassword: !!share.password,
+      maxDownloads: share.maxDownloads,
+      allowBrowse: share.allowBrowse,
+    };
+    res.status(201).json(toShareView(share));
+  } catch (error) {
+    sendError(res, error, 'Failed to create share link');
+  }
+});
+
+// GET /api/files/shares - List share links (own; "admin": all)
+router.get('/', (req, res) => {
+  if (!canShare(req.user) && !hasPermission(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  const isAdmin = hasPermission(req.user, 'admin');
+  const links = listShares({ createdBy: isAdmin ? undefined : req.user.objectId });
+  res.json({ shares: links.map(toShareView) });
+});
+
+// GET /api/files/shares/:shareId - Share link details
+router.get('/:shareId', loadShare, (req, res) => {
+  res.json(toShareView(req.share));
+});
+
+// DELETE /api/files/shares/:shareId - Revoke a share link
+router.delete('/:shareId', audit('share.revoke'), loadShare, async (req, res) => {
+  res.locals.audit = { paths: [req.share.path], details: { shareId: req.share.shareId } };
+  try {
+    await revokeShare(req.share.shareId);
+    res.json({ message: 'Share link revoked', shareId: req.share.shareId });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke share link');
+  }
+});
+
+module.exports = router;
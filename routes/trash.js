@@ -0,0 +1,180 @@
+const express = require('express');
+const {
+  getTrashItem,
+  listTrash,
+  toTrashView,
+  findRestoreCollisions,
+  restoreFile,
+  restoreFolder,
+  purgeItem,
+  purgeItems,
+} = require('../services/trash');
+const { folderExists } = require('../services/folders');
+const { CONFLICT_POLICIES, findAvailablePath } = require('../services/conflicts');
+const { startJob, hasOverlappingFolderJob } = require('../services/jobs');
+const { assertFileAccess, assertFolderAccess } = require('../services/acl');
+const {
+  hasPermission,
+  normalizePath,
+  resolveDestination,
+  toConflictError,
+  sendError,
+} = require('./helpers');
+const { audit } = require('../middleware/audit');
+
+// Trash bin, mounted at /api/files/trash
+// Users with "trash.restore" see and restore what they deleted, "trash.purge" permanently deletes;
+// "admin" extends both to everyone's deletions
+
+const router = express.Router();
+
+// Helper: true if the user may use the trash at all
+const canUseTrash = (user) => hasPermission(user, 'trash.restore') || hasPermission(user, 'trash.purge');
+
+// Helper: load :trashId for its deleter or an admin (404 otherwise)
+const loadItem = (req, res, next) => {
+  if (!canUseTrash(req.user)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  const item = getTrashItem(req.params.trashId);
+  if (!item || (item.deletedBy.objectId !== req.user.objectId && !hasPermission(req.user, 'admin'))) {
+    return res.status(404).json({ error: 'Trash item not found' });
+  }
+  req.trashItem = item;
+  next();
+};
+
+// GET /api/files/trash - List trash (own deletions; "admin": all)
+router.get('/', (req, res) => {
+  if (!canUseTrash(req.user)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  const isAdmin = hasPermission(req.user, 'admin');
+  const trashItems = listTrash({ deletedBy: isAdmin ? undefined : req.user.objectId });
+  res.json({ items: trashItems.map(toTrashView) });
+});
+
+// DELETE /api/files/trash - Empty the trash as a background job ("trash.purge")
+// Purges the caller's own deletions, or everything with "admin"
+router.delete('/', audit('trash.purge', () => ({ details: { all: true } })), (req, res) => {
+  if (!hasPermission(req.user, 'trash.purge')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  const isAdmin = hasPermission(req.user, 'admin');
+  const trashItems = listTrash({ deletedBy: isAdmin ? undefined : req.user.objectId });
+  const job = startJob({
+    type: 'trash.purge',
+    owner: req.user.objectId,
+    params: { items: trashItems.length },
+    run: (job) => purgeItems(trashItems, job),
+  });
+  res.locals.audit.details = { all: true, items: trashItems.length, jobId: job.jobId };
+  console.log(`Emptying trash: ${trashItems.length} item(s) (job ${job.jobId})`);
+  res.status(202).json({
+    message: 'Trash purge started',
+    jobId: job.jobId,
+    statusUrl: `/api/files/jobs/${job.jobId}`,
+  });
+});
+
+// GET /api/files/trash/:trashId - Trash item details
+router.get('/:trashId', loadItem, (req, res) => {
+  res.json(toTrashView(req.trashItem));
+});
+
+// POST /api/files/trash/:trashId/restore - Restore to the original path (or destinationPath) ("trash.restore")
+// onConflict: fail (default, 409), overwrite, or rename to "name (1).ext"
+// Files are restored synchronously; folders as a background job (202)
+router.post('/:trashId/restore', audit('trash.restore', (req) => ({ details: { trashId: req.params.trashId } })), loadItem, async (req, res) => {
+  const item = req.trashItem;
+  const { destinationPath, onConflict = 'fail' } = req.body || {};
+  let targetPath = destinationPath ? normalizePath(destinationPath) : item.originalPath;
+  res.locals.audit.paths = [item.originalPath, targetPath];
+  try {
+    if (!hasPermission(req.user, 'trash.restore')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      return res.status(400).json({ error: `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}` });
+    }
+    if (!targetPath) {
+      return res.status(400).json({ error: 'destinationPath is invalid' });
+    }
+
+    if (item.type === 'file') {
+      assertFileAccess(req.user, targetPath, 'write');
+      const destination = await resolveDestination(targetPath, { onConflict });
+      targetPath = destination.path;
+      res.locals.audit.paths = [item.originalPath, targetPath];
+      const restored = await restoreFile(item, destination);
+      return res.json({ message: 'File restored', ...restored });
+    }
+
+    assertFolderAccess(req.user, targetPath, 'write');
+    if (onConflict === 'rename' && await folderExists(targetPath)) {
+      targetPath = await findAvailablePath(targetPath, folderExists, { isFolder: true });
+    } else if (onConflict === 'fail') {
+      const conflicts = await findRestoreCollisions(item, targetPath);
+      if (conflicts.length) {
+        return res.status(409).json({
+          error: 'Restore path already contains files with the same names',
+          conflicts: conflicts.slice(0, 100),
+        });
+      }
+    }
+    if (hasOverlappingFolderJob([targetPath])) {
+      return res.status(409).json({ error: 'Another folder operation is in progress for this path' });
+    }
+
+    const job = startJob({
+      type: 'folder.restore',
+      owner: req.user.objectId,
+      params: { trashId: item.trashId, destinationPath: targetPath },
+      run: (job) => restoreFolder(item, targetPath, job),
+    });
+    res.locals.audit = { paths: [item.originalPath, targetPath], details: { trashId: item.trashId, jobId: job.jobId } };
+    console.log(`Folder restore started: ${item.trashId} -> ${targetPath} (job ${job.jobId})`);
+    res.status(202).json({
+      message: 'Folder restore started',
+      trashId: item.trashId,
+      path: targetPath,
+      jobId: job.jobId,
+      statusUrl: `/api/files/jobs/${job.jobId}`,
+    });
+  } catch (error) {
+    sendError(res, await toConflictError(error, targetPath), 'Failed to restore from trash');
+  }
+});
+
+// DELETE /api/files/trash/:trashId - Permanently delete one item ("trash.purge")
+// Files are purged synchronously; folders as a background job (202)
+router.delete('/:trashId', audit('trash.purge', (req) => ({ details: { trashId: req.params.trashId } })), loadItem, async (req, res) => {
+  res.locals.audit.paths = [req.trashItem.originalPath];
+  try {
+    if (!hasPermission(req.user, 'trash.purge')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    const item = req.trashItem;
+    if (item.type === 'file') {
+      const report = await purgeItem(item);
+      return res.json({ message: 'Trash item purged', ...report });
+    }
+
+    const job = startJob({
+      type: 'trash.purge',
+      owner: req.user.objectId,
+      params: { trashId: item.trashId },
+      run: (job) => purgeItem(item, job),
+    });
+    res.status(202).json({
+      message: 'Trash purge started',
+      trashId: item.trashId,
+      jobId: job.jobId,
+      statusUrl: `/api/files/jobs/${job.jobId}`,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to purge trash item');
+  }
+});
+
+module.exports = router;
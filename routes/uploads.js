@@ -0,0 +1,221 @@
+const express = require('express');
+const Busboy = require('busboy');
+const storage = require('../storage');
+const uploadSessions = require('../services/uploadSessions');
+const { httpError } = require('../services/errors');
+const { checksumsFromHeaders } = require('../services/checksums');
+const { validateMetadata, validateTags, toStoredMetadata, withUploader } = require('../services/metadata');
+const { assertFileAccess } = require('../services/acl');
+const { assertFileTypeAllowed, assertContentAllowed } = require('../services/uploadPolicy');
+const { inspectContent, SNIFF_BYTES } = require('../services/contentDetection');
+const { reserveUpload } = require('../services/quotas');
+const { publishEvent } = require('../services/events');
+const {
+  hasPermission,
+  normalizePath,
+  joinPath,
+  getPreconditions,
+  resolveDestination,
+  toConflictError,
+  sendError,
+} = require('./helpers');
+const { audit } = require('../middleware/audit');
+
+// Resumable upload sessions, mounted at /api/files/uploads
+//   POST   /                          create session { path | folder + filename, size, contentType, hash, chunkSize,
+//                                     onConflict, metadata, tags }
+//   GET    /:uploadId                 status incl. staged chunks (resume point)
+//   PUT    /:uploadId/chunks/:index   upload one chunk (multipart "file" field or raw body),
+//                                     verified against Content-MD5 / Digest headers if sent
+//   POST   /:uploadId/commit          validate completeness and size, then commit and verify hash
+//   DELETE /:uploadId                 abort and discard staged chunks
+// The upload policy is applied when the session is created (415 for a rejected file type, 413 over the
+// maximum file size or a quota) and quotas again at commit, since other uploads may have finished since.
+// The file's content type is detected from chunk 0, which is rejected (415) if the policy does not allow it.
+
+const router = express.Router();
+
+// How long the rest of an oversized chunk is read (and discarded) before answering 413 anyway
+const DRAIN_TIMEOUT_MS = 5 * 1000;
+
+// Helper: read one chunk of at most maxBytes into memory, from a multipart "file" part or the raw
+// request body. A larger chunk rejects with 413 once the client has sent the rest, which is
+// discarded, so it reads the answer instead of a reset connection. After DRAIN_TIMEOUT_MS it
+// rejects with the body still unread: the response must then close the connection (see the chunk
+// route), as the socket cannot be reused
+const readChunk = (req, maxBytes) => new Promise((resolve, reject) => {
+  let bb;
+  const collect = (stream, onDone) => {
+    const buffers = [];
+    let total = 0;
+    const onData = (data) => {
+      total += data.length;
+      if (total > maxBytes) {
+        stream.off('data', onData);
+        if (bb) req.unpipe(bb);
+        const tooLarge = () => {
+          clearTimeout(timer);
+          reject(httpError(413, `Chunk exceeds its expected size of ${maxBytes} bytes`));
+        };
+        const timer = setTimeout(tooLarge, DRAIN_TIMEOUT_MS);
+        req.once('end', tooLarge);
+        req.once('close', tooLarge);
+        req.resume();
+        return;
+      }
+      buffers.push(data);
+    };
+    stream.on('data', onData);
+    stream.on('end', () => {
+      if (total <= maxBytes) onDone(Buffer.concat(buffers, total));
+    });
+    stream.on('error', reject);
+  };
+
+  const contentType = req.headers['content-type'] || '';
+  if (!contentType.startsWith('multipart/form-data')) {
+    collect(req, resolve);
+    return;
+  }
+
+  bb = Busboy({ headers: req.headers, limits: { files: 1 } });
+  let chunk = null;
+  bb.on('file', (fieldname, file) => {
+    collect(file, (buffer) => {
+      chunk = buffer;
+    });
+  });
+  bb.on('error', reject);
+  bb.on('close', () => {
+    if (chunk) resolve(chunk);
+    else reject(httpError(400, 'No chunk data provided'));
+  });
+  req.pipe(bb);
+});
+
+// Middleware: "upload" and load the caller's session ("admin" may access any session)
+const loadSession = (req, res, next) => {
+  if (!hasPermission(req.user, 'upload')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  const session = uploadSessions.getSession(req.params.uploadId);
+  if (!session || (session.owner !== req.user.objectId && !hasPermission(req.user, 'admin'))) {
+    return res.status(404).json({ error: 'Upload session not found or expired' });
+  }
+  req.uploadSession = session;
+  next();
+};
+
+// POST /api/files/uploads - Create upload session ("upload")
+// onConflict (fail | overwrite | rename) and If-Match / If-None-Match are checked now and again on commit
+router.post('/', express.json(), async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'upload')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { path, folder, filename, size, contentType, hash, chunkSize, onConflict, metadata, tags } = req.body || {};
+    const targetPath = path ? normalizePath(path) : filename && joinPath(folder, filename);
+    if (!targetPath) {
+      return res.status(400).json({ error: 'path (or filename) is required' });
+    }
+
+    assertFileAccess(req.user, targetPath, 'write');
+    assertFileTypeAllowed(targetPath);
+    if (Number.isInteger(size)) reserveUpload(req.user, targetPath, { size }).release();
+    const storedMetadata = withUploader(
+      toStoredMetadata({ metadata: validateMetadata(metadata), tags: validateTags(tags) }),
+      req.user,
+    );
+    const destination = await resolveDestination(targetPath, { onConflict, ...getPreconditions(req) });
+    const session = await uploadSessions.createSession({
+      path: destination.path,
+      size,
+      contentType,
+      hash,
+      chunkSize,
+      owner: req.user.objectId,
+      conditions: destination.conditions,
+      metadata: storedMetadata,
+    });
+    console.log(`Upload session created: ${session.uploadId} -> ${session.path} (${session.totalChunks} chunks)`);
+    res.status(201).json(await uploadSessions.getSessionStatus(session));
+  } catch (error) {
+    sendError(res, error, 'Failed to create upload session');
+  }
+});
+
+// GET /api/files/uploads/:uploadId - Session status (owner or "admin")
+router.get('/:uploadId', loadSession, async (req, res) => {
+  try {
+    res.json(await uploadSessions.getSessionStatus(req.uploadSession));
+  } catch (error) {
+    sendError(res, error, 'Failed to get upload status');
+  }
+});
+
+// PUT /api/files/uploads/:uploadId/chunks/:index - Stage one chunk (owner or "admin")
+router.put('/:uploadId/chunks/:index', loadSession, async (req, res) => {
+  try {
+    const index = Number(req.params.index);
+    // Checksum headers describe the chunk data, not the multipart envelope
+    const expected = checksumsFromHeaders(req);
+    // Only the chunk's own size is buffered: chunkSize, or the remainder for the last chunk
+    const data = await readChunk(req, uploadSessions.getChunkSize(req.uploadSession, index));
+    let inspection;
+    if (index === 0) {
+      const session = req.uploadSession;
+      inspection = inspectContent(data.subarray(0, SNIFF_BYTES), session.path, session.contentType);
+      assertContentAllowed(session.path, inspection);
+    }
+    const result = await uploadSessions.stageChunk(req.uploadSession, index, data, expected, { inspection });
+    res.json({ message: 'Chunk uploaded', uploadId: req.uploadSession.uploadId, ...result });
+  } catch (error) {
+    // An oversized chunk the client is still sending: answer, then drop the connection
+    if (error.statusCode === 413 && !req.complete) res.set('Connection', 'close');
+    sendError(res, error, 'Failed to stage chunk');
+  }
+});
+
+// POST /api/files/uploads/:uploadId/commit - Assemble the final blob (owner or "admin")
+// Write access to the target folder is checked again in case its ACL changed
+router.post('/:uploadId/commit', audit('upload', (req) => ({ details: { method: 'session', uploadId: req.params.uploadId } })), loadSession, async (req, res) => {
+  const session = req.uploadSession;
+  res.locals.audit.paths = [session.path];
+  let reservation;
+  try {
+    assertFileAccess(req.user, session.path, 'write');
+    // The file counts against the quota of the user who created the session
+    const owner = session.owner === req.user.objectId ? req.user : { objectId: session.owner };
+    reservation = reserveUpload(owner, session.path, { size: session.size });
+    // An overwrite commits only over the version checked when the session was created
+    const ifMatch = session.conditions && session.conditions.ifMatch;
+    const existing = ifMatch ? await storage.stat(session.path) : null;
+    const result = await uploadSessions.commitSession(session);
+    await reservation.commit(result.size, { replaces: existing && existing.etag === ifMatch ? existing : null });
+    publishEvent('file.uploaded', {
+      path: result.path,
+      user: req.user,
+      data: { size: result.size, contentType: result.contentType, etag: result.etag, method: 'session' },
+    });
+    console.log(`Upload session committed: ${req.uploadSession.uploadId} -> ${result.path}`);
+    res.locals.audit.paths = [result.path];
+    res.json({ message: 'File uploaded successfully', ...result });
+  } catch (error) {
+    if (reservation) reservation.release();
+    sendError(res, await toConflictError(error, session.path), 'Failed to finalize upload');
+  }
+});
+
+// DELETE /api/files/uploads/:uploadId - Abort session (owner or "admin")
+router.delete('/:uploadId', loadSession, async (req, res) => {
+  try {
+    await uploadSessions.abortSession(req.uploadSession);
+    console.log(`Upload session aborted: ${req.uploadSession.uploadId}`);
+    res.json({ message: 'Upload aborted', uploadId: req.uploadSession.uploadId });
+  } catch (error) {
+    sendError(res, error, 'Failed to abort upload');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const {
+  DELIVERY_STATUSES,
+  toWebhookView,
+  toDeliveryView,
+  createWebhook,
+  updateWebhook,
+  rotateSecret,
+  deleteWebhook,
+  getWebhook,
+  listWebhooks,
+  sendTestEvent,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+} = require('../services/webhooks');
+const { hasPermission, sendError } = require('./helpers');
+const { audit } = require('../middleware/audit');
+
+// Outbound webhooks, mounted at /api/files/webhooks ("webhook.manage")
+//   GET    /                                 subscriptions
+//   POST   /                                 { url, events, pathPrefix, description, active } -> with secret
+//   GET    /dead-letters                     deliveries that failed every attempt
+//   GET    /deliveries/:deliveryId           one delivery with its attempts
+//   POST   /deliveries/:deliveryId/redeliver send a dead letter again
+//   GET    /:webhookId                       one subscription
+//   PATCH  /:webhookId                       change url, events, pathPrefix, description or active
+//   DELETE /:webhookId                       remove it with its delivery history
+//   POST   /:webhookId/rotate-secret         new signing secret
+//   POST   /:webhookId/test                  queue a webhook.ping delivery
+//   GET    /:webhookId/deliveries            delivery history (?status=, ?limit=)
+
+const router = express.Router();
+
+const MAX_LIMIT = 1000;
+
+// Helper: 403 unless the caller may manage webhooks (after audit() so denied attempts are recorded)
+const requireWebhookManage = (req, res, next) => {
+  if (!hasPermission(req.user, 'webhook.manage')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Helper: load :webhookId (404 unknown)
+const loadWebhook = (req, res, next) => {
+  const webhook = getWebhook(req.params.webhookId);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  req.webhook = webhook;
+  next();
+};
+
+// Helper: load :deliveryId (404 unknown)
+const loadDelivery = (req, res, next) => {
+  const delivery = getDelivery(req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  req.delivery = delivery;
+  next();
+};
+
+// Helper: ?limit= (default 100, at most MAX_LIMIT)
+const parseLimit = (value) => {
+  const limit = value === undefined ? 100 : parseInt(value, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : null;
+};
+
+// Helper: audit record of a change to :webhookId
+const auditWebhook = (action) => audit(action, (req) => ({ details: { webhookId: req.params.webhookId } }));
+
+// GET /api/files/webhooks - Subscriptions
+router.get('/', requireWebhookManage, (req, res) => {
+  const items = listWebhooks().map(toWebhookView);
+  res.json({ items, count: items.length });
+});
+
+// POST /api/files/webhooks - Register a subscription; the response holds the signing secret
+router.post('/', express.json(), audit('webhook.create', (req) => ({ paths: [req.body.pathPrefix] })), requireWebhookManage, async (req, res) => {
+  try {
+    const webhook = await createWebhook(req.body || {}, req.user);
+    res.locals.audit.details = { webhookId: webhook.webhookId, url: webhook.url, events: webhook.events };
+    res.status(201).json({ ...toWebhookView(webhook), secret: webhook.secret });
+  } catch (error) {
+    sendError(res, error, 'Failed to create webhook');
+  }
+});
+
+// GET /api/files/webhooks/dead-letters - Deliveries that failed every attempt, newest first
+router.get('/dead-letters', requireWebhookManage, (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  if (!limit) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+  const items = listDeliveries({ status: 'dead', limit }).map(toDeliveryView);
+  res.json({ items, count: items.length });
+});
+
+// GET /api/files/webhooks/deliveries/:deliveryId - One delivery with its attempts
+router.get('/deliveries/:deliveryId', requireWebhookManage, loadDelivery, (req, res) => {
+  res.json(toDeliveryView(req.delivery));
+});
+
+// POST /api/files/webhooks/deliveries/:deliveryId/redeliver - Send a delivery again (202)
+router.post('/deliveries/:deliveryId/redeliver', audit('webhook.redeliver', (req) => ({
+  details: { deliveryId: req.params.deliveryId },
+})), requireWebhookManage, loadDelivery, async (req, res) => {
+  try {
+    const delivery = await redeliver(req.delivery);
+    res.locals.audit.details = { webhookId: delivery.webhookId };
+    res.status(202).json({ message: 'Delivery queued', ...toDeliveryView(delivery) });
+  } catch (error) {
+    sendError(res, error, 'Failed to redeliver');
+  }
+});
+
+// GET /api/files/webhooks/:webhookId - One subscription
+router.get('/:webhookId', requireWebhookManage, loadWebhook, (req, res) => {
+  res.json(toWebhookView(req.webhook));
+});
+
+// PATCH /api/files/webhooks/:webhookId - Change a subscription
+router.patch('/:webhookId', express.json(), auditWebhook('webhook.update'), requireWebhookManage, loadWebhook, async (req, res) => {
+  try {
+    const webhook = await updateWebhook(req.webhook, req.body || {});
+    res.json(toWebhookView(webhook));
+  } catch (error) {
+    sendError(res, error, 'Failed to update webhook');
+  }
+});
+
+// DELETE /api/files/webhooks/:webhookId - Remove a subscription and its delivery history
+router.delete('/:webhookId', auditWebhook('webhook.delete'), requireWebhookManage, loadWebhook, async (req, res) => {
+  try {
+    await deleteWebhook(req.webhook);
+    res.json({ message: 'Webhook deleted', webhookId: req.webhook.webhookId });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete webhook');
+  }
+});
+
+// POST /api/files/webhooks/:webhookId/rotate-secret - Replace the signing secret
+router.post('/:webhookId/rotate-secret', auditWebhook('webhook.rotate'), requireWebhookManage, loadWebhook, async (req, res) => {
+  try {
+    const webhook = await rotateSecret(req.webhook);
+    res.json({ webhookId: webhook.webhookId, secret: webhook.secret });
+  } catch (error) {
+    sendError(res, error, 'Failed to rotate webhook secret');
+  }
+});
+
+// POST /api/files/webhooks/:webhookId/test - Queue a webhook.ping delivery (202)
+router.post('/:webhookId/test', auditWebhook('webhook.test'), requireWebhookManage, loadWebhook, async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.webhook, req.user);
+    res.status(202).json({ message: 'Test delivery queued', ...toDeliveryView(delivery) });
+  } catch (error) {
+    sendError(res, error, 'Failed to send test event');
+  }
+});
+
+// GET /api/files/webhooks/:webhookId/deliveries - Delivery history, newest first
+router.get('/:webhookId/deliveries', requireWebhookManage, loadWebhook, (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  if (!limit) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+  if (req.query.status && !DELIVERY_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  const items = listDeliveries({ webhookId: req.webhook.webhookId, status: req.query.status, limit }).map(toDeliveryView);
+  res.json({ items, count: items.length });
+});
+
+module.exports = router;
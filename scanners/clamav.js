@@ -0,0 +1,71 @@
+const net = require('net');
+const { once } = require('events');
+
+// ClamAV daemon scanner (clamd INSTREAM command over TCP)
+// The file is streamed to clamd in length-prefixed chunks, so it is never buffered in full. Files
+// larger than clamd's StreamMaxLength fail to scan (and stay blocked) rather than pass unscanned.
+
+const createClamavScanner = ({
+  host = process.env.CLAMAV_HOST || '127.0.0.1',
+  port = parseInt(process.env.CLAMAV_PORT || '3310', 10),
+  timeoutMs = parseInt(process.env.CLAMAV_TIMEOUT_MS || '120000', 10),
+} = {}) => {
+  // Helper: clamd's reply ("stream: OK", "stream: <signature> FOUND" or "<message> ERROR")
+  const parseReply = (reply) => {
+    const text = reply.replace(/\0/g, '').trim();
+    const found = text.match(/^stream: (.+) FOUND$/);
+    if (found) return { infected: true, signature: found[1] };
+    if (text === 'stream: OK') return { infected: false, signature: null };
+    throw new Error(`ClamAV: ${text || 'no reply'}`);
+  };
+
+  const scan = async (stream) => {
+    const socket = net.createConnection({ host, port });
+    socket.setTimeout(timeoutMs);
+    let reply = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (data) => {
+      reply += data;
+    });
+    const closed = new Promise((resolve, reject) => {
+      socket.once('end', resolve);
+      socket.once('close', resolve);
+      socket.once('error', reject);
+      socket.once('timeout', () => {
+        socket.destroy();
+        reject(new Error(`ClamAV did not answer within ${timeoutMs}ms`));
+      });
+    });
+    closed.catch(() => {}); // awaited below
+
+    // Helper: write and wait for the socket to drain when its buffer is full
+    const send = async (buffer) => {
+      if (socket.destroyed) return;
+      if (!socket.write(buffer)) await Promise.race([once(socket, 'drain'), closed]);
+    };
+
+    try {
+      await Promise.race([once(socket, 'connect'), closed]);
+      await send(Buffer.from('zINSTREAM\0'));
+      for await (const chunk of stream) {
+        // clamd stops reading (and replies with an error) once StreamMaxLength is exceeded
+        if (socket.destroyed || reply) break;
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        await send(length);
+        await send(chunk);
+      }
+      await send(Buffer.alloc(4));
+      await closed;
+      return parseReply(reply);
+    } finally {
+      stream.destroy();
+      socket.destroy();
+    }
+  };
+
+  console.log(`[Scanner] ClamAV scanner at ${host}:${port}`);
+  return { name: 'clamav', scan };
+};
+
+module.exports = createClamavScanner;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { pipeline } = require('stream/promises');
+
+// Command-line scanner
+// The file is copied to a temporary file and SCAN_COMMAND is run on it, with "{file}" replaced by
+// the temporary file's path (e.g. "clamscan --no-summary {file}"). The command is split on spaces
+// and run without a shell. Exit code 0 means clean, a code listed in SCAN_INFECTED_EXIT_CODES
+// (default 1) infected, anything else a failed scan. The first line of output names the signature.
+
+const createCommandScanner = ({
+  command = process.env.SCAN_COMMAND,
+  infectedCodes = (process.env.SCAN_INFECTED_EXIT_CODES || '1').split(',').map((code) => parseInt(code, 10)),
+  timeoutMs = parseInt(process.env.SCAN_COMMAND_TIMEOUT_MS || '300000', 10),
+  tempDir = process.env.SCAN_TEMP_DIR || os.tmpdir(),
+} = {}) => {
+  if (!command || !command.includes('{file}')) {
+    throw new Error('SCAN_COMMAND must be set and contain {file} when SCANNER=command');
+  }
+  const [program, ...args] = command.trim().split(/\s+/);
+
+  // Helper: run the command; resolves { code, output }
+  const run = (file) => new Promise((resolve, reject) => {
+    execFile(program, args.map((arg) => arg.split('{file}').join(file)), { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error && typeof error.code !== 'number') {
+        reject(error.killed ? new Error(`Scan command timed out after ${timeoutMs}ms`) : error);
+        return;
+      }
+      resolve({ code: error ? error.code : 0, output: `${stdout}\n${stderr}`.trim() });
+    });
+  });
+
+  const scan = async (stream, { path: blobPath } = {}) => {
+    const file = path.join(tempDir, `scan-${crypto.randomUUID()}${path.extname(blobPath || '')}`);
+    try {
+      await pipeline(stream, fs.createWriteStream(file, { mode: 0o600 }));
+      const { code, output } = await run(file);
+      const firstLine = output.split('\n')[0].split(file).join(blobPath || 'file').slice(0, 200);
+      if (code === 0) return { infected: false, signature: null };
+      if (infectedCodes.includes(code)) return { infected: true, signature: firstLine || 'Unknown' };
+      throw new Error(`Scan command exited with code ${code}${firstLine ? `: ${firstLine}` : ''}`);
+    } finally {
+      await fsp.rm(file, { force: true });
+    }
+  };
+
+  console.log(`[Scanner] Command scanner: ${program}`);
+  return { name: 'command', scan };
+};
+
+module.exports = createCommandScanner;
@@ -0,0 +1,32 @@
+const createClamavScanner = require('./clamav');
+const createCommandScanner = require('./command');
+const createStubScanner = require('./stub');
+
+// Malware scanner selection
+// SCANNER=none (default) turns scanning off; otherwise every new upload is scanned by:
+//   clamav    a ClamAV daemon over TCP (CLAMAV_HOST, CLAMAV_PORT, CLAMAV_TIMEOUT_MS)
+//   command   a command-line scanner run on a temporary copy (SCAN_COMMAND, SCAN_INFECTED_EXIT_CODES)
+//   stub      flags files containing the EICAR test string (development and tests)
+//
+// Every scanner exposes the same interface:
+//   name                         scanner name, recorded with each result
+//   scan(stream, { path })       resolves { infected, signature } (signature null when clean);
+//                                rejects when the file could not be scanned
+
+const scanners = {
+  clamav: createClamavScanner,
+  command: createCommandScanner,
+  stub: createStubScanner,
+};
+
+const createScanner = (scannerName = process.env.SCANNER || 'none') => {
+  const name = scannerName.toLowerCase();
+  if (name === 'none') return null;
+  const factory = scanners[name];
+  if (!factory) {
+    throw new Error(`Unknown SCANNER "${scannerName}" (expected none or one of: ${Object.keys(scanners).join(', ')})`);
+  }
+  return factory();
+};
+
+module.exports = createScanner();
@@ -0,0 +1,31 @@
+// Stub scanner for development and tests: a file is infected if it contains the EICAR test string
+// (https://www.eicar.org/download-anti-malware-testfile/). SCAN_STUB_DELAY_MS delays every result
+// so the pending state can be observed.
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const createStubScanner = ({ delayMs = parseInt(process.env.SCAN_STUB_DELAY_MS || '0', 10) } = {}) => {
+  const pattern = Buffer.from(EICAR);
+
+  const scan = async (stream) => {
+    // Keep the tail of the previous chunk so a match across chunk boundaries is found
+    let carry = Buffer.alloc(0);
+    let infected = false;
+    for await (const chunk of stream) {
+      const window = Buffer.concat([carry, chunk]);
+      if (window.includes(pattern)) {
+        infected = true;
+        stream.destroy();
+        break;
+      }
+      carry = window.subarray(Math.max(0, window.length - pattern.length + 1));
+    }
+    if (delayMs > 0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+    return { infected, signature: infected ? 'Eicar-Test-Signature' : null };
+  };
+
+  console.log('[Scanner] Stub scanner enabled (EICAR test string only)');
+  return { name: 'stub', scan };
+};
+
+module.exports = createStubScanner;
@@ -5,8 +5,16 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const authMiddleware = require('./middleware/auth');
 const blobRoutes = require('./routes/blob');
+const shareAccessRoutes = require('./routes/shareAccess');
 
 const app = express();
+
+// TRUST_PROXY: Express "trust proxy" setting so req.ip (audit log) is the client behind a proxy
+// or load balancer, e.g. "true", a hop count, or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' || (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
 // Note: No express.json() globally for file uploads - multer/busboy handle multipart/form-data
 // But we need it for specific JSON endpoints like chunked commit
 
@@ -19,8 +27,9 @@ const allowedOrigins = (process.env.ALLOWED_ORIGINS || '')
 const corsOptions = {
   origin: allowedOrigins.length ? allowedOrigins : '*',
   credentials: true,
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'If-Range', 'If-Match', 'If-None-Match', 'If-Modified-Since', 'Content-MD5', 'Digest', 'X-Share-Password', 'X-Share-Access', 'Last-Event-ID'],
+  exposedHeaders: ['Content-Disposition', 'Content-Length', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified', 'Content-MD5', 'Digest'],
 };
 
 console.log('CORS configured for origins:', allowedOrigins.length ? allowedOrigins : 'all (*)')
@@ -97,6 +106,9 @@ app.post('/api/files/chunked/test', (req, res) => {
   }
 });
 
+// Share links (no bearer auth; the link ID, and password if set, grant access)
+app.use('/api/shares', shareAccessRoutes);
+
 // Auth middleware for all other routes
 app.use(authMiddleware);
 
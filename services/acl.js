@@ -0,0 +1,137 @@
+const { httpError } = require('./errors');
+const { createJsonStore } = require('./stateStore');
+const { hasPermission } = require('./permissions');
+
+// Per-folder access control lists
+// An ACL on a folder lists users (object ID or UPN) and groups (object ID) with the rights they
+// have there: read (list, search, download), write (upload, create folders, move or copy in,
+// edit metadata) and delete (delete, move out). A folder without its own ACL uses its nearest
+// ancestor's; an ACL on a subfolder replaces the inherited one completely. Paths with no ACL on
+// them or above are governed by the global actions alone, and users with the "admin" action
+// bypass ACLs. ACLs narrow the global actions, they never grant an action the user lacks.
+
+const RIGHTS = ['read', 'write', 'delete'];
+const PRINCIPAL_TYPES = ['user', 'group'];
+const MAX_ACL_ENTRIES = 200;
+
+const acls = createJsonStore('acls');
+
+const parentOf = (path) => (path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+
+// Helper: validate ACL entries ({ type, id, rights }); returns them normalized
+const validateEntries = (entries) => {
+  if (!Array.isArray(entries)) throw httpError(400, 'entries must be an array');
+  if (entries.length > MAX_ACL_ENTRIES) throw httpError(400, `At most ${MAX_ACL_ENTRIES} entries are allowed`);
+  return entries.map((entry, index) => {
+    const { type, id, rights } = entry || {};
+    if (!PRINCIPAL_TYPES.includes(type)) {
+      throw httpError(400, `entries[${index}].type must be one of: ${PRINCIPAL_TYPES.join(', ')}`);
+    }
+    if (typeof id !== 'string' || !id.trim()) throw httpError(400, `entries[${index}].id is required`);
+    if (!Array.isArray(rights) || rights.some((right) => !RIGHTS.includes(right))) {
+      throw httpError(400, `entries[${index}].rights must be a list of: ${RIGHTS.join(', ')}`);
+    }
+    return { type, id: id.trim(), rights: Array.from(new Set(rights)) };
+  });
+};
+
+// Helper: true if an ACL entry names the user or one of their groups
+const matchesUser = (entry, user) => {
+  if (entry.type === 'group') return (user.groups || []).includes(entry.id);
+  return entry.id === user.objectId
+    || (!!user.upn && entry.id.toLowerCase() === user.upn.toLowerCase());
+};
+
+// The folder's own ACL, or null
+const getAcl = (folderPath) => acls.get(folderPath);
+
+// Every ACL, ordered by path
+const listAcls = () => acls.values().sort((a, b) => a.path.localeCompare(b.path));
+
+// The ACL that applies to a folder: its own or its nearest ancestor's (null if none)
+const getEffectiveAcl = (folderPath) => {
+  let path = folderPath;
+  while (path) {
+    const acl = acls.get(path);
+    if (acl) return acl;
+    path = parentOf(path);
+  }
+  return null;
+};
+
+// ACLs set on folders below folderPath
+const listAclsUnder = (folderPath) => acls.values()
+  .filter((acl) => acl.path.startsWith(`${folderPath}/`) || (!folderPath && acl.path));
+
+// True if the user has the right on the folder
+const canAccessFolder = (user, folderPath, right) => {
+  if (hasPermission(user, 'admin')) return true;
+  const acl = getEffectiveAcl(folderPath);
+  if (!acl) return true;
+  return acl.entries.some((entry) => entry.rights.includes(right) && matchesUser(entry, user));
+};
+
+// True if the user has the right on the folder holding a file
+const canAccessFile = (user, filePath, right) => canAccessFolder(user, parentOf(filePath), right);
+
+// Helper: 403 unless the user has the right on the folder
+const assertFolderAccess = (user, folderPath, right) => {
+  if (!canAccessFolder(user, folderPath, right)) {
+    throw httpError(403, 'Access denied', { folder: folderPath || '/', right });
+  }
+};
+
+// Helper: 403 unless the user has the right on the folder holding a file
+const assertFileAccess = (user, filePath, right) => assertFolderAccess(user, parentOf(filePath), right);
+
+// Helper: 403 unless the user has the right on a folder and every folder below it with its own ACL
+const assertTreeAccess = (user, folderPath, right) => {
+  assertFolderAccess(user, folderPath, right);
+  for (const acl of listAclsUnder(folderPath)) assertFolderAccess(user, acl.path, right);
+};
+
+// Create or replace a folder's ACL
+const setAcl = async (folderPath, entries, user) => {
+  const acl = {
+    path: folderPath,
+    entries: validateEntries(entries),
+    updatedAt: new Date().toISOString(),
+    updatedBy: { objectId: user.objectId, upn: user.upn || null },
+  };
+  await acls.set(folderPath, acl);
+  console.log(`ACL set: ${folderPath} (${acl.entries.length} entries)`);
+  return acl;
+};
+
+// Remove a folder's ACL; resolves with false if it had none
+const deleteAcl = async (folderPath) => {
+  const removed = await acls.delete(folderPath);
+  if (removed) console.log(`ACL removed: ${folderPath}`);
+  return removed;
+};
+
+// Re-key the ACLs of a folder and its subfolders after the folder moved
+const moveAcls = async (fromPath, toPath) => {
+  const moved = [getAcl(fromPath), ...listAclsUnder(fromPath)].filter(Boolean);
+  for (const acl of moved) {
+    const path = toPath + acl.path.slice(fromPath.length);
+    await acls.delete(acl.path);
+    await acls.set(path, { ...acl, path });
+  }
+  if (moved.length) console.log(`Moved ${moved.length} ACL(s): ${fromPath} -> ${toPath}`);
+};
+
+module.exports = {
+  getAcl,
+  listAcls,
+  getEffectiveAcl,
+  canAccessFolder,
+  canAccessFile,
+  assertFolderAccess,
+  assertFileAccess,
+  assertTreeAccess,
+  setAcl,
+  deleteAcl,
+  moveAcls,
+  RIGHTS,
+};
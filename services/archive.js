@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { once } = require('events');
+const archiver = require('archiver');
+const storage = require('../storage');
+const { httpError } = require('./errors');
+const { mapWithConcurrency } = require('./concurrency');
+const { isKeepMarker } = require('./listing');
+const { listFolderBlobs } = require('./folders');
+const { isScanBlocked } = require('./scanning');
+const { attachmentDisposition } = require('./contentDisposition');
+
+// Streamed ZIP archives of a folder or a list of files
+// Entries are read from storage one at a time and piped through the archiver, so no file is
+// ever buffered in full. Entry names keep the folder structure relative to the selection.
+
+const ZIP_MAX_FILES = parseInt(process.env.ZIP_MAX_FILES || '10000', 10);
+const ZIP_COMPRESSION_LEVEL = parseInt(process.env.ZIP_COMPRESSION_LEVEL || '6', 10);
+const STAT_CONCURRENCY = 8;
+
+// Download-token subject for a ZIP selection (tokens are bound to exactly this selection)
+const selectionKey = ({ folder, paths }) => {
+  if (folder) return `zip:folder:${folder}`;
+  const digest = crypto.createHash('sha256').update([...paths].sort().join('\n')).digest('hex');
+  return `zip:paths:${digest}`;
+};
+
+const baseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// Helper: deepest folder containing every path ('' if they only share the root)
+const commonFolder = (paths) => {
+  const split = paths.map((path) => path.split('/').slice(0, -1));
+  const common = [];
+  for (let i = 0; i < split[0].length; i++) {
+    if (split.every((parts) => parts[i] === split[0][i])) common.push(split[0][i]);
+    else break;
+  }
+  return common.join('/');
+};
+
+// Helper: 409 listing the files that have not passed their malware scan
+const assertNoneBlocked = (entries) => {
+  const blocked = entries.filter((entry) => isScanBlocked(entry.metadata)).map((entry) => entry.name);
+  if (blocked.length) throw httpError(409, 'Some files have not passed the malware scan', { blocked });
+};
+
+/**
+ * Resolve a selection ({ folder } or { paths }) into archive entries.
+ * Returns { archiveName, entries: [{ path, entryName, lastModified }] } where directory-only
+ * entries (empty folders) have path null and the folder's path as folderPath.
+ * include(entry) leaves entries of a folder selection out before the scan check, so files the
+ * caller may not read neither block the archive nor show up in the 409.
+ */
+const resolveSelection = async ({ folder, paths }, { include = () => true } = {}) => {
+  if (folder) {
+    const blobs = await listFolderBlobs(folder);
+    if (!blobs.length) throw httpError(404, 'Folder not found');
+    const root = baseName(folder);
+    const selected = blobs
+      .map((blob) => {
+        const relative = blob.name.slice(folder.length + 1);
+        const entry = isKeepMarker(blob.name)
+          ? { path: null, folderPath: blob.name.slice(0, -'/.keep'.length), entryName: `${root}/${relative.slice(0, -'.keep'.length)}` }
+          : { path: blob.name, entryName: `${root}/${relative}`, lastModified: blob.lastModified };
+        return { blob, entry };
+      })
+      .filter(({ entry }) => include(entry));
+    if (selected.length > ZIP_MAX_FILES) throw httpError(400, `Selection exceeds ${ZIP_MAX_FILES} files`);
+    assertNoneBlocked(selected.filter(({ entry }) => entry.path !== null).map(({ blob }) => blob));
+    return { archiveName: `${root}.zip`, entries: selected.map(({ entry }) => entry) };
+  }
+
+  if (!Array.isArray(paths) || !paths.length) throw httpError(400, 'folder or paths is required');
+  if (paths.length > ZIP_MAX_FILES) throw httpError(400, `Selection exceeds ${ZIP_MAX_FILES} files`);
+  const unique = Array.from(new Set(paths));
+  const stats = await mapWithConcurrency(unique, STAT_CONCURRENCY, (path) => storage.stat(path));
+  const missing = unique.filter((path, i) => !stats[i]);
+  if (missing.length) throw httpError(404, 'Some files were not found', { missing });
+  assertNoneBlocked(unique.map((path, i) => ({ ...stats[i], name: path })));
+
+  const parent = commonFolder(unique);
+  const entries = unique.map((path, i) => ({
+    path,
+    entryName: parent ? path.slice(parent.length + 1) : path,
+    lastModified: stats[i].lastModified,
+  }));
+  return { archiveName: `${parent ? baseName(parent) : 'download'}.zip`, entries };
+};
+
+/**
+ * Stream a ZIP of the resolved entries to res.
+ * Stops early if the client disconnects; a storage error after headers are sent aborts the response.
+ */
+const streamZip = async ({ archiveName, entries }, res) => {
+  const archive = archiver('zip', { zlib: { level: ZIP_COMPRESSION_LEVEL } });
+  const disconnected = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      disconnected.abort();
+      archive.abort();
+    }
+  });
+  archive.on('warning', (warning) => console.warn('ZIP warning:', warning.message));
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', attachmentDisposition(archiveName));
+  archive.pipe(res);
+
+  try {
+    for (const entry of entries) {
+      if (disconnected.signal.aborted) return;
+      const entryDone = once(archive, 'entry', { signal: disconnected.signal });
+      if (entry.path === null) {
+        archive.append(Buffer.alloc(0), { name: entry.entryName });
+      } else {
+        const download = await storage.read(entry.path);
+        archive.append(download.stream, { name: entry.entryName, date: entry.lastModified });
+      }
+      // Open the next download only after this entry has been written
+      await entryDone;
+    }
+    await archive.finalize();
+  } catch (error) {
+    if (disconnected.signal.aborted) {
+      console.log(`ZIP download cancelled by client: ${archiveName}`);
+      return;
+    }
+    console.error(`ZIP stream failed (${archiveName}):`, error.message);
+    archive.abort();
+    res.destroy(error);
+  }
+};
+
+module.exports = { selectionKey, resolveSelection, streamZip };
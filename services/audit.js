@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+const { httpError } = require('./errors');
+const { STATE_DIR } = require('./stateStore');
+const { encodeToken, decodeToken } = require('./listing');
+
+// Audit log of file operations
+// Records are appended as JSON Lines to AUDIT_LOG_FILE (default <STATE_DIR>/audit.jsonl) and
+// echoed to the console. Queries and exports scan the file, oldest record first. Records older
+// than AUDIT_RETENTION_DAYS (default 365) are pruned by an hourly sweep.
+
+const AUDIT_LOG_FILE = path.resolve(process.env.AUDIT_LOG_FILE || path.join(STATE_DIR, 'audit.jsonl'));
+const AUDIT_RETENTION_MS = parseFloat(process.env.AUDIT_RETENTION_DAYS || '365') * 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const OUTCOMES = ['success', 'accepted', 'denied', 'failure'];
+
+// Appends and pruning are serialized so a prune never drops a record written meanwhile
+let writing = Promise.resolve();
+const enqueue = (task) => {
+  writing = writing.then(task).catch((error) => {
+    console.error('Audit log write failed:', error.message);
+  });
+  return writing;
+};
+
+/**
+ * Append an audit record.
+ * { action, outcome, status, user, ip, paths, details } - timestamp and id are added here.
+ */
+const recordAudit = (entry) => {
+  const record = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...entry,
+  };
+  const line = JSON.stringify(record);
+  console.log(`[Audit] ${line}`);
+  enqueue(async () => {
+    await fsp.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+    await fsp.appendFile(AUDIT_LOG_FILE, `${line}\n`);
+  });
+  return record;
+};
+
+// Helper: every record in the log, oldest first (nothing if the log does not exist yet)
+async function* readRecords() {
+  let input;
+  try {
+    input = fs.createReadStream(AUDIT_LOG_FILE, { encoding: 'utf8' });
+    await new Promise((resolve, reject) => {
+      input.once('open', resolve);
+      input.once('error', reject);
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // Skip a line cut short by a crash mid-write
+      }
+    }
+  } finally {
+    input.destroy();
+  }
+}
+
+// Helper: parse an optional date filter
+const parseTime = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw httpError(400, `${name} must be an ISO 8601 date`);
+  return time;
+};
+
+const parseValues = (value) => [].concat(value || [])
+  .flatMap((item) => String(item).split(','))
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+/**
+ * Validate query filters: user (object ID or UPN), path (prefix of any target path), action
+ * (comma-separated; "folder" matches "folder.create" and "folder.delete"), outcome, from / to
+ * (ISO dates), pageSize, continuationToken
+ */
+const parseAuditQuery = (params = {}) => {
+  const pageSize = params.pageSize !== undefined ? Number(params.pageSize) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw httpError(400, `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  const outcomes = parseValues(params.outcome);
+  const invalid = outcomes.find((outcome) => !OUTCOMES.includes(outcome));
+  if (invalid) throw httpError(400, `outcome must be one of: ${OUTCOMES.join(', ')}`);
+  const query = {
+    user: params.user ? String(params.user).toLowerCase() : null,
+    path: params.path ? String(params.path).replace(/^\/+|\/+$/g, '') : null,
+    actions: parseValues(params.action),
+    outcomes,
+    from: parseTime(params.from, 'from'),
+    to: parseTime(params.to, 'to'),
+    pageSize,
+    offset: decodeToken(params.continuationToken).o || 0,
+  };
+  if (query.from !== undefined && query.to !== undefined && query.from > query.to) {
+    throw httpError(400, 'from must not be after to');
+  }
+  return query;
+};
+
+// Helper: true if the record passes every filter
+const matchesQuery = (record, query) => {
+  if (query.user) {
+    const { objectId, upn } = record.user || {};
+    if (String(objectId).toLowerCase() !== query.user && String(upn).toLowerCase() !== query.user) return false;
+  }
+  if (query.path && !(record.paths || []).some((p) => p === query.path || p.startsWith(`${query.path}/`))) {
+    return false;
+  }
+  if (query.actions.length && !query.actions.some((action) => (
+    record.action === action || record.action.startsWith(`${action}.`)
+  ))) return false;
+  if (query.outcomes.length && !query.outcomes.includes(record.outcome)) return false;
+  const time = Date.parse(record.timestamp);
+  if (query.from !== undefined && time < query.from) return false;
+  if (query.to !== undefined && time > query.to) return false;
+  return true;
+};
+
+/**
+ * One page of matching records, newest first.
+ * Resolves with { records, total, continuationToken }.
+ */
+const queryAudit = async (query) => {
+  // Keep only the newest offset + pageSize matches while scanning
+  const keep = query.offset + query.pageSize;
+  const newest = [];
+  let total = 0;
+  for await (const record of readRecords()) {
+    if (!matchesQuery(record, query)) continue;
+    total++;
+    newest.push(record);
+    if (newest.length > keep) newest.shift();
+  }
+  const records = newest.reverse().slice(query.offset, keep);
+  const nextOffset = query.offset + records.length;
+  return {
+    records,
+    total,
+    continuationToken: nextOffset < total ? encodeToken({ o: nextOffset }) : null,
+  };
+};
+
+// Matching records, oldest first (for exports)
+async function* exportAudit(query) {
+  for await (const record of readRecords()) {
+    if (matchesQuery(record, query)) yield record;
+  }
+}
+
+const CSV_COLUMNS = ['timestamp', 'action', 'outcome', 'status', 'userId', 'upn', 'ip', 'paths', 'details', 'id'];
+
+// Helper: one CSV field; quoted when needed, and prefixed so spreadsheets never run it as a formula
+const csvField = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvHeader = () => `${CSV_COLUMNS.join(',')}\r\n`;
+
+const toCsvRow = (record) => `${[
+  record.timestamp,
+  record.action,
+  record.outcome,
+  record.status,
+  record.user ? record.user.objectId : '',
+  record.user ? record.user.upn : '',
+  record.ip,
+  (record.paths || []).join(' | '),
+  record.details ? JSON.stringify(record.details) : '',
+  record.id,
+].map(csvField).join(',')}\r\n`;
+
+// Drop records past the retention period (rewrites the log)
+const pruneAudit = () => enqueue(async () => {
+  const cutoff = Date.now() - AUDIT_RETENTION_MS;
+  const tempFile = `${AUDIT_LOG_FILE}.tmp`;
+  let kept = 0;
+  let dropped = 0;
+  const output = fs.createWriteStream(tempFile);
+  try {
+    for await (const record of readRecords()) {
+      if (Date.parse(record.timestamp) < cutoff) {
+        dropped++;
+        continue;
+      }
+      kept++;
+      if (!output.write(`${JSON.stringify(record)}\n`)) await new Promise((resolve) => output.once('drain', resolve));
+    }
+  } finally {
+    await new Promise((resolve) => output.end(resolve));
+  }
+  if (!dropped) {
+    await fsp.rm(tempFile, { force: true });
+    return;
+  }
+  await fsp.rename(tempFile, AUDIT_LOG_FILE);
+  console.log(`Audit log pruned: ${dropped} record(s) removed, ${kept} kept`);
+});
+
+setInterval(pruneAudit, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  recordAudit,
+  parseAuditQuery,
+  queryAudit,
+  exportAudit,
+  csvHeader,
+  toCsvRow,
+  OUTCOMES,
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { httpError } = require('./errors');
+
+// Content hashing for uploads and downloads
+// Hashes are computed while the content streams to storage, so nothing is buffered or re-read.
+// Every file gets an MD5 and a SHA-256, stored hex-encoded in blob metadata; clients may send
+// either one (hex or base64) per file or per chunk to have it verified.
+
+const CONTENT_HASH_ALGORITHM = 'sha256';
+const CHECKSUM_ALGORITHMS = ['md5', 'sha256'];
+
+// Blob metadata keys (Azure metadata keys are case-insensitive identifiers)
+const METADATA_KEYS = { md5: 'contentmd5', sha256: 'contentsha256' };
+
+const HEX_LENGTH = { md5: 32, sha256: 64 };
+
+// Helper: normalize a client checksum (hex or base64) to lowercase hex; 400 if malformed
+const parseChecksum = (algorithm, value) => {
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+    throw httpError(400, `Checksum algorithm must be one of: ${CHECKSUM_ALGORITHMS.join(', ')}`);
+  }
+  const text = String(value || '').trim();
+  if (new RegExp(`^[0-9a-fA-F]{${HEX_LENGTH[algorithm]}}$`).test(text)) return text.toLowerCase();
+  const decoded = Buffer.from(text, 'base64');
+  if (/^[A-Za-z0-9+/_-]+={0,2}$/.test(text) && decoded.length * 2 === HEX_LENGTH[algorithm]) {
+    return decoded.toString('hex');
+  }
+  throw httpError(400, `Invalid ${algorithm} checksum: ${text}`);
+};
+
+// Expected checksums from a session-style { algorithm, value } object ({} if none given)
+const parseHash = (hash) => {
+  if (!hash) return {};
+  if (typeof hash !== 'object' || !CHECKSUM_ALGORITHMS.includes(hash.algorithm) || !hash.value) {
+    throw httpError(400, 'hash must be { algorithm: "md5" | "sha256", value }');
+  }
+  return { [hash.algorithm]: parseChecksum(hash.algorithm, hash.value) };
+};
+
+/**
+ * Expected checksums of a request body (or chunk) from its headers:
+ * Content-MD5 (base64) and/or Digest: sha-256=<base64>, md5=<base64>
+ */
+const checksumsFromHeaders = (req) => {
+  const expected = {};
+  const contentMd5 = req.get('content-md5');
+  if (contentMd5) expected.md5 = parseChecksum('md5', contentMd5);
+  for (const part of (req.get('digest') || '').split(',')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const algorithm = part.slice(0, eq).trim().toLowerCase().replace('-', '');
+    if (CHECKSUM_ALGORITHMS.includes(algorithm)) {
+      expected[algorithm] = parseChecksum(algorithm, part.slice(eq + 1).trim());
+    }
+  }
+  return expected;
+};
+
+// Helper: 400 if any expected checksum differs from the actual one
+const verifyChecksums = (actual, expected = {}) => {
+  for (const algorithm of CHECKSUM_ALGORITHMS) {
+    if (expected[algorithm] && expected[algorithm] !== actual[algorithm]) {
+      throw httpError(400, 'Checksum mismatch', {
+        algorithm,
+        expected: expected[algorithm],
+        actual: actual[algorithm],
+      });
+    }
+  }
+};
+
+// Helper: checksum fields used in upload responses and file listings
+const toHashFields = ({ md5, sha256 }) => ({
+  contentHash: { algorithm: CONTENT_HASH_ALGORITHM, value: sha256 },
+  contentMd5: md5,
+});
+
+// MD5 and SHA-256 of an in-memory buffer (hex)
+const hashBuffer = (buffer) => ({
+  md5: crypto.createHash('md5').update(buffer).digest('hex'),
+  sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+});
+
+/**
+ * Pass-through stream that counts and hashes the bytes flowing through it.
+ * onProgress(bytes) is called after every chunk. If expected checksums are given, the stream
+ * errors with a 400 before it ends when the content does not match, so the storage write is
+ * abandoned instead of committed. When the stream ends, the checksums are added to the metadata
+ * object (if given) under METADATA_KEYS; result() then gives { size, contentHash, contentMd5 }.
+ */
+const createHashingStream = ({ onProgress, expected, metadata } = {}) => {
+  const md5 = crypto.createHash('md5');
+  const sha256 = crypto.createHash('sha256');
+  let bytes = 0;
+  let checksums = null;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      md5.update(chunk);
+      sha256.update(chunk);
+      bytes += chunk.length;
+      if (onProgress) onProgress(bytes);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      checksums = { md5: md5.digest('hex'), sha256: sha256.digest('hex') };
+      try {
+        verifyChecksums(checksums, expected);
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      if (metadata) Object.assign(metadata, toChecksumMetadata(checksums));
+      callback();
+    },
+  });
+  stream.result = () => ({ size: bytes, ...toHashFields(checksums) });
+  return stream;
+};
+
+// MD5 and SHA-256 of a readable stream (hex)
+const hashStream = async (readable) => {
+  const md5 = crypto.createHash('md5');
+  const sha256 = crypto.createHash('sha256');
+  for await (const chunk of readable) {
+    md5.update(chunk);
+    sha256.update(chunk);
+  }
+  return { md5: md5.digest('hex'), sha256: sha256.digest('hex') };
+};
+
+const toChecksumMetadata = ({ md5, sha256 }) => ({
+  [METADATA_KEYS.md5]: md5,
+  [METADATA_KEYS.sha256]: sha256,
+});
+
+// Stored checksums of a blob ({} for blobs written before checksums were recorded)
+const checksumsFromMetadata = (metadata = {}) => {
+  const checksums = {};
+  for (const algorithm of CHECKSUM_ALGORITHMS) {
+    if (metadata[METADATA_KEYS[algorithm]]) checksums[algorithm] = metadata[METADATA_KEYS[algorithm]];
+  }
+  return checksums;
+};
+
+// Download headers for stored checksums: Digest always, Content-MD5 only for a full body
+const setChecksumHeaders = (res, metadata, { fullBody = true } = {}) => {
+  const { md5, sha256 } = checksumsFromMetadata(metadata);
+  const toBase64 = (hex) => Buffer.from(hex, 'hex').toString('base64');
+  const digests = [];
+  if (sha256) digests.push(`sha-256=${toBase64(sha256)}`);
+  if (md5) digests.push(`md5=${toBase64(md5)}`);
+  if (digests.length) res.setHeader('Digest', digests.join(','));
+  if (md5 && fullBody) res.setHeader('Content-MD5', toBase64(md5));
+};
+
+module.exports = {
+  createHashingStream,
+  hashBuffer,
+  hashStream,
+  parseChecksum,
+  parseHash,
+  checksumsFromHeaders,
+  verifyChecksums,
+  toHashFields,
+  toChecksumMetadata,
+  checksumsFromMetadata,
+  setChecksumHeaders,
+  CONTENT_HASH_ALGORITHM,
+  CHECKSUM_ALGORITHMS,
+};
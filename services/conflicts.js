@@ -0,0 +1,31 @@
+const { httpError } = require('./errors');
+
+// What to do when a write targets a path that is already taken
+//   fail       reject with 409
+//   overwrite  replace the existing file (folders are merged)
+//   rename     write to the first free "name (1).ext", "name (2).ext", ...
+
+const CONFLICT_POLICIES = ['fail', 'overwrite', 'rename'];
+const MAX_RENAME_ATTEMPTS = 1000;
+
+// Helper: "dir/name (n).ext" for a file path, "dir/name (n)" for folders
+const numberedPath = (path, n, { isFolder = false } = {}) => {
+  const slash = path.lastIndexOf('/');
+  const dir = path.slice(0, slash + 1);
+  const base = path.slice(slash + 1);
+  const dot = isFolder ? -1 : base.lastIndexOf('.');
+  return dot > 0
+    ? `${dir}${base.slice(0, dot)} (${n})${base.slice(dot)}`
+    : `${dir}${base} (${n})`;
+};
+
+// First numbered variant of path for which isTaken(candidate) resolves false
+const findAvailablePath = async (path, isTaken, options) => {
+  for (let n = 1; n <= MAX_RENAME_ATTEMPTS; n++) {
+    const candidate = numberedPath(path, n, options);
+    if (!(await isTaken(candidate))) return candidate;
+  }
+  throw httpError(409, `No free name found for ${path}`);
+};
+
+module.exports = { CONFLICT_POLICIES, findAvailablePath };
@@ -0,0 +1,288 @@
+const { PassThrough } = require('stream');
+const { getExtension } = require('./listing');
+
+// Content type detection
+// Uploads are typed from their first bytes (magic numbers), not from what the client claims. The
+// detected type is checked against the file's extension: a PNG named report.pdf, or an executable
+// named photo.png, is a mismatch. What is stored:
+//   - a recognized binary format: its type (or the extension's more specific type when the format
+//     is a container of it, e.g. .docx in a ZIP)
+//   - text: the extension's text type (text/csv, application/json, ...) or text/plain
+//   - anything else: the extension's type, or application/octet-stream
+// The claimed and detected types and the mismatch flag are kept in blob metadata.
+
+// Bytes read from the start of an upload to detect its type
+const SNIFF_BYTES = 4096;
+
+const DETECTED_KEY = 'detectedtype';
+const CLAIMED_KEY = 'claimedtype';
+const MISMATCH_KEY = 'typemismatch';
+
+// Helper: true if bytes (hex) appear in head at offset
+const startsWith = (head, hex, offset = 0) => {
+  const bytes = Buffer.from(hex, 'hex');
+  return head.length >= offset + bytes.length && head.subarray(offset, offset + bytes.length).equals(bytes);
+};
+
+const ascii = (head, start, end) => head.subarray(start, end).toString('latin1');
+
+// Binary signatures, checked in order. binary: the signature is printable, so it only counts when
+// the rest of the sample is not text
+const SIGNATURES = [
+  { type: 'image/png', test: (h) => startsWith(h, '89504e470d0a1a0a') },
+  { type: 'image/jpeg', test: (h) => startsWith(h, 'ffd8ff') },
+  { type: 'image/gif', test: (h) => startsWith(h, '474946383761') || startsWith(h, '474946383961') },
+  { type: 'image/webp', test: (h) => ascii(h, 0, 4) === 'RIFF' && ascii(h, 8, 12) === 'WEBP' },
+  { type: 'audio/wav', test: (h) => ascii(h, 0, 4) === 'RIFF' && ascii(h, 8, 12) === 'WAVE' },
+  { type: 'video/x-msvideo', test: (h) => ascii(h, 0, 4) === 'RIFF' && ascii(h, 8, 12) === 'AVI ' },
+  { type: 'image/bmp', binary: true, test: (h) => startsWith(h, '424d') && h.length >= 26 && h.readUInt32LE(6) === 0 },
+  { type: 'image/tiff', test: (h) => startsWith(h, '49492a00') || startsWith(h, '4d4d002a') },
+  { type: 'image/x-icon', test: (h) => startsWith(h, '00000100') },
+  { type: 'image/vnd.adobe.photoshop', test: (h) => startsWith(h, '38425053') },
+  { type: 'application/pdf', test: (h) => startsWith(h, '25504446') },
+  { type: 'application/rtf', test: (h) => startsWith(h, '7b5c727466') },
+  { type: 'application/zip', test: (h) => ['504b0304', '504b0506', '504b0708'].some((sig) => startsWith(h, sig)) },
+  { type: 'application/x-cfb', test: (h) => startsWith(h, 'd0cf11e0a1b11ae1') }, // legacy Office, MSI, Outlook
+  { type: 'application/gzip', test: (h) => startsWith(h, '1f8b') },
+  { type: 'application/x-bzip2', binary: true, test: (h) => startsWith(h, '425a68') },
+  { type: 'application/x-7z-compressed', test: (h) => startsWith(h, '377abcaf271c') },
+  { type: 'application/vnd.rar', test: (h) => startsWith(h, '526172211a07') },
+  { type: 'application/x-tar', test: (h) => ascii(h, 257, 262) === 'ustar' },
+  { type: 'application/x-msdownload', binary: true, test: (h) => startsWith(h, '4d5a') },
+  { type: 'application/x-executable', test: (h) => startsWith(h, '7f454c46') },
+  { type: 'application/x-mach-binary', test: (h) => ['feedface', 'feedfacf', 'cefaedfe', 'cffaedfe'].some((sig) => startsWith(h, sig)) },
+  { type: 'application/wasm', test: (h) => startsWith(h, '0061736d') },
+  { type: 'application/vnd.sqlite3', test: (h) => ascii(h, 0, 16) === 'SQLite format 3\0' },
+  { type: 'audio/mpeg', binary: true, test: (h) => startsWith(h, '494433') || (h.length >= 2 && h[0] === 0xff && (h[1] & 0xe6) === 0xe2) },
+  { type: 'audio/ogg', test: (h) => startsWith(h, '4f676753') },
+  { type: 'audio/flac', test: (h) => startsWith(h, '664c6143') },
+  { type: 'video/webm', test: (h) => startsWith(h, '1a45dfa3') },
+  {
+    // ISO base media: the brand after "ftyp" tells video, audio, QuickTime and HEIF apart
+    type: (h) => {
+      const brand = ascii(h, 8, 12);
+      if (brand === 'qt  ') return 'video/quicktime';
+      if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+      if (brand === 'avif') return 'image/avif';
+      if (brand.startsWith('M4A')) return 'audio/mp4';
+      return 'video/mp4';
+    },
+    test: (h) => ascii(h, 4, 8) === 'ftyp',
+  },
+];
+
+// Markup recognized in text content (leading whitespace and a UTF-8 BOM are skipped)
+const TEXT_SIGNATURES = [
+  { type: 'text/html', test: (text) => /^<!doctype html|^<html[\s>]|^<head[\s>]|^<body[\s>]|^<script[\s>]/i.test(text) },
+  { type: 'image/svg+xml', test: (text) => /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i.test(text) },
+  { type: 'application/xml', test: (text) => /^<\?xml[\s?]/i.test(text) },
+];
+
+// Types by extension. detect: what sniffing reports for the format when it differs from type
+// (containers such as ZIP); text: formats that are plain text
+const EXTENSIONS = {
+  png: { type: 'image/png' },
+  jpg: { type: 'image/jpeg' },
+  jpeg: { type: 'image/jpeg' },
+  gif: { type: 'image/gif' },
+  webp: { type: 'image/webp' },
+  bmp: { type: 'image/bmp' },
+  tif: { type: 'image/tiff' },
+  tiff: { type: 'image/tiff' },
+  ico: { type: 'image/x-icon' },
+  psd: { type: 'image/vnd.adobe.photoshop' },
+  heic: { type: 'image/heic' },
+  avif: { type: 'image/avif' },
+  svg: { type: 'image/svg+xml', text: true },
+  pdf: { type: 'application/pdf' },
+  rtf: { type: 'application/rtf' },
+  zip: { type: 'application/zip' },
+  docx: { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', detect: 'application/zip' },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', detect: 'application/zip' },
+  pptx: { type: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', detect: 'application/zip' },
+  odt: { type: 'application/vnd.oasis.opendocument.text', detect: 'application/zip' },
+  ods: { type: 'application/vnd.oasis.opendocument.spreadsheet', detect: 'application/zip' },
+  odp: { type: 'application/vnd.oasis.opendocument.presentation', detect: 'application/zip' },
+  epub: { type: 'application/epub+zip', detect: 'application/zip' },
+  jar: { type: 'application/java-archive', detect: 'application/zip' },
+  apk: { type: 'application/vnd.android.package-archive', detect: 'application/zip' },
+  doc: { type: 'application/msword', detect: 'application/x-cfb' },
+  xls: { type: 'application/vnd.ms-excel', detect: 'application/x-cfb' },
+  ppt: { type: 'application/vnd.ms-powerpoint', detect: 'application/x-cfb' },
+  msg: { type: 'application/vnd.ms-outlook', detect: 'application/x-cfb' },
+  msi: { type: 'application/x-msi', detect: 'application/x-cfb' },
+  gz: { type: 'application/gzip' },
+  tgz: { type: 'application/gzip' },
+  bz2: { type: 'application/x-bzip2' },
+  '7z': { type: 'application/x-7z-compressed' },
+  rar: { type: 'application/vnd.rar' },
+  tar: { type: 'application/x-tar' },
+  exe: { type: 'application/x-msdownload' },
+  dll: { type: 'application/x-msdownload' },
+  wasm: { type: 'application/wasm' },
+  sqlite: { type: 'application/vnd.sqlite3' },
+  mp3: { type: 'audio/mpeg' },
+  wav: { type: 'audio/wav' },
+  ogg: { type: 'audio/ogg' },
+  oga: { type: 'audio/ogg' },
+  flac: { type: 'audio/flac' },
+  m4a: { type: 'audio/mp4' },
+  mp4: { type: 'video/mp4' },
+  m4v: { type: 'video/mp4' },
+  mov: { type: 'video/quicktime' },
+  avi: { type: 'video/x-msvideo' },
+  webm: { type: 'video/webm' },
+  mkv: { type: 'video/x-matroska', detect: 'video/webm' },
+  txt: { type: 'text/plain', text: true },
+  log: { type: 'text/plain', text: true },
+  md: { type: 'text/markdown', text: true },
+  csv: { type: 'text/csv', text: true },
+  tsv: { type: 'text/tab-separated-values', text: true },
+  json: { type: 'application/json', text: true },
+  xml: { type: 'application/xml', text: true },
+  html: { type: 'text/html', text: true },
+  htm: { type: 'text/html', text: true },
+  css: { type: 'text/css', text: true },
+  js: { type: 'text/javascript', text: true },
+  yaml: { type: 'application/yaml', text: true },
+  yml: { type: 'application/yaml', text: true },
+};
+
+// Formats that sniffing recognizes reliably: a file with one of their extensions must match
+const DETECTABLE = new Set(SIGNATURES.flatMap((signature) => (typeof signature.type === 'string' ? [signature.type] : []))
+  .concat(['video/quicktime', 'image/heic', 'image/avif', 'audio/mp4', 'video/mp4']));
+
+// Helper: true if the bytes look like text (UTF-8 without control characters other than whitespace)
+const looksLikeText = (head) => {
+  if (!head.length) return false;
+  // A multi-byte character cut off at the end of the sample is still text
+  let end = head.length;
+  for (let i = Math.max(0, end - 3); i < end; i++) {
+    if (head[i] >= 0xc0) {
+      end = i;
+      break;
+    }
+  }
+  const text = head.subarray(0, end).toString('utf8');
+  return !text.includes('\uFFFD') && !/[\x00-\x08\x0e-\x1a\x1c-\x1f]/.test(text);
+};
+
+/**
+ * Type of content from its first bytes: a signature type, text/html / image/svg+xml /
+ * application/xml for markup, text/plain for other text, or null when it is not recognized.
+ */
+const detectContentType = (head) => {
+  const isText = looksLikeText(head);
+  const signature = SIGNATURES.find((entry) => entry.test(head) && !(entry.binary && isText));
+  if (signature) return typeof signature.type === 'function' ? signature.type(head) : signature.type;
+  if (!isText) return null;
+  const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  const markup = TEXT_SIGNATURES.find((entry) => entry.test(text));
+  return markup ? markup.type : 'text/plain';
+};
+
+// A Content-Type value without parameters, lowercase (null if empty)
+const normalizeContentType = (value) => (value ? value.split(';')[0].trim().toLowerCase() || null : null);
+
+// Helper: true if sniffing reports detected for a file of this extension
+const matchesExtension = (info, detected) => {
+  if (info.text) return detected === info.type || detected === 'text/plain' || (info.type === 'image/svg+xml' && detected === 'application/xml');
+  return detected === (info.detect || info.type);
+};
+
+/**
+ * Inspect the first bytes of an upload of filePath that the client says is claimedType.
+ * Returns { contentType, detectedType, claimedType, mismatch }: contentType is what to store,
+ * detectedType null when the format is not recognized, mismatch true when the content is not what
+ * the extension says (only for known extensions).
+ */
+const inspectContent = (head, filePath, claimedType) => {
+  const detectedType = detectContentType(head);
+  const info = EXTENSIONS[getExtension(filePath)] || null;
+  const claimed = normalizeContentType(claimedType);
+  let contentType;
+  let mismatch = false;
+
+  if (info && detectedType && matchesExtension(info, detectedType)) {
+    contentType = info.type;
+  } else if (detectedType) {
+    // An empty file matches anything; otherwise a known extension with other content is a mismatch
+    mismatch = !!info;
+    contentType = detectedType;
+  } else {
+    // Unrecognized content: fine for formats we cannot sniff, a mismatch for those we can
+    mismatch = !!info && head.length > 0 && (info.text || DETECTABLE.has(info.detect || info.type));
+    contentType = info && !mismatch ? info.type : 'application/octet-stream';
+  }
+  if (!head.length) {
+    mismatch = false;
+    contentType = info ? info.type : 'application/octet-stream';
+  }
+  return { contentType, detectedType, claimedType: claimed, mismatch };
+};
+
+// Blob metadata recording an inspection
+const toDetectionMetadata = ({ detectedType, claimedType, contentType, mismatch }) => ({
+  ...(detectedType && { [DETECTED_KEY]: detectedType }),
+  ...(claimedType && claimedType !== contentType && { [CLAIMED_KEY]: claimedType.slice(0, 255) }),
+  ...(mismatch && { [MISMATCH_KEY]: 'true' }),
+});
+
+// Inspection fields stored on a blob, for file info ({} when nothing was flagged)
+const detectionFromMetadata = (metadata = {}) => ({
+  ...(metadata[MISMATCH_KEY] === 'true' && { contentTypeMismatch: true }),
+  ...(metadata[MISMATCH_KEY] === 'true' && metadata[CLAIMED_KEY] && { claimedContentType: metadata[CLAIMED_KEY] }),
+});
+
+/**
+ * Read the first SNIFF_BYTES of a stream (or all of it, if shorter) without losing them.
+ * Resolves with { head, stream } where stream replays the head and then the rest of the source.
+ */
+const peekStream = (source) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let length = 0;
+  let settled = false;
+
+  const finish = () => {
+    if (settled) return;
+    settled = true;
+    source.off('data', onData);
+    source.off('end', finish);
+    source.off('error', onError);
+    source.pause();
+    const head = Buffer.concat(chunks, length);
+    const stream = new PassThrough();
+    stream.write(head);
+    if (source.readableEnded) {
+      stream.end();
+    } else {
+      source.on('error', (error) => stream.destroy(error));
+      source.pipe(stream);
+    }
+    resolve({ head: head.subarray(0, SNIFF_BYTES), stream });
+  };
+  const onData = (chunk) => {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= SNIFF_BYTES) finish();
+  };
+  const onError = (error) => {
+    if (settled) return;
+    settled = true;
+    reject(error);
+  };
+
+  source.on('data', onData);
+  source.once('end', finish);
+  source.once('error', onError);
+});
+
+module.exports = {
+  SNIFF_BYTES,
+  detectContentType,
+  inspectContent,
+  normalizeContentType,
+  toDetectionMetadata,
+  detectionFromMetadata,
+  peekStream,
+};
@@ -0,0 +1,15 @@
+// Content-Disposition header for downloads (RFC 6266)
+// filename= holds an ASCII-only fallback for old clients: other characters, quotes and
+// backslashes become "_". filename* holds the exact name as percent-encoded UTF-8 (RFC 5987),
+// which current browsers prefer.
+
+// Helper: percent-encode everything outside RFC 5987 attr-char
+const encodeExtValue = (value) => encodeURIComponent(value)
+  .replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const attachmentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeExtValue(filename)}`;
+};
+
+module.exports = { attachmentDisposition };
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const { createJsonStore } = require('./stateStore');
+
+// Download tokens
+// Short-lived HMAC-SHA256 tokens that let a browser download one file or ZIP selection (the
+// token's subject) without a bearer token. Each token carries the ID of the key that signed it,
+// its own ID and the object ID of the user it was issued to, so single tokens or every token of
+// a user can be revoked before they expire.
+//
+// Keys: DOWNLOAD_TOKEN_KEYS="<kid>:<secret>,<kid>:<secret>" (every listed key verifies; the one
+// named by DOWNLOAD_TOKEN_SIGNING_KEY_ID, default the first, signs new tokens), or the single
+// DOWNLOAD_TOKEN_SECRET (key ID "default"). To rotate: add the new key to every instance, then
+// make it the signing key, then drop the old key once DOWNLOAD_TOKEN_MAX_TTL_SECONDS has passed.
+// With NODE_ENV=production the server refuses to start without keys, or with secrets shorter than
+// 32 characters; elsewhere a random key is generated per process.
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const MIN_SECRET_LENGTH = 32;
+const DOWNLOAD_TOKEN_TTL_SECONDS = parseInt(process.env.DOWNLOAD_TOKEN_TTL_SECONDS || '300', 10);
+const DOWNLOAD_TOKEN_MAX_TTL_SECONDS = parseInt(process.env.DOWNLOAD_TOKEN_MAX_TTL_SECONDS || '3600', 10);
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Helper: signing keys from the environment (kid -> secret); throws on invalid configuration
+const loadKeys = () => {
+  const keys = new Map();
+  if (process.env.DOWNLOAD_TOKEN_KEYS) {
+    for (const item of process.env.DOWNLOAD_TOKEN_KEYS.split(',').map((value) => value.trim()).filter(Boolean)) {
+      const separator = item.indexOf(':');
+      const kid = item.slice(0, separator);
+      const secret = item.slice(separator + 1);
+      if (separator < 1 || !/^[A-Za-z0-9_-]{1,32}$/.test(kid) || !secret) {
+        throw new Error('DOWNLOAD_TOKEN_KEYS must be a comma-separated list of <kid>:<secret> (kid: letters, digits, _ or -)');
+      }
+      if (keys.has(kid)) throw new Error(`DOWNLOAD_TOKEN_KEYS lists key ID "${kid}" twice`);
+      keys.set(kid, secret);
+    }
+  } else if (process.env.DOWNLOAD_TOKEN_SECRET) {
+    keys.set('default', process.env.DOWNLOAD_TOKEN_SECRET);
+  }
+
+  if (!keys.size) {
+    if (IS_PRODUCTION) {
+      throw new Error('DOWNLOAD_TOKEN_KEYS or DOWNLOAD_TOKEN_SECRET must be set in production');
+    }
+    console.warn('[Download tokens] No signing key configured; using a random key (tokens will not survive a restart)');
+    keys.set('dev', crypto.randomBytes(32).toString('base64url'));
+  }
+  if (IS_PRODUCTION) {
+    const weak = Array.from(keys).find(([, secret]) => secret.length < MIN_SECRET_LENGTH);
+    if (weak) throw new Error(`Download token key "${weak[0]}" must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  return keys;
+};
+
+const validateTtl = (name, value) => {
+  if (!Number.isInteger(value) || value < 1 || value > 24 * 60 * 60) {
+    throw new Error(`${name} must be between 1 and 86400 seconds`);
+  }
+};
+
+const KEYS = loadKeys();
+const SIGNING_KEY_ID = process.env.DOWNLOAD_TOKEN_SIGNING_KEY_ID || KEYS.keys().next().value;
+if (!KEYS.has(SIGNING_KEY_ID)) {
+  throw new Error(`DOWNLOAD_TOKEN_SIGNING_KEY_ID "${SIGNING_KEY_ID}" is not in DOWNLOAD_TOKEN_KEYS`);
+}
+validateTtl('DOWNLOAD_TOKEN_TTL_SECONDS', DOWNLOAD_TOKEN_TTL_SECONDS);
+validateTtl('DOWNLOAD_TOKEN_MAX_TTL_SECONDS', DOWNLOAD_TOKEN_MAX_TTL_SECONDS);
+if (DOWNLOAD_TOKEN_TTL_SECONDS > DOWNLOAD_TOKEN_MAX_TTL_SECONDS) {
+  throw new Error('DOWNLOAD_TOKEN_TTL_SECONDS must not exceed DOWNLOAD_TOKEN_MAX_TTL_SECONDS');
+}
+
+// Revoked token IDs (key: tokenId) and users whose earlier tokens are revoked (key: "user:<objectId>")
+const revocations = createJsonStore('revokedTokens');
+
+const sign = (kid, body) => crypto.createHmac('sha256', KEYS.get(kid)).update(`${kid}.${body}`).digest('base64url');
+
+/**
+ * Issue a token for subject (a file path or archive selection key) to user.
+ * expiresIn (seconds) defaults to DOWNLOAD_TOKEN_TTL_SECONDS and may not exceed
+ * DOWNLOAD_TOKEN_MAX_TTL_SECONDS. Returns { token, tokenId, expiresAt }.
+ */
+const issueDownloadToken = (subject, user, { expiresIn } = {}) => {
+  const ttl = expiresIn === undefined || expiresIn === null ? DOWNLOAD_TOKEN_TTL_SECONDS : expiresIn;
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > DOWNLOAD_TOKEN_MAX_TTL_SECONDS) {
+    throw httpError(400, `expiresIn must be between 1 and ${DOWNLOAD_TOKEN_MAX_TTL_SECONDS} seconds`);
+  }
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = { sub: subject, uid: user.objectId, jti: crypto.randomUUID(), iat, exp: iat + ttl };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    token: `${SIGNING_KEY_ID}.${body}.${sign(SIGNING_KEY_ID, body)}`,
+    tokenId: payload.jti,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+  };
+};
+
+// Helper: payload of a token with a valid signature from a known key (expired or not), or null
+const decodeVerified = (token) => {
+  const [kid, body, sig, extra] = String(token || '').split('.');
+  if (!kid || !body || !sig || extra !== undefined || !KEYS.has(kid)) return null;
+  const expected = Buffer.from(sign(kid, body));
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), expected)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload && typeof payload.sub === 'string' && payload.jti ? { ...payload, kid } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper: true if the token or every token of its user issued until then was revoked
+const isRevoked = (payload) => {
+  if (revocations.has(payload.jti)) return true;
+  const userRevocation = payload.uid && revocations.get(`user:${payload.uid}`);
+  return !!userRevocation && payload.iat * 1000 <= Date.parse(userRevocation.before);
+};
+
+/**
+ * Verify a token. Returns { subject, userId, tokenId, keyId, expiresAt }, or null if the token is
+ * malformed, badly signed, expired or revoked.
+ */
+const verifyDownloadToken = (token) => {
+  const payload = decodeVerified(token);
+  if (!payload || !(payload.exp > Math.floor(Date.now() / 1000)) || isRevoked(payload)) return null;
+  return {
+    subject: payload.sub,
+    userId: payload.uid || null,
+    tokenId: payload.jti,
+    keyId: payload.kid,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+  };
+};
+
+/**
+ * Revoke one token, given as the token itself (its user or an admin) or its ID (admin only).
+ * Rejects with 400 for a token that is not valid and 403 for someone else's token.
+ */
+const revokeDownloadToken = async ({ token, tokenId }, user, { isAdmin }) => {
+  let id = tokenId;
+  let expiresAt = new Date(Date.now() + DOWNLOAD_TOKEN_MAX_TTL_SECONDS * 1000).toISOString();
+  if (token) {
+    const payload = decodeVerified(token);
+    if (!payload) throw httpError(400, 'Invalid token');
+    if (payload.uid !== user.objectId && !isAdmin) throw httpError(403, 'You can only revoke your own tokens');
+    id = payload.jti;
+    expiresAt = new Date(payload.exp * 1000).toISOString();
+  } else if (!isAdmin) {
+    throw httpError(403, 'Insufficient permissions');
+  } else if (typeof tokenId !== 'string' || !tokenId) {
+    throw httpError(400, 'token, tokenId or userId is required');
+  }
+  await revocations.set(id, {
+    tokenId: id,
+    expiresAt,
+    revokedAt: new Date().toISOString(),
+    revokedBy: { objectId: user.objectId, upn: user.upn || null },
+  });
+  console.log(`Download token revoked: ${id}`);
+  return { tokenId: id };
+};
+
+// Revoke every token issued to a user until now
+const revokeUserDownloadTokens = async (objectId, user) => {
+  const now = new Date();
+  await revocations.set(`user:${objectId}`, {
+    objectId,
+    before: now.toISOString(),
+    expiresAt: new Date(now.getTime() + DOWNLOAD_TOKEN_MAX_TTL_SECONDS * 1000).toISOString(),
+    revokedAt: now.toISOString(),
+    revokedBy: { objectId: user.objectId, upn: user.upn || null },
+  });
+  console.log(`Download tokens revoked for user ${objectId}`);
+  return { userId: objectId, revokedBefore: now.toISOString() };
+};
+
+// Drop revocations of tokens that have expired anyway
+const sweepRevocations = async () => {
+  const now = Date.now();
+  const stale = revocations.values().filter((entry) => Date.parse(entry.expiresAt) <= now);
+  for (const entry of stale) {
+    await revocations.delete(entry.tokenId || `user:${entry.objectId}`);
+  }
+};
+
+setInterval(() => {
+  sweepRevocations().catch((error) => console.error('Download token revocation sweep failed:', error.message));
+}, SWEEP_INTERVAL_MS).unref();
+
+console.log(`[Download tokens] ${KEYS.size} key(s) loaded, signing with "${SIGNING_KEY_ID}", TTL ${DOWNLOAD_TOKEN_TTL_SECONDS}s`);
+
+module.exports = {
+  issueDownloadToken,
+  verifyDownloadToken,
+  revokeDownloadToken,
+  revokeUserDownloadTokens,
+  DOWNLOAD_TOKEN_TTL_SECONDS,
+  DOWNLOAD_TOKEN_MAX_TTL_SECONDS,
+};
@@ -0,0 +1,10 @@
+// Helper: error carrying an HTTP status for routes to report
+// Routes respond with { error: message, ...details } and error.statusCode
+const httpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+module.exports = { httpError };
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// File change events
+// Routes publish an event once a change has succeeded (folder jobs when they finish); subscribers
+// such as webhook delivery and the live change feed receive every event in the order it was
+// published. Listeners run synchronously and must not throw into the route: a failing listener is
+// logged and skipped. The last EVENT_HISTORY_SIZE events stay in memory so feed clients can catch
+// up after a reconnect; the history starts empty when the process starts.
+//
+// Event shape:
+//   { eventId, sequence, type, timestamp, path, previousPath?, actor: { objectId, upn } | null, data }
+// sequence counts up from 1 per process; path is the file or folder after the change and
+// previousPath the old path of moves and renames.
+
+const EVENT_HISTORY_SIZE = parseInt(process.env.EVENT_HISTORY_SIZE || '1000', 10);
+
+const EVENT_TYPES = [
+  'file.uploaded',
+  'file.deleted',
+  'file.moved',
+  'file.renamed',
+  'folder.created',
+  'folder.deleted',
+  'folder.moved',
+  'folder.renamed',
+];
+
+const listeners = new Set();
+const history = [];
+let sequence = 0;
+
+// Register listener(event); returns a function that removes it
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Publish a file event. user is the caller (req.user) or null for system changes; data holds
+ * type-specific details (size, contentType, trashId, jobId, ...).
+ */
+const publishEvent = (type, { path, previousPath, user, data = {} }) => {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+  const event = {
+    eventId: crypto.randomUUID(),
+    sequence: ++sequence,
+    type,
+    timestamp: new Date().toISOString(),
+    path,
+    ...(previousPath && { previousPath }),
+    actor: user ? { objectId: user.objectId || null, upn: user.upn || null } : null,
+    data,
+  };
+  history.push(event);
+  if (history.length > EVENT_HISTORY_SIZE) history.shift();
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`Event listener failed for ${type} ${path}:`, error.message);
+    }
+  }
+  return event;
+};
+
+// Events published after the one with sequence `after`, oldest first; null when some of them
+// are no longer in the history (or `after` is not a sequence of this process)
+const eventsSince = (after) => {
+  if (!Number.isInteger(after) || after < 0 || after > sequence) return null;
+  const oldest = history.length ? history[0].sequence : sequence + 1;
+  if (after < oldest - 1) return null;
+  return history.filter((event) => event.sequence > after);
+};
+
+// Sequence of the last published event (0 before the first)
+const getLastSequence = () => sequence;
+
+// True if an event touches prefix (its path or previous path is the prefix or lies under it)
+const eventMatchesPrefix = (event, prefix) => {
+  if (!prefix) return true;
+  return [event.path, event.previousPath].some((path) => (
+    path && (path === prefix || path.startsWith(`${prefix}/`))
+  ));
+};
+
+module.exports = {
+  EVENT_TYPES,
+  subscribe,
+  publishEvent,
+  eventsSince,
+  getLastSequence,
+  eventMatchesPrefix,
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const { mapWithConcurrency } = require('./concurrency');
+const { isKeepMarker, MOVE_BACKUP_FOLDER } = require('./listing');
+const { updateUsage } = require('./quotas');
+
+// Folder-level operations over every blob under a prefix
+// Both record their effect on quota usage (see services/quotas.js); blobs in reserved folders
+// such as the trash do not count, so trashing, restoring and purging are covered too.
+
+const DELETE_CONCURRENCY = parseInt(process.env.FOLDER_DELETE_CONCURRENCY || '16', 10);
+const COPY_CONCURRENCY = parseInt(process.env.FOLDER_COPY_CONCURRENCY || '8', 10);
+
+// Progress holder for folder operations that run outside a background job
+const untrackedJob = () => ({ progress: { total: 0, processed: 0, succeeded: 0, failed: 0 } });
+
+// Every blob under a folder (files and .keep markers), in storage order
+const listFolderBlobs = async (folderPath) => {
+  const blobs = [];
+  for await (const entry of storage.list({ prefix: folderPath + '/' })) {
+    blobs.push(entry);
+  }
+  return blobs;
+};
+
+// True if anything (a file, sub-folder or .keep marker) exists under the folder
+const folderExists = async (folderPath) => {
+  const page = await storage.listHierarchy({ prefix: folderPath + '/', pageSize: 1 });
+  return page.prefixes.length > 0 || page.entries.length > 0;
+};
+
+/**
+ * Delete a folder and everything under it, updating job.progress as it goes.
+ * Files are deleted first and .keep markers last, so a partially failed delete still
+ * shows the folder. Blobs that are already gone count as deleted.
+ */
+const deleteFolderRecursive = async (folderPath, job = untrackedJob()) => {
+  const blobs = await listFolderBlobs(folderPath);
+  const files = blobs.filter((blob) => !isKeepMarker(blob.name));
+  const markers = blobs.filter((blob) => isKeepMarker(blob.name));
+  job.progress.total = blobs.length;
+
+  const failures = [];
+  const deleted = [];
+  let deletedBytes = 0;
+  const deleteOne = async (blob) => {
+    try {
+      await storage.delete(blob.name);
+      job.progress.succeeded++;
+      deleted.push(blob);
+      deletedBytes += blob.size || 0;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        job.progress.succeeded++;
+      } else {
+        job.progress.failed++;
+        failures.push({ path: blob.name, error: error.message });
+      }
+    } finally {
+      job.progress.processed++;
+    }
+  };
+
+  await mapWithConcurrency(files, DELETE_CONCURRENCY, deleteOne);
+  await mapWithConcurrency(markers, DELETE_CONCURRENCY, deleteOne);
+  await updateUsage({ removed: deleted });
+
+  return {
+    folderPath,
+    total: blobs.length,
+    deleted: job.progress.succeeded,
+    failed: failures.length,
+    deletedBytes,
+    failures,
+  };
+};
+
+// Helper: destination path of a blob when its folder is re-prefixed
+const rebase = (blobName, sourcePath, destPath) => destPath + blobName.slice(sourcePath.length);
+
+// Destination blobs that a folder move would overwrite
+const findMoveCollisions = async (sourceBlobs, sourcePath, destPath) => {
+  const existing = new Set((await listFolderBlobs(destPath)).map((blob) => blob.name));
+  return sourceBlobs
+    .map((blob) => rebase(blob.name, sourcePath, destPath))
+    .filter((name) => existing.has(name) && !name.endsWith('/.keep'));
+};
+
+// Helper: delete blobs, collecting failures other than "already gone"
+const deleteAll = async (paths, failures) => {
+  await mapWithConcurrency(paths, DELETE_CONCURRENCY, async (path) => {
+    try {
+      await storage.delete(path);
+    } catch (error) {
+      if (error.statusCode !== 404) failures.push({ path, error: error.message });
+    }
+  });
+};
+
+/**
+ * Move (or rename) a folder by re-prefixing every blob under it, including .keep markers.
+ * Phase 1 copies everything; if any copy fails, the move is rolled back and the source is left
+ * untouched. Destination blobs a merge overwrites are first copied to .moves/<id>/ so the rollback
+ * can put them back; new destination blobs are removed. Phase 2 deletes the sources; a source that
+ * cannot be deleted is reported as a leftover duplicate, so the destination is always complete.
+ */
+const moveFolder = async (sourcePath, destPath, job = untrackedJob()) => {
+  const blobs = await listFolderBlobs(sourcePath);
+  const existing = new Map((await listFolderBlobs(destPath)).map((blob) => [blob.name, blob]));
+  const backupFolder = `${MOVE_BACKUP_FOLDER}/${crypto.randomUUID()}`;
+  job.progress.total = blobs.length;
+  job.progress.copied = 0;
+  job.progress.deleted = 0;
+
+  // Rolls back what was done so far and rejects with the failure report; backups whose restore
+  // failed are kept (and listed with the failure) so nothing is lost
+  const rollBack = async (failures, { created, overwritten }) => {
+    job.progress.phase = 'rolling_back';
+    const rollbackFailures = [];
+    await deleteAll(created, rollbackFailures);
+    const restored = [];
+    await mapWithConcurrency(overwritten, COPY_CONCURRENCY, async ({ target, backup }) => {
+      try {
+        await storage.copy(backup, target);
+        restored.push(backup);
+      } catch (error) {
+        rollbackFailures.push({ path: target, backup, error: error.message });
+      }
+    });
+    await deleteAll(restored, []);
+    job.progress.failed = failures.length;
+    const failure = new Error(`Copy failed for ${failures.length} blob(s); move rolled back`);
+    failure.report = {
+      sourcePath,
+      destinationPath: destPath,
+      total: blobs.length,
+      moved: 0,
+      failed: failures.length,
+      rolledBack: rollbackFailures.length === 0,
+      failures,
+      rollbackFailures,
+    };
+    throw failure;
+  };
+
+  // Back up the destination blobs that will be overwritten (only the version listed above)
+  job.progress.phase = 'backing_up';
+  const overwritten = [];
+  const backupFailures = [];
+  await mapWithConcurrency(blobs, COPY_CONCURRENCY, async (blob) => {
+    const target = rebase(blob.name, sourcePath, destPath);
+    const current = existing.get(target);
+    if (!current) return;
+    const backup = `${backupFolder}/${target}`;
+    try {
+      await storage.copy(target, backup, { sourceConditions: { ifMatch: current.etag } });
+      overwritten.push({ target, backup, etag: current.etag });
+    } catch (error) {
+      backupFailures.push({ path: target, error: error.message });
+    }
+  });
+  if (backupFailures.length) {
+    await deleteAll(overwritten.map(({ backup }) => backup), []);
+    await rollBack(backupFailures, { created: [], overwritten: [] });
+  }
+  const backups = new Map(overwritten.map((item) => [item.target, item]));
+
+  job.progress.phase = 'copying';
+  const created = [];
+  const replaced = [];
+  const copyFailures = [];
+  await mapWithConcurrency(blobs, COPY_CONCURRENCY, async (blob) => {
+    const target = rebase(blob.name, sourcePath, destPath);
+    const backup = backups.get(target);
+    try {
+      // Overwrite only the backed-up version; a new target must still be absent, so the rollback
+      // never deletes or replaces someone else's file
+      await storage.copy(blob.name, target, {
+        conditions: backup ? { ifMatch: backup.etag } : { ifNoneMatch: '*' },
+      });
+      if (backup) replaced.push(backup);
+      else created.push(target);
+      job.progress.copied++;
+    } catch (error) {
+      copyFailures.push({ path: blob.name, error: error.message });
+    }
+  });
+
+  if (copyFailures.length) {
+    // Backups of targets that were never overwritten are simply dropped
+    await deleteAll(overwritten.filter((item) => !replaced.includes(item)).map(({ backup }) => backup), []);
+    await rollBack(copyFailures, { created, overwritten: replaced });
+  }
+  const backupLeftovers = [];
+  await deleteAll(overwritten.map(({ backup }) => backup), backupLeftovers);
+  if (backupLeftovers.length) console.warn(`Folder move left ${backupLeftovers.length} backup(s) under ${backupFolder}`);
+
+  job.progress.phase = 'deleting';
+  const leftovers = [];
+  await mapWithConcurrency(blobs, DELETE_CONCURRENCY, async (blob) => {
+    try {
+      await storage.delete(blob.name);
+      job.progress.deleted++;
+      job.progress.succeeded++;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        job.progress.succeeded++;
+      } else {
+        job.progress.failed++;
+        leftovers.push({ path: blob.name, error: error.message });
+      }
+    } finally {
+      job.progress.processed++;
+    }
+  });
+  job.progress.phase = 'done';
+
+  // Usage moves with the files, minus the files they replaced; leftover sources still count
+  const left = new Set(leftovers.map(({ path }) => path));
+  await updateUsage({
+    added: blobs.map((blob) => ({ ...blob, name: rebase(blob.name, sourcePath, destPath) })),
+    removed: [
+      ...blobs.filter((blob) => !left.has(blob.name)),
+      ...overwritten.map(({ target }) => existing.get(target)),
+    ],
+  });
+
+  return {
+    sourcePath,
+    destinationPath: destPath,
+    total: blobs.length,
+    moved: blobs.length,
+    overwritten: overwritten.length,
+    failed: leftovers.length,
+    rolledBack: false,
+    // Sources that could not be removed after copying (content is complete at the destination)
+    failures: leftovers,
+  };
+};
+
+module.exports = {
+  listFolderBlobs,
+  folderExists,
+  deleteFolderRecursive,
+  findMoveCollisions,
+  moveFolder,
+  rebase,
+};
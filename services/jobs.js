@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// In-process background jobs (recursive deletes, folder moves, ...)
+// Jobs run in this process only and are kept in memory; finished jobs are dropped after
+// JOB_RETENTION_HOURS so clients have time to fetch the final report.
+
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_HOURS || '24', 10) * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const jobs = new Map();
+
+// Helper: public view of a job (omits the runner)
+const toJobView = (job) => ({
+  jobId: job.jobId,
+  type: job.type,
+  status: job.status,
+  owner: job.owner,
+  params: job.params,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+});
+
+/**
+ * Start a background job.
+ * run(job) may update job.progress while it works and resolves with the final report.
+ * A report with failures > 0 finishes as "completed_with_errors"; a rejection as "failed"
+ * (attach error.report to keep a final report for failed jobs).
+ */
+const startJob = ({ type, owner, params, run }) => {
+  const job = {
+    jobId: crypto.randomUUID(),
+    type,
+    status: 'pending',
+    owner,
+    params,
+    progress: { total: 0, processed: 0, succeeded: 0, failed: 0 },
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.jobId, job);
+
+  setImmediate(async () => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    try {
+      job.result = await run(job);
+      job.status = job.result && job.result.failed > 0 ? 'completed_with_errors' : 'completed';
+    } catch (error) {
+      console.error(`Job ${job.jobId} (${type}) failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+      job.result = error.report || null;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      console.log(`Job ${job.jobId} (${type}) finished: ${job.status}`);
+    }
+  });
+
+  return job;
+};
+
+const getJob = (jobId) => jobs.get(jobId) || null;
+
+// True if an unfinished folder job touches any of the paths (same folder, parent or child)
+const hasOverlappingFolderJob = (paths) => {
+  const overlaps = (a, b) => a === b || a.startsWith(b + '/') || b.startsWith(a + '/');
+  return Array.from(jobs.values()).some((job) => (
+    (job.status === 'pending' || job.status === 'running')
+    && job.type.startsWith('folder.')
+    && Object.values(job.params || {}).some((jobPath) => (
+      typeof jobPath === 'string' && paths.some((p) => overlaps(jobPath, p))
+    ))
+  ));
+};
+
+// Jobs newest first; pass owner to restrict to one user's jobs
+const listJobs = ({ owner } = {}) => Array.from(jobs.values())
+  .filter((job) => !owner || job.owner === owner)
+  .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+const sweepTimer = setInterval(() => {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [jobId, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(jobId);
+  }
+}, SWEEP_INTERVAL_MS);
+sweepTimer.unref();
+
+module.exports = { startJob, getJob, listJobs, toJobView, hasOverlappingFolderJob };
@@ -0,0 +1,199 @@
+const storage = require('../storage');
+const { httpError } = require('./errors');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Folder listing scoped to one level with the "/" delimiter
+// Name-ordered listings page straight through the storage continuation token. Other sort
+// orders need the whole level, so they enumerate it and page by offset instead.
+
+const MAX_PAGE_SIZE = 5000; // Azure's maximum page size
+const COUNT_CONCURRENCY = 8;
+
+const SORT_FIELDS = {
+  name: 'name',
+  size: 'size',
+  date: 'lastModified',
+  lastModified: 'lastModified',
+  created: 'createdOn',
+};
+
+const isKeepMarker = (name) => name === '.keep' || name.endsWith('/.keep');
+
+// Top-level folders the API keeps for itself; never listed and not addressable by clients
+const TRASH_FOLDER = '.trash';
+const UPLOADS_FOLDER = '.uploads'; // scratch copies kept while an upload is verified
+const QUARANTINE_FOLDER = '.quarantine'; // files the malware scanner found infected
+const MOVE_BACKUP_FOLDER = '.moves'; // destination files a folder move overwrites, until it completes
+const RESERVED_FOLDERS = [TRASH_FOLDER, UPLOADS_FOLDER, QUARANTINE_FOLDER, MOVE_BACKUP_FOLDER];
+
+const isReservedPath = (path) => RESERVED_FOLDERS.some((folder) => (
+  path === folder || path.startsWith(folder + '/')
+));
+
+const isVisiblePrefix = (prefix) => !isReservedPath(prefix.replace(/\/$/, ''));
+
+const encodeToken = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+const decodeToken = (token) => {
+  if (!token) return {};
+  try {
+    return JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw httpError(400, 'Invalid continuationToken');
+  }
+};
+
+// Helper: parse comma-separated query values ("pdf,.docx" -> ['pdf', 'docx'])
+const parseList = (value) => (value ? String(value).split(',') : [])
+  .map((item) => item.trim().toLowerCase().replace(/^\./, ''))
+  .filter(Boolean);
+
+const getExtension = (name) => {
+  const base = name.slice(name.lastIndexOf('/') + 1);
+  const dot = base.lastIndexOf('.');
+  return dot > 0 ? base.slice(dot + 1).toLowerCase() : '';
+};
+
+// Content type filters accept exact types or "type/*" wildcards
+const matchesContentType = (contentType, patterns) => {
+  const actual = (contentType || '').toLowerCase().split(';')[0].trim();
+  return patterns.some((pattern) => (
+    pattern.endsWith('/*') ? actual.startsWith(pattern.slice(0, -1)) : actual === pattern
+  ));
+};
+
+const createFileFilter = ({ extensions = [], contentTypes = [] }) => (entry) => {
+  if (isKeepMarker(entry.name)) return false;
+  if (extensions.length && !extensions.includes(getExtension(entry.name))) return false;
+  if (contentTypes.length && !matchesContentType(entry.contentType, contentTypes)) return false;
+  return true;
+};
+
+const sortValue = (entry, field) => {
+  if (field === 'name') return entry.name;
+  if (field === 'size') return entry.size || 0;
+  return new Date(entry[field] || 0).getTime();
+};
+
+const compareBy = (field, direction) => (a, b) => {
+  const av = sortValue(a, field);
+  const bv = sortValue(b, field);
+  if (av < bv) return -direction;
+  if (av > bv) return direction;
+  return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+};
+
+// Walk every page of one folder level
+const listWholeLevel = async (prefix) => {
+  const prefixes = [];
+  const entries = [];
+  let continuationToken;
+  do {
+    const page = await storage.listHierarchy({ prefix, pageSize: MAX_PAGE_SIZE, continuationToken });
+    prefixes.push(...page.prefixes);
+    entries.push(...page.entries);
+    continuationToken = page.continuationToken;
+  } while (continuationToken);
+  return { prefixes, entries };
+};
+
+/**
+ * List one folder level.
+ * Returns { prefixes, entries, continuationToken } where prefixes end with "/" and
+ * continuationToken is null on the last page. Without pageSize the whole level is returned.
+ */
+const listFolder = async ({
+  folderPath = '',
+  pageSize,
+  continuationToken,
+  sortBy = 'name',
+  order = 'asc',
+  extensions,
+  contentTypes,
+} = {}) => {
+  if (pageSize !== undefined && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+    throw httpError(400, `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  const field = SORT_FIELDS[sortBy];
+  if (!field) {
+    throw httpError(400, `sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw httpError(400, 'order must be asc or desc');
+  }
+
+  const prefix = folderPath ? folderPath + '/' : '';
+  const keepFile = createFileFilter({ extensions: parseList(extensions), contentTypes: parseList(contentTypes) });
+  const state = decodeToken(continuationToken);
+
+  // Native order: page through storage, topping up until the page is full
+  if (field === 'name' && order === 'asc') {
+    if (continuationToken && !state.s) throw httpError(400, 'Invalid continuationToken');
+    const prefixes = [];
+    const entries = [];
+    let storageToken = state.s;
+    do {
+      const remaining = pageSize ? pageSize - prefixes.length - entries.length : MAX_PAGE_SIZE;
+      const page = await storage.listHierarchy({ prefix, pageSize: remaining, continuationToken: storageToken });
+      prefixes.push(...page.prefixes.filter(isVisiblePrefix));
+      entries.push(...page.entries.filter(keepFile));
+      storageToken = page.continuationToken;
+    } while (storageToken && (!pageSize || prefixes.length + entries.length < pageSize));
+    return { prefixes, entries, continuationToken: storageToken ? encodeToken({ s: storageToken }) : null };
+  }
+
+  // Other orders: folders first (by name), then files by the requested field, paged by offset
+  if (continuationToken && state.o === undefined) throw httpError(400, 'Invalid continuationToken');
+  const level = await listWholeLevel(prefix);
+  const direction = order === 'desc' ? -1 : 1;
+  const folders = level.prefixes.filter(isVisiblePrefix).sort();
+  if (field === 'name' && direction === -1) folders.reverse();
+  const items = [
+    ...folders.map((name) => ({ prefix: name })),
+    ...level.entries.filter(keepFile).sort(compareBy(field, direction)).map((entry) => ({ entry })),
+  ];
+
+  const offset = state.o || 0;
+  const page = pageSize ? items.slice(offset, offset + pageSize) : items.slice(offset);
+  const nextOffset = offset + page.length;
+  return {
+    prefixes: page.filter((item) => item.prefix).map((item) => item.prefix),
+    entries: page.filter((item) => item.entry).map((item) => item.entry),
+    continuationToken: nextOffset < items.length ? encodeToken({ o: nextOffset }) : null,
+  };
+};
+
+// Each folder's .keep marker entry (null if it has none), which carries the folder's metadata,
+// and the number of files anywhere below the folder (excluding .keep markers) as `children`.
+// Counting walks the whole subtree; pass counts: false to only look up the markers
+const describeFolders = async (folderPaths, { counts = true } = {}) => {
+  const details = await mapWithConcurrency(folderPaths, COUNT_CONCURRENCY, async (folderPath) => {
+    const markerPath = `${folderPath}/.keep`;
+    if (!counts) return { marker: await storage.stat(markerPath) };
+    let children = 0;
+    let marker = null;
+    for await (const entry of storage.list({ prefix: folderPath + '/' })) {
+      if (entry.name === markerPath) marker = entry;
+      else if (!isKeepMarker(entry.name)) children++;
+    }
+    return { children, marker };
+  });
+  return new Map(folderPaths.map((folderPath, i) => [folderPath, details[i]]));
+};
+
+module.exports = {
+  listFolder,
+  describeFolders,
+  isKeepMarker,
+  isReservedPath,
+  TRASH_FOLDER,
+  UPLOADS_FOLDER,
+  QUARANTINE_FOLDER,
+  MOVE_BACKUP_FOLDER,
+  getExtension,
+  matchesContentType,
+  parseList,
+  encodeToken,
+  decodeToken,
+  MAX_PAGE_SIZE,
+};
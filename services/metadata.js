@@ -0,0 +1,165 @@
+const { httpError } = require('./errors');
+
+// User-defined metadata and tags on files (and folders, via their .keep marker)
+// Stored in blob metadata next to the keys the API sets itself (checksums, ...): user keys get a
+// "meta_" prefix and values are URI-encoded so any text fits Azure's ASCII-only metadata; tags are
+// kept comma-separated under "tags". Azure allows 8KB of metadata per blob in total, part of which
+// is reserved for the API's own keys.
+
+const USER_KEY_PREFIX = 'meta_';
+const TAGS_KEY = 'tags';
+const UPLOADER_KEY = 'uploadedby';
+const MAX_METADATA_BYTES = 8 * 1024;
+const RESERVED_METADATA_BYTES = 1024;
+const MAX_KEY_LENGTH = 64;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 64;
+
+// Keys must be valid C# identifiers for Azure (and are case-insensitive there)
+const KEY_PATTERN = /^[a-z_][a-z0-9_]*$/;
+const TAG_PATTERN = /^[A-Za-z0-9 _.:/=+@-]+$/;
+
+// Helper: accept a JSON string (multipart fields, query values) or an already parsed value
+const parseJsonField = (value, name) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw httpError(400, `${name} must be valid JSON`);
+  }
+};
+
+/**
+ * Validate user metadata ({ key: value }); returns it with lowercase keys and string values.
+ * null values are kept (they mean "remove" in a merge).
+ */
+const validateMetadata = (input, { allowNull = false } = {}) => {
+  const metadata = parseJsonField(input, 'metadata');
+  if (metadata === undefined || metadata === null) return {};
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw httpError(400, 'metadata must be an object of key/value pairs');
+  }
+  const normalized = {};
+  for (const [rawKey, value] of Object.entries(metadata)) {
+    const key = rawKey.trim().toLowerCase();
+    if (!KEY_PATTERN.test(key) || key.length > MAX_KEY_LENGTH) {
+      throw httpError(400, `Invalid metadata key "${rawKey}": use letters, digits and underscores (max ${MAX_KEY_LENGTH}), not starting with a digit`);
+    }
+    if (Object.prototype.hasOwnProperty.call(normalized, key)) {
+      throw httpError(400, `Duplicate metadata key "${key}" (keys are case-insensitive)`);
+    }
+    if (value === null && allowNull) {
+      normalized[key] = null;
+    } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+      normalized[key] = String(value);
+    } else {
+      throw httpError(400, `Metadata value for "${key}" must be a string, number or boolean`);
+    }
+  }
+  return normalized;
+};
+
+// Validate tags (an array, a JSON array string or a comma-separated string); returns them trimmed
+// and de-duplicated
+const validateTags = (input) => {
+  let tags = typeof input === 'string' && !input.trim().startsWith('[')
+    ? input.split(',')
+    : parseJsonField(input, 'tags');
+  if (tags === undefined || tags === null) return [];
+  if (!Array.isArray(tags)) throw httpError(400, 'tags must be an array of strings');
+  tags = Array.from(new Set(tags.map((tag) => String(tag).trim()).filter(Boolean)));
+  for (const tag of tags) {
+    if (tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag)) {
+      throw httpError(400, `Invalid tag "${tag}": up to ${MAX_TAG_LENGTH} letters, digits, spaces and _ . : / = + @ -`);
+    }
+  }
+  if (tags.length > MAX_TAGS) throw httpError(400, `At most ${MAX_TAGS} tags are allowed`);
+  return tags;
+};
+
+const isUserKey = (key) => key.startsWith(USER_KEY_PREFIX) || key === TAGS_KEY;
+
+// Helper: bytes Azure counts for a metadata set (names plus values)
+const metadataBytes = (stored) => Object.entries(stored)
+  .reduce((sum, [key, value]) => sum + Buffer.byteLength(key) + Buffer.byteLength(value), 0);
+
+/**
+ * Blob metadata for the given user metadata and tags, merged over stored metadata: the API's own
+ * keys are kept and the user part is replaced. Rejects with 400 if the result exceeds the storage limit.
+ */
+const toStoredMetadata = ({ metadata = {}, tags = [] }, stored = {}) => {
+  const result = {};
+  for (const [key, value] of Object.entries(stored)) {
+    if (!isUserKey(key.toLowerCase())) result[key] = value;
+  }
+  const userPart = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    userPart[USER_KEY_PREFIX + key] = encodeURIComponent(value);
+  }
+  if (tags.length) userPart[TAGS_KEY] = tags.join(',');
+
+  const limit = MAX_METADATA_BYTES - RESERVED_METADATA_BYTES;
+  if (metadataBytes(userPart) > limit) {
+    throw httpError(400, `Metadata and tags exceed ${limit} bytes (encoded)`, { limit });
+  }
+  return { ...result, ...userPart };
+};
+
+// User metadata and tags stored on a blob
+const fromStoredMetadata = (stored = {}) => {
+  const metadata = {};
+  let tags = [];
+  for (const [rawKey, value] of Object.entries(stored)) {
+    const key = rawKey.toLowerCase();
+    if (key === TAGS_KEY) {
+      tags = value ? value.split(',') : [];
+    } else if (key.startsWith(USER_KEY_PREFIX)) {
+      try {
+        metadata[key.slice(USER_KEY_PREFIX.length)] = decodeURIComponent(value);
+      } catch (error) {
+        metadata[key.slice(USER_KEY_PREFIX.length)] = value;
+      }
+    }
+  }
+  return { metadata, tags };
+};
+
+// Stored metadata with the uploading user's object ID recorded (checked by the "delete.own" action)
+const withUploader = (stored, user) => (user && user.objectId ? { ...stored, [UPLOADER_KEY]: user.objectId } : stored);
+
+// Object ID of the user who uploaded a blob (null for blobs uploaded before it was recorded)
+const getUploader = (stored = {}) => stored[UPLOADER_KEY] || null;
+
+/**
+ * Apply an update to user metadata and tags.
+ * replace: metadata / tags (when given) replace the current values.
+ * merge: metadata keys are set (null removes a key); addTags / removeTags adjust the tag list.
+ */
+const applyUpdate = (current, body = {}, { replace }) => {
+  if (replace) {
+    return {
+      metadata: body.metadata !== undefined ? validateMetadata(body.metadata) : current.metadata,
+      tags: body.tags !== undefined ? validateTags(body.tags) : current.tags,
+    };
+  }
+  const metadata = { ...current.metadata };
+  for (const [key, value] of Object.entries(validateMetadata(body.metadata, { allowNull: true }))) {
+    if (value === null) delete metadata[key];
+    else metadata[key] = value;
+  }
+  const removeTags = new Set(validateTags(body.removeTags));
+  const tags = validateTags([...current.tags, ...validateTags(body.addTags)].filter((tag) => !removeTags.has(tag)));
+  return { metadata, tags };
+};
+
+module.exports = {
+  validateMetadata,
+  validateTags,
+  toStoredMetadata,
+  fromStoredMetadata,
+  applyUpdate,
+  withUploader,
+  getUploader,
+  MAX_METADATA_BYTES,
+  MAX_TAGS,
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Role and permission model
+// A JSON file (PERMISSIONS_FILE, default config/permissions.json) defines named roles as sets of
+// actions, and maps Entra ID group object IDs ("groups" claim) and app roles ("roles" claim) to
+// those roles. Keys may reference environment variables as "${NAME}"; entries whose variable is
+// unset are ignored. The file is read once at startup and an invalid file stops the server.
+
+const PERMISSIONS_FILE = process.env.PERMISSIONS_FILE
+  || path.join(__dirname, '..', 'config', 'permissions.json');
+
+// Every action a route checks
+const ACTIONS = [
+  'list', // list folders, search, check existence, read metadata
+  'download', // download files and zips, issue download tokens
+  'share', // create share links for files and folders the caller can download
+  'upload', // upload files (direct, chunked and sessions)
+  'move', // move and rename files and folders
+  'delete', // move any file to the trash
+  'delete.own', // move files the caller uploaded to the trash
+  'delete.permanent', // delete files without the trash
+  'metadata.write', // change metadata and tags
+  'folder.create',
+  'folder.delete', // delete empty folders
+  'folder.delete.recursive', // delete folders with their contents
+  'trash.restore', // restore own deletions
+  'trash.purge', // permanently delete from the trash
+  'acl.manage', // view and edit folder access control lists
+  'audit.read', // query and export the audit log
+  'quota.report', // view every user's and folder's storage usage and trigger a recount
+  'webhook.manage', // register webhooks and view their deliveries and dead letters
+  'admin', // bypass folder ACLs; see and manage other users' jobs, upload sessions, trash items and share links
+];
+
+// Helper: expand "${NAME}" references (null if a referenced variable is unset)
+const expandEnv = (value) => {
+  let missing = false;
+  const expanded = value.replace(/\$\{([A-Za-z0-9_]+)\}/g, (match, name) => {
+    if (!process.env[name]) missing = true;
+    return process.env[name] || '';
+  });
+  return missing ? null : expanded;
+};
+
+// Helper: resolve each role to its full action set (inherited roles included)
+const resolveRoles = (roles) => {
+  const resolved = new Map();
+  const resolve = (name, chain) => {
+    if (resolved.has(name)) return resolved.get(name);
+    const role = roles[name];
+    if (!role) throw new Error(`Unknown role "${name}"`);
+    if (chain.includes(name)) throw new Error(`Role inheritance cycle: ${[...chain, name].join(' -> ')}`);
+    const actions = new Set();
+    for (const parent of role.inherits || []) {
+      for (const action of resolve(parent, [...chain, name])) actions.add(action);
+    }
+    for (const action of role.actions || []) {
+      if (action === '*') {
+        ACTIONS.forEach((a) => actions.add(a));
+      } else if (ACTIONS.includes(action)) {
+        actions.add(action);
+      } else {
+        throw new Error(`Unknown action "${action}" in role "${name}"`);
+      }
+    }
+    resolved.set(name, actions);
+    return actions;
+  };
+  Object.keys(roles).forEach((name) => resolve(name, []));
+  return resolved;
+};
+
+// Helper: claim value -> role names, checking every role exists
+const resolveMapping = (mapping = {}, roles, label) => {
+  const result = new Map();
+  for (const [rawKey, roleNames] of Object.entries(mapping)) {
+    const names = Array.isArray(roleNames) ? roleNames : [roleNames];
+    for (const name of names) {
+      if (!roles.has(name)) throw new Error(`Unknown role "${name}" for ${label} "${rawKey}"`);
+    }
+    const key = expandEnv(rawKey);
+    if (key) result.set(key, [...(result.get(key) || []), ...names]);
+  }
+  return result;
+};
+
+const loadConfig = (file) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read permissions file ${file}: ${error.message}`);
+  }
+  try {
+    const roles = resolveRoles(config.roles || {});
+    return {
+      roles,
+      groups: resolveMapping(config.groups, roles, 'group'),
+      appRoles: resolveMapping(config.appRoles, roles, 'app role'),
+    };
+  } catch (error) {
+    throw new Error(`Invalid permissions file ${file}: ${error.message}`);
+  }
+};
+
+const config = loadConfig(PERMISSIONS_FILE);
+console.log(`Permissions loaded from ${PERMISSIONS_FILE}: roles ${[...config.roles.keys()].join(', ')}; ${config.groups.size} group mapping(s), ${config.appRoles.size} app role mapping(s)`);
+
+/**
+ * Roles and actions granted by a token's groups and app roles.
+ * Returns { roles: [names], permissions: Set of actions }.
+ */
+const resolvePermissions = ({ groups = [], appRoles = [] } = {}) => {
+  const roleNames = new Set();
+  for (const group of groups) (config.groups.get(group) || []).forEach((name) => roleNames.add(name));
+  for (const appRole of appRoles) (config.appRoles.get(appRole) || []).forEach((name) => roleNames.add(name));
+  const permissions = new Set();
+  for (const name of roleNames) config.roles.get(name).forEach((action) => permissions.add(action));
+  return { roles: [...roleNames], permissions };
+};
+
+// True if the user (req.user) may perform the action
+const hasPermission = (user, action) => !!(user && user.permissions && user.permissions.has(action));
+
+module.exports = { resolvePermissions, hasPermission, ACTIONS };
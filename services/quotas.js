@@ -0,0 +1,262 @@
+const { Transform } = require('stream');
+const storage = require('../storage');
+const { httpError } = require('./errors');
+const { createJsonStore } = require('./stateStore');
+const { isKeepMarker, isReservedPath } = require('./listing');
+const { getUploader } = require('./metadata');
+const {
+  getMaxFileSize,
+  getUserQuota,
+  listFolderQuotas,
+} = require('./uploadPolicy');
+
+// Storage quotas
+// Usage is kept per uploader (object ID from the blob's uploader metadata) and per folder with a
+// configured quota (see services/uploadPolicy.js). Every upload holds a reservation while its bytes
+// arrive, so concurrent uploads cannot overrun a quota together; the reservation becomes usage when
+// the blob commits. Deletes, moves to the trash, restores, moves and overwrites update usage as
+// they happen (see updateUsage); a full recount runs every QUOTA_RECOUNT_MINUTES (default 60,
+// 0 disables it) and on demand to correct any drift. Files in the trash and other reserved folders
+// do not count, so purging the trash changes nothing.
+
+const QUOTA_RECOUNT_MINUTES = parseInt(process.env.QUOTA_RECOUNT_MINUTES || '60', 10);
+
+// One record (key "usage"): { users: { objectId: bytes }, folders: { path: bytes }, recountedAt }
+const usageStore = createJsonStore('quota-usage');
+const USAGE_KEY = 'usage';
+
+// Bytes held by uploads in progress (not persisted)
+const pending = { users: new Map(), folders: new Map() };
+
+let recounting = null;
+
+const loadUsage = () => usageStore.get(USAGE_KEY) || { users: {}, folders: {}, recountedAt: null };
+
+// Helper: folders with a quota that contain filePath
+const quotaFoldersFor = (filePath) => listFolderQuotas()
+  .filter((quota) => !quota.path || filePath.startsWith(`${quota.path}/`));
+
+const adjust = (map, key, delta) => {
+  const value = (map.get(key) || 0) + delta;
+  if (value > 0) map.set(key, value);
+  else map.delete(key);
+};
+
+// Helper: record delta bytes against uploader (if any) and each quota folder, in one store write;
+// changes are { uploader, folders, bytes }. Usage never drops below zero.
+const writeUsage = async (changes) => {
+  const counted = changes.filter((change) => change.bytes);
+  if (!counted.length) return;
+  const usage = loadUsage();
+  const next = { ...usage, users: { ...usage.users }, folders: { ...usage.folders } };
+  const add = (totals, key, bytes) => {
+    totals[key] = Math.max(0, (totals[key] || 0) + bytes);
+  };
+  for (const { uploader, folders, bytes } of counted) {
+    if (uploader) add(next.users, uploader, bytes);
+    for (const folder of folders) add(next.folders, folder.path, bytes);
+  }
+  await usageStore.set(USAGE_KEY, next);
+};
+
+// Helper: the usage change for a stored blob (a storage entry) appearing (sign 1) or going away (-1)
+const entryChange = (entry, sign) => ({
+  uploader: getUploader(entry.metadata),
+  folders: quotaFoldersFor(entry.name),
+  bytes: sign * (entry.size || 0),
+});
+
+// Helper: true for blobs that count towards quotas
+const isCounted = (entry) => !isReservedPath(entry.name) && !isKeepMarker(entry.name);
+
+/**
+ * Update usage for blobs that were stored or removed other than by a reservation: added and
+ * removed are storage entries (name, size, metadata) at the path where they now exist or no
+ * longer exist. A move to the trash is a removal and a restore an addition; reserved paths and
+ * .keep markers are ignored.
+ */
+const updateUsage = ({ added = [], removed = [] }) => writeUsage([
+  ...added.filter(isCounted).map((entry) => entryChange(entry, 1)),
+  ...removed.filter(isCounted).map((entry) => entryChange(entry, -1)),
+]);
+
+// Bytes a user has stored plus bytes of their uploads in progress
+const getUserUsage = (objectId) => ({
+  used: loadUsage().users[objectId] || 0,
+  pending: pending.users.get(objectId) || 0,
+});
+
+// Bytes stored under a quota folder plus bytes of uploads in progress there
+const getFolderUsage = (folderPath) => ({
+  used: loadUsage().folders[folderPath] || 0,
+  pending: pending.folders.get(folderPath) || 0,
+});
+
+// Helper: 413 with the quota that would be exceeded
+const quotaExceeded = (scope, limit, usage, size) => httpError(413, `Upload exceeds the ${scope.type} storage quota`, {
+  quota: { ...scope, limit, used: usage.used, pending: usage.pending, requested: size },
+});
+
+/**
+ * Start an upload of filePath by user. Returns a reservation:
+ *   add(bytes)  hold more bytes; throws 413 past the maximum file size or a quota (nothing is held then)
+ *   commit(finalSize, { replaces })
+ *               count the stored bytes (call once the blob is committed); replaces is the storage
+ *               entry an overwrite replaced, whose bytes stop counting
+ *   release()   drop the held bytes (call when the upload fails)
+ *   size        bytes held so far
+ * Pass size when it is known up front to fail before any data is read. For a move, pass the source
+ * path as from: the bytes already count for their uploader and for quota folders holding the source,
+ * so only the maximum file size and the destination's other quota folders apply; on commit they
+ * move from the quota folders that hold only the source to those that hold only the destination.
+ */
+const reserveUpload = (user, filePath, { size, from } = {}) => {
+  const objectId = user.objectId;
+  const countsForUser = from === undefined;
+  const maxFileSize = getMaxFileSize(filePath);
+  const userLimit = countsForUser ? getUserQuota(user) : null;
+  const folders = quotaFoldersFor(filePath)
+    .filter((quota) => countsForUser || (quota.path && !from.startsWith(`${quota.path}/`)));
+  let held = 0;
+  let done = false;
+
+  const reservation = {
+    get size() {
+      return held;
+    },
+    add(bytes) {
+      if (done || !bytes) return;
+      const total = held + bytes;
+      if (maxFileSize !== null && total > maxFileSize) {
+        throw httpError(413, `File exceeds the maximum size of ${maxFileSize} bytes`, { maxFileSize });
+      }
+      if (userLimit !== null) {
+        const usage = getUserUsage(objectId);
+        if (usage.used + usage.pending + bytes > userLimit) {
+          throw quotaExceeded({ type: 'user', userId: objectId }, userLimit, usage, total);
+        }
+      }
+      for (const folder of folders) {
+        const usage = getFolderUsage(folder.path);
+        if (usage.used + usage.pending + bytes > folder.limit) {
+          throw quotaExceeded({ type: 'folder', folder: folder.path || '/' }, folder.limit, usage, total);
+        }
+      }
+      held = total;
+      if (countsForUser) adjust(pending.users, objectId, bytes);
+      for (const folder of folders) adjust(pending.folders, folder.path, bytes);
+    },
+    release() {
+      if (done) return;
+      done = true;
+      if (countsForUser) adjust(pending.users, objectId, -held);
+      for (const folder of folders) adjust(pending.folders, folder.path, -held);
+    },
+    async commit(finalSize = held, { replaces } = {}) {
+      if (done) return;
+      reservation.release();
+      const changes = [{ uploader: countsForUser ? objectId : null, folders, bytes: finalSize }];
+      if (!countsForUser) {
+        const left = quotaFoldersFor(from).filter((quota) => quota.path && !filePath.startsWith(`${quota.path}/`));
+        changes.push({ uploader: null, folders: left, bytes: -finalSize });
+      }
+      if (replaces) changes.push(entryChange(replaces, -1));
+      await writeUsage(changes);
+    },
+  };
+
+  if (size !== undefined) reservation.add(size);
+  return reservation;
+};
+
+// A pass-through stream that holds the bytes flowing through it against reservation (beyond any
+// size reserved up front), failing with 413 when they do not fit. Pipe the upload through it
+// before the blob write.
+const createQuotaStream = (reservation) => {
+  let streamed = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        streamed += chunk.length;
+        if (streamed > reservation.size) reservation.add(streamed - reservation.size);
+        callback(null, chunk);
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+};
+
+// Count every stored blob again and replace the recorded usage
+const recountUsage = async () => {
+  if (recounting) return recounting;
+  recounting = (async () => {
+    const started = Date.now();
+    const folders = listFolderQuotas();
+    const users = {};
+    const folderTotals = Object.fromEntries(folders.map((folder) => [folder.path, 0]));
+    let files = 0;
+    for await (const entry of storage.list()) {
+      if (isReservedPath(entry.name) || isKeepMarker(entry.name)) continue;
+      files++;
+      const uploader = getUploader(entry.metadata);
+      if (uploader) users[uploader] = (users[uploader] || 0) + entry.size;
+      for (const folder of folders) {
+        if (!folder.path || entry.name.startsWith(`${folder.path}/`)) folderTotals[folder.path] += entry.size;
+      }
+    }
+    const usage = { users, folders: folderTotals, recountedAt: new Date().toISOString() };
+    await usageStore.set(USAGE_KEY, usage);
+    console.log(`Quota usage recounted: ${files} files in ${Date.now() - started}ms`);
+    return { ...usage, files };
+  })();
+  try {
+    return await recounting;
+  } finally {
+    recounting = null;
+  }
+};
+
+// Usage of every user and quota folder, for reports
+const getUsageReport = () => {
+  const usage = loadUsage();
+  const userIds = new Set([...Object.keys(usage.users), ...pending.users.keys()]);
+  return {
+    recountedAt: usage.recountedAt,
+    // limit: the quota configured for the object ID (or the default; quotas keyed by UPN show only for their user)
+    users: Array.from(userIds, (objectId) => ({
+      userId: objectId,
+      limit: getUserQuota({ objectId }),
+      ...getUserUsage(objectId),
+    })),
+    folders: listFolderQuotas().map((folder) => ({
+      path: folder.path || '/',
+      limit: folder.limit,
+      ...getFolderUsage(folder.path),
+    })),
+  };
+};
+
+// Count once at startup if usage was never recorded (first start, or a new STATE_DIR)
+if (!usageStore.has(USAGE_KEY)) {
+  setImmediate(() => {
+    recountUsage().catch((error) => console.error('Initial quota count failed:', error.message));
+  });
+}
+
+if (QUOTA_RECOUNT_MINUTES > 0) {
+  setInterval(() => {
+    recountUsage().catch((error) => console.error('Quota recount failed:', error.message));
+  }, QUOTA_RECOUNT_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+  reserveUpload,
+  createQuotaStream,
+  updateUsage,
+  recountUsage,
+  getUserUsage,
+  getFolderUsage,
+  getUsageReport,
+  quotaFoldersFor,
+};
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const scanner = require('../scanners');
+const { httpError } = require('./errors');
+const { createJsonStore } = require('./stateStore');
+const { isKeepMarker, isReservedPath, QUARANTINE_FOLDER } = require('./listing');
+const { getUploader } = require('./metadata');
+const { recordAudit } = require('./audit');
+const { updateUsage } = require('./quotas');
+
+// Malware scanning and quarantine
+// With a scanner configured (see scanners/index.js), every new upload is stored with scan status
+// "pending" and queued here. Files cannot be downloaded until the scanner marks them "clean";
+// infected files are moved to .quarantine/<quarantineId>/<name> and recorded in the "quarantine"
+// state store, where admins can release (restore) or delete them. Scans that fail are retried
+// SCAN_MAX_ATTEMPTS times with growing delays, then left as "error" (still blocked) until an admin
+// rescans them. The queue lives in memory: a sweep at startup and every SCAN_SWEEP_MINUTES queues
+// pending and failed files again (after a restart, or after they were moved or restored while
+// pending). Files uploaded before scanning was turned on have no status and are not blocked.
+
+const SCAN_CONCURRENCY = parseInt(process.env.SCAN_CONCURRENCY || '2', 10);
+const SCAN_MAX_ATTEMPTS = parseInt(process.env.SCAN_MAX_ATTEMPTS || '3', 10);
+const SCAN_RETRY_DELAY_MS = 30 * 1000;
+const SCAN_SWEEP_MINUTES = parseInt(process.env.SCAN_SWEEP_MINUTES || '60', 10);
+
+const SCAN_STATUS_KEY = 'scanstatus';
+const SCAN_RESULT_KEY = 'scanresult';
+const SCANNED_AT_KEY = 'scannedat';
+const SCAN_STATUSES = ['pending', 'clean', 'infected', 'error'];
+const BLOCKED_STATUSES = ['pending', 'infected', 'error'];
+
+const quarantine = createJsonStore('quarantine');
+
+// Paths waiting for a scan (path -> { attempts, notBefore }) and paths being scanned
+const queue = new Map();
+const active = new Set();
+let running = 0;
+let sweeping = null;
+
+const isScanningEnabled = () => !!scanner;
+
+// Scan status of a blob from its metadata (null when it was never scanned)
+const getScanStatus = (metadata = {}) => (SCAN_STATUSES.includes(metadata[SCAN_STATUS_KEY]) ? metadata[SCAN_STATUS_KEY] : null);
+
+// Scan fields of a blob, for file info ({} when it was never scanned)
+const scanFromMetadata = (metadata = {}) => {
+  const status = getScanStatus(metadata);
+  if (!status) return {};
+  return {
+    scanStatus: status,
+    ...(metadata[SCANNED_AT_KEY] && { scannedAt: metadata[SCANNED_AT_KEY] }),
+  };
+};
+
+// True if a file may not be downloaded yet (pending, failed or infected; never with scanning off)
+const isScanBlocked = (metadata) => isScanningEnabled() && BLOCKED_STATUSES.includes(getScanStatus(metadata));
+
+// Metadata that marks a new upload as waiting for its scan ({} with scanning off)
+const pendingScanMetadata = () => (isScanningEnabled() ? { [SCAN_STATUS_KEY]: 'pending' } : {});
+
+/**
+ * 409 unless a file may be downloaded: with scanning on, files waiting for their scan or whose
+ * scan failed are blocked. props is the file's storage.stat() result.
+ */
+const assertScanned = (props, path = props.name) => {
+  if (!isScanBlocked(props.metadata)) return;
+  const status = getScanStatus(props.metadata);
+  if (status === 'pending') {
+    throw httpError(409, 'File is being scanned for malware; try again shortly', { path, scanStatus: status });
+  }
+  if (status === 'infected') {
+    throw httpError(409, 'File contains malware and is blocked', { path, scanStatus: status });
+  }
+  throw httpError(409, 'File could not be scanned for malware and is blocked', { path, scanStatus: status });
+};
+
+const isConditionFailed = (error) => error && error.statusCode === 412;
+
+// Helper: write scan fields onto the current metadata of a blob
+// conditions ({ ifMatch }) make the write fail with 412 if the blob changed since it was read
+const setScanMetadata = async (path, metadata, status, result, conditions) => {
+  const next = { ...metadata, [SCAN_STATUS_KEY]: status, [SCANNED_AT_KEY]: new Date().toISOString() };
+  if (result) next[SCAN_RESULT_KEY] = encodeURIComponent(String(result).slice(0, 200));
+  else delete next[SCAN_RESULT_KEY];
+  await storage.setMetadata(path, next, { conditions });
+};
+
+// Helper: move an infected file into the quarantine and record it
+// Only the scanned version (entry.etag) is moved; rejects with 412 if the file changed meanwhile
+const quarantineFile = async (path, entry, signature) => {
+  const quarantineId = crypto.randomUUID();
+  const name = path.slice(path.lastIndexOf('/') + 1);
+  const location = `${QUARANTINE_FOLDER}/${quarantineId}/${name}`;
+  const scanned = { ifMatch: entry.etag };
+  await storage.copy(path, location, { sourceConditions: scanned });
+  await setScanMetadata(location, entry.metadata, 'infected', signature);
+  try {
+    await storage.delete(path, { conditions: scanned });
+  } catch (error) {
+    await storage.delete(location).catch(() => {});
+    throw error;
+  }
+  await updateUsage({ removed: [entry] });
+  const item = {
+    quarantineId,
+    name,
+    originalPath: path,
+    location,
+    size: entry.size,
+    contentType: entry.contentType,
+    signature,
+    scanner: scanner.name,
+    uploadedBy: getUploader(entry.metadata),
+    quarantinedAt: new Date().toISOString(),
+  };
+  await quarantine.set(quarantineId, item);
+  console.warn(`Malware found in ${path} (${signature}); quarantined as ${quarantineId}`);
+  recordAudit({
+    action: 'scan.quarantine',
+    outcome: 'success',
+    user: { objectId: item.uploadedBy, upn: null },
+    paths: [path],
+    details: { quarantineId, signature, scanner: scanner.name },
+  });
+  return item;
+};
+
+// Helper: queue a file that changed during its scan (started once the current scan finishes)
+const scanAgain = (path) => {
+  console.log(`${path} changed during its scan; scanning it again`);
+  queue.set(path, { attempts: 0, notBefore: 0 });
+};
+
+// Helper: scan one queued file and act on the result
+const scanFile = async (path, job) => {
+  const entry = await storage.stat(path);
+  // Gone (deleted, moved) or already decided; a file moved while pending is found by the sweep
+  if (!entry || !['pending', 'error'].includes(getScanStatus(entry.metadata))) return;
+
+  let result;
+  let scanError;
+  try {
+    const download = await storage.read(path);
+    result = await scanner.scan(download.stream, { path });
+  } catch (error) {
+    scanError = error;
+    job.attempts++;
+    if (job.attempts < SCAN_MAX_ATTEMPTS) {
+      console.warn(`Scan of ${path} failed (attempt ${job.attempts}), retrying:`, error.message);
+      queue.set(path, { ...job, notBefore: Date.now() + SCAN_RETRY_DELAY_MS * 2 ** (job.attempts - 1) });
+      return;
+    }
+    console.error(`Scan of ${path} failed after ${job.attempts} attempts:`, error.message);
+  }
+
+  // The result only applies to the scanned version: a file changed during the scan (replaced, or
+  // its metadata updated), or while the result is saved, is scanned again
+  const current = await storage.stat(path);
+  if (!current) return;
+  if (current.etag !== entry.etag) return scanAgain(path);
+  const scanned = { ifMatch: entry.etag };
+  try {
+    if (scanError) {
+      await setScanMetadata(path, current.metadata, 'error', scanError.message, scanned);
+    } else if (result.infected) {
+      await quarantineFile(path, current, result.signature || 'Unknown');
+    } else {
+      await setScanMetadata(path, current.metadata, 'clean', null, scanned);
+      console.log(`Scan clean: ${path}`);
+    }
+  } catch (error) {
+    if (!isConditionFailed(error)) throw error;
+    scanAgain(path);
+  }
+};
+
+// Helper: start scans while there is capacity and a due job
+const pump = () => {
+  if (!isScanningEnabled()) return;
+  const now = Date.now();
+  for (const [path, job] of queue) {
+    if (running >= SCAN_CONCURRENCY) return;
+    if (active.has(path) || job.notBefore > now) continue;
+    queue.delete(path);
+    active.add(path);
+    running++;
+    scanFile(path, job)
+      .catch((error) => console.error(`Scan of ${path} failed:`, error.message))
+      .finally(() => {
+        active.delete(path);
+        running--;
+        pump();
+      });
+  }
+  // Retries wait for their delay
+  const next = Math.min(...Array.from(queue.values(), (job) => job.notBefore));
+  if (Number.isFinite(next) && next > now) setTimeout(pump, next - now).unref();
+};
+
+// Queue a file for scanning (no-op with scanning off)
+const queueScan = (path) => {
+  if (!isScanningEnabled()) return;
+  queue.set(path, { attempts: 0, notBefore: 0 });
+  pump();
+};
+
+// Mark a file pending and scan it again (admin: files whose scan failed, or to re-check a file)
+const rescanFile = async (path) => {
+  if (!isScanningEnabled()) throw httpError(400, 'Malware scanning is not enabled');
+  const entry = await storage.stat(path);
+  if (!entry || isReservedPath(path)) throw httpError(404, 'File not found');
+  await storage.setMetadata(path, { ...entry.metadata, [SCAN_STATUS_KEY]: 'pending' });
+  queueScan(path);
+  return { path, scanStatus: 'pending' };
+};
+
+// Queue every pending or failed file that is not queued yet
+const sweepUnscanned = async () => {
+  if (!isScanningEnabled()) return { queued: 0 };
+  if (sweeping) return sweeping;
+  sweeping = (async () => {
+    let queued = 0;
+    for await (const entry of storage.list()) {
+      if (isReservedPath(entry.name) || isKeepMarker(entry.name)) continue;
+      if (!['pending', 'error'].includes(getScanStatus(entry.metadata))) continue;
+      if (queue.has(entry.name) || active.has(entry.name)) continue;
+      queue.set(entry.name, { attempts: 0, notBefore: 0 });
+      queued++;
+    }
+    if (queued) console.log(`Scan sweep queued ${queued} file(s)`);
+    pump();
+    return { queued };
+  })();
+  try {
+    return await sweeping;
+  } finally {
+    sweeping = null;
+  }
+};
+
+// Scanner and queue state
+const getScanningStatus = () => ({
+  enabled: isScanningEnabled(),
+  scanner: scanner ? scanner.name : null,
+  queued: queue.size,
+  scanning: active.size,
+  quarantined: quarantine.values().length,
+});
+
+// Helper: public view of a quarantine record (omits the storage location)
+const toQuarantineView = (item) => ({
+  quarantineId: item.quarantineId,
+  name: item.name,
+  originalPath: item.originalPath,
+  size: item.size,
+  contentType: item.contentType,
+  signature: item.signature,
+  scanner: item.scanner,
+  uploadedBy: item.uploadedBy,
+  quarantinedAt: item.quarantinedAt,
+});
+
+// Quarantined files, newest first
+const listQuarantine = () => quarantine.values()
+  .sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+
+const getQuarantineItem = (quarantineId) => quarantine.get(quarantineId);
+
+/**
+ * Restore a quarantined file to its original path (or path), marked clean - for false positives.
+ * Rejects with 409 if a file exists at the destination.
+ */
+const releaseQuarantined = async (item, user, { path } = {}) => {
+  const destination = path || item.originalPath;
+  if (isReservedPath(destination)) throw httpError(400, 'Path is reserved');
+  if (await storage.exists(destination)) {
+    throw httpError(409, 'A file already exists at the destination', { path: destination });
+  }
+  const entry = await storage.stat(item.location);
+  if (!entry) throw httpError(404, 'Quarantined file not found in storage');
+  await storage.copy(item.location, destination);
+  await setScanMetadata(destination, entry.metadata, 'clean', `Released by ${user.upn || user.objectId}`);
+  await storage.delete(item.location);
+  await updateUsage({ added: [{ ...entry, name: destination }] });
+  await quarantine.delete(item.quarantineId);
+  console.log(`Released from quarantine: ${item.quarantineId} -> ${destination}`);
+  return { quarantineId: item.quarantineId, path: destination };
+};
+
+// Delete a quarantined file for good
+const deleteQuarantined = async (item) => {
+  await storage.delete(item.location).catch((error) => {
+    if (error.statusCode !== 404) throw error;
+  });
+  await quarantine.delete(item.quarantineId);
+  console.log(`Deleted from quarantine: ${item.quarantineId} (${item.originalPath})`);
+};
+
+if (isScanningEnabled()) {
+  setImmediate(() => {
+    sweepUnscanned().catch((error) => console.error('Scan sweep failed:', error.message));
+  });
+  if (SCAN_SWEEP_MINUTES > 0) {
+    setInterval(() => {
+      sweepUnscanned().catch((error) => console.error('Scan sweep failed:', error.message));
+    }, SCAN_SWEEP_MINUTES * 60 * 1000).unref();
+  }
+}
+
+module.exports = {
+  isScanningEnabled,
+  getScanStatus,
+  scanFromMetadata,
+  pendingScanMetadata,
+  isScanBlocked,
+  assertScanned,
+  queueScan,
+  rescanFile,
+  sweepUnscanned,
+  getScanningStatus,
+  toQuarantineView,
+  listQuarantine,
+  getQuarantineItem,
+  releaseQuarantined,
+  deleteQuarantined,
+};
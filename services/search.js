@@ -0,0 +1,247 @@
+const storage = require('../storage');
+const { httpError } = require('./errors');
+const { fromStoredMetadata } = require('./metadata');
+const {
+  isKeepMarker,
+  isReservedPath,
+  getExtension,
+  matchesContentType,
+  parseList,
+  encodeToken,
+  decodeToken,
+} = require('./listing');
+
+// Search across the container
+// Blob storage has no query index, so a search walks every blob under the prefix (a flat listing)
+// and filters in memory. The walk stops after SEARCH_MAX_SCAN blobs and the response is marked
+// truncated; narrow the prefix to search large containers. Pages are offsets into the ranked
+// results, so each page repeats the walk. Matching is synchronous, so the walk gives way to other
+// requests every SEARCH_SLICE_MS.
+
+const SEARCH_MAX_SCAN = parseInt(process.env.SEARCH_MAX_SCAN || '100000', 10);
+const SEARCH_SLICE_MS = 20;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+const MAX_QUERY_LENGTH = 256;
+const SORT_ORDERS = ['relevance', 'date', 'name', 'size'];
+
+const baseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+const isGlob = (pattern) => /[*?[]/.test(pattern);
+
+// Helper: compile a glob ("*" within a path segment, "**" across segments, "?" one character,
+// "[...]" / "[!...]" one character of a class) into a case-insensitive matcher { test(path) }.
+// Matching walks the path once per pattern token instead of using a backtracking RegExp, so no
+// pattern can make a search hang; an invalid character class (e.g. "[z-a]") is a 400
+const compileGlob = (glob) => {
+  const tokens = [];
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      let end = i;
+      while (glob[end + 1] === '*') end++;
+      tokens.push({ type: end > i ? 'any' : 'segment' });
+      i = end;
+    } else if (char === '?') {
+      tokens.push({ type: 'char', test: (c) => c !== '/' });
+    } else if (char === '[' && glob.indexOf(']', i + 1) !== -1) {
+      const end = glob.indexOf(']', i + 1);
+      const members = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      let charClass;
+      try {
+        charClass = new RegExp(`^[${members}]$`, 'i');
+      } catch (error) {
+        throw httpError(400, `Invalid search pattern: ${glob}`);
+      }
+      tokens.push({ type: 'char', test: (c) => charClass.test(c) });
+      i = end;
+    } else {
+      const lower = char.toLowerCase();
+      tokens.push({ type: 'char', test: (c) => c === lower });
+    }
+  }
+
+  const test = (value) => {
+    const text = value.toLowerCase();
+    // reachable[i]: the tokens so far can match text.slice(0, i)
+    let reachable = new Array(text.length + 1).fill(false);
+    reachable[0] = true;
+    for (const token of tokens) {
+      const next = new Array(text.length + 1).fill(false);
+      for (let i = 0; i <= text.length; i++) {
+        if (token.type === 'char') {
+          next[i] = i > 0 && reachable[i - 1] && token.test(text[i - 1]);
+        } else {
+          next[i] = reachable[i]
+            || (i > 0 && next[i - 1] && (token.type === 'any' || text[i - 1] !== '/'));
+        }
+      }
+      reachable = next;
+      if (!reachable.includes(true)) return false;
+    }
+    return reachable[text.length];
+  };
+
+  return { test };
+};
+
+// Helper: relevance of a name match (0 = no match); higher is better
+const scoreName = (entry, query) => {
+  if (query.pattern) {
+    return query.pattern.test(query.matchPath ? entry.name : baseName(entry.name)) ? 50 : 0;
+  }
+  const name = baseName(entry.name).toLowerCase();
+  const stem = name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name;
+  const text = query.text;
+  if (name === text || stem === text) return 100;
+  if (name.startsWith(text)) return 75;
+  const index = name.indexOf(text);
+  if (index > 0 && /[^a-z0-9]/.test(name[index - 1])) return 60;
+  if (index > 0) return 40;
+  if (entry.name.toLowerCase().includes(text)) return 10;
+  return 0;
+};
+
+// Helper: parse an optional non-negative integer query value
+const parseSize = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 0) throw httpError(400, `${name} must be a non-negative integer`);
+  return size;
+};
+
+// Helper: parse an optional date query value
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw httpError(400, `${name} must be an ISO 8601 date`);
+  return time;
+};
+
+/**
+ * Validate search parameters into a query.
+ * q: name substring, or a glob if it contains * ? [ (matched against the name, or the full path
+ * if it contains "/"); prefix; extension and contentType lists; minSize / maxSize;
+ * modifiedAfter / modifiedBefore; metadata { key: value | "*" }; tags (all required);
+ * sortBy relevance | date | name | size; order; pageSize; continuationToken
+ */
+const parseSearchQuery = (params = {}) => {
+  const q = params.q ? String(params.q).trim() : '';
+  if (q.length > MAX_QUERY_LENGTH) throw httpError(400, `q must be at most ${MAX_QUERY_LENGTH} characters`);
+  const pageSize = params.pageSize !== undefined ? Number(params.pageSize) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw httpError(400, `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  const sortBy = params.sortBy || (q ? 'relevance' : 'date');
+  if (!SORT_ORDERS.includes(sortBy)) {
+    throw httpError(400, `sortBy must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+  const defaultOrder = sortBy === 'name' ? 'asc' : 'desc';
+  const order = params.order || defaultOrder;
+  if (order !== 'asc' && order !== 'desc') throw httpError(400, 'order must be asc or desc');
+
+  const query = {
+    text: q && !isGlob(q) ? q.toLowerCase() : null,
+    pattern: q && isGlob(q) ? compileGlob(q) : null,
+    matchPath: q.includes('/'),
+    prefix: params.prefix ? String(params.prefix).replace(/^\/+/, '') : '',
+    extensions: parseList(params.extension),
+    contentTypes: parseList(params.contentType),
+    minSize: parseSize(params.minSize, 'minSize'),
+    maxSize: parseSize(params.maxSize, 'maxSize'),
+    modifiedAfter: parseDate(params.modifiedAfter, 'modifiedAfter'),
+    modifiedBefore: parseDate(params.modifiedBefore, 'modifiedBefore'),
+    metadata: Object.entries(params.metadata || {})
+      .map(([key, value]) => [key.toLowerCase(), String(value).toLowerCase()]),
+    tags: (params.tags ? String(params.tags).split(',') : [])
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean),
+    sortBy,
+    order,
+    pageSize,
+    offset: decodeToken(params.continuationToken).o || 0,
+  };
+  if (query.minSize !== undefined && query.maxSize !== undefined && query.minSize > query.maxSize) {
+    throw httpError(400, 'minSize must not exceed maxSize');
+  }
+  return query;
+};
+
+// Helper: true if the entry passes every non-name filter
+const matchesFilters = (entry, query) => {
+  if (query.extensions.length && !query.extensions.includes(getExtension(entry.name))) return false;
+  if (query.contentTypes.length && !matchesContentType(entry.contentType, query.contentTypes)) return false;
+  const size = entry.size || 0;
+  if (query.minSize !== undefined && size < query.minSize) return false;
+  if (query.maxSize !== undefined && size > query.maxSize) return false;
+  const modified = new Date(entry.lastModified || 0).getTime();
+  if (query.modifiedAfter !== undefined && modified < query.modifiedAfter) return false;
+  if (query.modifiedBefore !== undefined && modified > query.modifiedBefore) return false;
+
+  if (query.metadata.length || query.tags.length) {
+    const { metadata, tags } = fromStoredMetadata(entry.metadata);
+    const matchesMetadata = query.metadata.every(([key, value]) => (
+      metadata[key] !== undefined && (value === '*' || metadata[key].toLowerCase() === value)
+    ));
+    if (!matchesMetadata) return false;
+    const entryTags = new Set(tags.map((tag) => tag.toLowerCase()));
+    if (!query.tags.every((tag) => entryTags.has(tag))) return false;
+  }
+  return true;
+};
+
+const sortValue = (hit, sortBy) => {
+  if (sortBy === 'relevance') return hit.score;
+  if (sortBy === 'date') return new Date(hit.entry.lastModified || 0).getTime();
+  if (sortBy === 'size') return hit.entry.size || 0;
+  return hit.entry.name.toLowerCase();
+};
+
+// Helper: compare hits by the requested order, newest first on ties
+const compareHits = (sortBy, direction) => (a, b) => {
+  const av = sortValue(a, sortBy);
+  const bv = sortValue(b, sortBy);
+  if (av < bv) return -direction;
+  if (av > bv) return direction;
+  return new Date(b.entry.lastModified || 0) - new Date(a.entry.lastModified || 0);
+};
+
+/**
+ * Run a parsed search. canRead(path) may exclude files the caller cannot see.
+ * Resolves with { hits: [{ entry, score }], total, scanned, truncated, continuationToken }.
+ */
+const searchFiles = async (query, { canRead = () => true } = {}) => {
+  const hits = [];
+  let scanned = 0;
+  let truncated = false;
+  let sliceStarted = Date.now();
+  for await (const entry of storage.list({ prefix: query.prefix })) {
+    if (scanned >= SEARCH_MAX_SCAN) {
+      truncated = true;
+      break;
+    }
+    scanned++;
+    if (Date.now() - sliceStarted >= SEARCH_SLICE_MS) {
+      await new Promise((resolve) => setImmediate(resolve));
+      sliceStarted = Date.now();
+    }
+    if (isKeepMarker(entry.name) || isReservedPath(entry.name)) continue;
+    const score = query.text || query.pattern ? scoreName(entry, query) : 0;
+    if ((query.text || query.pattern) && score === 0) continue;
+    if (!matchesFilters(entry, query) || !(await canRead(entry.name))) continue;
+    hits.push({ entry, score });
+  }
+
+  hits.sort(compareHits(query.sortBy, query.order === 'asc' ? 1 : -1));
+  const page = hits.slice(query.offset, query.offset + query.pageSize);
+  const nextOffset = query.offset + page.length;
+  return {
+    hits: page,
+    total: hits.length,
+    scanned,
+    truncated,
+    continuationToken: nextOffset < hits.length ? encodeToken({ o: nextOffset }) : null,
+  };
+};
+
+module.exports = { parseSearchQuery, searchFiles, SEARCH_MAX_SCAN };
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const storage = require('../storage');
+const { httpError } = require('./errors');
+const { createJsonStore } = require('./stateStore');
+const { isReservedPath } = require('./listing');
+const { folderExists } = require('./folders');
+
+// Share links
+// A share link gives anyone holding its URL read access to one file or folder until it expires,
+// optionally behind a password and a download limit. Folder links download the folder as a ZIP;
+// with allowBrowse the recipient can also list the folder and download single files in it.
+// Links are recorded in the "shares" state store; the shareId is the unguessable part of the URL.
+// Links follow the path they were created for: moving or deleting the target breaks them.
+
+const SHARE_DEFAULT_EXPIRY_DAYS = parseFloat(process.env.SHARE_DEFAULT_EXPIRY_DAYS || '7');
+const SHARE_MAX_EXPIRY_DAYS = parseFloat(process.env.SHARE_MAX_EXPIRY_DAYS || '90');
+const SHARE_ACCESS_TTL_SECONDS = 60 * 60; // password unlock lasts an hour
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 256;
+const MAX_FAILED_UNLOCKS = 10; // per link, within FAILED_UNLOCK_WINDOW_MS
+const FAILED_UNLOCK_WINDOW_MS = 15 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const scrypt = promisify(crypto.scrypt);
+
+const shares = createJsonStore('shares');
+
+// Failed password attempts per share: shareId -> [timestamps]
+const failedUnlocks = new Map();
+
+// Helper: public view of a share (omits the password hash)
+const toShareView = (share) => ({
+  shareId: share.shareId,
+  url: `/api/shares/${share.shareId}`,
+  type: share.type,
+  path: share.path,
+  name: share.name,
+  allowBrowse: share.allowBrowse,
+  hasPassword: !!share.password,
+  maxDownloads: share.maxDownloads,
+  downloads: share.downloads,
+  downloadsRemaining: share.maxDownloads === null ? null : Math.max(0, share.maxDownloads - share.downloads),
+  createdBy: share.createdBy,
+  createdAt: share.createdAt,
+  expiresAt: share.expiresAt,
+  lastAccessedAt: share.lastAccessedAt,
+});
+
+const baseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+const isExpired = (share) => Date.parse(share.expiresAt) <= Date.now();
+
+const isExhausted = (share) => share.maxDownloads !== null && share.downloads >= share.maxDownloads;
+
+// Helper: validate expiresAt (ISO date) or expiresIn (seconds); defaults to SHARE_DEFAULT_EXPIRY_DAYS
+const parseExpiry = ({ expiresAt, expiresIn }) => {
+  const now = Date.now();
+  let expires;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expires = Date.parse(expiresAt);
+    if (Number.isNaN(expires)) throw httpError(400, 'expiresAt must be an ISO 8601 date');
+  } else if (expiresIn !== undefined && expiresIn !== null) {
+    if (!Number.isInteger(expiresIn) || expiresIn < 1) throw httpError(400, 'expiresIn must be a positive number of seconds');
+    expires = now + expiresIn * 1000;
+  } else {
+    expires = now + SHARE_DEFAULT_EXPIRY_DAYS * DAY_MS;
+  }
+  if (expires <= now) throw httpError(400, 'Expiry must be in the future');
+  if (expires > now + SHARE_MAX_EXPIRY_DAYS * DAY_MS) {
+    throw httpError(400, `Share links can expire at most ${SHARE_MAX_EXPIRY_DAYS} days from now`);
+  }
+  return new Date(expires).toISOString();
+};
+
+const hashPassword = async (password, salt) => (await scrypt(password, Buffer.from(salt, 'base64'), 32)).toString('base64');
+
+/**
+ * Create a share link for a file or folder.
+ * { path, expiresAt | expiresIn, password, maxDownloads, allowBrowse } - rejects with 404 if the
+ * path is neither a file nor a folder.
+ */
+const createShare = async ({ path, expiresAt, expiresIn, password, maxDownloads, allowBrowse }, user) => {
+  if (!path) throw httpError(400, 'path is required');
+  if (isReservedPath(path)) throw httpError(400, 'Path is reserved');
+  if (password !== undefined && password !== null) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+      throw httpError(400, `password must be ${PASSWORD_MIN_LENGTH} to ${PASSWORD_MAX_LENGTH} characters`);
+    }
+  }
+  if (maxDownloads !== undefined && maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+    throw httpError(400, 'maxDownloads must be a positive integer');
+  }
+  if (allowBrowse !== undefined && typeof allowBrowse !== 'boolean') {
+    throw httpError(400, 'allowBrowse must be a boolean');
+  }
+
+  let type;
+  if (await storage.stat(path)) type = 'file';
+  else if (await folderExists(path)) type = 'folder';
+  else throw httpError(404, 'File or folder not found');
+  if (type === 'file' && allowBrowse) throw httpError(400, 'allowBrowse only applies to folders');
+
+  const share = {
+    shareId: crypto.randomBytes(24).toString('base64url'),
+    type,
+    path,
+    name: baseName(path),
+    allowBrowse: type === 'folder' && !!allowBrowse,
+    password: null,
+    maxDownloads: maxDownloads || null,
+    downloads: 0,
+    createdBy: { objectId: user.objectId, upn: user.upn || null, name: user.name || null },
+    createdAt: new Date().toISOString(),
+    expiresAt: parseExpiry({ expiresAt, expiresIn }),
+    lastAccessedAt: null,
+  };
+  if (password) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    share.password = { salt, hash: await hashPassword(password, salt) };
+  }
+  await shares.set(share.shareId, share);
+  console.log(`Share link created: ${share.type} ${share.path} (${share.shareId.slice(0, 8)}..., expires ${share.expiresAt})`);
+  return share;
+};
+
+// A share by ID, or null (expired links are kept until the next sweep)
+const getShare = (shareId) => shares.get(shareId);
+
+// Shares created by a user (objectId), or every share; newest first
+const listShares = ({ createdBy } = {}) => shares.values()
+  .filter((share) => !createdBy || share.createdBy.objectId === createdBy)
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+// Revoke a share link; resolves with false if it did not exist
+const revokeShare = async (shareId) => {
+  const removed = await shares.delete(shareId);
+  failedUnlocks.delete(shareId);
+  if (removed) console.log(`Share link revoked: ${shareId.slice(0, 8)}...`);
+  return removed;
+};
+
+// Helper: signature of an access token (keyed by the password hash, so it dies with the link)
+const signAccess = (share, exp) => crypto
+  .createHmac('sha256', share.password.hash)
+  .update(`${share.shareId}|${exp}`)
+  .digest('base64url');
+
+/**
+ * Check a password and return a short-lived access token for the link.
+ * Rejects with 401 for a wrong password and 429 after too many recent failures.
+ */
+const unlockShare = async (share, password) => {
+  if (!share.password) throw httpError(400, 'This share link has no password');
+  const now = Date.now();
+  const recent = (failedUnlocks.get(share.shareId) || []).filter((time) => time > now - FAILED_UNLOCK_WINDOW_MS);
+  if (recent.length >= MAX_FAILED_UNLOCKS) {
+    throw httpError(429, 'Too many failed attempts, try again later');
+  }
+
+  const hash = typeof password === 'string' && password.length <= PASSWORD_MAX_LENGTH
+    ? await hashPassword(password, share.password.salt)
+    : '';
+  const expected = Buffer.from(share.password.hash);
+  if (hash.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(hash), expected)) {
+    failedUnlocks.set(share.shareId, [...recent, now]);
+    throw httpError(401, 'Invalid password', { code: 'invalid_password' });
+  }
+  failedUnlocks.delete(share.shareId);
+
+  const exp = Math.floor(now / 1000) + SHARE_ACCESS_TTL_SECONDS;
+  return {
+    accessToken: `${exp}.${signAccess(share, exp)}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+};
+
+// True if an access token from unlockShare is valid for the share
+const verifyAccess = (share, accessToken) => {
+  if (!share.password) return true;
+  const [expStr, sig] = String(accessToken || '').split('.');
+  const exp = parseInt(expStr, 10);
+  if (!sig || Number.isNaN(exp) || exp < Math.floor(Date.now() / 1000)) return false;
+  const expected = Buffer.from(signAccess(share, exp));
+  return sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), expected);
+};
+
+/**
+ * Count one download against the link's limit.
+ * Rejects with 410 if the limit is already reached.
+ */
+const recordShareDownload = async (share) => {
+  const current = shares.get(share.shareId);
+  if (!current) throw httpError(404, 'Share link not found');
+  if (isExhausted(current)) throw httpError(410, 'Download limit reached');
+  const updated = { ...current, downloads: current.downloads + 1, lastAccessedAt: new Date().toISOString() };
+  await shares.set(share.shareId, updated);
+  return updated;
+};
+
+// Remove expired links
+const sweepExpiredShares = async () => {
+  const expired = shares.values().filter(isExpired);
+  for (const share of expired) {
+    await shares.delete(share.shareId);
+    failedUnlocks.delete(share.shareId);
+  }
+  if (expired.length) console.log(`Share links expired: ${expired.length}`);
+};
+
+setInterval(() => {
+  sweepExpiredShares().catch((error) => console.error('Share link sweep failed:', error.message));
+}, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  createShare,
+  getShare,
+  listShares,
+  revokeShare,
+  unlockShare,
+  verifyAccess,
+  recordShareDownload,
+  toShareView,
+  isExpired,
+  isExhausted,
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Small persistent key/value collections for server-side state (upload sessions, etc.)
+// Each collection is one JSON file under STATE_DIR (default ./.state), loaded on first use
+// and rewritten after every change. On App Service, point STATE_DIR at /home so state
+// survives restarts. Each instance keeps its own copy in memory and overwrites the file, so the
+// state is per instance: run a single instance (no scale-out) while these stores are in use.
+
+const STATE_DIR = path.resolve(process.env.STATE_DIR || path.join(process.cwd(), '.state'));
+
+const createJsonStore = (name) => {
+  const file = path.join(STATE_DIR, `${name}.json`);
+  let records = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!records) {
+      try {
+        records = new Map(Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Failed to load state store ${name}:`, error.message);
+        }
+        records = new Map();
+      }
+    }
+    return records;
+  };
+
+  // Serialize writes so concurrent changes never interleave on disk
+  const persist = () => {
+    const snapshot = JSON.stringify(Object.fromEntries(load()));
+    const tempFile = `${file}.tmp`;
+    writing = writing
+      .then(async () => {
+        await fsp.mkdir(STATE_DIR, { recursive: true });
+        await fsp.writeFile(tempFile, snapshot);
+        await fsp.rename(tempFile, file);
+      })
+      .catch((error) => {
+        console.error(`Failed to persist state store ${name}:`, error.message);
+      });
+    return writing;
+  };
+
+  return {
+    get: (id) => load().get(id) || null,
+    has: (id) => load().has(id),
+    values: () => Array.from(load().values()),
+    set: (id, value) => {
+      load().set(id, value);
+      return persist();
+    },
+    delete: (id) => {
+      const removed = load().delete(id);
+      return persist().then(() => removed);
+    },
+  };
+};
+
+module.exports = { createJsonStore, STATE_DIR };
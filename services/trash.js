@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const { httpError } = require('./errors');
+const { createJsonStore } = require('./stateStore');
+const { updateUsage } = require('./quotas');
+const { isKeepMarker, TRASH_FOLDER } = require('./listing');
+const { listFolderBlobs, findMoveCollisions, moveFolder, deleteFolderRecursive } = require('./folders');
+
+// Trash bin (soft delete)
+// Deleted files and folders are moved under .trash/<trashId>/<name> in storage and recorded in
+// the "trash" state store with who deleted them and when. Items can be restored until they are
+// purged by an admin or expire after TRASH_RETENTION_DAYS.
+
+const TRASH_RETENTION_MS = parseFloat(process.env.TRASH_RETENTION_DAYS || '30') * 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const items = createJsonStore('trash');
+
+// Trash items with a restore or purge in progress
+const busy = new Set();
+
+const baseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// Helper: public view of a trash item (omits the storage location)
+const toTrashView = (item) => ({
+  trashId: item.trashId,
+  type: item.type,
+  name: item.name,
+  originalPath: item.originalPath,
+  size: item.size,
+  fileCount: item.fileCount,
+  deletedBy: item.deletedBy,
+  deletedAt: item.deletedAt,
+  expiresAt: item.expiresAt,
+});
+
+// Helper: new trash record for a path being deleted by user
+const newItem = (type, originalPath, user) => {
+  const trashId = crypto.randomUUID();
+  const deletedAt = new Date();
+  return {
+    trashId,
+    type,
+    name: baseName(originalPath),
+    originalPath,
+    location: `${TRASH_FOLDER}/${trashId}/${baseName(originalPath)}`,
+    deletedBy: { objectId: user.objectId, upn: user.upn || null, name: user.name || null },
+    deletedAt: deletedAt.toISOString(),
+    expiresAt: new Date(deletedAt.getTime() + TRASH_RETENTION_MS).toISOString(),
+  };
+};
+
+// Move one file to the trash; rejects with 404 if it does not exist
+const trashFile = async (path, user) => {
+  const entry = await storage.stat(path);
+  if (!entry) throw httpError(404, 'File not found');
+
+  const item = { ...newItem('file', path, user), size: entry.size || 0, fileCount: 1 };
+  await storage.copy(path, item.location);
+  await storage.delete(path);
+  await updateUsage({ removed: [entry] });
+  await items.set(item.trashId, item);
+  console.log(`Moved to trash: ${path} (${item.trashId})`);
+  return item;
+};
+
+/**
+ * Move a folder and everything under it to the trash, updating job.progress as it goes.
+ * Uses moveFolder, so a failed copy is rolled back and nothing is trashed.
+ * Resolves with the move report plus the trashId.
+ */
+const trashFolder = async (folderPath, user, job) => {
+  const blobs = await listFolderBlobs(folderPath);
+  if (!blobs.length) throw httpError(404, 'Folder not found');
+
+  const files = blobs.filter((blob) => !isKeepMarker(blob.name));
+  const item = {
+    ...newItem('folder', folderPath, user),
+    size: files.reduce((sum, blob) => sum + (blob.size || 0), 0),
+    fileCount: files.length,
+  };
+  const report = await moveFolder(folderPath, item.location, job);
+  await items.set(item.trashId, item);
+  console.log(`Moved folder to trash: ${folderPath} (${item.trashId}, ${blobs.length} blobs)`);
+  return { ...report, trashId: item.trashId };
+};
+
+const getTrashItem = (trashId) => items.get(trashId);
+
+// Trash items newest first; pass deletedBy (an objectId) to restrict to one user's deletions
+const listTrash = ({ deletedBy } = {}) => items.values()
+  .filter((item) => !deletedBy || item.deletedBy.objectId === deletedBy)
+  .sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : -1));
+
+// Helper: run fn while the item is marked busy (409 if another restore/purge holds it)
+const withItem = async (item, fn) => {
+  if (busy.has(item.trashId)) {
+    throw httpError(409, 'Another restore or purge is in progress for this item');
+  }
+  busy.add(item.trashId);
+  try {
+    return await fn();
+  } finally {
+    busy.delete(item.trashId);
+  }
+};
+
+// Restored folder blobs that would overwrite existing files at targetPath
+const findRestoreCollisions = async (item, targetPath) => {
+  const blobs = await listFolderBlobs(item.location);
+  return findMoveCollisions(blobs, item.location, targetPath);
+};
+
+// Restore a trashed file to a destination from resolveDestination ({ path, conditions, replaces })
+const restoreFile = (item, { path: targetPath, conditions, replaces }) => withItem(item, async () => {
+  const entry = await storage.stat(item.location);
+  if (!entry) throw httpError(404, 'Trashed file not found in storage');
+  await storage.copy(item.location, targetPath, { conditions });
+  await storage.delete(item.location);
+  await updateUsage({ added: [{ ...entry, name: targetPath }], removed: replaces ? [replaces] : [] });
+  await items.delete(item.trashId);
+  console.log(`Restored from trash: ${item.trashId} -> ${targetPath}`);
+  return { trashId: item.trashId, path: targetPath };
+});
+
+// Restore a trashed folder to targetPath, updating job.progress (see moveFolder)
+const restoreFolder = (item, targetPath, job) => withItem(item, async () => {
+  const report = await moveFolder(item.location, targetPath, job);
+  if (!report.failed) await items.delete(item.trashId);
+  console.log(`Restored folder from trash: ${item.trashId} -> ${targetPath}`);
+  return { ...report, trashId: item.trashId };
+});
+
+// Permanently delete a trash item; the record is kept if some blobs could not be deleted
+const purgeItem = (item, job) => withItem(item, async () => {
+  const report = await deleteFolderRecursive(`${TRASH_FOLDER}/${item.trashId}`, job);
+  if (!report.failed) await items.delete(item.trashId);
+  console.log(`Purged from trash: ${item.trashId} (${item.originalPath})`);
+  return { ...report, trashId: item.trashId, originalPath: item.originalPath };
+});
+
+// Purge several items one after another, counting items in job.progress
+const purgeItems = async (trashItems, job) => {
+  job.progress.total = trashItems.length;
+  const failures = [];
+  for (const item of trashItems) {
+    try {
+      const report = await purgeItem(item);
+      if (report.failed) failures.push({ trashId: item.trashId, error: `${report.failed} blob(s) not deleted` });
+      else job.progress.succeeded++;
+    } catch (error) {
+      failures.push({ trashId: item.trashId, error: error.message });
+    } finally {
+      job.progress.processed++;
+    }
+  }
+  job.progress.failed = failures.length;
+  return { total: trashItems.length, purged: job.progress.succeeded, failed: failures.length, failures };
+};
+
+// Auto-purge items past their retention period
+const sweepTimer = setInterval(async () => {
+  const now = new Date().toISOString();
+  const expired = items.values().filter((item) => item.expiresAt < now && !busy.has(item.trashId));
+  if (!expired.length) return;
+  const report = await purgeItems(expired, { progress: { processed: 0, succeeded: 0, failed: 0 } });
+  console.log(`Trash retention sweep: purged ${report.purged} of ${report.total} expired item(s)`);
+}, SWEEP_INTERVAL_MS);
+sweepTimer.unref();
+
+module.exports = {
+  trashFile,
+  trashFolder,
+  getTrashItem,
+  listTrash,
+  toTrashView,
+  findRestoreCollisions,
+  restoreFile,
+  restoreFolder,
+  purgeItem,
+  purgeItems,
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('./errors');
+const { getExtension, matchesContentType } = require('./listing');
+
+// Upload policy
+// A JSON file (UPLOAD_POLICY_FILE, default config/upload-policy.json) limits what may be uploaded:
+//   defaults   { maxFileSize, allowExtensions, denyExtensions, allowContentTypes, denyContentTypes,
+//                contentMismatch }
+//   folders    { "<folder>": { ...same fields } } - the nearest configured folder above an upload
+//              overrides the defaults field by field
+//   quotas     { defaultUserBytes, users: { "<objectId or UPN>": bytes }, folders: { "<folder>": bytes } }
+// Sizes are bytes or strings such as "500MB" / "10GB"; null means unlimited. Extensions are given
+// without the dot; content types may use "type/*" and are matched against the type detected from
+// the file's content (see services/contentDetection.js). Empty allow lists allow everything, and deny
+// lists win over allow lists. contentMismatch decides what happens to a file whose content does not
+// match its extension: "flag" (default; stored and marked) or "reject" (415). The file is read once at startup and an invalid file stops the server.
+
+const UPLOAD_POLICY_FILE = process.env.UPLOAD_POLICY_FILE
+  || path.join(__dirname, '..', 'config', 'upload-policy.json');
+
+const RULE_FIELDS = ['maxFileSize', 'allowExtensions', 'denyExtensions', 'allowContentTypes', 'denyContentTypes', 'contentMismatch'];
+const MISMATCH_ACTIONS = ['flag', 'reject'];
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+const normalizeFolder = (folder) => folder.replace(/^\/+|\/+$/g, '');
+
+// Helper: bytes from a number or "<n><unit>" string (null stays null)
+const parseSize = (value, label) => {
+  if (value === null || value === undefined) return null;
+  if (Number.isInteger(value) && value >= 0) return value;
+  const match = typeof value === 'string' && value.trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)$/);
+  if (!match) throw new Error(`${label} must be a number of bytes or a size such as "500MB"`);
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2]]);
+};
+
+const parseStringList = (value, label, normalize) => {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item.trim())) {
+    throw new Error(`${label} must be an array of strings`);
+  }
+  return value.map((item) => normalize(item.trim()));
+};
+
+// Helper: validate one rule set; fields left out stay undefined so folder rules can inherit them
+const parseRule = (rule, label) => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${label} must be an object`);
+  const unknown = Object.keys(rule).find((key) => !RULE_FIELDS.includes(key));
+  if (unknown) throw new Error(`Unknown field "${unknown}" in ${label}`);
+  if (rule.contentMismatch !== undefined && !MISMATCH_ACTIONS.includes(rule.contentMismatch)) {
+    throw new Error(`${label}.contentMismatch must be one of: ${MISMATCH_ACTIONS.join(', ')}`);
+  }
+  const lower = (value) => value.toLowerCase();
+  const parsed = {
+    maxFileSize: rule.maxFileSize === undefined ? undefined : parseSize(rule.maxFileSize, `${label}.maxFileSize`),
+    allowExtensions: parseStringList(rule.allowExtensions, `${label}.allowExtensions`, (ext) => lower(ext).replace(/^\./, '')),
+    denyExtensions: parseStringList(rule.denyExtensions, `${label}.denyExtensions`, (ext) => lower(ext).replace(/^\./, '')),
+    allowContentTypes: parseStringList(rule.allowContentTypes, `${label}.allowContentTypes`, lower),
+    denyContentTypes: parseStringList(rule.denyContentTypes, `${label}.denyContentTypes`, lower),
+    contentMismatch: rule.contentMismatch,
+  };
+  return Object.fromEntries(Object.entries(parsed).filter(([, value]) => value !== undefined));
+};
+
+const parseSizeMap = (map = {}, label, normalizeKey) => new Map(Object.entries(map)
+  .map(([key, value]) => [normalizeKey(key), parseSize(value, `${label}["${key}"]`)]));
+
+const loadPolicy = (file) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read upload policy file ${file}: ${error.message}`);
+  }
+  try {
+    const quotas = config.quotas || {};
+    return {
+      defaults: {
+        maxFileSize: null,
+        allowExtensions: [],
+        denyExtensions: [],
+        allowContentTypes: [],
+        denyContentTypes: [],
+        contentMismatch: 'flag',
+        ...parseRule(config.defaults || {}, 'defaults'),
+      },
+      folders: new Map(Object.entries(config.folders || {})
+        .map(([folder, rule]) => [normalizeFolder(folder), parseRule(rule, `folders["${folder}"]`)])),
+      quotas: {
+        defaultUserBytes: parseSize(quotas.defaultUserBytes, 'quotas.defaultUserBytes'),
+        users: parseSizeMap(quotas.users, 'quotas.users', (key) => key.toLowerCase()),
+        folders: parseSizeMap(quotas.folders, 'quotas.folders', normalizeFolder),
+      },
+    };
+  } catch (error) {
+    throw new Error(`Invalid upload policy file ${file}: ${error.message}`);
+  }
+};
+
+const policy = loadPolicy(UPLOAD_POLICY_FILE);
+console.log(`Upload policy loaded from ${UPLOAD_POLICY_FILE}: ${policy.folders.size} folder rule(s), ${policy.quotas.users.size} user quota(s), ${policy.quotas.folders.size} folder quota(s)`);
+
+const parentOf = (filePath) => (filePath.includes('/') ? filePath.slice(0, filePath.lastIndexOf('/')) : '');
+
+// Rules that apply to a folder: the defaults overridden by its nearest configured folder
+// Returns the rules plus ruleFolder (the folder they come from, null for the defaults)
+const getFolderPolicy = (folderPath) => {
+  let folder = folderPath;
+  while (folder) {
+    if (policy.folders.has(folder)) return { ...policy.defaults, ...policy.folders.get(folder), ruleFolder: folder };
+    folder = parentOf(folder);
+  }
+  return { ...policy.defaults, ruleFolder: null };
+};
+
+/**
+ * 415 unless the file's extension and content type (if known) are allowed in its folder.
+ * Details name the rejected extension or content type and the folder whose rules apply.
+ */
+const assertFileTypeAllowed = (filePath, contentType) => {
+  const rules = getFolderPolicy(parentOf(filePath));
+  const details = { folder: rules.ruleFolder || '/' };
+  const extension = getExtension(filePath);
+  if (rules.denyExtensions.includes(extension)
+    || (rules.allowExtensions.length && !rules.allowExtensions.includes(extension))) {
+    throw httpError(415, extension ? `Files of type .${extension} are not allowed here` : 'Files without an extension are not allowed here', {
+      ...details,
+      extension,
+    });
+  }
+  if (contentType) {
+    const type = contentType.toLowerCase();
+    if (matchesContentType(type, rules.denyContentTypes)
+      || (rules.allowContentTypes.length && !matchesContentType(type, rules.allowContentTypes))) {
+      throw httpError(415, `Content type ${type.split(';')[0]} is not allowed here`, { ...details, contentType: type });
+    }
+  }
+};
+
+/**
+ * 415 unless content inspected at the start of an upload (see inspectContent) is allowed at filePath:
+ * its detected content type must pass the folder's content type lists, and a content / extension
+ * mismatch must not be rejected by the folder's contentMismatch rule.
+ */
+const assertContentAllowed = (filePath, inspection) => {
+  const rules = getFolderPolicy(parentOf(filePath));
+  if (inspection.mismatch && rules.contentMismatch === 'reject') {
+    throw httpError(415, `File content does not match its .${getExtension(filePath)} extension`, {
+      folder: rules.ruleFolder || '/',
+      extension: getExtension(filePath),
+      detectedContentType: inspection.detectedType,
+    });
+  }
+  assertFileTypeAllowed(filePath, inspection.contentType);
+};
+
+// Largest file allowed at a path (null: no limit)
+const getMaxFileSize = (filePath) => getFolderPolicy(parentOf(filePath)).maxFileSize;
+
+// 413 if size exceeds the path's maximum file size
+const assertFileSizeAllowed = (filePath, size) => {
+  const maxFileSize = getMaxFileSize(filePath);
+  if (maxFileSize !== null && size > maxFileSize) {
+    throw httpError(413, `File exceeds the maximum size of ${maxFileSize} bytes`, { maxFileSize });
+  }
+};
+
+// A user's quota in bytes (by object ID, then UPN, then the default; null: no quota)
+const getUserQuota = (user) => {
+  const { users, defaultUserBytes } = policy.quotas;
+  const objectId = String(user.objectId || '').toLowerCase();
+  const upn = String(user.upn || '').toLowerCase();
+  if (users.has(objectId)) return users.get(objectId);
+  if (upn && users.has(upn)) return users.get(upn);
+  return defaultUserBytes;
+};
+
+// Folders with a quota, as [{ path, limit }]
+const listFolderQuotas = () => Array.from(policy.quotas.folders, ([folder, limit]) => ({ path: folder, limit }));
+
+// Configured user quotas, as [{ id, limit }] (id: object ID or UPN, lowercase)
+const listUserQuotas = () => Array.from(policy.quotas.users, ([id, limit]) => ({ id, limit }));
+
+module.exports = {
+  getFolderPolicy,
+  assertFileTypeAllowed,
+  assertContentAllowed,
+  getMaxFileSize,
+  assertFileSizeAllowed,
+  getUserQuota,
+  listFolderQuotas,
+  listUserQuotas,
+  getDefaultUserQuota: () => policy.quotas.defaultUserBytes,
+};
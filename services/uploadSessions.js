@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const { createJsonStore } = require('./stateStore');
+const { httpError } = require('./errors');
+const { UPLOADS_FOLDER } = require('./listing');
+const {
+  hashBuffer,
+  hashStream,
+  parseHash,
+  verifyChecksums,
+  toHashFields,
+  toChecksumMetadata,
+} = require('./checksums');
+const { fromStoredMetadata } = require('./metadata');
+const { toDetectionMetadata, SNIFF_BYTES } = require('./contentDetection');
+const { isScanningEnabled, pendingScanMetadata, queueScan } = require('./scanning');
+
+// Server-tracked resumable upload sessions
+// A session fixes the target path, total size and chunk size up front. Chunks are staged as
+// blocks on the target blob with IDs derived from the session ID, so the storage block list
+// is the source of truth for which chunks have landed.
+
+const UPLOAD_SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+const MAX_CHUNK_SIZE = 100 * 1024 * 1024; // chunks are buffered in memory before staging
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNKS = 50000; // Azure limit on committed blocks per blob
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const sessions = createJsonStore('upload-sessions');
+
+// Running MD5 / SHA-256 of the blocks staged in order for each target path, so a commit knows the
+// file's checksums without reading it back. Kept in memory: after a restart, on another instance,
+// or when chunks arrive out of order, commits fall back to reading the file back (see
+// commitVerifiedBlocks). path -> { blockIds, md5, sha256, updatedAt }
+const stagedHashes = new Map();
+
+// Content inspections of legacy chunked uploads (POST /api/files/chunked), keyed by target path:
+// taken from chunk 0 when it is staged and applied on commit
+const chunkedInspections = createJsonStore('chunked-inspections');
+
+// Block IDs must be equal length for every block of a blob: "<uuid>-<6-digit index>"
+const blockIdFor = (uploadId, index) =>
+  Buffer.from(`${uploadId}-${String(index).padStart(6, '0')}`).toString('base64');
+
+const chunkIndexFromBlockId = (uploadId, blockId) => {
+  const decoded = Buffer.from(blockId, 'base64').toString('utf8');
+  if (!decoded.startsWith(`${uploadId}-`)) return null;
+  const index = parseInt(decoded.slice(uploadId.length + 1), 10);
+  return Number.isNaN(index) ? null : index;
+};
+
+const expectedChunkSize = (session, index) => (
+  index === session.totalChunks - 1
+    ? session.size - session.chunkSize * (session.totalChunks - 1)
+    : session.chunkSize
+);
+
+// Size chunk index of a session must have; 400 for an index outside the session
+const getChunkSize = (session, index) => {
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw httpError(400, `chunkIndex must be between 0 and ${session.totalChunks - 1}`);
+  }
+  return expectedChunkSize(session, index);
+};
+
+const isExpired = (session) => Date.parse(session.expiresAt) <= Date.now();
+
+// conditions ({ ifMatch, ifNoneMatch }) are applied when the session is committed
+// metadata is the blob metadata to store with the file (see services/metadata.js)
+const createSession = async ({ path, size, contentType, hash, chunkSize, owner, conditions, metadata }) => {
+  if (!Number.isInteger(size) || size <= 0) {
+    throw httpError(400, 'size must be a positive integer');
+  }
+  const effectiveChunkSize = chunkSize === undefined ? DEFAULT_CHUNK_SIZE : chunkSize;
+  if (!Number.isInteger(effectiveChunkSize)
+    || effectiveChunkSize < MIN_CHUNK_SIZE || effectiveChunkSize > MAX_CHUNK_SIZE) {
+    throw httpError(400, `chunkSize must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`);
+  }
+  const totalChunks = Math.ceil(size / effectiveChunkSize);
+  if (totalChunks > MAX_CHUNKS) {
+    throw httpError(400, `File requires more than ${MAX_CHUNKS} chunks; use a larger chunkSize`);
+  }
+  // Normalized to hex; verified against the assembled file on commit
+  const expected = parseHash(hash);
+
+  // Staged blocks live on the target blob, so only one session may target a path at a time
+  const active = sessions.values().find((s) => s.path === path && !isExpired(s));
+  if (active) {
+    throw httpError(409, 'An upload session is already active for this path');
+  }
+
+  const now = Date.now();
+  const session = {
+    uploadId: crypto.randomUUID(),
+    path,
+    size,
+    contentType: contentType || 'application/octet-stream',
+    hash: hash ? { algorithm: hash.algorithm, value: expected[hash.algorithm] } : null,
+    chunkSize: effectiveChunkSize,
+    totalChunks,
+    owner,
+    conditions: conditions || null,
+    metadata: metadata || {},
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + UPLOAD_SESSION_TTL_MS).toISOString(),
+  };
+  await sessions.set(session.uploadId, session);
+  return session;
+};
+
+// Active session by ID, or null if unknown or expired
+const getSession = (uploadId) => {
+  const session = sessions.get(uploadId);
+  if (!session || isExpired(session)) return null;
+  return session;
+};
+
+// Sliding expiry: any chunk activity extends the session
+const touchSession = async (session) => {
+  session.expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL_MS).toISOString();
+  await sessions.set(session.uploadId, session);
+};
+
+// Staged chunks reported by the storage block list
+const getSessionStatus = async (session) => {
+  const { uncommitted } = await storage.listBlocks(session.path);
+  const received = new Map();
+  for (const block of uncommitted) {
+    const index = chunkIndexFromBlockId(session.uploadId, block.id);
+    if (index !== null && index < session.totalChunks && block.size === expectedChunkSize(session, index)) {
+      received.set(index, block.size);
+    }
+  }
+
+  const receivedChunks = Array.from(received.keys()).sort((a, b) => a - b);
+  const missingChunks = [];
+  for (let i = 0; i < session.totalChunks; i++) {
+    if (!received.has(i)) missingChunks.push(i);
+  }
+  const bytesReceived = Array.from(received.values()).reduce((sum, n) => sum + n, 0);
+
+  return {
+    uploadId: session.uploadId,
+    path: session.path,
+    size: session.size,
+    contentType: session.contentType,
+    hash: session.hash,
+    ...fromStoredMetadata(session.metadata),
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks,
+    missingChunks,
+    bytesReceived,
+    complete: missingChunks.length === 0,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+  };
+};
+
+/**
+ * Stage block index of a file and add it to the file's running checksums. Chunk 0 starts them
+ * over; any other chunk that is not the next one in order drops them, so the commit reads back.
+ */
+const stageHashedBlock = async (path, blockId, index, data) => {
+  await storage.stageBlock(path, blockId, data);
+  let state = stagedHashes.get(path);
+  if (index === 0) {
+    state = { blockIds: [], md5: crypto.createHash('md5'), sha256: crypto.createHash('sha256') };
+    stagedHashes.set(path, state);
+  } else if (!state || state.blockIds.length !== index) {
+    stagedHashes.delete(path);
+    return;
+  }
+  state.md5.update(data);
+  state.sha256.update(data);
+  state.blockIds.push(blockId);
+  state.updatedAt = Date.now();
+};
+
+// Helper: checksums of exactly the given staged block sequence (null when not tracked)
+const takeStagedChecksums = (path, blockIds) => {
+  const state = stagedHashes.get(path);
+  stagedHashes.delete(path);
+  if (!state || state.blockIds.length !== blockIds.length) return null;
+  if (state.blockIds.some((blockId, i) => blockId !== blockIds[i])) return null;
+  return { md5: state.md5.digest('hex'), sha256: state.sha256.digest('hex') };
+};
+
+// expected: client checksums of this chunk ({ md5, sha256 }), verified before staging
+// inspection: content inspection of chunk 0 (see services/contentDetection.js), kept for the commit
+const stageChunk = async (session, index, data, expected, { inspection } = {}) => {
+  const expectedSize = getChunkSize(session, index);
+  if (data.length !== expectedSize) {
+    throw httpError(400, `Chunk ${index} must be ${expectedSize} bytes`, { received: data.length });
+  }
+  const checksums = hashBuffer(data);
+  verifyChecksums(checksums, expected);
+  await stageHashedBlock(session.path, blockIdFor(session.uploadId, index), index, data);
+  if (inspection) session.inspection = inspection;
+  await touchSession(session);
+  return { chunkIndex: index, size: data.length, ...toHashFields(checksums) };
+};
+
+// Helper: commit result of a blob (checksums may be null)
+const committedResult = async (path, checksums) => {
+  const entry = await storage.stat(path);
+  return {
+    size: entry.size,
+    ...(checksums && toHashFields(checksums)),
+    ...fromStoredMetadata(entry.metadata),
+    etag: entry.etag,
+    lastModified: entry.lastModified,
+  };
+};
+
+// Helper: the first SNIFF_BYTES of a stored file
+const readHead = async (path) => {
+  const { stream } = await storage.read(path, { count: SNIFF_BYTES });
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Commit staged blocks with the file's checksums in its metadata (alongside the given metadata).
+ * The checksums come from the blocks as they were staged in order (see stageHashedBlock); a file
+ * that does not match the expected checksums ({ md5, sha256 }) is never committed - its staged
+ * blocks are discarded and a 400 is thrown. Without tracked checksums (chunks staged out of order,
+ * or a restart in between) the file is committed without them, or, when checksums are expected,
+ * read back and verified after the commit: a mismatch then undoes the commit (the new blob is
+ * deleted, or the version it replaced is put back).
+ * inspect(head), for files whose chunk 0 was never inspected, is called with the first bytes of
+ * the committed file (staged blocks cannot be read back) and returns the content inspection, or
+ * throws to undo the commit the same way; the file then gets the inspected content type.
+ * Resolves with { size, contentHash, contentMd5, metadata, tags, etag, lastModified } (no
+ * contentHash / contentMd5 when the checksums are unknown), plus inspection when inspected.
+ */
+const commitVerifiedBlocks = async (path, blockIds, { contentType, conditions, expected = {}, metadata = {}, inspect }) => {
+  const staged = takeStagedChecksums(path, blockIds);
+  if (staged) {
+    try {
+      verifyChecksums(staged, expected);
+    } catch (mismatch) {
+      console.warn(`Checksum mismatch before commit, discarding staged blocks: ${path}`);
+      await storage.discardBlocks(path).catch((error) => {
+        console.warn(`Could not discard staged blocks for ${path}:`, error.message);
+      });
+      throw mismatch;
+    }
+  }
+  if (!inspect && (staged || !Object.keys(expected).length)) {
+    await storage.commitBlocks(path, blockIds, {
+      contentType,
+      metadata: { ...metadata, ...(staged && toChecksumMetadata(staged)) },
+      conditions,
+    });
+    return committedResult(path, staged);
+  }
+
+  // An overwrite is only verifiable after the old content is gone, so keep a copy until then
+  const backup = conditions && conditions.ifMatch
+    ? `${UPLOADS_FOLDER}/${crypto.randomUUID()}`
+    : null;
+  if (backup) await storage.copy(path, backup);
+
+  try {
+    await storage.commitBlocks(path, blockIds, { contentType, metadata, conditions });
+    const checksums = staged || await hashStream((await storage.read(path)).stream);
+    let inspection = null;
+    try {
+      verifyChecksums(checksums, expected);
+      if (inspect) inspection = inspect(await readHead(path));
+    } catch (rejected) {
+      console.warn(`Committed file rejected (${rejected.message}), discarding: ${path}`);
+      if (backup) await storage.copy(backup, path);
+      else await storage.delete(path);
+      throw rejected;
+    }
+    await storage.setMetadata(
+      path,
+      { ...metadata, ...toChecksumMetadata(checksums), ...(inspection && toDetectionMetadata(inspection)) },
+      { ...(inspection && { contentType: inspection.contentType }) },
+    );
+    const result = await committedResult(path, checksums);
+    return inspection ? { ...result, inspection } : result;
+  } finally {
+    if (backup) {
+      await storage.delete(backup).catch((error) => {
+        console.warn(`Could not remove upload backup ${backup}:`, error.message);
+      });
+    }
+  }
+};
+
+// Commit only when every chunk is staged with its expected size and the file matches session.hash
+// The file gets the content type detected from chunk 0 (the claimed one for sessions staged without it)
+// and is queued for its malware scan
+// After a checksum mismatch the staged chunks are gone, but the session stays open to upload them again
+const commitSession = async (session) => {
+  const status = await getSessionStatus(session);
+  if (!status.complete) {
+    throw httpError(409, 'Upload is incomplete', {
+      missingChunks: status.missingChunks,
+      bytesReceived: status.bytesReceived,
+    });
+  }
+  if (status.bytesReceived !== session.size) {
+    throw httpError(409, 'Uploaded size does not match session size', {
+      expected: session.size,
+      received: status.bytesReceived,
+    });
+  }
+
+  const blockIds = [];
+  for (let i = 0; i < session.totalChunks; i++) {
+    blockIds.push(blockIdFor(session.uploadId, i));
+  }
+  const { inspection } = session;
+  const result = await commitVerifiedBlocks(session.path, blockIds, {
+    contentType: inspection ? inspection.contentType : session.contentType,
+    conditions: session.conditions || undefined,
+    expected: session.hash ? { [session.hash.algorithm]: session.hash.value } : {},
+    metadata: { ...session.metadata, ...(inspection && toDetectionMetadata(inspection)), ...pendingScanMetadata() },
+  });
+  await sessions.delete(session.uploadId);
+  queueScan(session.path);
+  return {
+    path: session.path,
+    contentType: inspection ? inspection.contentType : session.contentType,
+    ...(isScanningEnabled() && { scanStatus: 'pending' }),
+    ...result,
+  };
+};
+
+const abortSession = async (session) => {
+  await sessions.delete(session.uploadId);
+  try {
+    await storage.discardBlocks(session.path);
+  } catch (error) {
+    console.warn(`Could not discard staged blocks for ${session.path}:`, error.message);
+  }
+};
+
+// Remember the content inspection of chunk 0 of a legacy chunked upload
+const rememberChunkedInspection = (path, inspection) => chunkedInspections.set(path, {
+  path,
+  ...inspection,
+  expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS).toISOString(),
+});
+
+// Content inspection recorded for a legacy chunked upload (null if chunk 0 was never staged)
+const getChunkedInspection = (path) => {
+  const entry = chunkedInspections.get(path);
+  return entry && !isExpired(entry) ? entry : null;
+};
+
+const forgetChunkedInspection = (path) => chunkedInspections.delete(path);
+
+// Remove expired sessions and their staged blocks
+const sweepExpiredSessions = async () => {
+  for (const session of sessions.values()) {
+    if (!isExpired(session)) continue;
+    console.log(`Upload session expired: ${session.uploadId} (${session.path})`);
+    await abortSession(session);
+  }
+  for (const entry of chunkedInspections.values()) {
+    if (isExpired(entry)) await chunkedInspections.delete(entry.path);
+  }
+  for (const [path, state] of stagedHashes) {
+    if (state.updatedAt + UPLOAD_SESSION_TTL_MS <= Date.now()) stagedHashes.delete(path);
+  }
+};
+
+const sweepTimer = setInterval(() => {
+  sweepExpiredSessions().catch((error) => {
+    console.error('Upload session sweep failed:', error.message);
+  });
+}, SWEEP_INTERVAL_MS);
+sweepTimer.unref();
+
+module.exports = {
+  createSession,
+  getSession,
+  getSessionStatus,
+  stageChunk,
+  stageHashedBlock,
+  commitSession,
+  commitVerifiedBlocks,
+  abortSession,
+  rememberChunkedInspection,
+  getChunkedInspection,
+  forgetChunkedInspection,
+  sweepExpiredSessions,
+  getChunkSize,
+};
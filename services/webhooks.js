@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const { createJsonStore } = require('./stateStore');
+const { isReservedPath } = require('./listing');
+const { EVENT_TYPES, subscribe, eventMatchesPrefix } = require('./events');
+
+// Outbound webhooks
+// Admins register subscriptions (URL, event types, path prefix) in the "webhooks" state store.
+// Every matching file event (see services/events.js) becomes a delivery in "webhook-deliveries",
+// POSTed as JSON and signed with the subscription's secret:
+//   X-Webhook-Timestamp   Unix seconds when the attempt was sent
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>
+// Receivers should check the signature and reject old timestamps. A delivery succeeds on any 2xx
+// response; otherwise it is retried with exponential backoff (WEBHOOK_RETRY_BASE_SECONDS doubling
+// per attempt, at most WEBHOOK_RETRY_MAX_SECONDS apart) until WEBHOOK_MAX_ATTEMPTS, then kept as a
+// dead letter that an admin can redeliver. Finished deliveries are dropped after
+// WEBHOOK_RETENTION_DAYS. Deliveries of a disabled subscription wait until it is enabled again.
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const WEBHOOK_RETRY_BASE_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30');
+const WEBHOOK_RETRY_MAX_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_MAX_SECONDS || '3600');
+const WEBHOOK_RETENTION_MS = parseFloat(process.env.WEBHOOK_RETENTION_DAYS || '14') * 24 * 60 * 60 * 1000;
+const WEBHOOK_CONCURRENCY = 4;
+const DISPATCH_INTERVAL_MS = 5 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_HISTORY = 20; // attempts kept per delivery
+const MAX_RESPONSE_CHARS = 500;
+const DESCRIPTION_MAX_LENGTH = 200;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const PING_EVENT = 'webhook.ping';
+
+const webhooks = createJsonStore('webhooks');
+const deliveries = createJsonStore('webhook-deliveries');
+
+// Deliveries being sent right now
+const inFlight = new Set();
+
+// Helper: public view of a subscription (omits the secret)
+const toWebhookView = (webhook) => {
+  const own = deliveries.values().filter((delivery) => delivery.webhookId === webhook.webhookId);
+  return {
+    webhookId: webhook.webhookId,
+    url: webhook.url,
+    events: webhook.events,
+    pathPrefix: webhook.pathPrefix,
+    description: webhook.description,
+    active: webhook.active,
+    createdBy: webhook.createdBy,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt,
+    pendingDeliveries: own.filter((delivery) => delivery.status === 'pending').length,
+    deadLetters: own.filter((delivery) => delivery.status === 'dead').length,
+  };
+};
+
+// Helper: view of a delivery for its history (the event is the payload that is sent)
+const toDeliveryView = (delivery) => ({
+  deliveryId: delivery.deliveryId,
+  webhookId: delivery.webhookId,
+  eventType: delivery.event.type,
+  path: delivery.event.path,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  createdAt: delivery.createdAt,
+  lastAttemptAt: delivery.lastAttemptAt,
+  nextAttemptAt: delivery.nextAttemptAt,
+  deliveredAt: delivery.deliveredAt,
+  lastStatusCode: delivery.lastStatusCode,
+  lastError: delivery.lastError,
+  history: delivery.history,
+  event: delivery.event,
+});
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Helper: validate url / events / pathPrefix / description / active; only fields present are returned
+const parseWebhookInput = (body, { partial = false } = {}) => {
+  const input = {};
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      throw httpError(400, 'url must be an absolute http(s) URL');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw httpError(400, 'url must be an absolute http(s) URL');
+    }
+    input.url = url.toString();
+  }
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.some((type) => !EVENT_TYPES.includes(type))) {
+      throw httpError(400, `events must be an array of: ${EVENT_TYPES.join(', ')}`, { allowed: EVENT_TYPES });
+    }
+    input.events = Array.from(new Set(body.events));
+  }
+  if (body.pathPrefix !== undefined) {
+    if (body.pathPrefix !== null && typeof body.pathPrefix !== 'string') throw httpError(400, 'pathPrefix must be a string');
+    input.pathPrefix = (body.pathPrefix || '').replace(/^\/+|\/+$/g, '');
+    if (input.pathPrefix && isReservedPath(input.pathPrefix)) throw httpError(400, 'Path is reserved');
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') throw httpError(400, 'description must be a string');
+    if ((body.description || '').length > DESCRIPTION_MAX_LENGTH) {
+      throw httpError(400, `description must be at most ${DESCRIPTION_MAX_LENGTH} characters`);
+    }
+    input.description = body.description || null;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw httpError(400, 'active must be true or false');
+    input.active = body.active;
+  }
+  return input;
+};
+
+// Register a subscription; the result includes the signing secret (only shown here and on rotation)
+const createWebhook = async (body, user) => {
+  const input = parseWebhookInput(body);
+  const now = new Date().toISOString();
+  const webhook = {
+    webhookId: crypto.randomUUID(),
+    url: input.url,
+    events: input.events || [],
+    pathPrefix: input.pathPrefix || '',
+    description: input.description || null,
+    active: input.active !== undefined ? input.active : true,
+    secret: newSecret(),
+    createdBy: { objectId: user.objectId, upn: user.upn || null },
+    createdAt: now,
+    updatedAt: now,
+  };
+  await webhooks.set(webhook.webhookId, webhook);
+  console.log(`Webhook created: ${webhook.webhookId} -> ${webhook.url}`);
+  return webhook;
+};
+
+const updateWebhook = async (webhook, body) => {
+  const updated = { ...webhook, ...parseWebhookInput(body, { partial: true }), updatedAt: new Date().toISOString() };
+  await webhooks.set(webhook.webhookId, updated);
+  if (updated.active) setImmediate(dispatch);
+  return updated;
+};
+
+const rotateSecret = async (webhook) => {
+  const updated = { ...webhook, secret: newSecret(), updatedAt: new Date().toISOString() };
+  await webhooks.set(webhook.webhookId, updated);
+  console.log(`Webhook secret rotated: ${webhook.webhookId}`);
+  return updated;
+};
+
+// Remove a subscription with its delivery history and dead letters
+const deleteWebhook = async (webhook) => {
+  await webhooks.delete(webhook.webhookId);
+  for (const delivery of deliveries.values()) {
+    if (delivery.webhookId === webhook.webhookId) await deliveries.delete(delivery.deliveryId);
+  }
+  console.log(`Webhook deleted: ${webhook.webhookId}`);
+};
+
+const getWebhook = (webhookId) => webhooks.get(webhookId);
+
+const listWebhooks = () => webhooks.values().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+// Helper: queue one delivery of event to webhook
+const enqueueDelivery = async (webhook, event) => {
+  const now = new Date().toISOString();
+  const delivery = {
+    deliveryId: crypto.randomUUID(),
+    webhookId: webhook.webhookId,
+    event,
+    status: 'pending',
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastAttemptAt: null,
+    deliveredAt: null,
+    lastStatusCode: null,
+    lastError: null,
+    history: [],
+  };
+  await deliveries.set(delivery.deliveryId, delivery);
+  setImmediate(dispatch);
+  return delivery;
+};
+
+const matchesWebhook = (webhook, event) => webhook.active
+  && (!webhook.events.length || webhook.events.includes(event.type))
+  && eventMatchesPrefix(event, webhook.pathPrefix);
+
+// Queue a ping event to check a subscription's endpoint (sent even when it filters events out)
+const sendTestEvent = (webhook, user) => enqueueDelivery(webhook, {
+  eventId: crypto.randomUUID(),
+  type: PING_EVENT,
+  timestamp: new Date().toISOString(),
+  path: webhook.pathPrefix,
+  actor: { objectId: user.objectId, upn: user.upn || null },
+  data: {},
+});
+
+// Deliveries newest first; filter by webhookId and / or status
+const listDeliveries = ({ webhookId, status, limit = 100 } = {}) => {
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+  return deliveries.values()
+    .filter((delivery) => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+};
+
+const getDelivery = (deliveryId) => deliveries.get(deliveryId);
+
+// Send a dead letter (or a delivered event) again with a fresh set of attempts
+const redeliver = async (delivery) => {
+  if (delivery.status === 'pending') throw httpError(409, 'Delivery is still pending');
+  const updated = {
+    ...delivery,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    deliveredAt: null,
+  };
+  await deliveries.set(delivery.deliveryId, updated);
+  setImmediate(dispatch);
+  return updated;
+};
+
+// Helper: delay before the next attempt after `attempts` failures (with +/-20% jitter)
+const retryDelayMs = (attempts) => {
+  const seconds = Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+  return Math.round(seconds * 1000 * (0.8 + Math.random() * 0.4));
+};
+
+// Helper: signature headers for a request body
+const signatureHeaders = (secret, body) => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return { 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': `sha256=${signature}` };
+};
+
+// Helper: POST a delivery once and record the attempt
+const attemptDelivery = async (webhook, delivery) => {
+  const attempt = delivery.attempts + 1;
+  const body = JSON.stringify({ ...delivery.event, webhookId: webhook.webhookId, deliveryId: delivery.deliveryId });
+  const started = Date.now();
+  let statusCode = null;
+  let error = null;
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'storage-api-webhooks',
+        'X-Webhook-Id': webhook.webhookId,
+        'X-Webhook-Delivery': delivery.deliveryId,
+        'X-Webhook-Event': delivery.event.type,
+        ...signatureHeaders(webhook.secret, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    statusCode = response.status;
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      error = `HTTP ${statusCode}${text ? `: ${text.slice(0, MAX_RESPONSE_CHARS)}` : ''}`;
+    }
+  } catch (requestError) {
+    error = requestError.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : requestError.message;
+  }
+
+  // Deleted with its webhook while the request was out
+  const current = deliveries.get(delivery.deliveryId);
+  if (!current) return;
+  const now = new Date();
+  const updated = {
+    ...current,
+    attempts: attempt,
+    lastAttemptAt: now.toISOString(),
+    lastStatusCode: statusCode,
+    lastError: error,
+    history: [...current.history, {
+      attempt,
+      at: now.toISOString(),
+      statusCode,
+      error,
+      durationMs: Date.now() - started,
+    }].slice(-MAX_HISTORY),
+  };
+  if (!error) {
+    updated.status = 'delivered';
+    updated.deliveredAt = now.toISOString();
+    updated.nextAttemptAt = null;
+  } else if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+    updated.status = 'dead';
+    updated.nextAttemptAt = null;
+    console.warn(`Webhook delivery ${delivery.deliveryId} to ${webhook.url} failed ${attempt} times, moved to dead letters: ${error}`);
+  } else {
+    updated.nextAttemptAt = new Date(now.getTime() + retryDelayMs(attempt)).toISOString();
+    console.warn(`Webhook delivery ${delivery.deliveryId} to ${webhook.url} failed (attempt ${attempt}), retrying at ${updated.nextAttemptAt}: ${error}`);
+  }
+  await deliveries.set(delivery.deliveryId, updated);
+};
+
+// Helper: send due deliveries, WEBHOOK_CONCURRENCY at a time
+const dispatch = () => {
+  const now = Date.now();
+  const due = deliveries.values()
+    .filter((delivery) => delivery.status === 'pending'
+      && !inFlight.has(delivery.deliveryId)
+      && Date.parse(delivery.nextAttemptAt) <= now)
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+  for (const delivery of due) {
+    if (inFlight.size >= WEBHOOK_CONCURRENCY) return;
+    const webhook = webhooks.get(delivery.webhookId);
+    if (!webhook || !webhook.active) continue;
+    inFlight.add(delivery.deliveryId);
+    attemptDelivery(webhook, delivery)
+      .catch((error) => console.error(`Webhook delivery ${delivery.deliveryId} failed:`, error.message))
+      .finally(() => {
+        inFlight.delete(delivery.deliveryId);
+        setImmediate(dispatch);
+      });
+  }
+};
+
+// Turn every published file event into deliveries for the matching subscriptions
+subscribe((event) => {
+  for (const webhook of webhooks.values()) {
+    if (!matchesWebhook(webhook, event)) continue;
+    enqueueDelivery(webhook, event).catch((error) => {
+      console.error(`Failed to queue webhook delivery for ${webhook.webhookId}:`, error.message);
+    });
+  }
+});
+
+// Drop finished deliveries past WEBHOOK_RETENTION_DAYS
+const sweepDeliveries = async () => {
+  const cutoff = Date.now() - WEBHOOK_RETENTION_MS;
+  let removed = 0;
+  for (const delivery of deliveries.values()) {
+    if (delivery.status !== 'pending' && Date.parse(delivery.lastAttemptAt || delivery.createdAt) < cutoff) {
+      await deliveries.delete(delivery.deliveryId);
+      removed++;
+    }
+  }
+  if (removed) console.log(`Webhook sweep removed ${removed} finished deliveries`);
+};
+
+setInterval(dispatch, DISPATCH_INTERVAL_MS).unref();
+setInterval(() => {
+  sweepDeliveries().catch((error) => console.error('Webhook delivery sweep failed:', error.message));
+}, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  PING_EVENT,
+  DELIVERY_STATUSES,
+  toWebhookView,
+  toDeliveryView,
+  createWebhook,
+  updateWebhook,
+  rotateSecret,
+  deleteWebhook,
+  getWebhook,
+  listWebhooks,
+  sendTestEvent,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+};
@@ -0,0 +1,197 @@
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { DefaultAzureCredential } = require('@azure/identity');
+
+// Azure Blob Storage driver (managed identity via DefaultAzureCredential)
+
+const UPLOAD_BUFFER_SIZE = 4 * 1024 * 1024; // 4MB blocks
+const UPLOAD_MAX_CONCURRENCY = 5; // tune for throughput
+
+// Helper: map blob properties to the driver-neutral entry shape
+const toEntry = (name, properties = {}, metadata = {}) => ({
+  name,
+  size: properties.contentLength,
+  contentType: properties.contentType,
+  createdOn: properties.createdOn,
+  lastModified: properties.lastModified,
+  etag: properties.etag,
+  metadata: metadata || {},
+});
+
+const isNotFound = (error) => error && error.statusCode === 404;
+
+// Helper: total blob size from a "bytes start-end/total" Content-Range header
+const totalFromContentRange = (contentRange) => {
+  const match = /\/(\d+)$/.exec(contentRange || '');
+  return match ? parseInt(match[1], 10) : undefined;
+};
+
+const createAzureDriver = ({
+  account = process.env.STORAGE_ACCOUNT,
+  container = process.env.STORAGE_CONTAINER,
+} = {}) => {
+  console.log('Initializing Azure Storage client...');
+  console.log('Storage Account:', account);
+  console.log('Storage Container:', container);
+
+  if (!account || !container) {
+    throw new Error('Missing STORAGE_ACCOUNT or STORAGE_CONTAINER environment variables');
+  }
+
+  const blobServiceClient = new BlobServiceClient(
+    `https://${account}.blob.core.windows.net`,
+    new DefaultAzureCredential()
+  );
+  const containerClient = blobServiceClient.getContainerClient(container);
+  console.log('Azure Storage client initialized successfully');
+
+  // List blobs under a prefix (flat, lexicographic order)
+  async function* list({ prefix } = {}) {
+    const options = { includeMetadata: true };
+    if (prefix) options.prefix = prefix;
+    for await (const blob of containerClient.listBlobsFlat(options)) {
+      yield toEntry(blob.name, blob.properties, blob.metadata);
+    }
+  }
+
+  // One page of a single folder level: sub-prefixes ("folder/") and blobs directly under prefix
+  const listHierarchy = async ({ prefix, pageSize, continuationToken } = {}) => {
+    const options = { includeMetadata: true };
+    if (prefix) options.prefix = prefix;
+    const pages = containerClient
+      .listBlobsByHierarchy('/', options)
+      .byPage({ maxPageSize: pageSize, continuationToken });
+    const { value: page } = await pages.next();
+    const segment = (page && page.segment) || {};
+    return {
+      prefixes: (segment.blobPrefixes || []).map((blobPrefix) => blobPrefix.name),
+      entries: (segment.blobItems || []).map((blob) => toEntry(blob.name, blob.properties, blob.metadata)),
+      continuationToken: (page && page.continuationToken) || undefined,
+    };
+  };
+
+  // Properties of a single blob, or null if it does not exist
+  const stat = async (path) => {
+    try {
+      const props = await containerClient.getBlobClient(path).getProperties();
+      return toEntry(path, props, props.metadata);
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  const exists = (path) => containerClient.getBlobClient(path).exists();
+
+  // Open a read stream; offset/count select a byte range
+  const read = async (path, { offset = 0, count } = {}) => {
+    const download = await containerClient.getBlobClient(path).download(offset, count);
+    return {
+      ...toEntry(path, download, download.metadata),
+      size: totalFromContentRange(download.contentRange) ?? download.contentLength,
+      contentLength: download.contentLength,
+      stream: download.readableStreamBody,
+    };
+  };
+
+  // Write a Buffer or readable stream as the full blob content
+  const write = async (path, source, { contentType, metadata, conditions } = {}) => {
+    const blobClient = containerClient.getBlockBlobClient(path);
+    const options = {
+      blobHTTPHeaders: { blobContentType: contentType || 'application/octet-stream' },
+      metadata,
+      conditions,
+    };
+    const result = Buffer.isBuffer(source)
+      ? await blobClient.upload(source, source.length, options)
+      : await blobClient.uploadStream(source, UPLOAD_BUFFER_SIZE, UPLOAD_MAX_CONCURRENCY, options);
+    return { etag: result.etag, lastModified: result.lastModified };
+  };
+
+  const stageBlock = async (path, blockId, data) => {
+    await containerClient.getBlockBlobClient(path).stageBlock(blockId, data, data.length);
+  };
+
+  const commitBlocks = async (path, blockIds, { contentType, metadata, conditions } = {}) => {
+    const result = await containerClient.getBlockBlobClient(path).commitBlockList(blockIds, {
+      blobHTTPHeaders: { blobContentType: contentType || 'application/octet-stream' },
+      metadata,
+      conditions,
+    });
+    return { etag: result.etag, lastModified: result.lastModified };
+  };
+
+  // Committed and uncommitted blocks of a block blob ({ id, size } each)
+  const listBlocks = async (path) => {
+    try {
+      const blockList = await containerClient.getBlockBlobClient(path).getBlockList('all');
+      const toBlock = (block) => ({ id: block.name, size: block.size });
+      return {
+        committed: (blockList.committedBlocks || []).map(toBlock),
+        uncommitted: (blockList.uncommittedBlocks || []).map(toBlock),
+      };
+    } catch (error) {
+      if (isNotFound(error)) return { committed: [], uncommitted: [] };
+      throw error;
+    }
+  };
+
+  // Drop uncommitted blocks for a blob that was never committed
+  // Azure has no direct API for this: committing an empty list then deleting discards them.
+  // If the blob already exists, its staged blocks are left to Azure's 7-day garbage collection
+  // rather than rewriting the live blob.
+  const discardBlocks = async (path) => {
+    if (await exists(path)) return;
+    const { uncommitted } = await listBlocks(path);
+    if (!uncommitted.length) return;
+    const blobClient = containerClient.getBlockBlobClient(path);
+    await blobClient.commitBlockList([], { conditions: { ifNoneMatch: '*' } });
+    await blobClient.delete();
+  };
+
+  // Server-side copy (no data transfer through the API)
+  const copy = async (sourcePath, destPath, { conditions, sourceConditions } = {}) => {
+    const sourceClient = containerClient.getBlobClient(sourcePath);
+    const destClient = containerClient.getBlobClient(destPath);
+    const copyPoller = await destClient.beginCopyFromURL(sourceClient.url, { conditions, sourceConditions });
+    await copyPoller.pollUntilDone();
+  };
+
+  const remove = async (path, { conditions } = {}) => {
+    await containerClient.getBlobClient(path).delete({ conditions });
+  };
+
+  const getMetadata = async (path) => {
+    const props = await containerClient.getBlobClient(path).getProperties();
+    return props.metadata || {};
+  };
+
+  const setMetadata = async (path, metadata, { conditions, contentType } = {}) => {
+    const blobClient = containerClient.getBlobClient(path);
+    if (contentType) {
+      // Setting the headers changes the ETag: the metadata goes onto exactly that version
+      const { etag } = await blobClient.setHTTPHeaders({ blobContentType: contentType }, { conditions });
+      conditions = { ifMatch: etag };
+    }
+    await blobClient.setMetadata(metadata, { conditions });
+  };
+
+  return {
+    name: 'azure',
+    list,
+    listHierarchy,
+    stat,
+    exists,
+    read,
+    write,
+    stageBlock,
+    commitBlocks,
+    listBlocks,
+    discardBlocks,
+    copy,
+    delete: remove,
+    getMetadata,
+    setMetadata,
+  };
+};
+
+module.exports = createAzureDriver;
@@ -0,0 +1,55 @@
+const createAzureDriver = require('./azure');
+const createLocalDriver = require('./local');
+
+// Storage driver selection
+// STORAGE_DRIVER=azure (default) uses STORAGE_ACCOUNT / STORAGE_CONTAINER
+// STORAGE_DRIVER=local stores blobs on disk under LOCAL_STORAGE_PATH (default ./.storage)
+//
+// Every driver exposes the same interface:
+//   list({ prefix })                      async iterable of entries
+//   listHierarchy({ prefix, pageSize, continuationToken })
+//                                         one folder level: { prefixes, entries, continuationToken }
+//   stat(path)                            entry or null
+//   exists(path)                          boolean
+//   read(path, { offset, count })         entry + { contentLength, stream }
+//   write(path, bufferOrStream, options)  { etag, lastModified }
+//   stageBlock(path, blockId, buffer)
+//   commitBlocks(path, blockIds, options) { etag, lastModified }
+//   listBlocks(path)                      { committed, uncommitted } arrays of { id, size }
+//   discardBlocks(path)                   drop uncommitted blocks (best effort)
+//   copy(sourcePath, destPath, options)   options: { conditions, sourceConditions }
+//   delete(path, options)                 options: { conditions }; rejects with statusCode 404 if missing
+//   getMetadata(path) / setMetadata(path, metadata, options)
+//                                         setMetadata options: { conditions, contentType } (contentType
+//                                         replaces the stored content type)
+//
+// Entries have the shape { name, size, contentType, createdOn, lastModified, etag, metadata }
+// and write options are { contentType, metadata, conditions }. When writing a stream, metadata is
+// applied when the write commits, so keys added to the object while the stream is read are kept. conditions ({ ifMatch, ifNoneMatch })
+// apply to the destination blob: a failed ifMatch (or etag ifNoneMatch) rejects with statusCode 412
+// (code ConditionNotMet), ifNoneMatch "*" on an existing blob with 409 (code BlobAlreadyExists).
+// sourceConditions apply the same way to the source blob of a copy.
+
+const drivers = {
+  azure: createAzureDriver,
+  local: createLocalDriver,
+};
+
+const createStorage = (driverName = process.env.STORAGE_DRIVER || 'azure') => {
+  const factory = drivers[driverName.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+  return factory();
+};
+
+let storage;
+try {
+  storage = createStorage();
+} catch (error) {
+  console.error('FATAL: Failed to initialize storage driver:', error);
+  console.error('Stack:', error.stack);
+  throw error; // This will prevent the app from starting if storage init fails
+}
+
+module.exports = storage;
@@ -0,0 +1,384 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Local filesystem driver for offline development and CI
+// Layout under the root directory:
+//   blobs/<path>        blob content
+//   meta/<path>.json    content type, timestamps, etag and user metadata
+//   blocks/<hash>/<id>  staged (uncommitted) blocks per blob
+
+// Helper: error shaped like the Azure SDK's RestError for a missing blob
+const notFoundError = (blobPath) => {
+  const error = new Error(`The specified blob does not exist: ${blobPath}`);
+  error.statusCode = 404;
+  error.code = 'BlobNotFound';
+  return error;
+};
+
+const isMissing = (error) => error && error.code === 'ENOENT';
+
+// Helper: errors shaped like the Azure SDK's RestError for failed access conditions
+const conditionError = (statusCode, code, message) => Object.assign(new Error(message), { statusCode, code });
+
+const newEtag = () => `"0x${crypto.randomBytes(8).toString('hex').toUpperCase()}"`;
+
+const createLocalDriver = ({
+  root = process.env.LOCAL_STORAGE_PATH || path.join(process.cwd(), '.storage'),
+} = {}) => {
+  const rootDir = path.resolve(root);
+  const blobsDir = path.join(rootDir, 'blobs');
+  const metaDir = path.join(rootDir, 'meta');
+  const blocksDir = path.join(rootDir, 'blocks');
+
+  fs.mkdirSync(blobsDir, { recursive: true });
+  fs.mkdirSync(metaDir, { recursive: true });
+  fs.mkdirSync(blocksDir, { recursive: true });
+  console.log('Local storage initialized at', rootDir);
+
+  // Helper: resolve a blob path inside a base directory, refusing traversal
+  const resolveIn = (baseDir, blobPath, suffix = '') => {
+    const resolved = path.resolve(baseDir, blobPath + suffix);
+    if (!blobPath || !resolved.startsWith(baseDir + path.sep)) {
+      const error = new Error(`Invalid blob path: ${blobPath}`);
+      error.statusCode = 400;
+      error.code = 'InvalidResourceName';
+      throw error;
+    }
+    return resolved;
+  };
+
+  const blobFile = (blobPath) => resolveIn(blobsDir, blobPath);
+  const metaFile = (blobPath) => resolveIn(metaDir, blobPath, '.json');
+  const blockDir = (blobPath) =>
+    path.join(blocksDir, crypto.createHash('sha256').update(blobPath).digest('hex'));
+  const blockFile = (blobPath, blockId) =>
+    path.join(blockDir(blobPath), Buffer.from(blockId, 'base64').toString('base64url'));
+
+  const readMeta = async (blobPath) => {
+    try {
+      return JSON.parse(await fsp.readFile(metaFile(blobPath), 'utf8'));
+    } catch (error) {
+      if (isMissing(error)) return {};
+      throw error;
+    }
+  };
+
+  const writeMeta = async (blobPath, meta) => {
+    const file = metaFile(blobPath);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(file, JSON.stringify(meta));
+  };
+
+  // Helper: build the driver-neutral entry for an existing blob
+  const entryFor = async (blobPath) => {
+    const [stats, meta] = await Promise.all([fsp.stat(blobFile(blobPath)), readMeta(blobPath)]);
+    if (!stats.isFile()) {
+      // A directory is a virtual folder, not a blob
+      throw Object.assign(new Error(`Not a blob: ${blobPath}`), { code: 'ENOENT' });
+    }
+    return {
+      name: blobPath,
+      size: stats.size,
+      contentType: meta.contentType || 'application/octet-stream',
+      createdOn: new Date(meta.createdOn || stats.birthtime),
+      lastModified: new Date(meta.lastModified || stats.mtime),
+      etag: meta.etag,
+      metadata: meta.metadata || {},
+    };
+  };
+
+  // Changes to one blob run one at a time, so an access condition still holds when the change is
+  // made (Azure checks and applies conditions atomically). blobPath -> tail of its queue
+  const blobLocks = new Map();
+  const withBlobLock = (blobPath, fn) => {
+    const run = (blobLocks.get(blobPath) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    blobLocks.set(blobPath, tail);
+    tail.then(() => {
+      if (blobLocks.get(blobPath) === tail) blobLocks.delete(blobPath);
+    });
+    return run;
+  };
+
+  // Helper: enforce destination access conditions ({ ifMatch, ifNoneMatch }) like Azure does
+  const checkConditions = async (blobPath, { ifMatch, ifNoneMatch } = {}) => {
+    if (!ifMatch && !ifNoneMatch) return;
+    const current = await stat(blobPath);
+    if (ifNoneMatch === '*' && current) {
+      throw conditionError(409, 'BlobAlreadyExists', `The specified blob already exists: ${blobPath}`);
+    }
+    if ((ifMatch && (!current || (ifMatch !== '*' && current.etag !== ifMatch)))
+      || (ifNoneMatch && ifNoneMatch !== '*' && current && current.etag === ifNoneMatch)) {
+      throw conditionError(412, 'ConditionNotMet', `The condition specified using HTTP conditional header(s) is not met: ${blobPath}`);
+    }
+  };
+
+  // Helper: move a fully written temp file into place and record its metadata
+  const finalize = (blobPath, tempFile, { contentType, metadata, conditions } = {}) => withBlobLock(blobPath, async () => {
+    await checkConditions(blobPath, conditions);
+    const target = blobFile(blobPath);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await fsp.rename(tempFile, target);
+    const now = new Date().toISOString();
+    const meta = {
+      contentType: contentType || 'application/octet-stream',
+      createdOn: now,
+      lastModified: now,
+      etag: newEtag(),
+      metadata: metadata || {},
+    };
+    await writeMeta(blobPath, meta);
+    return { etag: meta.etag, lastModified: new Date(now) };
+  });
+
+  // Helper: remove empty directories from dir upwards, stopping at baseDir
+  const pruneEmptyDirs = async (dir, baseDir) => {
+    while (dir !== baseDir && dir.startsWith(baseDir)) {
+      try {
+        await fsp.rmdir(dir);
+      } catch (error) {
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  };
+
+  const tempFileFor = () =>
+    path.join(rootDir, `.tmp-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`);
+
+  // Helper: recursively walk blobs/, yielding blob names in lexicographic order
+  async function* walk(dir, relative) {
+    let dirents;
+    try {
+      dirents = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (isMissing(error)) return;
+      throw error;
+    }
+    const names = dirents
+      .map((d) => ({ name: relative ? `${relative}/${d.name}` : d.name, dirent: d }))
+      .sort((a, b) => {
+        // Sort as blob names would sort: a directory "a" contributes "a/..."
+        const ak = a.dirent.isDirectory() ? a.name + '/' : a.name;
+        const bk = b.dirent.isDirectory() ? b.name + '/' : b.name;
+        return ak < bk ? -1 : ak > bk ? 1 : 0;
+      });
+    for (const { name, dirent } of names) {
+      if (dirent.isDirectory()) {
+        yield* walk(path.join(dir, dirent.name), name);
+      } else {
+        yield name;
+      }
+    }
+  }
+
+  async function* list({ prefix } = {}) {
+    for await (const name of walk(blobsDir, '')) {
+      if (prefix && !name.startsWith(prefix)) continue;
+      yield await entryFor(name);
+    }
+  }
+
+  // One page of a single folder level; the continuation token is the last name returned
+  const listHierarchy = async ({ prefix = '', pageSize = 5000, continuationToken } = {}) => {
+    const slash = prefix.lastIndexOf('/');
+    const dirPart = slash === -1 ? '' : prefix.slice(0, slash);
+    let dirents;
+    try {
+      dirents = await fsp.readdir(dirPart ? resolveIn(blobsDir, dirPart) : blobsDir, { withFileTypes: true });
+    } catch (error) {
+      if (isMissing(error) || error.code === 'ENOTDIR') {
+        return { prefixes: [], entries: [], continuationToken: undefined };
+      }
+      throw error;
+    }
+
+    const items = dirents
+      .map((d) => ({
+        name: (dirPart ? dirPart + '/' : '') + d.name + (d.isDirectory() ? '/' : ''),
+        isPrefix: d.isDirectory(),
+      }))
+      .filter((item) => item.name.startsWith(prefix))
+      .filter((item) => !continuationToken || item.name > continuationToken)
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    const page = items.slice(0, pageSize);
+
+    return {
+      prefixes: page.filter((item) => item.isPrefix).map((item) => item.name),
+      entries: await Promise.all(page.filter((item) => !item.isPrefix).map((item) => entryFor(item.name))),
+      continuationToken: items.length > page.length ? page[page.length - 1].name : undefined,
+    };
+  };
+
+  const stat = async (blobPath) => {
+    try {
+      return await entryFor(blobPath);
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+  };
+
+  const exists = async (blobPath) => (await stat(blobPath)) !== null;
+
+  const read = async (blobPath, { offset = 0, count } = {}) => {
+    const entry = await stat(blobPath);
+    if (!entry) throw notFoundError(blobPath);
+    const end = count !== undefined ? Math.min(offset + count, entry.size) - 1 : entry.size - 1;
+    const contentLength = Math.max(end - offset + 1, 0);
+    const stream = contentLength > 0
+      ? fs.createReadStream(blobFile(blobPath), { start: offset, end })
+      : Readable.from([]);
+    return { ...entry, contentLength, stream };
+  };
+
+  const write = async (blobPath, source, options = {}) => {
+    blobFile(blobPath); // validate before writing anything
+    const tempFile = tempFileFor();
+    try {
+      if (Buffer.isBuffer(source)) {
+        await fsp.writeFile(tempFile, source);
+      } else {
+        await pipeline(source, fs.createWriteStream(tempFile));
+      }
+      return await finalize(blobPath, tempFile, options);
+    } catch (error) {
+      await fsp.rm(tempFile, { force: true });
+      throw error;
+    }
+  };
+
+  const stageBlock = async (blobPath, blockId, data) => {
+    blobFile(blobPath);
+    await fsp.mkdir(blockDir(blobPath), { recursive: true });
+    await fsp.writeFile(blockFile(blobPath, blockId), data);
+  };
+
+  const commitBlocks = async (blobPath, blockIds, options = {}) => {
+    blobFile(blobPath);
+    const tempFile = tempFileFor();
+    const out = fs.createWriteStream(tempFile);
+    // A write error (e.g. disk full) ends the wait for 'drain' or the end of the file
+    const failed = new Promise((resolve, reject) => out.once('error', reject));
+    failed.catch(() => {}); // awaited below
+    try {
+      for (const blockId of blockIds) {
+        let data;
+        try {
+          data = await fsp.readFile(blockFile(blobPath, blockId));
+        } catch (error) {
+          if (!isMissing(error)) throw error;
+          const invalid = new Error(`The specified block list is invalid: missing block ${blockId}`);
+          invalid.statusCode = 400;
+          invalid.code = 'InvalidBlockList';
+          throw invalid;
+        }
+        if (!out.write(data)) await Promise.race([once(out, 'drain'), failed]);
+      }
+      await Promise.race([new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve()))), failed]);
+      const result = await finalize(blobPath, tempFile, options);
+      // Committing discards any remaining uncommitted blocks
+      await fsp.rm(blockDir(blobPath), { recursive: true, force: true });
+      return result;
+    } catch (error) {
+      out.destroy();
+      await fsp.rm(tempFile, { force: true });
+      throw error;
+    }
+  };
+
+  // Staged blocks for a blob; committed block lists are not tracked locally
+  const listBlocks = async (blobPath) => {
+    blobFile(blobPath);
+    let files;
+    try {
+      files = await fsp.readdir(blockDir(blobPath));
+    } catch (error) {
+      if (isMissing(error)) return { committed: [], uncommitted: [] };
+      throw error;
+    }
+    const uncommitted = await Promise.all(files.map(async (file) => ({
+      id: Buffer.from(file, 'base64url').toString('base64'),
+      size: (await fsp.stat(path.join(blockDir(blobPath), file))).size,
+    })));
+    return { committed: [], uncommitted };
+  };
+
+  const discardBlocks = async (blobPath) => {
+    blobFile(blobPath);
+    await fsp.rm(blockDir(blobPath), { recursive: true, force: true });
+  };
+
+  const copy = async (sourcePath, destPath, { conditions, sourceConditions } = {}) => {
+    const entry = await stat(sourcePath);
+    if (!entry) throw notFoundError(sourcePath);
+    await checkConditions(sourcePath, sourceConditions);
+    const tempFile = tempFileFor();
+    await fsp.copyFile(blobFile(sourcePath), tempFile);
+    try {
+      await finalize(destPath, tempFile, { ...entry, conditions });
+    } catch (error) {
+      await fsp.rm(tempFile, { force: true });
+      throw error;
+    }
+  };
+
+  const remove = (blobPath, { conditions } = {}) => withBlobLock(blobPath, async () => {
+    if (conditions && !(await exists(blobPath))) throw notFoundError(blobPath);
+    await checkConditions(blobPath, conditions);
+    try {
+      await fsp.unlink(blobFile(blobPath));
+    } catch (error) {
+      if (isMissing(error)) throw notFoundError(blobPath);
+      throw error;
+    }
+    await fsp.rm(metaFile(blobPath), { force: true });
+    // Prune now-empty parent directories so listings match blob semantics
+    await pruneEmptyDirs(path.dirname(blobFile(blobPath)), blobsDir);
+    await pruneEmptyDirs(path.dirname(metaFile(blobPath)), metaDir);
+  });
+
+  const getMetadata = async (blobPath) => {
+    const entry = await stat(blobPath);
+    if (!entry) throw notFoundError(blobPath);
+    return entry.metadata;
+  };
+
+  const setMetadata = (blobPath, metadata, { conditions, contentType } = {}) => withBlobLock(blobPath, async () => {
+    if (!(await exists(blobPath))) throw notFoundError(blobPath);
+    await checkConditions(blobPath, conditions);
+    const meta = await readMeta(blobPath);
+    await writeMeta(blobPath, {
+      ...meta,
+      ...(contentType && { contentType }),
+      metadata: metadata || {},
+      lastModified: new Date().toISOString(),
+      etag: newEtag(),
+    });
+  });
+
+  return {
+    name: 'local',
+    list,
+    listHierarchy,
+    stat,
+    exists,
+    read,
+    write,
+    stageBlock,
+    commitBlocks,
+    listBlocks,
+    discardBlocks,
+    copy,
+    delete: remove,
+    getMetadata,
+    setMetadata,
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, token, openEventStream } = require('./helpers/server');
+
+// Only the uploader may use team/private; readers can read the rest of team
+const PRIVATE_ACL = { entries: [{ type: 'user', id: 'uploader-user', rights: ['read', 'write', 'delete'] }] };
+
+describe('ACL filtering', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    await server.upload('team', { 'public.txt': 'everyone' });
+    await server.upload('team/private', { 'secret.txt': 'uploader only' });
+    const response = await server.request('/api/files/acl/team/private', { as: 'admin', method: 'PUT', json: PRIVATE_ACL });
+    assert.equal(response.status, 200);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('leaves unreadable sub-folders out of a folder ZIP', async () => {
+    const response = await server.request('/api/files/zip?folder=team', { as: 'reader' });
+    assert.equal(response.status, 200);
+    const archive = Buffer.from(await response.arrayBuffer());
+    assert.ok(archive.includes('team/public.txt'));
+    assert.ok(!archive.includes('secret.txt'));
+  });
+
+  it('includes the sub-folder for a user who may read it', async () => {
+    const response = await server.request('/api/files/zip?folder=team', { as: 'uploader' });
+    assert.equal(response.status, 200);
+    assert.ok(Buffer.from(await response.arrayBuffer()).includes('team/private/secret.txt'));
+  });
+
+  it('only streams events the caller may read', async () => {
+    const stream = await openEventStream(server, '/api/files/events?folder=team', { as: 'reader' });
+    try {
+      assert.equal(stream.status, 200);
+      await stream.next((message) => message.event === 'ready');
+      await server.upload('team/private', { 'hidden.txt': 'x' });
+      await server.upload('team', { 'visible.txt': 'x' });
+      const moved = await server.request('/api/files/move', {
+        as: 'uploader',
+        method: 'POST',
+        json: { sourcePath: 'team/visible.txt', destinationPath: 'team/private/visible.txt' },
+      });
+      assert.equal(moved.status, 200);
+
+      const move = await stream.next((message) => message.event === 'file.moved');
+      assert.equal(move.data.path, null);
+      assert.equal(move.data.previousPath, 'team/visible.txt');
+      const uploads = stream.events.filter((message) => message.event === 'file.uploaded').map((message) => message.data.path);
+      assert.deepEqual(uploads, ['team/visible.txt']);
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('ends a stream when the token expires', async () => {
+    const expiring = token('reader', { exp: Math.floor(Date.now() / 1000) + 2 });
+    const stream = await openEventStream(server, '/api/files/events?folder=team', { token: expiring });
+    try {
+      assert.equal(stream.status, 200);
+      const closed = await stream.next((message) => message.event === 'closed', 5000);
+      assert.equal(closed.data.reason, 'Token expired');
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('ends a stream when read access to the folder is removed', async () => {
+    await server.upload('club', { 'rules.txt': 'x' });
+    const stream = await openEventStream(server, '/api/files/events?folder=club', { as: 'reader' });
+    try {
+      await stream.next((message) => message.event === 'ready');
+      const acl = await server.request('/api/files/acl/club', { as: 'admin', method: 'PUT', json: PRIVATE_ACL });
+      assert.equal(acl.status, 200);
+      await server.upload('club', { 'minutes.txt': 'x' });
+      const closed = await stream.next((message) => message.event === 'closed');
+      assert.equal(closed.data.reason, 'Access to the folder was revoked');
+      assert.ok(!stream.events.some((message) => message.event === 'file.uploaded'));
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('refuses a stream on an unreadable folder', async () => {
+    const response = await server.request('/api/files/events?folder=team/private', { as: 'reader' });
+    assert.equal(response.status, 403);
+  });
+});
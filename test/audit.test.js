@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+describe('audit log', () => {
+  let server;
+
+  const query = async (params) => {
+    const response = await server.request(`/api/files/audit?${new URLSearchParams(params)}`, { as: 'admin' });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  before(async () => {
+    server = await startServer();
+    await server.upload('ledger/docs', { 'a.txt': 'a' });
+    await server.upload('=sum', { 'b.txt': 'b' });
+    await server.request('/api/files/ledger/docs/a.txt', { as: 'reader' });
+    await server.upload('ledger/docs', { 'c.txt': 'c' }, { as: 'reader' });
+    // Records are written once each response has closed
+    await waitFor(async () => (await query({ path: 'ledger' })).total === 3);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('records who did what to which paths, and how it ended', async () => {
+    const { records } = await query({ action: 'upload', path: 'ledger/docs', outcome: 'success' });
+    assert.equal(records.length, 1);
+    const [record] = records;
+    assert.equal(record.status, 200);
+    assert.deepEqual(record.user, { objectId: 'uploader-user', upn: 'uploader@example.com' });
+    assert.equal(record.ip, '127.0.0.1');
+    assert.ok(record.paths.includes('ledger/docs/a.txt'));
+    assert.ok(Date.parse(record.timestamp) <= Date.now());
+
+    const denied = await query({ outcome: 'denied', path: 'ledger' });
+    assert.equal(denied.total, 1);
+    assert.equal(denied.records[0].user.objectId, 'reader-user');
+  });
+
+  it('filters by user, path prefix, action and time range', async () => {
+    assert.equal((await query({ user: 'READER@example.com', action: 'download' })).total, 1);
+    assert.equal((await query({ path: 'ledger/doc' })).total, 0);
+    assert.equal((await query({ path: 'ledger', action: 'download' })).records[0].paths[0], 'ledger/docs/a.txt');
+    assert.equal((await query({ path: 'ledger', from: new Date(Date.now() + 60000).toISOString() })).total, 0);
+    assert.equal((await query({ path: 'ledger', to: new Date().toISOString() })).total, 3);
+
+    const invalid = await server.request('/api/files/audit?from=2024-02-01&to=2024-01-01', { as: 'admin' });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('pages newest first', async () => {
+    const first = await query({ path: 'ledger', pageSize: 2 });
+    assert.equal(first.records.length, 2);
+    assert.equal(first.records[0].outcome, 'denied');
+    const second = await query({ path: 'ledger', pageSize: 2, continuationToken: first.continuationToken });
+    assert.equal(second.records.length, 1);
+    assert.equal(second.records[0].user.objectId, 'uploader-user');
+    assert.equal(second.continuationToken, null);
+  });
+
+  it('exports matching records as CSV and JSON Lines, oldest first', async () => {
+    const csv = await server.request('/api/files/audit/export?format=csv&action=upload', { as: 'admin' });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /filename="audit-\d{4}-\d{2}-\d{2}\.csv"/);
+    const rows = (await csv.text()).trim().split('\r\n');
+    assert.equal(rows[0], 'timestamp,action,outcome,status,userId,upn,ip,paths,details,id');
+    assert.equal(rows.length, 4);
+    assert.ok(rows[1].includes(',upload,success,200,uploader-user,'));
+    // A value that spreadsheets would run as a formula is prefixed with a quote
+    assert.ok(rows[2].includes(",'=sum/b.txt,"));
+
+    const jsonl = await server.request('/api/files/audit/export?path=ledger', { as: 'admin' });
+    assert.equal(jsonl.headers.get('content-type'), 'application/x-ndjson');
+    const records = (await jsonl.text()).trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(records.map((record) => record.action), ['upload', 'download', 'upload']);
+  });
+
+  it('is only open to audit.read', async () => {
+    assert.equal((await server.request('/api/files/audit', { as: 'uploader' })).status, 403);
+    assert.equal((await server.request('/api/files/audit/export', { as: 'uploader' })).status, 403);
+  });
+});
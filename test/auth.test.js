@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { startServer, token } = require('./helpers/server');
+const { createJwksClient } = require('../middleware/jwks');
+
+describe('bearer token validation', () => {
+  let server;
+
+  const list = (claims) => server.request('/api/files', { token: token('reader', claims) });
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('accepts a token for this API from the tenant', async () => {
+    assert.equal((await list()).status, 200);
+    assert.equal((await list({ iss: 'https://sts.windows.net/test-tenant/' })).status, 200);
+  });
+
+  it('rejects an audience that only contains the client ID', async () => {
+    const response = await list({ aud: 'test-api-other' });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'invalid_audience');
+  });
+
+  it('rejects another issuer', async () => {
+    const response = await list({ iss: 'https://login.microsoftonline.com/other-tenant/v2.0' });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'invalid_issuer');
+  });
+
+  it('does not log token claims', () => {
+    assert.ok(!server.logs().includes('Token claims'));
+  });
+});
+
+describe('JWKS key cache', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobapi-jwks-'));
+  const jwksFile = path.join(dir, 'jwks.json');
+  const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps serving cached keys when a refresh fails', async () => {
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1' }] }));
+    const client = createJwksClient({ jwksFile, cacheTtlMs: 0, minRefreshIntervalMs: -1 });
+    assert.ok(await client.getSigningKey('k1'));
+
+    fs.writeFileSync(jwksFile, 'not json');
+    assert.ok(await client.getSigningKey('k1'));
+  });
+});
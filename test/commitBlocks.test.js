@@ -0,0 +1,50 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobapi-commit-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_PATH = path.join(dir, 'storage');
+process.env.STATE_DIR = path.join(dir, 'state');
+
+const storage = require('../storage');
+const { commitVerifiedBlocks } = require('../services/uploadSessions');
+const { inspectContent } = require('../services/contentDetection');
+const { httpError } = require('../services/errors');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+describe('commitVerifiedBlocks with inspect', () => {
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores the content type inspected from the committed file', async () => {
+    await storage.stageBlock('sniffed/image.png', 'b0', PNG);
+    const result = await commitVerifiedBlocks('sniffed/image.png', ['b0'], {
+      contentType: 'application/octet-stream',
+      inspect: (head) => inspectContent(head, 'sniffed/image.png', 'text/html'),
+    });
+    assert.equal(result.inspection.contentType, 'image/png');
+    assert.equal((await storage.stat('sniffed/image.png')).contentType, 'image/png');
+  });
+
+  it('undoes the commit when the inspection rejects the file', async () => {
+    await storage.write('sniffed/page.png', PNG, { contentType: 'image/png' });
+    const before = await storage.stat('sniffed/page.png');
+    await storage.stageBlock('sniffed/page.png', 'b0', Buffer.from('<html><script>alert(1)</script></html>'));
+    await assert.rejects(commitVerifiedBlocks('sniffed/page.png', ['b0'], {
+      contentType: 'application/octet-stream',
+      conditions: { ifMatch: before.etag },
+      inspect: () => {
+        throw httpError(415, 'Content not allowed');
+      },
+    }), { statusCode: 415 });
+    const after = await storage.read('sniffed/page.png');
+    const chunks = [];
+    for await (const chunk of after.stream) chunks.push(chunk);
+    assert.ok(Buffer.concat(chunks).equals(PNG));
+  });
+});
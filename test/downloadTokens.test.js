@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers/server');
+
+// Rotation in progress: "next" signs new tokens, "prev" still verifies the ones it signed
+const KEYS = { prev: 'p'.repeat(32), next: 'n'.repeat(32) };
+
+// Helper: a token signed like the server signs them, with the given key and payload
+const signToken = (kid, payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = crypto.createHmac('sha256', KEYS[kid]).update(`${kid}.${body}`).digest('base64url');
+  return `${kid}.${body}.${sig}`;
+};
+
+describe('download tokens', () => {
+  let server;
+
+  const issue = async (json, as = 'reader') => {
+    const response = await server.request('/api/files/download-token', { as, method: 'POST', json });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+  const download = (path, dt) => server.request(`/api/files/${path}?dt=${encodeURIComponent(dt)}`);
+  const revoke = (json, as = 'reader') => server.request('/api/files/download-token/revoke', { as, method: 'POST', json });
+
+  before(async () => {
+    server = await startServer({
+      DOWNLOAD_TOKEN_KEYS: Object.entries(KEYS).map(([kid, secret]) => `${kid}:${secret}`).join(','),
+      DOWNLOAD_TOKEN_SIGNING_KEY_ID: 'next',
+    });
+    await server.upload('files', { 'a.txt': 'alpha', 'b.txt': 'beta' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('downloads the one file it was issued for, without a bearer token', async () => {
+    const issued = await issue({ path: 'files/a.txt', expiresIn: 60 });
+    assert.ok(issued.token.startsWith('next.'));
+    assert.ok(Math.abs(Date.parse(issued.expiresAt) - (Date.now() + 60000)) < 5000);
+
+    const response = await download('files/a.txt', issued.token);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'alpha');
+    assert.equal((await download('files/b.txt', issued.token)).status, 403);
+
+    const tooLong = await server.request('/api/files/download-token', {
+      as: 'reader',
+      method: 'POST',
+      json: { path: 'files/a.txt', expiresIn: 7200 },
+    });
+    assert.equal(tooLong.status, 400);
+  });
+
+  it('accepts tokens of every configured key and nothing else', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { sub: 'files/a.txt', uid: 'reader-user', jti: crypto.randomUUID(), iat: now, exp: now + 60 };
+    assert.equal((await download('files/a.txt', signToken('prev', payload))).status, 200);
+
+    const [kid, body] = signToken('prev', payload).split('.');
+    assert.equal((await download('files/a.txt', `${kid}.${body}.forged`)).status, 401);
+    assert.equal((await download('files/a.txt', signToken('prev', { ...payload, exp: now - 1 }))).status, 401);
+  });
+
+  it('stops working once revoked by its user', async () => {
+    const { token } = await issue({ path: 'files/a.txt' });
+    assert.equal((await revoke({ token }, 'uploader')).status, 403);
+    const revoked = await revoke({ token });
+    assert.equal(revoked.status, 200);
+    assert.equal((await download('files/a.txt', token)).status, 401);
+  });
+
+  it('revokes every token issued to a user so far', async () => {
+    const first = await issue({ path: 'files/a.txt' });
+    const second = await issue({ path: 'files/b.txt' });
+    assert.equal((await revoke({ userId: 'reader-user' }, 'uploader')).status, 403);
+    assert.equal((await revoke({ userId: 'reader-user' }, 'admin')).status, 200);
+    assert.equal((await download('files/a.txt', first.token)).status, 401);
+    assert.equal((await download('files/b.txt', second.token)).status, 401);
+  });
+
+  it('refuses to start in production without a signing key', async () => {
+    await assert.rejects(
+      startServer({ NODE_ENV: 'production' }),
+      /DOWNLOAD_TOKEN_KEYS or DOWNLOAD_TOKEN_SECRET must be set in production/,
+    );
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const NAME = 'Übersicht 中文 "v2".txt';
+
+describe('download file names', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    const content = Buffer.from('report');
+    const created = await server.request('/api/files/uploads', {
+      as: 'uploader',
+      method: 'POST',
+      json: { path: `Berichte 2024/${NAME}`, size: content.length },
+    });
+    assert.equal(created.status, 201);
+    const { uploadId } = await created.json();
+    await server.request(`/api/files/uploads/${uploadId}/chunks/0`, { as: 'uploader', method: 'PUT', body: content });
+    assert.equal((await server.request(`/api/files/uploads/${uploadId}/commit`, { as: 'uploader', method: 'POST' })).status, 200);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('sends an ASCII fallback and the exact UTF-8 name', async () => {
+    const response = await server.request(`/api/files/Berichte%202024/${encodeURIComponent(NAME)}`, { as: 'reader' });
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.headers.get('content-disposition'),
+      `attachment; filename="_bersicht __ _v2_.txt"; filename*=UTF-8''${encodeURIComponent(NAME)}`,
+    );
+  });
+
+  it('encodes the name of a ZIP archive the same way', async () => {
+    const response = await server.request(`/api/files/zip?folder=${encodeURIComponent('Berichte 2024')}`, { as: 'reader' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="Berichte 2024.zip"; filename*=UTF-8\'\'Berichte%202024.zip');
+    await response.arrayBuffer();
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+// Uploaders may delete folders with their contents, but not skip the trash
+const PERMISSIONS = {
+  roles: {
+    reader: { actions: ['list', 'download'] },
+    uploader: { inherits: ['reader'], actions: ['upload', 'delete', 'folder.delete', 'folder.delete.recursive', 'trash.restore'] },
+    admin: { actions: ['*'] },
+  },
+  groups: {
+    '${READER_GROUP_ID}': ['reader'],
+    '${UPLOADER_GROUP_ID}': ['uploader'],
+    '${ADMIN_GROUP_ID}': ['admin'],
+  },
+};
+
+describe('recursive folder delete', () => {
+  let server;
+
+  const deleteFolder = (path, query, as = 'uploader') => server.request(
+    `/api/files/folders/${path}?${new URLSearchParams({ recursive: 'true', ...query })}`,
+    { as, method: 'DELETE' },
+  );
+  const exists = async (path) => (await (await server.request(`/api/files/exists/${path}`, { as: 'reader' })).json()).exists;
+  const finish = async (response, as = 'uploader') => {
+    const { statusUrl } = await response.json();
+    let job;
+    await waitFor(async () => {
+      job = await (await server.request(statusUrl, { as })).json();
+      return !['pending', 'running'].includes(job.status);
+    });
+    return job;
+  };
+
+  before(async () => {
+    server = await startServer({}, { permissions: PERMISSIONS });
+    await server.upload('keep', { 'a.txt': 'a' });
+    await server.upload('reports/2024', { 'q1.txt': '12345', 'q2.txt': '123' });
+    await server.upload('reports', { 'summary.txt': 'ab' });
+    await server.upload('scratch/tmp', { 'x.txt': 'x' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('requires delete.permanent to skip the trash', async () => {
+    const response = await deleteFolder('keep', { permanent: 'true' });
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).error, /permanent delete/);
+    assert.equal(await exists('keep/a.txt'), true);
+  });
+
+  it('lists what a dry run would delete without deleting it', async () => {
+    const response = await deleteFolder('reports', { dryRun: 'true' });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.dryRun, true);
+    assert.equal(body.fileCount, 3);
+    assert.equal(body.totalBytes, 10);
+    assert.deepEqual(body.files.map((file) => file.path).sort(), [
+      'reports/2024/q1.txt',
+      'reports/2024/q2.txt',
+      'reports/summary.txt',
+    ]);
+    assert.equal(await exists('reports/2024/q1.txt'), true);
+  });
+
+  it('moves the folder and its contents to the trash as a job', async () => {
+    const response = await deleteFolder('reports');
+    assert.equal(response.status, 202);
+    const job = await finish(response);
+    assert.equal(job.status, 'completed');
+    assert.equal(await exists('reports/2024/q1.txt'), false);
+    assert.equal(await exists('reports/summary.txt'), false);
+
+    const { items } = await (await server.request('/api/files/trash', { as: 'uploader' })).json();
+    const item = items.find((entry) => entry.trashId === job.result.trashId);
+    assert.equal(item.type, 'folder');
+    assert.equal(item.originalPath, 'reports');
+    assert.equal(item.fileCount, 3);
+  });
+
+  it('deletes permanently with delete.permanent', async () => {
+    const response = await deleteFolder('scratch', { permanent: 'true' }, 'admin');
+    assert.equal(response.status, 202);
+    assert.equal((await finish(response, 'admin')).status, 'completed');
+    assert.equal(await exists('scratch/tmp/x.txt'), false);
+    const { items } = await (await server.request('/api/files/trash', { as: 'admin' })).json();
+    assert.equal(items.some((item) => item.originalPath === 'scratch'), false);
+  });
+});
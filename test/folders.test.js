@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobapi-folders-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_PATH = path.join(dir, 'storage');
+process.env.STATE_DIR = path.join(dir, 'state');
+
+const storage = require('../storage');
+const { moveFolder } = require('../services/folders');
+
+const readText = async (blobPath) => {
+  const download = await storage.read(blobPath);
+  const chunks = [];
+  for await (const chunk of download.stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('moveFolder', () => {
+  const copy = storage.copy;
+
+  before(async () => {
+    await storage.write('dest/own.txt', Buffer.from('destination only'));
+    await storage.write('dest/shared.txt', Buffer.from('destination version'));
+    await storage.write('src/shared.txt', Buffer.from('source version'));
+    await storage.write('src/new.txt', Buffer.from('new'));
+    await storage.write('src/broken.txt', Buffer.from('cannot be copied'));
+  });
+
+  after(() => {
+    storage.copy = copy;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('restores overwritten files and removes new copies when a merge fails', async () => {
+    storage.copy = async (source, target, options) => {
+      if (source === 'src/broken.txt') throw new Error('copy failed');
+      return copy(source, target, options);
+    };
+
+    await assert.rejects(moveFolder('src', 'dest'), (error) => {
+      assert.equal(error.report.rolledBack, true);
+      assert.deepEqual(error.report.failures.map((failure) => failure.path), ['src/broken.txt']);
+      return true;
+    });
+
+    assert.equal(await storage.exists('dest/new.txt'), false);
+    assert.equal(await readText('dest/own.txt'), 'destination only');
+    assert.equal(await readText('dest/shared.txt'), 'destination version');
+    for (const name of ['shared.txt', 'new.txt', 'broken.txt']) {
+      assert.equal(await storage.exists(`src/${name}`), true);
+    }
+  });
+
+  it('removes the backups of overwritten files once a merge succeeds', async () => {
+    storage.copy = copy;
+    await storage.delete('src/broken.txt');
+    const report = await moveFolder('src', 'dest');
+    assert.equal(report.overwritten, 1);
+    assert.equal(await readText('dest/shared.txt'), 'source version');
+    const backups = [];
+    for await (const entry of storage.list({ prefix: '.moves/' })) backups.push(entry.name);
+    assert.deepEqual(backups, []);
+  });
+});
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const jwt = require('jsonwebtoken');
+
+// Test server harness
+// Starts server.js in a child process with the local storage driver, a throwaway STATE_DIR and
+// storage folder, and a JWKS file with a generated key, so tests run against the real HTTP API
+// without Azure or Entra ID. Tokens for the reader/uploader/admin groups come from token().
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const TENANT_ID = 'test-tenant';
+const API_CLIENT_ID = 'test-api';
+const KEY_ID = 'test-key';
+const GROUPS = { reader: 'readers', uploader: 'uploaders', admin: 'admins' };
+const START_TIMEOUT_MS = 15 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Helper: a free TCP port on localhost
+const findFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+/**
+ * Sign a bearer token for a test user. role is "reader", "uploader" or "admin"; the user's
+ * object ID is "<role>-user" unless claims override oid.
+ */
+const token = (role, claims = {}) => jwt.sign({
+  aud: API_CLIENT_ID,
+  iss: `https://login.microsoftonline.com/${TENANT_ID}/v2.0`,
+  oid: `${role}-user`,
+  upn: `${role}@example.com`,
+  groups: [GROUPS[role]],
+  ...claims,
+}, privateKey, { algorithm: 'RS256', keyid: KEY_ID, ...(!claims.exp && { expiresIn: '1h' }) });
+
+/**
+ * Start the API with extra environment variables, an optional upload policy and an optional
+ * permissions config (in place of config/permissions.json). Resolves with
+ * { baseUrl, storageDir, request(path, options), upload(folder, files, options), logs(), stop() }.
+ */
+const startServer = async (env = {}, { policy = {}, permissions } = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobapi-test-'));
+  const jwksFile = path.join(dir, 'jwks.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }],
+  }));
+  const policyFile = path.join(dir, 'upload-policy.json');
+  fs.writeFileSync(policyFile, JSON.stringify(policy));
+  const permissionsFile = path.join(dir, 'permissions.json');
+  if (permissions) fs.writeFileSync(permissionsFile, JSON.stringify(permissions));
+
+  const port = await findFreePort();
+  const storageDir = path.join(dir, 'storage');
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      STORAGE_DRIVER: 'local',
+      LOCAL_STORAGE_PATH: storageDir,
+      STATE_DIR: path.join(dir, 'state'),
+      UPLOAD_POLICY_FILE: policyFile,
+      ...(permissions && { PERMISSIONS_FILE: permissionsFile }),
+      JWKS_FILE: jwksFile,
+      TENANT_ID,
+      API_CLIENT_ID,
+      READER_GROUP_ID: GROUPS.reader,
+      UPLOADER_GROUP_ID: GROUPS.uploader,
+      ADMIN_GROUP_ID: GROUPS.admin,
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+    const onData = () => {
+      if (!output.includes('API server running')) return;
+      clearTimeout(timer);
+      child.stdout.off('data', onData);
+      resolve();
+    };
+    child.stdout.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // fetch with a bearer token for options.as ("reader", "uploader", "admin") or options.token
+  const request = (urlPath, { as, token: bearer, headers = {}, json, ...options } = {}) => fetch(`${baseUrl}${urlPath}`, {
+    ...options,
+    headers: {
+      ...((as || bearer) && { Authorization: `Bearer ${bearer || token(as)}` }),
+      ...(json !== undefined && { 'Content-Type': 'application/json' }),
+      ...headers,
+    },
+    ...(json !== undefined && { body: JSON.stringify(json) }),
+  });
+
+  // Multipart upload of { name: content } to a folder; query holds extra query parameters
+  const upload = (folder, files, { as = 'uploader', query = {}, headers } = {}) => {
+    const form = new FormData();
+    for (const [name, content] of Object.entries(files)) {
+      form.append('file', new Blob([content]), name);
+    }
+    const search = new URLSearchParams({ folder, ...query });
+    return request(`/api/files?${search}`, { as, method: 'POST', body: form, headers });
+  };
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, storageDir, request, upload, logs: () => output, stop };
+};
+
+// Poll check() until it returns a truthy value (or fail after timeoutMs)
+const waitFor = async (check, { timeoutMs = 10 * 1000, intervalMs = 100 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+};
+
+/**
+ * Open a Server-Sent Events stream. Resolves once the response headers arrive with
+ * { status, events, next(predicate), close() }; events collects { id, event, data } messages.
+ */
+const openEventStream = async (server, urlPath, options = {}) => {
+  const controller = new AbortController();
+  const response = await server.request(urlPath, { ...options, signal: controller.signal });
+  const events = [];
+  const waiters = [];
+  if (response.ok) {
+    (async () => {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      try {
+        for await (const chunk of response.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const message = {};
+            for (const line of block.split('\n')) {
+              const match = line.match(/^(id|event|data): (.*)$/);
+              if (match) message[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+            }
+            if (!message.event) continue;
+            events.push(message);
+            waiters.splice(0).forEach((wake) => wake());
+          }
+        }
+      } catch (error) {
+        // aborted by close()
+      }
+      waiters.splice(0).forEach((wake) => wake());
+    })();
+  }
+
+  // Resolve with the first collected event matching predicate
+  const next = async (predicate, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const found = events.find(predicate);
+      if (found) return found;
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw new Error('Timed out waiting for event');
+      await new Promise((resolve) => {
+        waiters.push(resolve);
+        setTimeout(resolve, remaining);
+      });
+    }
+  };
+
+  return { status: response.status, response, events, next, close: () => controller.abort() };
+};
+
+module.exports = { startServer, token, waitFor, openEventStream };
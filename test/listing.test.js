@@ -0,0 +1,34 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('folder listing', () => {
+  let server;
+
+  const list = async (query) => {
+    const response = await server.request(`/api/files?${new URLSearchParams(query)}`, { as: 'reader' });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  before(async () => {
+    server = await startServer();
+    await server.upload('projects/alpha', { 'a.txt': 'x', 'b.txt': 'x' });
+    await server.upload('projects/alpha/drafts', { 'c.txt': 'x' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('counts every file below a folder by default', async () => {
+    const body = await list({ folder: 'projects' });
+    assert.deepEqual(body.folders.map((folder) => folder.path), ['projects/alpha']);
+    assert.equal(body.folders[0].children, 3);
+  });
+
+  it('leaves out folder counts with counts=false', async () => {
+    const body = await list({ folder: 'projects', counts: 'false' });
+    assert.equal(body.folders[0].children, undefined);
+  });
+});
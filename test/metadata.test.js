@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('metadata updates', () => {
+  let server;
+
+  const update = (method, path, json, headers = {}) => server.request(`/api/files/metadata/${path}`, {
+    as: 'uploader',
+    method,
+    json,
+    headers,
+  });
+  const read = async (path) => (await server.request(`/api/files/metadata/${path}`, { as: 'reader' })).json();
+
+  before(async () => {
+    server = await startServer();
+    await server.upload('docs', { 'report.txt': 'x' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('applies an update whose If-Match is the current ETag', async () => {
+    const { etag } = await read('docs/report.txt');
+    const response = await update('PUT', 'docs/report.txt', { metadata: { owner: 'finance' } }, { 'If-Match': etag });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.metadata, { owner: 'finance' });
+    assert.notEqual(body.etag, etag);
+  });
+
+  it('rejects an update with a stale If-Match', async () => {
+    const { etag } = await read('docs/report.txt');
+    await update('PATCH', 'docs/report.txt', { addTags: ['draft'] });
+    const response = await update('PATCH', 'docs/report.txt', { metadata: { owner: 'legal' } }, { 'If-Match': etag });
+    assert.equal(response.status, 412);
+    assert.equal((await response.json()).etag, (await read('docs/report.txt')).etag);
+    assert.equal((await read('docs/report.txt')).metadata.owner, 'finance');
+  });
+
+  it('never loses one of two concurrent merges', async () => {
+    const responses = await Promise.all(['alpha', 'beta', 'gamma'].map((tag) => (
+      update('PATCH', 'docs/report.txt', { addTags: [tag] })
+    )));
+    const { tags } = await read('docs/report.txt');
+    responses.forEach((response, i) => {
+      assert.ok([200, 412].includes(response.status));
+      if (response.status === 200) assert.ok(tags.includes(['alpha', 'beta', 'gamma'][i]));
+    });
+  });
+
+  it('stores metadata and tags sent with an upload and lists them', async () => {
+    const form = new FormData();
+    form.append('metadata', JSON.stringify({ Project: 'P-17', owner: 'Ana María' }));
+    form.append('tags', 'q1,final');
+    form.append('file', new Blob(['data']), 'plan.txt');
+    const response = await server.request('/api/files?folder=projects', { as: 'uploader', method: 'POST', body: form });
+    assert.equal(response.status, 200);
+
+    const stored = await read('projects/plan.txt');
+    assert.deepEqual(stored.metadata, { project: 'P-17', owner: 'Ana María' });
+    assert.deepEqual(stored.tags, ['q1', 'final']);
+    const listing = await (await server.request('/api/files?folder=projects', { as: 'reader' })).json();
+    const file = listing.files.find((entry) => entry.name === 'plan.txt');
+    assert.deepEqual(file.metadata, { project: 'P-17', owner: 'Ana María' });
+    assert.deepEqual(file.tags, ['q1', 'final']);
+  });
+
+  it('keeps folder metadata on the folder and lists it', async () => {
+    const response = await update('PATCH', 'docs', { metadata: { department: 'finance' }, addTags: ['archive'] });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).type, 'folder');
+
+    const listing = await (await server.request('/api/files', { as: 'reader' })).json();
+    const folder = listing.folders.find((entry) => entry.path === 'docs');
+    assert.deepEqual(folder.metadata, { department: 'finance' });
+    assert.deepEqual(folder.tags, ['archive']);
+  });
+
+  it('rejects keys and tags storage cannot hold', async () => {
+    assert.equal((await update('PATCH', 'docs/report.txt', { metadata: { '1st-key': 'x' } })).status, 400);
+    assert.equal((await update('PATCH', 'docs/report.txt', { addTags: ['no,commas'] })).status, 400);
+    assert.equal((await update('PATCH', 'docs/report.txt', { metadata: { big: 'x'.repeat(8 * 1024) } })).status, 400);
+    const form = new FormData();
+    form.append('metadata', '{not json');
+    form.append('file', new Blob(['data']), 'bad.txt');
+    const response = await server.request('/api/files?folder=docs', { as: 'uploader', method: 'POST', body: form });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'metadata must be valid JSON');
+  });
+});
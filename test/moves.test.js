@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Executables are not allowed in restricted/, and capped/ holds at most 10 bytes
+const POLICY = {
+  folders: { restricted: { denyExtensions: ['exe'] } },
+  quotas: { folders: { capped: 10 } },
+};
+
+describe('moves into folders with upload rules', () => {
+  let server;
+
+  const post = (route, json) => server.request(`/api/files/${route}`, { as: 'uploader', method: 'POST', json });
+  const exists = async (path) => (await (await server.request(`/api/files/exists/${path}`, { as: 'reader' })).json()).exists;
+
+  before(async () => {
+    server = await startServer({}, { policy: POLICY });
+    await server.upload('inbox', { 'tool.exe': 'MZ', 'big.txt': 'more than ten bytes' });
+    await server.upload('inbox/bundle', { 'setup.exe': 'MZ' });
+    await server.upload('restricted', { 'notes.txt': 'x' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('applies the destination file type rules to a file move', async () => {
+    const response = await post('move', { sourcePath: 'inbox/tool.exe', destinationPath: 'restricted/tool.exe' });
+    assert.equal(response.status, 415);
+    assert.equal(await exists('inbox/tool.exe'), true);
+  });
+
+  it('applies the file type rules to a rename', async () => {
+    const response = await post('rename', { oldPath: 'restricted/notes.txt', newName: 'notes.exe' });
+    assert.equal(response.status, 415);
+    assert.equal(await exists('restricted/notes.txt'), true);
+  });
+
+  it('applies the destination folder quota to a file move', async () => {
+    const response = await post('move', { sourcePath: 'inbox/big.txt', destinationPath: 'capped/big.txt' });
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).quota.folder, 'capped');
+    assert.equal(await exists('inbox/big.txt'), true);
+  });
+
+  it('checks every file of a folder move before starting it', async () => {
+    const response = await post('move', { sourcePath: 'inbox/bundle', destinationPath: 'restricted/bundle' });
+    assert.equal(response.status, 415);
+    assert.equal(await exists('inbox/bundle/setup.exe'), true);
+  });
+
+  it('still moves files the destination allows', async () => {
+    const response = await post('move', { sourcePath: 'inbox/big.txt', destinationPath: 'restricted/big.txt' });
+    assert.equal(response.status, 200);
+    assert.equal(await exists('restricted/big.txt'), true);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, token } = require('./helpers/server');
+
+// Uploaders may add files and delete only their own; the "Files.Audit" app role reads the audit log
+const PERMISSIONS = {
+  roles: {
+    reader: { actions: ['list', 'download'] },
+    contributor: { inherits: ['reader'], actions: ['upload', 'delete.own'] },
+    auditor: { actions: ['audit.read'] },
+    admin: { actions: ['*'] },
+  },
+  groups: {
+    '${READER_GROUP_ID}': ['reader'],
+    '${UPLOADER_GROUP_ID}': ['contributor'],
+    '${ADMIN_GROUP_ID}': ['admin'],
+    '${UNSET_GROUP_ID}': ['admin'],
+  },
+  appRoles: {
+    'Files.Audit': ['auditor'],
+  },
+};
+
+describe('permissions config', () => {
+  let server;
+
+  const other = token('uploader', { oid: 'other-user' });
+  const auditor = token('reader', { oid: 'auditor-user', groups: [], roles: ['Files.Audit'] });
+
+  before(async () => {
+    server = await startServer({}, { permissions: PERMISSIONS });
+    await server.upload('work', { 'mine.txt': 'mine' });
+    const form = new FormData();
+    form.append('file', new Blob(['theirs']), 'theirs.txt');
+    const response = await server.request('/api/files?folder=work', { token: other, method: 'POST', body: form });
+    assert.equal(response.status, 200);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('grants the actions of the roles a group maps to, inherited ones included', async () => {
+    assert.equal((await server.request('/api/files?folder=work', { as: 'uploader' })).status, 200);
+    const moved = await server.request('/api/files/move', {
+      as: 'uploader',
+      method: 'POST',
+      json: { sourcePath: 'work/mine.txt', destinationPath: 'work/moved.txt' },
+    });
+    assert.equal(moved.status, 403);
+    assert.equal((await server.upload('work', { 'x.txt': 'x' }, { as: 'reader' })).status, 403);
+  });
+
+  it('lets delete.own delete only files the caller uploaded', async () => {
+    const theirs = await server.request('/api/files/work/theirs.txt', { as: 'uploader', method: 'DELETE' });
+    assert.equal(theirs.status, 403);
+    assert.equal((await theirs.json()).error, 'You can only delete files you uploaded');
+    assert.equal((await server.request('/api/files/work/mine.txt', { as: 'uploader', method: 'DELETE' })).status, 200);
+  });
+
+  it('maps app roles from the roles claim', async () => {
+    assert.equal((await server.request('/api/files/audit', { token: auditor })).status, 200);
+    assert.equal((await server.request('/api/files?folder=work', { token: auditor })).status, 403);
+    assert.equal((await server.request('/api/files/audit', { as: 'uploader' })).status, 403);
+  });
+
+  it('ignores groups whose environment variable is unset', async () => {
+    const unmapped = token('reader', { oid: 'nobody', groups: [''] });
+    assert.equal((await server.request('/api/files?folder=work', { token: unmapped })).status, 403);
+  });
+
+  it('refuses to start with an unknown action', async () => {
+    const invalid = { roles: { reader: { actions: ['list', 'teleport'] } } };
+    await assert.rejects(startServer({}, { permissions: invalid }), /Unknown action "teleport" in role "reader"/);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+// capped/ holds at most 10 bytes; left/ and right/ are only counted
+const POLICY = { quotas: { folders: { capped: 10, left: 1000, right: 1000 } } };
+
+describe('quota usage', () => {
+  let server;
+
+  const post = (route, json) => server.request(`/api/files/${route}`, { as: 'uploader', method: 'POST', json });
+  const folderUsage = async (folder) => {
+    const usage = await (await server.request('/api/files/quotas', { as: 'uploader' })).json();
+    return usage.folders.find((quota) => quota.path === folder).used;
+  };
+
+  before(async () => {
+    server = await startServer({}, { policy: POLICY });
+    // Wait for the startup count of the empty storage, so it cannot replace the usage recorded below
+    await waitFor(async () => {
+      const usage = await (await server.request('/api/files/quotas', { as: 'uploader' })).json();
+      return usage.recountedAt;
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('frees the quota when a file is moved to the trash', async () => {
+    assert.equal((await server.upload('capped', { 'a.txt': '12345678' })).status, 200);
+    assert.equal((await server.upload('capped', { 'b.txt': '12345678' })).status, 413);
+
+    const deleted = await server.request('/api/files/capped/a.txt', { as: 'uploader', method: 'DELETE' });
+    assert.equal(deleted.status, 200);
+    assert.equal(await folderUsage('capped'), 0);
+    assert.equal((await server.upload('capped', { 'b.txt': '12345678' })).status, 200);
+  });
+
+  it('counts the file again when it is restored from the trash', async () => {
+    await server.upload('left', { 'restored.txt': 'abcd' });
+    const before = await folderUsage('left');
+    const { trashId } = await (await server.request('/api/files/left/restored.txt', { as: 'admin', method: 'DELETE' })).json();
+    assert.equal(await folderUsage('left'), before - 4);
+
+    const restored = await server.request(`/api/files/trash/${trashId}/restore`, { as: 'admin', method: 'POST', json: {} });
+    assert.equal(restored.status, 200);
+    assert.equal(await folderUsage('left'), before);
+  });
+
+  it('stops counting the replaced file on overwrite', async () => {
+    await server.upload('left', { 'same.txt': 'abc' });
+    const before = await folderUsage('left');
+    const response = await server.upload('left', { 'same.txt': 'abcdef' }, { query: { onConflict: 'overwrite' } });
+    assert.equal(response.status, 200);
+    assert.equal(await folderUsage('left'), before + 3);
+  });
+
+  it('moves usage between folders with a file move and a folder move', async () => {
+    await server.upload('left/files', { 'one.txt': '12345', 'two.txt': '123' });
+    const left = await folderUsage('left');
+    const right = await folderUsage('right');
+
+    const moved = await post('move', { sourcePath: 'left/files/one.txt', destinationPath: 'right/one.txt' });
+    assert.equal(moved.status, 200);
+    assert.equal(await folderUsage('left'), left - 5);
+    assert.equal(await folderUsage('right'), right + 5);
+
+    const started = await post('move', { sourcePath: 'left/files', destinationPath: 'right/files' });
+    assert.equal(started.status, 202);
+    const { statusUrl } = await started.json();
+    await waitFor(async () => {
+      const job = await (await server.request(statusUrl, { as: 'uploader' })).json();
+      return job.status === 'completed';
+    });
+    assert.equal(await folderUsage('left'), left - 8);
+    assert.equal(await folderUsage('right'), right + 8);
+  });
+
+  it('frees the quota when a folder is deleted permanently', async () => {
+    await server.upload('right/gone', { 'x.txt': '1234567' });
+    const before = await folderUsage('right');
+    const started = await server.request('/api/files/folders/right/gone?recursive=true&permanent=true', { as: 'admin', method: 'DELETE' });
+    assert.equal(started.status, 202);
+    const { statusUrl } = await started.json();
+    await waitFor(async () => (await (await server.request(statusUrl, { as: 'admin' })).json()).status === 'completed');
+    assert.equal(await folderUsage('right'), before - 7);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+// EICAR antivirus test string, built at runtime so this file itself is not flagged
+const EICAR = ['X5O!P%@AP[4\\PZX54(P^)7CC)7}$', 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*'].join('');
+
+describe('malware scanning', () => {
+  let server;
+
+  // Helper: scan status of a file from its folder listing
+  const scanStatus = async (folder, name) => {
+    const listing = await (await server.request(`/api/files?folder=${folder}`, { as: 'admin' })).json();
+    const file = listing.files.find((entry) => entry.name === name);
+    return file ? file.scanStatus : null;
+  };
+
+  const quarantined = async () => (await (await server.request('/api/files/scan/quarantine', { as: 'admin' })).json()).items;
+
+  before(async () => {
+    server = await startServer({ SCANNER: 'stub', SCAN_STUB_DELAY_MS: '300' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('blocks downloads until a clean file is scanned', async () => {
+    const uploaded = await (await server.upload('scans', { 'clean.txt': 'nothing to see' })).json();
+    assert.equal(uploaded.scanStatus, 'pending');
+    const blocked = await server.request('/api/files/scans/clean.txt', { as: 'reader' });
+    assert.equal(blocked.status, 409);
+    assert.equal((await blocked.json()).scanStatus, 'pending');
+    assert.equal((await server.request('/api/files/scans/clean.txt', { as: 'reader', method: 'HEAD' })).status, 409);
+
+    await waitFor(async () => (await scanStatus('scans', 'clean.txt')) === 'clean');
+    assert.equal((await server.request('/api/files/scans/clean.txt', { as: 'reader', method: 'HEAD' })).status, 200);
+    const download = await server.request('/api/files/scans/clean.txt', { as: 'reader' });
+    assert.equal(download.status, 200);
+    assert.equal(await download.text(), 'nothing to see');
+  });
+
+  it('scans a file again when it changes during its scan', async () => {
+    await server.upload('rescans', { 'changed.txt': 'edited while scanning' });
+    const updated = await server.request('/api/files/metadata/rescans/changed.txt', {
+      as: 'uploader',
+      method: 'PATCH',
+      json: { metadata: { project: 'p1' } },
+    });
+    assert.equal(updated.status, 200);
+    await waitFor(async () => (await scanStatus('rescans', 'changed.txt')) === 'clean');
+    const metadata = await (await server.request('/api/files/metadata/rescans/changed.txt', { as: 'reader' })).json();
+    assert.equal(metadata.metadata.project, 'p1');
+  });
+
+  it('blocks a ZIP containing a file that is not scanned yet', async () => {
+    await server.upload('zipscan', { 'pending.txt': 'wait for it' });
+    const response = await server.request('/api/files/zip?folder=zipscan', { as: 'reader' });
+    assert.equal(response.status, 409);
+    assert.deepEqual((await response.json()).blocked, ['zipscan/pending.txt']);
+  });
+
+  it('ignores files the caller cannot read when checking a folder ZIP', async () => {
+    await server.upload('gated', { 'open.txt': 'shared' });
+    await server.upload('gated/locked', { 'first.txt': 'private' });
+    await waitFor(async () => (await scanStatus('gated', 'open.txt')) === 'clean');
+    const acl = { entries: [{ type: 'user', id: 'uploader-user', rights: ['read', 'write'] }] };
+    assert.equal((await server.request('/api/files/acl/gated/locked', { as: 'admin', method: 'PUT', json: acl })).status, 200);
+
+    await server.upload('gated/locked', { 'pending.txt': 'not scanned yet' });
+    const response = await server.request('/api/files/zip?folder=gated', { as: 'reader' });
+    assert.equal(response.status, 200);
+    const archive = Buffer.from(await response.arrayBuffer());
+    assert.ok(archive.includes('gated/open.txt'));
+    assert.ok(!archive.includes('locked'));
+  });
+
+  it('quarantines an infected file and lets an admin release it', async () => {
+    await server.upload('infected', { 'eicar.com.txt': EICAR });
+    const [item] = await waitFor(async () => {
+      const items = (await quarantined()).filter((entry) => entry.originalPath === 'infected/eicar.com.txt');
+      return items.length && items;
+    });
+    assert.equal(item.signature, 'Eicar-Test-Signature');
+    assert.equal((await server.request('/api/files/infected/eicar.com.txt', { as: 'reader' })).status, 404);
+
+    const denied = await server.request(`/api/files/scan/quarantine/${item.quarantineId}/release`, { as: 'uploader', method: 'POST' });
+    assert.equal(denied.status, 403);
+
+    const released = await server.request(`/api/files/scan/quarantine/${item.quarantineId}/release`, { as: 'admin', method: 'POST', json: {} });
+    assert.equal(released.status, 200);
+    const download = await server.request('/api/files/infected/eicar.com.txt', { as: 'reader' });
+    assert.equal(download.status, 200);
+    assert.equal(await download.text(), EICAR);
+  });
+
+  it('deletes a quarantined file', async () => {
+    await server.upload('infected', { 'again.txt': EICAR });
+    const item = await waitFor(async () => (await quarantined()).find((entry) => entry.originalPath === 'infected/again.txt'));
+    const response = await server.request(`/api/files/scan/quarantine/${item.quarantineId}`, { as: 'admin', method: 'DELETE' });
+    assert.equal(response.status, 200);
+    assert.ok(!(await quarantined()).some((entry) => entry.quarantineId === item.quarantineId));
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('search patterns', () => {
+  let server;
+
+  const search = (q) => server.request(`/api/files/search?${new URLSearchParams({ q })}`, { as: 'reader' });
+
+  before(async () => {
+    server = await startServer();
+    await server.upload('reports/2024', { 'summary.pdf': 'x', 'notes.txt': 'x' });
+    await server.upload('reports', { [`${'a'.repeat(200)}.txt`]: 'x' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('matches globs within and across folders', async () => {
+    const within = await (await search('*.pdf')).json();
+    assert.deepEqual(within.results.map((file) => file.fullPath), ['reports/2024/summary.pdf']);
+    const across = await (await search('reports/**/*.txt')).json();
+    assert.deepEqual(across.results.map((file) => file.fullPath), ['reports/2024/notes.txt']);
+  });
+
+  it('rejects an invalid character class with 400', async () => {
+    const response = await search('[z-a]');
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Invalid search pattern/);
+  });
+
+  it('answers patterns with stacked wildcards quickly', async () => {
+    const started = Date.now();
+    const response = await search(`${'*'.repeat(40)}${'**a'.repeat(20)}b`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).total, 0);
+    assert.ok(Date.now() - started < 2000);
+  });
+});
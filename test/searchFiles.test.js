@@ -0,0 +1,43 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobapi-search-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_PATH = path.join(dir, 'storage');
+process.env.STATE_DIR = path.join(dir, 'state');
+
+const storage = require('../storage');
+const { parseSearchQuery, searchFiles } = require('../services/search');
+
+describe('searchFiles', () => {
+  const list = storage.list;
+
+  after(() => {
+    storage.list = list;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lets other work run during a long scan', async () => {
+    // A listing that never waits on I/O, so only the search itself can give way
+    storage.list = async function* listMany() {
+      for (let i = 0; i < 20000; i++) {
+        yield { name: `deep/${'segment/'.repeat(12)}file-${i}.txt`, size: 1, metadata: {} };
+      }
+    };
+    let finished = false;
+    const search = searchFiles(parseSearchQuery({ q: '**/s*e*g*m*e*n*t/**/file-?????.log' }))
+      .then((result) => {
+        finished = true;
+        return result;
+      });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(finished, false);
+
+    const result = await search;
+    assert.equal(result.scanned, 20000);
+    assert.equal(result.total, 0);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('share link download limits', () => {
+  let server;
+
+  // Helper: a share link for path allowing maxDownloads downloads
+  const createShare = async (path, maxDownloads) => {
+    const response = await server.request('/api/files/shares', {
+      as: 'uploader',
+      method: 'POST',
+      json: { path, maxDownloads },
+    });
+    assert.equal(response.status, 201);
+    return (await response.json()).shareId;
+  };
+
+  const download = (shareId, headers = {}) => server.request(`/api/shares/${shareId}/download`, { headers });
+
+  before(async () => {
+    server = await startServer();
+    await server.upload('shared', { 'file.txt': '0123456789' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('stops serving the file after maxDownloads', async () => {
+    const shareId = await createShare('shared/file.txt', 1);
+    const first = await download(shareId);
+    assert.equal(first.status, 200);
+    assert.equal(await first.text(), '0123456789');
+    assert.equal((await download(shareId)).status, 410);
+  });
+
+  it('does not count a resumed download', async () => {
+    const shareId = await createShare('shared/file.txt', 2);
+    const start = await download(shareId, { Range: 'bytes=0-4' });
+    assert.equal(start.status, 206);
+    assert.equal(await start.text(), '01234');
+    const rest = await download(shareId, { Range: 'bytes=5-' });
+    assert.equal(rest.status, 206);
+    assert.equal(await rest.text(), '56789');
+    assert.equal((await download(shareId)).status, 200);
+    assert.equal((await download(shareId)).status, 410);
+  });
+
+  it('counts a suffix range covering the whole file', async () => {
+    const shareId = await createShare('shared/file.txt', 1);
+    const whole = await download(shareId, { Range: 'bytes=-10' });
+    assert.equal(whole.status, 206);
+    assert.equal(await whole.text(), '0123456789');
+    assert.equal((await download(shareId, { Range: 'bytes=-10' })).status, 410);
+    assert.equal((await download(shareId)).status, 410);
+  });
+
+  it('counts multi-range and stale If-Range requests served as the full body', async () => {
+    const multi = await createShare('shared/file.txt', 1);
+    assert.equal((await download(multi, { Range: 'bytes=1-2,5-6' })).status, 200);
+    assert.equal((await download(multi)).status, 410);
+
+    const stale = await createShare('shared/file.txt', 1);
+    assert.equal((await download(stale, { Range: 'bytes=5-', 'If-Range': '"stale"' })).status, 200);
+    assert.equal((await download(stale)).status, 410);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobapi-storage-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_PATH = storageDir;
+
+const storage = require('../storage');
+
+describe('local storage driver', () => {
+  const createWriteStream = fs.createWriteStream;
+
+  after(() => {
+    fs.createWriteStream = createWriteStream;
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('rejects a block commit when writing the file fails', { timeout: 5000 }, async () => {
+    await storage.stageBlock('blocks/file.bin', 'b1', Buffer.alloc(64 * 1024, 'a'));
+    await storage.stageBlock('blocks/file.bin', 'b2', Buffer.alloc(64 * 1024, 'b'));
+    // A file that fails on its first write, after its buffer is already full
+    fs.createWriteStream = () => new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        setImmediate(() => callback(Object.assign(new Error('no space left on device'), { code: 'ENOSPC' })));
+      },
+    });
+
+    await assert.rejects(storage.commitBlocks('blocks/file.bin', ['b1', 'b2']), { code: 'ENOSPC' });
+    fs.createWriteStream = createWriteStream;
+    assert.equal(await storage.exists('blocks/file.bin'), false);
+  });
+});
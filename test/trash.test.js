@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+describe('trash', () => {
+  let server;
+
+  const exists = async (path) => (await (await server.request(`/api/files/exists/${path}`, { as: 'reader' })).json()).exists;
+  const trash = async (as = 'uploader') => (await (await server.request('/api/files/trash', { as })).json()).items;
+  const finish = async (response, as = 'uploader') => {
+    const { statusUrl } = await response.json();
+    let job;
+    await waitFor(async () => {
+      job = await (await server.request(statusUrl, { as })).json();
+      return !['pending', 'running'].includes(job.status);
+    });
+    return job;
+  };
+  const deleteFile = async (path, as = 'uploader') => {
+    const response = await server.request(`/api/files/${path}`, { as, method: 'DELETE' });
+    assert.equal(response.status, 200);
+    return (await response.json()).trashId;
+  };
+  const restore = (trashId, json = {}, as = 'uploader') => server.request(`/api/files/trash/${trashId}/restore`, {
+    as,
+    method: 'POST',
+    json,
+  });
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('restores a deleted file to its original path', async () => {
+    await server.upload('docs', { 'a.txt': 'first' });
+    const trashId = await deleteFile('docs/a.txt');
+    assert.equal(await exists('docs/a.txt'), false);
+    const item = (await trash()).find((entry) => entry.trashId === trashId);
+    assert.equal(item.originalPath, 'docs/a.txt');
+    assert.equal(item.deletedBy.objectId, 'uploader-user');
+
+    const response = await restore(trashId);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).path, 'docs/a.txt');
+    const content = await server.request('/api/files/docs/a.txt', { as: 'reader' });
+    assert.equal(await content.text(), 'first');
+    assert.equal((await trash()).some((entry) => entry.trashId === trashId), false);
+  });
+
+  it('refuses to restore over a file unless told to rename or overwrite', async () => {
+    await server.upload('docs', { 'b.txt': 'old' });
+    const trashId = await deleteFile('docs/b.txt');
+    await server.upload('docs', { 'b.txt': 'new' });
+
+    assert.equal((await restore(trashId)).status, 409);
+    const renamed = await restore(trashId, { onConflict: 'rename' });
+    assert.equal(renamed.status, 200);
+    assert.equal((await renamed.json()).path, 'docs/b (1).txt');
+    assert.equal(await (await server.request('/api/files/docs/b.txt', { as: 'reader' })).text(), 'new');
+  });
+
+  it('restores a folder with its contents as a job', async () => {
+    await server.upload('reports/2024', { 'q1.txt': '1', 'q2.txt': '2' });
+    const deleted = await server.request('/api/files/folders/reports?recursive=true', { as: 'admin', method: 'DELETE' });
+    const { result } = await finish(deleted, 'admin');
+    assert.equal(await exists('reports/2024/q1.txt'), false);
+
+    const response = await restore(result.trashId, {}, 'admin');
+    assert.equal(response.status, 202);
+    assert.equal((await finish(response, 'admin')).status, 'completed');
+    assert.equal(await exists('reports/2024/q1.txt'), true);
+    assert.equal(await exists('reports/2024/q2.txt'), true);
+  });
+
+  it('shows and restores only the caller\'s own deletions, unless admin', async () => {
+    await server.upload('shared', { 'admin.txt': 'x' });
+    const trashId = await deleteFile('shared/admin.txt', 'admin');
+    assert.equal((await trash()).some((entry) => entry.trashId === trashId), false);
+    assert.equal((await restore(trashId)).status, 404);
+    assert.equal((await trash('admin')).some((entry) => entry.trashId === trashId), true);
+    assert.equal((await server.request('/api/files/trash', { as: 'reader' })).status, 403);
+  });
+
+  it('purges one item permanently', async () => {
+    await server.upload('docs', { 'c.txt': 'gone' });
+    const trashId = await deleteFile('docs/c.txt');
+    assert.equal((await server.request(`/api/files/trash/${trashId}`, { as: 'uploader', method: 'DELETE' })).status, 403);
+
+    const purged = await server.request(`/api/files/trash/${trashId}`, { as: 'admin', method: 'DELETE' });
+    assert.equal(purged.status, 200);
+    assert.equal((await server.request(`/api/files/trash/${trashId}`, { as: 'admin' })).status, 404);
+    assert.equal((await restore(trashId, {}, 'admin')).status, 404);
+  });
+
+  it('empties the trash as a job', async () => {
+    await server.upload('docs', { 'd.txt': 'd', 'e.txt': 'e' });
+    await deleteFile('docs/d.txt');
+    await deleteFile('docs/e.txt');
+    assert.ok((await trash('admin')).length >= 2);
+
+    const response = await server.request('/api/files/trash', { as: 'admin', method: 'DELETE' });
+    assert.equal(response.status, 202);
+    const job = await finish(response, 'admin');
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.failed, 0);
+    assert.deepEqual(await trash('admin'), []);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers/server');
+
+const CHUNK_SIZE = 256 * 1024;
+
+describe('upload session checksums', () => {
+  let server;
+  const content = crypto.randomBytes(CHUNK_SIZE * 2 + 1000);
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+  // Helper: create a session for content at path and stage its chunks in the given order
+  const stageSession = async (path, order, hash) => {
+    const created = await server.request('/api/files/uploads', {
+      as: 'uploader',
+      method: 'POST',
+      json: { path, size: content.length, chunkSize: CHUNK_SIZE, ...(hash && { hash: { algorithm: 'sha256', value: hash } }) },
+    });
+    assert.equal(created.status, 201);
+    const { uploadId } = await created.json();
+    for (const index of order) {
+      const chunk = content.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+      const staged = await server.request(`/api/files/uploads/${uploadId}/chunks/${index}`, { as: 'uploader', method: 'PUT', body: chunk });
+      assert.equal(staged.status, 200);
+    }
+    return uploadId;
+  };
+
+  const commit = (uploadId) => server.request(`/api/files/uploads/${uploadId}/commit`, { as: 'uploader', method: 'POST' });
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('verifies the hash and returns the ETag the stored file keeps', async () => {
+    const response = await commit(await stageSession('sessions/ordered.bin', [0, 1, 2], sha256));
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.contentHash.value, sha256);
+    const head = await server.request('/api/files/sessions/ordered.bin', { as: 'reader', method: 'HEAD' });
+    assert.equal(head.headers.get('etag'), body.etag);
+    assert.match(head.headers.get('digest'), /sha-256=/);
+  });
+
+  it('rejects a mismatching hash without storing the file', async () => {
+    const uploadId = await stageSession('sessions/wrong.bin', [0, 1, 2], 'a'.repeat(64));
+    const response = await commit(uploadId);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Checksum mismatch');
+    assert.equal((await server.request('/api/files/exists/sessions/wrong.bin', { as: 'reader' }).then((r) => r.json())).exists, false);
+  });
+
+  it('still verifies the hash of chunks staged out of order', async () => {
+    const good = await commit(await stageSession('sessions/unordered.bin', [2, 0, 1], sha256));
+    assert.equal(good.status, 200);
+    assert.equal((await good.json()).contentHash.value, sha256);
+
+    const bad = await commit(await stageSession('sessions/unordered-wrong.bin', [1, 0, 2], 'b'.repeat(64)));
+    assert.equal(bad.status, 400);
+    assert.equal((await server.request('/api/files/exists/sessions/unordered-wrong.bin', { as: 'reader' }).then((r) => r.json())).exists, false);
+  });
+
+  it('answers a chunk larger than its expected size with 413', async () => {
+    const created = await server.request('/api/files/uploads', {
+      as: 'uploader',
+      method: 'POST',
+      json: { path: 'sessions/huge.bin', size: content.length, chunkSize: CHUNK_SIZE },
+    });
+    assert.equal(created.status, 201);
+    const { uploadId } = await created.json();
+    // 8 chunks' worth, produced as the server reads it
+    const block = Buffer.alloc(CHUNK_SIZE);
+    let sent = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        if (sent++ === 8) controller.close();
+        else controller.enqueue(block);
+      },
+    });
+    const response = await server.request(`/api/files/uploads/${uploadId}/chunks/0`, { as: 'uploader', method: 'PUT', body, duplex: 'half' });
+    assert.equal(response.status, 413);
+    assert.match((await response.json()).error, new RegExp(`expected size of ${CHUNK_SIZE} bytes`));
+
+    // The last chunk may only hold the remainder
+    const last = await server.request(`/api/files/uploads/${uploadId}/chunks/2`, { as: 'uploader', method: 'PUT', body: Buffer.alloc(1001) });
+    assert.equal(last.status, 413);
+    const form = new FormData();
+    form.append('file', new Blob([Buffer.alloc(1001)]), 'chunk');
+    const multipart = await server.request(`/api/files/uploads/${uploadId}/chunks/2`, { as: 'uploader', method: 'PUT', body: form });
+    assert.equal(multipart.status, 413);
+  });
+
+  it('stores a file staged out of order without a hash as is', async () => {
+    const response = await commit(await stageSession('sessions/plain.bin', [1, 2, 0]));
+    assert.equal(response.status, 200);
+    const download = await server.request('/api/files/sessions/plain.bin', { as: 'reader' });
+    assert.ok(Buffer.from(await download.arrayBuffer()).equals(content));
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+describe('upload conflicts', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('rejects a second upload to the same path by default', async () => {
+    const first = await server.upload('conflicts', { 'a.txt': 'first' });
+    assert.equal(first.status, 200);
+    const second = await server.upload('conflicts', { 'a.txt': 'second' });
+    assert.equal(second.status, 409);
+    assert.equal(await (await server.request('/api/files/conflicts/a.txt', { as: 'reader' })).text(), 'first');
+  });
+
+  it('answers a rejected upload larger than the content sniffing window', async () => {
+    const content = Buffer.alloc(200 * 1024, 'a');
+    assert.equal((await server.upload('large', { 'big.txt': content })).status, 200);
+    const second = await server.upload('large', { 'big.txt': content });
+    assert.equal(second.status, 409);
+  });
+
+  it('keeps uploading the remaining parts after a large part is rejected', async () => {
+    await server.upload('multi', { 'taken.txt': 'x' });
+    const response = await server.upload('multi', {
+      'taken.txt': Buffer.alloc(100 * 1024, 'b'),
+      'fresh.txt': Buffer.alloc(100 * 1024, 'c'),
+    });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.files.map((file) => [file.path, file.status]), [
+      ['multi/taken.txt', 'failed'],
+      ['multi/fresh.txt', 'uploaded'],
+    ]);
+  });
+
+  it('renames with onConflict=rename', async () => {
+    await server.upload('renames', { 'b.txt': 'one' });
+    const response = await server.upload('renames', { 'b.txt': 'two' }, { query: { onConflict: 'rename' } });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.notEqual(body.path, 'renames/b.txt');
+    assert.match(body.path, /^renames\/b.*\.txt$/);
+  });
+
+  it('replaces with onConflict=overwrite', async () => {
+    await server.upload('overwrites', { 'c.txt': 'old' });
+    const response = await server.upload('overwrites', { 'c.txt': 'new' }, { query: { onConflict: 'overwrite' } });
+    assert.equal(response.status, 200);
+    assert.equal(await (await server.request('/api/files/overwrites/c.txt', { as: 'reader' })).text(), 'new');
+  });
+
+  it('fails If-Match with a stale ETag with 412', async () => {
+    const uploaded = await (await server.upload('preconditions', { 'd.txt': 'v1' })).json();
+    await server.upload('preconditions', { 'd.txt': 'v2' }, { query: { onConflict: 'overwrite' } });
+    const response = await server.upload('preconditions', { 'd.txt': 'v3' }, {
+      query: { onConflict: 'overwrite' },
+      headers: { 'If-Match': uploaded.etag },
+    });
+    assert.equal(response.status, 412);
+  });
+
+  it('replaces the file a matching If-Match names without onConflict=overwrite', async () => {
+    const uploaded = await (await server.upload('preconditions', { 'e.txt': 'v1' })).json();
+    const response = await server.upload('preconditions', { 'e.txt': 'v2' }, { headers: { 'If-Match': uploaded.etag } });
+    assert.equal(response.status, 200);
+    assert.equal(await (await server.request('/api/files/preconditions/e.txt', { as: 'reader' })).text(), 'v2');
+  });
+});
+
+describe('multi-file uploads', () => {
+  let server;
+
+  // Helper: a form with one part per [relativePath, content], each after its webkitRelativePath field
+  const folderForm = (files) => {
+    const form = new FormData();
+    for (const [relativePath, content] of files) {
+      form.append('webkitRelativePath', relativePath);
+      form.append('file', new Blob([content]), relativePath.slice(relativePath.lastIndexOf('/') + 1));
+    }
+    return form;
+  };
+  const read = async (path) => (await server.request(`/api/files/${path}`, { as: 'reader' })).text();
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('recreates a dropped folder under the target folder in one request', async () => {
+    const response = await server.request('/api/files?folder=drops', {
+      as: 'uploader',
+      method: 'POST',
+      body: folderForm([
+        ['site/index.html.txt', 'index'],
+        ['site/css/main.css', 'body {}'],
+        ['site/../escape.txt', 'nope'],
+        ['site/img/logo.txt', 'logo'],
+      ]),
+    });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.total, 4);
+    assert.equal(body.succeeded, 3);
+    assert.equal(body.failed, 1);
+    assert.deepEqual(body.files.map((file) => file.status), ['uploaded', 'uploaded', 'failed', 'uploaded']);
+    assert.match(body.files[2].error, /Invalid relative path/);
+    assert.equal(await read('drops/site/css/main.css'), 'body {}');
+    assert.equal(await read('drops/site/img/logo.txt'), 'logo');
+  });
+
+  it('reports the per-file results of an async upload through its job', async () => {
+    const response = await server.request('/api/files?folder=drops&async=true', {
+      as: 'uploader',
+      method: 'POST',
+      body: folderForm([['batch/one.txt', '1'], ['batch/two.txt', '2']]),
+    });
+    assert.equal(response.status, 202);
+    const { statusUrl } = await response.json();
+    const job = await waitFor(async () => {
+      const current = await (await server.request(statusUrl, { as: 'uploader' })).json();
+      return !['pending', 'running'].includes(current.status) && current;
+    });
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.result.files.map((file) => file.path), ['drops/batch/one.txt', 'drops/batch/two.txt']);
+    assert.equal(await read('drops/batch/two.txt'), '2');
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { startServer, waitFor } = require('./helpers/server');
+
+// Two attempts per delivery, retried as soon as the next dispatch runs
+const WEBHOOK_ENV = { WEBHOOK_MAX_ATTEMPTS: '2', WEBHOOK_RETRY_BASE_SECONDS: '0.01' };
+
+describe('webhooks', () => {
+  let server;
+  let receiver;
+  let receiverUrl;
+  // Requests the receiver got, and the status it answers with
+  const received = [];
+  let answer = 204;
+
+  const create = async (json) => {
+    const response = await server.request('/api/files/webhooks', { as: 'admin', method: 'POST', json });
+    assert.equal(response.status, 201);
+    return response.json();
+  };
+  const deliveriesOf = async (webhookId) => (
+    await (await server.request(`/api/files/webhooks/${webhookId}/deliveries`, { as: 'admin' })).json()
+  ).items;
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+        res.statusCode = answer;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+    server = await startServer(WEBHOOK_ENV);
+  });
+
+  after(async () => {
+    await server.stop();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  it('posts matching events signed with the subscription secret', async () => {
+    const { webhookId, secret } = await create({ url: `${receiverUrl}/signed`, events: ['file.uploaded'], pathPrefix: 'hooks' });
+    await server.upload('elsewhere', { 'skip.txt': 'x' });
+    await server.upload('hooks/in', { 'a.txt': 'a' });
+    const delivery = await waitFor(() => received.find((request) => request.url === '/signed'));
+
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+    assert.equal(delivery.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(delivery.headers['x-webhook-event'], 'file.uploaded');
+    const event = JSON.parse(delivery.body);
+    assert.equal(event.type, 'file.uploaded');
+    assert.equal(event.path, 'hooks/in/a.txt');
+    assert.equal(event.webhookId, webhookId);
+
+    const [history] = await deliveriesOf(webhookId);
+    assert.equal(history.status, 'delivered');
+    assert.equal(history.attempts, 1);
+    assert.equal(received.filter((request) => request.url === '/signed').length, 1);
+  });
+
+  it('retries a failing endpoint, keeps a dead letter and redelivers it', async () => {
+    answer = 500;
+    const { webhookId } = await create({ url: `${receiverUrl}/failing` });
+    assert.equal((await server.request(`/api/files/webhooks/${webhookId}/test`, { as: 'admin', method: 'POST' })).status, 202);
+
+    const dead = await waitFor(async () => {
+      const { items } = await (await server.request('/api/files/webhooks/dead-letters', { as: 'admin' })).json();
+      return items.find((item) => item.webhookId === webhookId);
+    }, { timeoutMs: 20 * 1000 });
+    assert.equal(dead.attempts, 2);
+    assert.equal(dead.lastStatusCode, 500);
+    assert.deepEqual(dead.history.map((attempt) => attempt.statusCode), [500, 500]);
+    assert.equal(received.filter((request) => request.url === '/failing').length, 2);
+
+    answer = 204;
+    const redelivered = await server.request(`/api/files/webhooks/deliveries/${dead.deliveryId}/redeliver`, { as: 'admin', method: 'POST' });
+    assert.equal(redelivered.status, 202);
+    await waitFor(async () => {
+      const delivery = await (await server.request(`/api/files/webhooks/deliveries/${dead.deliveryId}`, { as: 'admin' })).json();
+      return delivery.status === 'delivered';
+    });
+  });
+
+  it('is only open to webhook.manage', async () => {
+    assert.equal((await server.request('/api/files/webhooks', { as: 'uploader' })).status, 403);
+    const created = await server.request('/api/files/webhooks', { as: 'uploader', method: 'POST', json: { url: receiverUrl } });
+    assert.equal(created.status, 403);
+  });
+});
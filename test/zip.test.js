@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startServer } = require('./helpers/server');
+
+// Only the uploader may read projects/private
+const PRIVATE_ACL = { entries: [{ type: 'user', id: 'uploader-user', rights: ['read', 'write', 'delete'] }] };
+
+// Helper: { entryName: content } from a ZIP, read through its central directory
+const readZip = (archive) => {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = archive.readUInt16LE(offset + 10);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const local = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+    const data = archive.subarray(start, start + compressedSize);
+    entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString();
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+describe('ZIP downloads', () => {
+  let server;
+
+  const zip = async (query, options = { as: 'reader' }) => {
+    const response = await server.request(`/api/files/zip?${query}`, options);
+    return { response, entries: response.status === 200 ? readZip(Buffer.from(await response.arrayBuffer())) : null };
+  };
+
+  before(async () => {
+    server = await startServer();
+    await server.upload('projects/alpha', { 'plan.txt': 'alpha plan' });
+    await server.upload('projects/alpha/notes', { 'day1.txt': 'first day' });
+    await server.upload('projects/beta', { 'plan.txt': 'beta plan' });
+    await server.upload('projects/private', { 'secret.txt': 'uploader only' });
+    const created = await server.request('/api/files/folders/create', {
+      as: 'uploader',
+      method: 'POST',
+      json: { folderPath: 'projects/alpha/empty' },
+    });
+    assert.equal(created.status, 200);
+    const acl = await server.request('/api/files/acl/projects/private', { as: 'admin', method: 'PUT', json: PRIVATE_ACL });
+    assert.equal(acl.status, 200);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('keeps the folder structure of a folder, empty folders included', async () => {
+    const { response, entries } = await zip('folder=projects/alpha');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    assert.deepEqual(entries, {
+      'alpha/plan.txt': 'alpha plan',
+      'alpha/notes/day1.txt': 'first day',
+      'alpha/empty/': '',
+    });
+  });
+
+  it('names the files of a selection relative to their common folder', async () => {
+    const response = await server.request('/api/files/zip', {
+      as: 'reader',
+      method: 'POST',
+      json: { paths: ['projects/alpha/notes/day1.txt', 'projects/beta/plan.txt'] },
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /filename="projects\.zip"/);
+    assert.deepEqual(readZip(Buffer.from(await response.arrayBuffer())), {
+      'alpha/notes/day1.txt': 'first day',
+      'beta/plan.txt': 'beta plan',
+    });
+  });
+
+  it('answers 404 listing the selected files that do not exist', async () => {
+    const { response } = await zip('paths=projects/beta/plan.txt&paths=projects/beta/gone.txt');
+    assert.equal(response.status, 404);
+    assert.deepEqual((await response.json()).missing, ['projects/beta/gone.txt']);
+  });
+
+  it('refuses a selection with a file the caller may not read', async () => {
+    const { response } = await zip('paths=projects/beta/plan.txt&paths=projects/private/secret.txt');
+    assert.equal(response.status, 403);
+  });
+
+  it('streams a selection to the holder of a download token for exactly that selection', async () => {
+    const paths = ['projects/alpha/plan.txt', 'projects/beta/plan.txt'];
+    const issued = await server.request('/api/files/download-token', { as: 'reader', method: 'POST', json: { paths } });
+    assert.equal(issued.status, 200);
+    const { token } = await issued.json();
+
+    const { response, entries } = await zip(`paths=${paths[0]}&paths=${paths[1]}&dt=${token}`, {});
+    assert.equal(response.status, 200);
+    assert.deepEqual(Object.keys(entries).sort(), ['alpha/plan.txt', 'beta/plan.txt']);
+
+    const other = await zip(`paths=${paths[0]}&dt=${token}`, {});
+    assert.equal(other.response.status, 403);
+  });
+});